@@ -3,6 +3,7 @@ import { Socket } from "phoenix";
 import { LiveSocket } from "phoenix_live_view";
 import topbar from "../vendor/topbar";
 import Hooks from "./hooks";
+import { renderDataTable } from "./hooks/utils/data_table.js";
 
 console.log("[Unshackled] app.js loading...");
 
@@ -19,6 +20,9 @@ topbar.config({ barColors: { 0: "#ffffff" }, shadowColor: "rgba(0, 0, 0, .3)" })
 window.addEventListener("phx:page-loading-start", (_info) => topbar.show(300));
 window.addEventListener("phx:page-loading-stop", (_info) => topbar.hide());
 
+// Dispatched by the chart toolbar's Table toggle (CoreComponents.chart)
+window.addEventListener("chart:toggle-table", (e) => renderDataTable(e.target));
+
 console.log("[Unshackled] Connecting LiveSocket...");
 liveSocket.connect();
 console.log("[Unshackled] LiveSocket.connect() called");
@@ -1,3 +1,7 @@
+import { chartTheme } from './utils/theme.js';
+import { contentWidth } from './utils/chart_dom.js';
+import { observeResize } from './utils/resize.js';
+
 /**
  * Base ChartHook for D3.js integration with LiveView.
  *
@@ -11,6 +15,7 @@
 const ChartHook = {
   mounted() {
     this.chart = null;
+    this.unbindResize = observeResize(this, () => this.renderChart());
     this.renderChart();
   },
 
@@ -19,6 +24,7 @@ const ChartHook = {
   },
 
   destroyed() {
+    this.unbindResize?.();
     this.cleanup();
   },
 
@@ -45,7 +51,7 @@ const ChartHook = {
   getConfig() {
     const margin = (side) => parseInt(this.el.dataset[`chartMargin${side.charAt(0).toUpperCase() + side.slice(1)}`]);
     return {
-      width: parseInt(this.el.dataset.chartWidth) || this.el.clientWidth || 400,
+      width: parseInt(this.el.dataset.chartWidth) || contentWidth(this.el) || 400,
       height: parseInt(this.el.dataset.chartHeight) || 200,
       margin: { top: margin('top') || 20, right: margin('right') || 20, bottom: margin('bottom') || 30, left: margin('left') || 40 }
     };
@@ -72,7 +78,7 @@ const ChartHook = {
         .attr("x", config.width / 2)
         .attr("y", config.height / 2)
         .attr("text-anchor", "middle")
-        .attr("fill", "#6b7280")
+        .attr("fill", chartTheme().muted)
         .text("No data available");
       return;
     }
@@ -0,0 +1,272 @@
+import { parseChartData, getChartDimensions, cleanupSvg, createTooltip, showTooltip, hideTooltip, applyTextStyle, escapeHtml } from './utils/chart_dom.js';
+import { getRoleColor, formatRole, formatRoleShort, supportToColor, resolveThresholds } from './utils/colors.js';
+import { renderLegend } from './utils/legend.js';
+import { bindChartExport } from './utils/export.js';
+import { linkCycles, activeCycle } from './utils/chart_link.js';
+import { bindChartKeyboard } from './utils/a11y.js';
+import { refreshDataTable } from './utils/data_table.js';
+import { chartTheme, onThemeChange } from './utils/theme.js';
+import { observeResize } from './utils/resize.js';
+import { followReplay, upToReplay, currentReplayCycle } from './utils/replay.js';
+
+const NODE_RADIUS = 10;
+const SIMULATION_TICKS = 200;
+
+// Claim lineage graph from `Lineage.claim_lineage/1`: one node per distinct
+// claim version, one edge per transition. Nodes are pulled towards the cycle
+// they first appeared in so time still reads left to right, and the force
+// layout separates branches. Reverts (edges back to an existing version) are
+// dashed arcs; versions the Historian flagged as re-treads get a ring.
+const ClaimLineageHook = {
+  mounted() {
+    // Node positions by id, so a new transition doesn't reshuffle the graph
+    this.positions = new Map();
+    this.unbindExport = bindChartExport(this, { getRows: () => this.getExportRows() });
+    this.link = linkCycles((state) => this.renderLinkedCycle(state));
+    this.unbindKeyboard = bindChartKeyboard(this, {
+      label: "Claim lineage",
+      getItems: () => this.nodes || [],
+      describe: (d) => this.describeNode(d),
+      onFocusItem: (d) => this.focusNode(d),
+      onSelect: (d) => this.expandCard(d)
+    });
+    this.unbindTheme = onThemeChange(() => this.renderChart());
+    this.unbindResize = observeResize(this, () => this.renderChart());
+    this.unbindReplay = followReplay(() => {
+      this.renderChart();
+      refreshDataTable(this.el);
+    });
+    this.renderChart();
+  },
+  updated() {
+    this.renderChart();
+    refreshDataTable(this.el);
+  },
+  destroyed() {
+    this.unbindExport?.();
+    this.unbindKeyboard?.();
+    this.unbindTheme?.();
+    this.unbindResize?.();
+    this.unbindReplay?.();
+    this.link?.unsubscribe();
+    this.tooltip?.remove();
+    cleanupSvg(this.el);
+  },
+
+  // During a session replay, only the versions and returns seen by its cycle
+  getData() {
+    const data = parseChartData(this.el, 'chartData', { nodes: [], edges: [] });
+    if (currentReplayCycle() === null) return data;
+    const seen = (cycles) => upToReplay(cycles || [], (cycle) => cycle);
+    const nodes = upToReplay(data.nodes, (n) => n.first_cycle).map((n) => {
+      const retreadCycles = seen(n.retread_cycles);
+      return { ...n, cycles: seen(n.cycles), retread_cycles: retreadCycles, retread: retreadCycles.length > 0 };
+    });
+    return { ...data, nodes, edges: upToReplay(data.edges, (e) => e.to_cycle) };
+  },
+
+  getExportRows() {
+    const { nodes, edges } = this.getData();
+    const claims = new Map(nodes.map((n) => [n.id, n.claim]));
+    return edges.map((e) => ({
+      from_cycle: e.from_cycle, to_cycle: e.to_cycle, change_type: e.change_type, trigger_agent: e.trigger_agent,
+      revert: e.revert, previous_claim: claims.get(e.source), new_claim: claims.get(e.target)
+    }));
+  },
+
+  getConfig() {
+    return getChartDimensions(this.el, {
+      width: 600,
+      height: 260,
+      margin: { top: 20, right: 20, bottom: 40, left: 20 }
+    });
+  },
+
+  describeNode(node) {
+    const support = node.support === null ? "no support recorded" : `support ${Math.round(node.support * 100)}%`;
+    const entries = node.cycles.length > 1 ? `, returned to at cycle ${node.cycles.slice(1).join(", ")}` : "";
+    const retread = node.retread ? `, flagged as a re-tread at cycle ${node.retread_cycles.join(", ")}` : "";
+    return `Cycle ${node.first_cycle} claim, ${support}${entries}${retread}: ${node.claim}`;
+  },
+
+  // The version that was current at `cycle`, mirroring Lineage's own rule
+  nodeAtCycle(cycle) {
+    const edge = (this.edges || []).filter((e) => e.to_cycle <= cycle).pop();
+    const id = edge ? edge.target : 0;
+    return this.nodes?.find((n) => n.id === id && n.first_cycle <= cycle) || null;
+  },
+
+  layout(nodes, edges, innerWidth, innerHeight) {
+    const [first, last] = d3.extent(nodes, (n) => n.first_cycle);
+    const xScale = d3.scaleLinear().domain(first === last ? [first - 1, last + 1] : [first, last]).range([NODE_RADIUS * 2, innerWidth - NODE_RADIUS * 2]);
+    // Kept positions are stretched to a resized container rather than re-settled
+    const stretch = this.layoutWidth ? innerWidth / this.layoutWidth : 1;
+    this.layoutWidth = innerWidth;
+    nodes.forEach((n) => {
+      const previous = this.positions.get(n.id);
+      n.x = previous ? previous.x * stretch : xScale(n.first_cycle);
+      n.y = previous?.y ?? innerHeight / 2;
+    });
+    const links = edges.filter((e) => e.source !== e.target).map((e) => ({ source: e.source, target: e.target }));
+    const simulation = d3.forceSimulation(nodes)
+      .force("link", d3.forceLink(links).id((n) => n.id).distance(60).strength(0.3))
+      .force("charge", d3.forceManyBody().strength(-120))
+      .force("x", d3.forceX((n) => xScale(n.first_cycle)).strength(0.8))
+      .force("y", d3.forceY(innerHeight / 2).strength(0.05))
+      .force("collide", d3.forceCollide(NODE_RADIUS * 2.5))
+      .stop();
+    // Settle synchronously: the graph is small and a static layout exports cleanly
+    for (let i = 0; i < SIMULATION_TICKS; i++) simulation.tick();
+    nodes.forEach((n) => {
+      n.x = Math.max(NODE_RADIUS, Math.min(innerWidth - NODE_RADIUS, n.x));
+      n.y = Math.max(NODE_RADIUS, Math.min(innerHeight - NODE_RADIUS, n.y));
+      this.positions.set(n.id, { x: n.x, y: n.y });
+    });
+  },
+
+  // Forward edges bow slightly; reverts and repeated edges between the same
+  // pair bow further so they don't sit on top of each other.
+  edgePath(edge, byId, index) {
+    const source = byId.get(edge.source);
+    const target = byId.get(edge.target);
+    if (source === target) {
+      const { x, y } = source;
+      return `M${x - 4},${y - NODE_RADIUS} C${x - 24},${y - 44} ${x + 24},${y - 44} ${x + 4},${y - NODE_RADIUS}`;
+    }
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const bend = (edge.revert ? 0.5 : 0.15) + index * 0.2;
+    const mx = (source.x + target.x) / 2 - dy * bend;
+    const my = (source.y + target.y) / 2 + dx * bend;
+    // Stop short of the target so the arrowhead isn't hidden under the node
+    const len = Math.hypot(target.x - mx, target.y - my) || 1;
+    const ex = target.x - ((target.x - mx) / len) * (NODE_RADIUS + 2);
+    const ey = target.y - ((target.y - my) / len) * (NODE_RADIUS + 2);
+    return `M${source.x},${source.y} Q${mx},${my} ${ex},${ey}`;
+  },
+
+  edgeLabel(edge) {
+    const type = edge.change_type ? edge.change_type.toUpperCase() : "CHANGE";
+    return edge.trigger_agent ? `${type} · ${formatRoleShort(edge.trigger_agent)}` : type;
+  },
+
+  renderChart() {
+    const { nodes, edges, thresholds: rawThresholds } = this.getData();
+    const thresholds = resolveThresholds(rawThresholds);
+    const theme = chartTheme();
+    // Re-treads are flagged by the Historian, so they wear its colour
+    const retreadColor = getRoleColor("historian");
+    const { width, height, margin, innerWidth, innerHeight } = this.getConfig();
+    cleanupSvg(this.el);
+    const svg = d3.select(this.el).append("svg").attr("width", width).attr("height", height);
+
+    if (nodes.length === 0) {
+      svg.append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor", "middle").call(applyTextStyle, { fill: theme.muted }).text("No claim changes yet");
+      this.nodes = [];
+      this.edges = [];
+      this.nodeGroups = null;
+      return;
+    }
+
+    this.layout(nodes, edges, innerWidth, innerHeight);
+    this.nodes = [...nodes].sort((a, b) => a.first_cycle - b.first_cycle || a.id - b.id);
+    this.edges = edges;
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+
+    const markerId = `${this.el.id}-arrow`;
+    svg.append("defs").append("marker").attr("id", markerId).attr("viewBox", "0 0 10 10").attr("refX", 8).attr("refY", 5).attr("markerWidth", 6).attr("markerHeight", 6).attr("orient", "auto-start-reverse")
+      .append("path").attr("d", "M0,0 L10,5 L0,10 z").attr("fill", theme.text);
+
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    // Number parallel edges between the same pair so they can be fanned out
+    const seen = new Map();
+    const edgeIndex = edges.map((e) => {
+      const key = [e.source, e.target].sort().join("-");
+      const i = seen.get(key) || 0;
+      seen.set(key, i + 1);
+      return i;
+    });
+
+    const edgeGroups = g.append("g").attr("class", "edges").selectAll(".lineage-edge").data(edges).enter().append("g").attr("class", "lineage-edge");
+    edgeGroups.append("path").attr("id", (e) => `${this.el.id}-edge-${e.id}`).attr("d", (e, i) => this.edgePath(e, byId, edgeIndex[i])).attr("fill", "none")
+      .attr("stroke", (e) => (e.trigger_agent ? getRoleColor(e.trigger_agent) : theme.text)).attr("stroke-opacity", 0.7).attr("stroke-width", 1.5)
+      .attr("stroke-dasharray", (e) => (e.revert ? "5,4" : null)).attr("marker-end", `url(#${markerId})`);
+    edgeGroups.append("text").attr("dy", -4).call(applyTextStyle, { 'font-size': '9px', fill: theme.muted })
+      .append("textPath").attr("href", (e) => `#${this.el.id}-edge-${e.id}`).attr("startOffset", "50%").attr("text-anchor", "middle").text((e) => this.edgeLabel(e));
+
+    if (!this.tooltip) this.tooltip = createTooltip("claim-lineage-tooltip", { "max-width": "320px" });
+    const tooltip = this.tooltip;
+
+    this.nodeGroups = g.append("g").attr("class", "nodes").selectAll(".lineage-node").data(nodes).enter().append("g").attr("class", "lineage-node")
+      .attr("transform", (n) => `translate(${n.x},${n.y})`).style("cursor", (n) => (n.transition_id ? "pointer" : "default"));
+    this.nodeGroups.filter((n) => n.retread).append("circle").attr("r", NODE_RADIUS + 4).attr("fill", "none").attr("stroke", retreadColor).attr("stroke-width", 1.5).attr("stroke-dasharray", "3,2");
+    this.nodeGroups.append("circle").attr("class", "node-dot").attr("r", NODE_RADIUS)
+      .attr("fill", (n) => (n.support === null ? theme.faint : supportToColor(n.support, thresholds))).attr("stroke", theme.strong).attr("stroke-width", 1.5);
+    this.nodeGroups.append("text").attr("y", NODE_RADIUS + 14).attr("text-anchor", "middle").call(applyTextStyle, { 'font-size': '10px' }).text((n) => `C${n.first_cycle}`);
+
+    this.nodeGroups.on("mouseover", (event, n) => {
+      this.link.hover(n.cycles[n.cycles.length - 1]);
+      const support = n.support === null ? "—" : `${(n.support * 100).toFixed(1)}%`;
+      const claim = n.claim.length > 200 ? `${n.claim.substring(0, 199)}…` : n.claim;
+      const returns = n.cycles.length > 1 ? `<br>Returned to at C${n.cycles.slice(1).join(", C")}` : "";
+      const retread = n.retread ? `<br><span style="color:${retreadColor}">Re-tread flagged at C${n.retread_cycles.join(", C")}</span>` : "";
+      showTooltip(tooltip, `<span class="font-bold">Cycle ${n.first_cycle}</span> · Support ${support}${returns}${retread}<br><span style="white-space:normal">${escapeHtml(claim)}</span>`, event);
+    }).on("mouseout", () => {
+      this.link.hover(null);
+      hideTooltip(tooltip);
+    }).on("click", (_event, n) => this.expandCard(n));
+
+    edgeGroups.on("mouseover", (event, e) => {
+      const agent = e.trigger_agent ? formatRole(e.trigger_agent) : "Unknown agent";
+      showTooltip(tooltip, `<span class="font-bold">C${e.from_cycle} → C${e.to_cycle}</span>${e.revert ? " (revert)" : ""}<br>${escapeHtml(e.change_type || "change")} by ${escapeHtml(agent)}`, event);
+    }).on("mouseout", () => hideTooltip(tooltip));
+
+    const pct = (value) => `${Math.round(value * 100)}%`;
+    renderLegend(svg, [
+      { label: `≥${pct(thresholds.graduation)}`, color: supportToColor(thresholds.graduation, thresholds) },
+      { label: `${pct(thresholds.grave_keeper)}–${pct(thresholds.graduation)}`, color: supportToColor(thresholds.grave_keeper, thresholds) },
+      { label: `${pct(thresholds.death)}–${pct(thresholds.grave_keeper)}`, color: supportToColor((thresholds.death + thresholds.grave_keeper) / 2, thresholds) },
+      { label: `≤${pct(thresholds.death)}`, color: supportToColor(thresholds.death, thresholds) },
+      { label: "Re-tread", color: "none", stroke: retreadColor }
+    ], {
+      position: { x: margin.left, y: height - 16 },
+      maxItemsPerRow: 5,
+      itemSize: { width: 80, height: 16 },
+      boxSize: { width: 10, height: 10 },
+      boxOffset: { x: 14, y: 9 },
+      labelStyle: { fill: theme.text, 'font-family': 'monospace', 'font-size': '10px' }
+    });
+    // renderLegend strokes every box the same; give the re-tread entry its ring colour
+    svg.selectAll(".legend-item rect").filter((d) => d.stroke).attr("stroke", (d) => d.stroke).attr("stroke-dasharray", "3,2");
+
+    this.renderLinkedCycle(this.link.current());
+  },
+
+  focusNode(node) {
+    this.link.hover(node ? node.cycles[node.cycles.length - 1] : null);
+  },
+
+  // Expands the node's timeline card and scrolls to it. The root claim has
+  // no transition, so there is no card to open.
+  expandCard(node) {
+    if (!node?.transition_id) return;
+    this.pushEvent("expand_timeline_node", { node: node.transition_id }, () => {
+      // Desktop and mobile layouts both render the card; scroll to the visible one
+      const card = [...document.querySelectorAll(`[id="timeline-node-${node.transition_id}"]`)].find((el) => el.offsetParent !== null);
+      card?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    });
+  },
+
+  renderLinkedCycle(state) {
+    if (!this.nodeGroups) return;
+    const cycle = activeCycle(state);
+    const current = cycle === null ? null : this.nodeAtCycle(cycle);
+    const theme = chartTheme();
+    this.nodeGroups.select(".node-dot")
+      .attr("stroke", (n) => (n === current ? theme.highlight : theme.strong))
+      .attr("stroke-width", (n) => (n === current ? 3 : 1.5));
+  },
+};
+
+export { ClaimLineageHook };
@@ -17,6 +17,18 @@ export const CollapsibleSectionHook = {
       icon.style.transform = `rotate(${isExpanded ? 90 : 0}deg)`;
       button.setAttribute('aria-expanded', isExpanded);
     };
+    this.update = update;
+
+    // Tracked sections: the LiveView keeps the state and renders it back
+    if ('track' in el.dataset) {
+      update(el.dataset.expanded === 'true');
+      button.addEventListener('click', () => {
+        const newExpanded = button.getAttribute('aria-expanded') !== 'true';
+        update(newExpanded);
+        this.pushEvent('toggle_section', { id: sectionId, expanded: newExpanded });
+      });
+      return;
+    }
 
     try {
       const storedState = sessionStorage.getItem(storageKey);
@@ -30,6 +42,9 @@ export const CollapsibleSectionHook = {
     } catch (error) {
       console.warn(`CollapsibleSectionHook: sessionStorage unavailable for section ${sectionId}`, error);
     }
+  },
+
+  updated() {
+    if ('track' in this.el.dataset) this.update?.(this.el.dataset.expanded === 'true');
   }
 };
-
@@ -0,0 +1,223 @@
+import { parseChartData, getChartDimensions, cleanupSvg, createTooltip, showTooltip, hideTooltip, applyTextStyle, escapeHtml } from './utils/chart_dom.js';
+import { getRoleColor, formatRole, formatRoleShort, TRANSITION_DURATION } from './utils/colors.js';
+import { renderXAxis, renderYAxis, renderGridlines } from './utils/axes.js';
+import { renderLegend, toggleHidden } from './utils/legend.js';
+import { bindChartExport } from './utils/export.js';
+import { linkCycles, activeCycle } from './utils/chart_link.js';
+import { bindChartKeyboard } from './utils/a11y.js';
+import { refreshDataTable } from './utils/data_table.js';
+import { chartTheme, onThemeChange } from './utils/theme.js';
+import { observeResize } from './utils/resize.js';
+import { bindChartData, upsert } from './utils/chart_data.js';
+import { followReplay, upToReplay } from './utils/replay.js';
+
+// Stacked area of accepted contributions per role per cycle. Expects the
+// long-form `[{cycle, role, count}]` rows from `Contributions.contributions_by_cycle/1`.
+const ContributionsOverTimeHook = {
+  mounted() {
+    this.isInitialRender = true;
+    // Roles switched off in the legend; kept across updated() re-renders
+    this.hiddenRoles = new Set();
+    this.chartData = bindChartData(this, {
+      parse: () => parseChartData(this.el, 'chartData', []),
+      deltas: { update_contribution: (data, { id, ...entry }) => upsert(data, entry, (d) => d.cycle === entry.cycle && d.role === entry.role) }
+    });
+    this.unbindExport = bindChartExport(this, { getRows: () => this.getExportRows() });
+    this.link = linkCycles((state) => this.renderLinkedCycle(state));
+    this.unbindKeyboard = bindChartKeyboard(this, {
+      label: "Agent contributions over time",
+      getItems: () => this.table || [],
+      describe: (d) => this.describeCycle(d),
+      onFocusItem: (d) => this.link.hover(d ? d.cycle : null),
+      onSelect: (d) => this.link.select(d.cycle)
+    });
+    this.unbindTheme = onThemeChange(() => {
+      this.isInitialRender = true;
+      this.renderChart();
+    });
+    this.unbindResize = observeResize(this, () => {
+      this.isInitialRender = true;
+      this.renderChart();
+    });
+    this.unbindReplay = followReplay(() => {
+      this.renderChart();
+      refreshDataTable(this.el);
+    });
+    this.renderChart();
+  },
+  updated() {
+    this.chartData.sync();
+    this.renderChart();
+    refreshDataTable(this.el);
+  },
+  reconnected() {
+    this.chartData.sync(true);
+    this.renderChart();
+    refreshDataTable(this.el);
+  },
+  destroyed() {
+    this.unbindExport?.();
+    this.unbindKeyboard?.();
+    this.unbindTheme?.();
+    this.unbindResize?.();
+    this.unbindReplay?.();
+    this.link?.unsubscribe();
+    this.tooltip?.remove();
+    this.cleanup();
+  },
+
+  // Cycles after a session replay's cycle are held back, not dropped
+  getData() {
+    return upToReplay(this.chartData.get());
+  },
+
+  getExportRows() {
+    return this.getData().map(({ cycle, role, count }) => ({ cycle, role, count }));
+  },
+
+  getConfig() {
+    return getChartDimensions(this.el, {
+      width: 400,
+      height: 300,
+      margin: { top: 20, right: 120, bottom: 40, left: 40 }
+    });
+  },
+
+  cleanup() {
+    cleanupSvg(this.el);
+  },
+
+  // Pivots the long-form rows into one row per cycle with a count per role.
+  // Cycles between the first and last with no accepted contributions are
+  // filled with zeros so the areas drop to the axis instead of interpolating.
+  // Roles are ordered by total so the largest contributor sits at the bottom.
+  buildTable(data) {
+    const totals = d3.rollup(data, (rows) => d3.sum(rows, (d) => d.count), (d) => d.role);
+    const roles = [...totals.keys()].sort((a, b) => totals.get(b) - totals.get(a) || a.localeCompare(b));
+    const byCycle = d3.group(data, (d) => d.cycle);
+    const [first, last] = d3.extent(data, (d) => d.cycle);
+    const table = d3.range(first, last + 1).map((cycle) => {
+      const row = { cycle };
+      roles.forEach((role) => { row[role] = 0; });
+      (byCycle.get(cycle) || []).forEach((d) => { row[d.role] = d.count; });
+      return row;
+    });
+    return { roles, table };
+  },
+
+  describeCycle(row) {
+    const parts = this.roles.filter((role) => row[role] > 0).map((role) => `${formatRole(role)} ${row[role]}`);
+    return `Cycle ${row.cycle}: ${parts.length ? parts.join(", ") : "no accepted contributions"}`;
+  },
+
+  renderChart() {
+    const data = this.getData();
+    const { width, height, margin } = this.getConfig();
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+    const theme = chartTheme();
+
+    if (data.length === 0) {
+      this.cleanup();
+      d3.select(this.el).append("svg").attr("width", width).attr("height", height).append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor", "middle").call(applyTextStyle, { fill: theme.muted }).text("No contributions yet");
+      this.svg = null;
+      this.table = [];
+      this.roles = [];
+      this.isInitialRender = true;
+      return;
+    }
+
+    const { roles, table } = this.buildTable(data);
+    this.roles = roles.filter((role) => !this.hiddenRoles.has(role));
+    this.table = table;
+
+    const isUpdate = !this.isInitialRender && this.svg;
+    if (!isUpdate) {
+      this.cleanup();
+      this.svg = d3.select(this.el).append("svg").attr("width", width).attr("height", height);
+      this.g = this.svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+      this.axesLayer = this.g.append("g").attr("class", "axes");
+      this.areasLayer = this.g.append("g").attr("class", "areas");
+      this.linkGuide = this.g.append("line").attr("y1", 0).attr("y2", innerHeight).attr("stroke", theme.highlight).attr("stroke-width", 1.5).attr("stroke-dasharray", "4,3").attr("opacity", 0).attr("pointer-events", "none");
+      this.overlay = this.g.append("rect").attr("width", innerWidth).attr("height", innerHeight).attr("fill", "transparent").style("cursor", "pointer");
+    }
+
+    const series = d3.stack().keys(this.roles).order(d3.stackOrderNone).offset(d3.stackOffsetNone)(table);
+    const [first, last] = d3.extent(table, (d) => d.cycle);
+    // A single cycle gets a one-cycle-wide domain so the area stays visible
+    const xScale = d3.scaleLinear().domain(first === last ? [first - 0.5, last + 0.5] : [first, last]).range([0, innerWidth]);
+    const yScale = d3.scaleLinear().domain([0, d3.max(series, (s) => d3.max(s, (d) => d[1])) || 1]).nice().range([innerHeight, 0]);
+    this.xScale = xScale;
+
+    this.axesLayer.selectAll("*").remove();
+    renderGridlines(this.axesLayer, yScale, { innerWidth, tickCount: 4 });
+    renderXAxis(this.axesLayer, xScale, { innerHeight, innerWidth, tickCount: Math.min(5, table.length), tickFormat: d3.format("d"), label: "Cycle", labelOffset: 32 });
+    renderYAxis(this.axesLayer, yScale, { innerHeight, tickCount: 4, tickFormat: d3.format("d") });
+
+    const area = d3.area().x((d) => xScale(d.data.cycle)).y0((d) => yScale(d[0])).y1((d) => yScale(d[1])).curve(d3.curveMonotoneX);
+    const areas = this.areasLayer.selectAll(".role-area").data(series, (s) => s.key);
+    areas.exit().remove();
+    const entered = areas.enter().append("path").attr("class", "role-area").attr("fill", (s) => getRoleColor(s.key)).attr("fill-opacity", 0.85).attr("stroke", theme.background).attr("stroke-width", 0.5).attr("d", area);
+    if (isUpdate) {
+      entered.attr("opacity", 0).transition().duration(TRANSITION_DURATION).attr("opacity", 1);
+      areas.transition().duration(TRANSITION_DURATION).attr("d", area);
+    }
+    // Keep stacking order in the DOM in step with the data
+    this.areasLayer.selectAll(".role-area").order();
+
+    this.bindHover(innerWidth);
+
+    this.svg.selectAll(".legend-group").remove();
+    renderLegend(this.svg, roles.map((role) => ({ key: role, label: formatRoleShort(role, 14), color: getRoleColor(role) })), {
+      position: { x: margin.left + innerWidth + 12, y: margin.top },
+      type: 'grid',
+      maxItemsPerRow: 1,
+      itemSize: { width: 100, height: 16 },
+      labelStyle: { fill: theme.text, 'font-family': 'monospace', 'font-size': '10px' },
+      hidden: this.hiddenRoles,
+      onToggle: (role, { isolate }) => {
+        this.hiddenRoles = toggleHidden(this.hiddenRoles, role, roles, isolate);
+        this.renderChart();
+      },
+    });
+
+    this.isInitialRender = false;
+    this.renderLinkedCycle(this.link.current());
+  },
+
+  bindHover(innerWidth) {
+    if (!this.tooltip) this.tooltip = createTooltip("contributions-over-time-tooltip");
+    const tooltip = this.tooltip;
+    const rowAt = (event) => {
+      const cycle = Math.round(this.xScale.invert(Math.max(0, Math.min(innerWidth, d3.pointer(event)[0]))));
+      return this.table.find((row) => row.cycle === cycle);
+    };
+
+    this.overlay.on("mousemove", (event) => {
+      const row = rowAt(event);
+      if (!row) return;
+      this.link.hover(row.cycle);
+      const lines = this.roles.filter((role) => row[role] > 0).map((role) => `<span style="color:${getRoleColor(role)}">■</span> ${escapeHtml(formatRole(role))}: ${row[role]}`);
+      showTooltip(tooltip, `<span class="font-bold">Cycle ${row.cycle}</span><br>${lines.length ? lines.join("<br>") : "No accepted contributions"}`, event);
+    }).on("mouseleave", () => {
+      this.link.hover(null);
+      hideTooltip(tooltip);
+    }).on("click", (event) => {
+      const row = rowAt(event);
+      if (row) this.link.select(row.cycle);
+    });
+  },
+
+  renderLinkedCycle(state) {
+    if (!this.linkGuide || !this.xScale) return;
+    const cycle = activeCycle(state);
+    if (cycle === null || !this.table?.some((row) => row.cycle === cycle)) {
+      this.linkGuide.attr("opacity", 0);
+      return;
+    }
+    const x = this.xScale(cycle);
+    this.linkGuide.attr("x1", x).attr("x2", x).attr("opacity", 0.8);
+  },
+};
+
+export { ContributionsOverTimeHook };
@@ -1,20 +1,72 @@
 import { parseChartData, getChartDimensions, cleanupSvg, createTooltip, showTooltip, hideTooltip, applyTextStyle, escapeHtml } from './utils/chart_dom.js';
-import { getRoleColor, formatRole, formatRoleShort } from './utils/colors.js';
-import { renderLegend } from './utils/legend.js';
+import { formatRole, formatRoleShort } from './utils/colors.js';
+import { renderLegend, toggleHidden } from './utils/legend.js';
+import { bindChartExport } from './utils/export.js';
+import { bindChartKeyboard } from './utils/a11y.js';
+import { refreshDataTable } from './utils/data_table.js';
+import { chartTheme, onThemeChange } from './utils/theme.js';
+import { observeResize } from './utils/resize.js';
+import { bindChartData, upsert } from './utils/chart_data.js';
 
 const ContributionsPieHook = {
   mounted() {
     this.isInitialRender = true;
+    // Roles switched off in the legend; kept across updated() re-renders
+    this.hiddenRoles = new Set();
+    this.chartData = bindChartData(this, {
+      parse: () => parseChartData(this.el, 'chartData', []),
+      deltas: { update_contribution: (data, { id, ...entry }) => upsert(data, entry, (d) => d.role === entry.role) }
+    });
+    this.unbindExport = bindChartExport(this, { getRows: () => this.getExportRows() });
+    this.unbindKeyboard = bindChartKeyboard(this, {
+      label: "Agent contributions",
+      getItems: () => this.getVisibleData(),
+      describe: (d) => {
+        const total = this.getVisibleData().reduce((sum, item) => sum + item.count, 0);
+        return `${formatRole(d.role)}: ${d.count} contributions, ${((d.count / total) * 100).toFixed(0)}%`;
+      },
+      onFocusItem: (d) => this.highlightSegment(d ? d.role : null)
+    });
+    this.unbindTheme = onThemeChange(() => {
+      this.isInitialRender = true;
+      this.renderChart();
+    });
+    this.unbindResize = observeResize(this, () => {
+      this.isInitialRender = true;
+      this.renderChart();
+    });
+    this.renderChart();
+  },
+  updated() {
+    this.chartData.sync();
     this.renderChart();
+    refreshDataTable(this.el);
+  },
+  // Deltas pushed while disconnected are lost, so start again from the re-rendered attribute
+  reconnected() {
+    this.chartData.sync(true);
+    this.renderChart();
+    refreshDataTable(this.el);
   },
-  updated() { this.renderChart(); },
   destroyed() {
+    this.unbindExport?.();
+    this.unbindKeyboard?.();
+    this.unbindTheme?.();
+    this.unbindResize?.();
     this.tooltip?.remove();
     this.cleanup();
   },
 
   getData() {
-    return parseChartData(this.el, 'chartData', []);
+    return this.chartData.get();
+  },
+
+  getVisibleData() {
+    return this.getData().filter((d) => d.count > 0 && !this.hiddenRoles.has(d.role));
+  },
+
+  getExportRows() {
+    return this.getData().map(({ role, count }) => ({ role, count }));
   },
 
   getConfig() {
@@ -36,6 +88,9 @@ const ContributionsPieHook = {
     const config = this.getConfig();
     const { width, height, margin } = config;
     const isUpdate = !this.isInitialRender;
+    const theme = chartTheme();
+    // Theme role colours win over the server's `Metadata.color/1` so palettes apply
+    const roleColor = (d) => theme.roles[d.role] || d.color || theme.strong;
 
     // Filter out roles with 0 contributions
     const filteredData = data.filter((d) => d.count > 0);
@@ -43,7 +98,7 @@ const ContributionsPieHook = {
     if (filteredData.length === 0) {
       d3.select(this.el).selectAll(".contributions-pie-svg").remove();
       if (!isUpdate) {
-        d3.select(this.el).append("svg").attr("width", width).attr("height", height).attr("class", "contributions-pie-svg").append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor", "middle").call(applyTextStyle, { fill: "#6b7280" }).text("No contributions yet");
+        d3.select(this.el).append("svg").attr("width", width).attr("height", height).attr("class", "contributions-pie-svg").append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor", "middle").call(applyTextStyle, { fill: theme.muted }).text("No contributions yet");
       }
       this.svg = null;
       this.pieGroup = null;
@@ -73,11 +128,15 @@ const ContributionsPieHook = {
     const pie = d3.pie().value(d => d.count).sort(null);
     const arc = d3.arc().innerRadius(innerRadius).outerRadius(radius);
     const arcHover = d3.arc().innerRadius(innerRadius).outerRadius(radius + 8);
+    this.arc = arc;
+    this.arcHover = arcHover;
 
     let pieGroup = isUpdate ? this.pieGroup : svg.append("g").attr("transform", `translate(${margin.left + pieWidth / 2},${margin.top + pieHeight / 2})`);
     if (!isUpdate) this.pieGroup = pieGroup;
 
-    const pieData = pie(filteredData);
+    // Hidden roles drop out of the pie so the remaining slices renormalise
+    const visibleData = filteredData.filter((d) => !this.hiddenRoles.has(d.role));
+    const pieData = pie(visibleData);
     const segments = pieGroup.selectAll(".segment").data(pieData, d => d.data.role);
     segments.exit().remove();
 
@@ -85,8 +144,8 @@ const ContributionsPieHook = {
 
     segmentsEnter.append("path")
       .attr("d", arc)
-      .attr("fill", d => d.data.color || getRoleColor(d.data.role))
-      .attr("stroke", "#0a0a0a")
+      .attr("fill", d => roleColor(d.data))
+      .attr("stroke", theme.background)
       .attr("stroke-width", 2)
       .style("cursor", "pointer");
 
@@ -97,7 +156,7 @@ const ContributionsPieHook = {
     const segmentsMerge = segmentsEnter.merge(segments);
 
     if (isUpdate) {
-      segmentsMerge.select("path").transition().duration(300).attr("d", arc).attr("fill", d => d.data.color || getRoleColor(d.data.role));
+      segmentsMerge.select("path").transition().duration(300).attr("d", arc).attr("fill", d => roleColor(d.data));
     }
 
     if (!this.tooltip) this.tooltip = createTooltip("contributions-pie-tooltip");
@@ -111,27 +170,38 @@ const ContributionsPieHook = {
       hideTooltip(tooltip);
     });
 
-    const totalCount = filteredData.reduce((sum, d) => sum + d.count, 0);
+    const totalCount = visibleData.reduce((sum, d) => sum + d.count, 0);
+    const centerLabel = this.hiddenRoles.size > 0 ? "SHOWN" : "TOTAL";
     if (!isUpdate) {
-      pieGroup.append("text").attr("class", "center-label").attr("text-anchor", "middle").attr("dy", "-0.2em").call(applyTextStyle).text("TOTAL");
-      pieGroup.append("text").attr("class", "center-count").attr("text-anchor", "middle").attr("dy", "1em").call(applyTextStyle, { fill: "#ffffff", "font-size": "20px" }).attr("font-weight", "bold").text(totalCount);
+      pieGroup.append("text").attr("class", "center-label").attr("text-anchor", "middle").attr("dy", "-0.2em").call(applyTextStyle).text(centerLabel);
+      pieGroup.append("text").attr("class", "center-count").attr("text-anchor", "middle").attr("dy", "1em").call(applyTextStyle, { fill: theme.strong, "font-size": "20px" }).attr("font-weight", "bold").text(totalCount);
     } else {
+      pieGroup.select(".center-label").text(centerLabel);
       pieGroup.select(".center-count").text(totalCount);
     }
 
     svg.selectAll('.legend-group').remove();
     const legendY = margin.top + pieHeight + 15;
-    renderLegend(svg, filteredData.map(d => ({ label: `${formatRoleShort(d.role)} (${d.count})`, color: d.color || getRoleColor(d.role) })), {
+    renderLegend(svg, filteredData.map(d => ({ key: d.role, label: `${formatRoleShort(d.role)} (${d.count})`, color: roleColor(d) })), {
       position: { x: margin.left, y: legendY },
       type: 'grid',
       maxItemsPerRow: 3,
-      labelStyle: { fill: '#9ca3af', 'font-family': 'monospace', 'font-size': '10px' },
+      labelStyle: { fill: theme.text, 'font-family': 'monospace', 'font-size': '10px' },
+      hidden: this.hiddenRoles,
+      onToggle: (role, { isolate }) => {
+        this.hiddenRoles = toggleHidden(this.hiddenRoles, role, filteredData.map((d) => d.role), isolate);
+        this.renderChart();
+      },
     });
 
     // Store references for updates
     this.svg = svg;
     this.isInitialRender = false;
   },
+
+  highlightSegment(role) {
+    this.pieGroup?.selectAll(".segment path").transition().duration(100).attr("d", (d) => (d.data.role === role ? this.arcHover(d) : this.arc(d)));
+  },
 };
 
 export { ContributionsPieHook };
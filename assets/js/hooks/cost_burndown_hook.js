@@ -0,0 +1,258 @@
+import { parseChartData, getChartDimensions, cleanupSvg, createTooltip, showTooltip, hideTooltip, applyTextStyle, escapeHtml } from './utils/chart_dom.js';
+import { getRoleColor, formatRole, formatRoleShort, TRANSITION_DURATION } from './utils/colors.js';
+import { renderXAxis, renderYAxis, renderGridlines, renderThresholdLine } from './utils/axes.js';
+import { renderLegend, toggleHidden } from './utils/legend.js';
+import { bindChartExport } from './utils/export.js';
+import { linkCycles, activeCycle } from './utils/chart_link.js';
+import { bindChartKeyboard } from './utils/a11y.js';
+import { refreshDataTable } from './utils/data_table.js';
+import { chartTheme, onThemeChange } from './utils/theme.js';
+import { observeResize } from './utils/resize.js';
+import { followReplay, upToReplay, currentReplayCycle } from './utils/replay.js';
+
+const formatUsd = (value) => `$${value.toFixed(value >= 1 ? 2 : 4)}`;
+
+// Cumulative cost per cycle, stacked by agent, against the session cost limit.
+// Expects `{costs: [{cycle_number, agent_role, total_cost}], agents, cost_limit, projected_cycle}`
+// where `agents` gives the stacking order and `projected_cycle` comes from
+// `Costs.project_limit_cycle/3`.
+const CostBurndownHook = {
+  mounted() {
+    this.isInitialRender = true;
+    // Agents switched off in the legend; kept across updated() re-renders
+    this.hiddenAgents = new Set();
+    this.unbindExport = bindChartExport(this, { getRows: () => this.getExportRows() });
+    this.link = linkCycles((state) => this.renderLinkedCycle(state));
+    this.unbindKeyboard = bindChartKeyboard(this, {
+      label: "Cumulative cost",
+      getItems: () => this.table || [],
+      describe: (row) => `Cycle ${row.cycle}, cumulative cost ${formatUsd(row.total)}${this.limit ? `, ${((row.total / this.limit) * 100).toFixed(0)}% of limit` : ""}`,
+      onFocusItem: (row) => this.link.hover(row ? row.cycle : null),
+      onSelect: (row) => this.link.select(row.cycle)
+    });
+    this.unbindTheme = onThemeChange(() => {
+      this.isInitialRender = true;
+      this.renderChart();
+    });
+    this.unbindResize = observeResize(this, () => {
+      this.isInitialRender = true;
+      this.renderChart();
+    });
+    this.unbindReplay = followReplay(() => {
+      this.renderChart();
+      refreshDataTable(this.el);
+    });
+    this.renderChart();
+  },
+  updated() {
+    this.renderChart();
+    refreshDataTable(this.el);
+  },
+  destroyed() {
+    this.unbindExport?.();
+    this.unbindKeyboard?.();
+    this.unbindTheme?.();
+    this.unbindResize?.();
+    this.unbindReplay?.();
+    this.link?.unsubscribe();
+    this.tooltip?.remove();
+    this.cleanup();
+  },
+
+  // A session replay shows the costs up to its cycle, without the projection
+  // made from the costs after it
+  getData() {
+    const data = parseChartData(this.el, 'chartData', { costs: [], agents: [], cost_limit: null, projected_cycle: null });
+    if (currentReplayCycle() === null) return data;
+    return { ...data, costs: upToReplay(data.costs, (c) => c.cycle_number), projected_cycle: null };
+  },
+
+  getExportRows() {
+    const { agents, table } = this.buildTable(this.getData());
+    return table.flatMap((row) => agents.map((agent) => ({ cycle: row.cycle, agent, cost: row.costs[agent], cumulative_cost: row[agent] })));
+  },
+
+  getConfig() {
+    return getChartDimensions(this.el, {
+      width: 600,
+      height: 280,
+      margin: { top: 20, right: 120, bottom: 40, left: 56 }
+    });
+  },
+
+  cleanup() {
+    cleanupSvg(this.el);
+  },
+
+  // One row per cycle from the first to the last with costs, holding each
+  // agent's cumulative cost (`row[agent]`), its cost in that cycle
+  // (`row.costs[agent]`) and the running total. Cycles without cost records
+  // carry the totals forward.
+  buildTable({ costs = [], agents = [] }) {
+    if (costs.length === 0) return { agents: [], table: [] };
+    const agentOrder = [...new Set([...agents, ...costs.map((c) => c.agent_role)])];
+    const byCycle = d3.group(costs, (c) => c.cycle_number);
+    const [first, last] = d3.extent(costs, (c) => c.cycle_number);
+    const running = Object.fromEntries(agentOrder.map((agent) => [agent, 0]));
+    const table = d3.range(first, last + 1).map((cycle) => {
+      const row = { cycle, costs: {} };
+      agentOrder.forEach((agent) => { row.costs[agent] = 0; });
+      (byCycle.get(cycle) || []).forEach((c) => { row.costs[c.agent_role] += c.total_cost || 0; });
+      agentOrder.forEach((agent) => { running[agent] += row.costs[agent]; row[agent] = running[agent]; });
+      row.total = d3.sum(agentOrder, (agent) => row[agent]);
+      return row;
+    });
+    return { agents: agentOrder, table };
+  },
+
+  renderChart() {
+    const data = this.getData();
+    const { width, height, margin } = this.getConfig();
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+    const { agents, table } = this.buildTable(data);
+    const theme = chartTheme();
+
+    if (table.length === 0) {
+      this.cleanup();
+      d3.select(this.el).append("svg").attr("width", width).attr("height", height).append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor", "middle").call(applyTextStyle, { fill: theme.muted }).text("No cost data yet");
+      this.svg = null;
+      this.table = [];
+      this.isInitialRender = true;
+      return;
+    }
+
+    this.table = table;
+    this.limit = data.cost_limit;
+    const visibleAgents = agents.filter((agent) => !this.hiddenAgents.has(agent));
+
+    const isUpdate = !this.isInitialRender && this.svg;
+    if (!isUpdate) {
+      this.cleanup();
+      this.svg = d3.select(this.el).append("svg").attr("width", width).attr("height", height);
+      this.g = this.svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+      this.axesLayer = this.g.append("g").attr("class", "axes");
+      this.areasLayer = this.g.append("g").attr("class", "areas");
+      this.limitLayer = this.g.append("g").attr("class", "limit");
+      this.linkGuide = this.g.append("line").attr("y1", 0).attr("y2", innerHeight).attr("stroke", theme.highlight).attr("stroke-width", 1.5).attr("stroke-dasharray", "4,3").attr("opacity", 0).attr("pointer-events", "none");
+      this.overlay = this.g.append("rect").attr("width", innerWidth).attr("height", innerHeight).attr("fill", "transparent").style("cursor", "pointer");
+    }
+
+    const first = table[0].cycle;
+    const lastRow = table[table.length - 1];
+    const projected = data.projected_cycle;
+    // Extend the axis to show the projection, but not so far the history becomes a sliver
+    const horizon = lastRow.cycle + Math.max(10, lastRow.cycle - first);
+    const xMax = projected && projected > lastRow.cycle ? Math.min(projected, horizon) : lastRow.cycle;
+    const xScale = d3.scaleLinear().domain([first, Math.max(xMax, first + 1)]).range([0, innerWidth]);
+    const yScale = d3.scaleLinear().domain([0, Math.max(lastRow.total, this.limit || 0) * 1.1 || 1]).nice().range([innerHeight, 0]);
+    this.xScale = xScale;
+
+    this.axesLayer.selectAll("*").remove();
+    renderGridlines(this.axesLayer, yScale, { innerWidth, tickCount: 4 });
+    renderXAxis(this.axesLayer, xScale, { innerHeight, innerWidth, tickCount: 6, tickFormat: d3.format("d"), label: "CYCLE", labelOffset: 32 });
+    renderYAxis(this.axesLayer, yScale, { innerHeight, tickCount: 4, tickFormat: (d) => formatUsd(d) });
+
+    // Hidden agents drop out of the stack; the limit and projection still follow the full total
+    const series = d3.stack().keys(visibleAgents).value((row, agent) => row[agent])(table);
+    const area = d3.area().x((d) => xScale(d.data.cycle)).y0((d) => yScale(d[0])).y1((d) => yScale(d[1])).curve(d3.curveMonotoneX);
+    const areas = this.areasLayer.selectAll(".agent-area").data(series, (s) => s.key);
+    areas.exit().remove();
+    const entered = areas.enter().append("path").attr("class", "agent-area").attr("fill", (s) => getRoleColor(s.key)).attr("fill-opacity", 0.8).attr("stroke", theme.background).attr("stroke-width", 0.5).attr("d", area);
+    if (isUpdate) {
+      entered.attr("opacity", 0).transition().duration(TRANSITION_DURATION).attr("opacity", 1);
+      areas.transition().duration(TRANSITION_DURATION).attr("d", area);
+    }
+    this.areasLayer.selectAll(".agent-area").order();
+
+    this.renderLimit(lastRow, projected, xScale, yScale, innerWidth, innerHeight);
+    this.bindHover(innerWidth);
+
+    this.svg.selectAll(".legend-group").remove();
+    renderLegend(this.svg, agents.map((agent) => ({ key: agent, label: formatRoleShort(agent, 14), color: getRoleColor(agent) })), {
+      position: { x: margin.left + innerWidth + 12, y: margin.top },
+      maxItemsPerRow: 1,
+      itemSize: { width: 100, height: 16 },
+      labelStyle: { fill: theme.text, 'font-family': 'monospace', 'font-size': '10px' },
+      hidden: this.hiddenAgents,
+      onToggle: (agent, { isolate }) => {
+        this.hiddenAgents = toggleHidden(this.hiddenAgents, agent, agents, isolate);
+        this.renderChart();
+      },
+    });
+
+    this.isInitialRender = false;
+    this.renderLinkedCycle(this.link.current());
+  },
+
+  // Limit line plus a dashed run from the latest total to the projected
+  // crossing. A projection past the axis horizon is drawn to the edge.
+  renderLimit(lastRow, projected, xScale, yScale, innerWidth, innerHeight) {
+    const layer = this.limitLayer;
+    layer.selectAll("*").remove();
+    if (!this.limit) return;
+    const theme = chartTheme();
+    // Over the limit means the session stops, so the limit wears the "dead" colour
+    const limitColor = theme.zones.dead;
+
+    renderThresholdLine(layer, yScale, this.limit, { label: "LIMIT", color: limitColor, strokeWidth: 1.5, innerWidth, textAlign: "end", textDy: "-0.5em" });
+    if (!projected) return;
+
+    const [, xMax] = xScale.domain();
+    if (projected <= lastRow.cycle) {
+      const x = xScale(projected);
+      layer.append("line").attr("x1", x).attr("x2", x).attr("y1", 0).attr("y2", innerHeight).attr("stroke", limitColor).attr("stroke-width", 1).attr("stroke-dasharray", "2,3");
+      layer.append("text").attr("x", x + 4).attr("y", 10).call(applyTextStyle, { fill: limitColor, "font-size": "10px" }).text(`REACHED C${projected}`);
+      return;
+    }
+
+    const endCycle = Math.min(projected, xMax);
+    const endCost = lastRow.total + ((this.limit - lastRow.total) * (endCycle - lastRow.cycle)) / (projected - lastRow.cycle);
+    layer.append("line").attr("class", "projection")
+      .attr("x1", xScale(lastRow.cycle)).attr("y1", yScale(lastRow.total))
+      .attr("x2", xScale(endCycle)).attr("y2", yScale(endCost))
+      .attr("stroke", theme.strong).attr("stroke-width", 1.5).attr("stroke-dasharray", "6,4").attr("opacity", 0.7);
+    const beyond = projected > xMax;
+    layer.append("text").attr("x", xScale(endCycle) - 4).attr("y", yScale(this.limit) + 14).attr("text-anchor", "end")
+      .call(applyTextStyle, { fill: limitColor, "font-size": "10px" })
+      .text(beyond ? `PROJECTED C${projected} →` : `PROJECTED C${projected}`);
+    if (!beyond) layer.append("circle").attr("cx", xScale(projected)).attr("cy", yScale(this.limit)).attr("r", 4).attr("fill", "none").attr("stroke", limitColor).attr("stroke-width", 2);
+  },
+
+  bindHover(innerWidth) {
+    if (!this.tooltip) this.tooltip = createTooltip("cost-burndown-tooltip");
+    const tooltip = this.tooltip;
+    const rowAt = (event) => {
+      const cycle = Math.round(this.xScale.invert(Math.max(0, Math.min(innerWidth, d3.pointer(event)[0]))));
+      return this.table.find((row) => row.cycle === cycle);
+    };
+
+    this.overlay.on("mousemove", (event) => {
+      const row = rowAt(event);
+      if (!row) { this.link.hover(null); hideTooltip(tooltip); return; }
+      this.link.hover(row.cycle);
+      const lines = Object.keys(row.costs).filter((agent) => row.costs[agent] > 0).map((agent) => `<span style="color:${getRoleColor(agent)}">■</span> ${escapeHtml(formatRole(agent))}: ${formatUsd(row.costs[agent])}`);
+      const limitLine = this.limit ? `<br>${((row.total / this.limit) * 100).toFixed(1)}% of limit` : "";
+      showTooltip(tooltip, `<span class="font-bold">Cycle ${row.cycle}</span><br>Cumulative: ${formatUsd(row.total)}${limitLine}${lines.length ? `<br>${lines.join("<br>")}` : ""}`, event);
+    }).on("mouseleave", () => {
+      this.link.hover(null);
+      hideTooltip(tooltip);
+    }).on("click", (event) => {
+      const row = rowAt(event);
+      if (row) this.link.select(row.cycle);
+    });
+  },
+
+  renderLinkedCycle(state) {
+    if (!this.linkGuide || !this.xScale) return;
+    const cycle = activeCycle(state);
+    if (cycle === null || !this.table?.some((row) => row.cycle === cycle)) {
+      this.linkGuide.attr("opacity", 0);
+      return;
+    }
+    const x = this.xScale(cycle);
+    this.linkGuide.attr("x1", x).attr("x2", x).attr("opacity", 0.8);
+  },
+};
+
+export { CostBurndownHook };
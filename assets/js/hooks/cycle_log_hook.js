@@ -1,11 +1,65 @@
+import { linkCycles, activeCycle } from './utils/chart_link.js';
+
 export const CycleLogHook = {
-  mounted() { this.checkForUpdate(); },
-  updated() { this.checkForUpdate(); },
+  mounted() {
+    this.link = linkCycles((state, fromSelf) => this.highlightCycle(state, fromSelf));
+    this.onMouseOver = (e) => this.link.hover(this.cycleAt(e.target));
+    this.onMouseLeave = () => this.link.hover(null);
+    this.onClick = (e) => {
+      if (e.target.closest("button, a, summary")) return;
+      const cycle = this.cycleAt(e.target);
+      if (cycle !== null) this.link.select(cycle);
+    };
+    // Enter submits the filter form (next match); Shift+Enter goes back
+    this.onKeyDown = (e) => {
+      if (e.key !== "Enter" || !e.shiftKey || !e.target.closest("[data-cycle-log-filter]")) return;
+      e.preventDefault();
+      this.pushEvent("cycle_log_previous_match", {});
+    };
+    this.el.addEventListener("mouseover", this.onMouseOver);
+    this.el.addEventListener("mouseleave", this.onMouseLeave);
+    this.el.addEventListener("click", this.onClick);
+    this.el.addEventListener("keydown", this.onKeyDown);
+    this.handleEvent("focus_cycle", ({ cycle }) => this.focusCycle(cycle));
+    this.checkForUpdate();
+  },
+  updated() {
+    this.checkForUpdate();
+    this.highlightCycle(this.link.current(), true);
+  },
+  destroyed() {
+    this.link?.unsubscribe();
+  },
 
   checkForUpdate() {
     if (this.el.dataset.newCycleNumber) {
       this.el.classList.add('cycle-log-pulse');
       setTimeout(() => this.el.classList.remove('cycle-log-pulse'), 1000);
     }
+  },
+
+  // Brings a filter match into view, opening its time group if collapsed
+  focusCycle(cycle) {
+    const entry = this.el.querySelector(`[data-cycle="${cycle}"]`);
+    if (!entry) return;
+    const toggle = entry.closest("[phx-hook='CollapsibleSectionHook']")?.querySelector("button[aria-controls]");
+    if (toggle?.getAttribute("aria-expanded") === "false") toggle.click();
+    entry.scrollIntoView({ behavior: "smooth", block: "center" });
+  },
+
+  cycleAt(target) {
+    const entry = target.closest("[data-cycle]");
+    return entry ? parseInt(entry.dataset.cycle) : null;
+  },
+
+  // Scrolls only for selections made in a chart, so hovering never moves the page
+  highlightCycle(state, fromSelf) {
+    const cycle = activeCycle(state);
+    this.el.querySelectorAll(".cycle-linked").forEach((node) => node.classList.remove("cycle-linked"));
+    if (cycle === null) return;
+    const entry = this.el.querySelector(`[data-cycle="${cycle}"]`);
+    if (!entry) return;
+    entry.classList.add("cycle-linked");
+    if (!fromSelf && state.selected === cycle && state.hovered === null) entry.scrollIntoView({ behavior: "smooth", block: "nearest" });
   }
 };
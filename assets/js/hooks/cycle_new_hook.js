@@ -1,6 +1,9 @@
 export const CycleNewHook = {
   mounted() {
-    this.el.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'nearest' });
+    // Arrives above a reader who has scrolled down the log; leave them in place
+    if (this.el.getBoundingClientRect().bottom > 0) {
+      this.el.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'nearest' });
+    }
     setTimeout(() => this.el.classList.remove('cycle-new'), 1000);
   }
 };
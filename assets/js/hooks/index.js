@@ -1,6 +1,9 @@
 import { ChartHook } from "./chart_hook";
 import { SupportTimelineHook } from "./support_timeline_hook";
 import { ContributionsPieHook } from "./contributions_pie_hook";
+import { ContributionsOverTimeHook } from "./contributions_over_time_hook";
+import { CostBurndownHook } from "./cost_burndown_hook";
+import { ClaimLineageHook } from "./claim_lineage_hook";
 import { TrajectoryPlotHook } from "./trajectory_plot_hook";
 import { Trajectory3DPlotHook } from "./trajectory_3d_plot_hook";
 import { FlashHook } from "./flash_hook";
@@ -8,6 +11,11 @@ import { InfiniteScrollHook } from "./infinite_scroll_hook";
 import { CollapsibleSectionHook } from "./collapsible_section_hook";
 import { CycleNewHook } from "./cycle_new_hook";
 import { CycleLogHook } from "./cycle_log_hook";
+import { SessionShortcutsHook } from "./session_shortcuts_hook";
+import { SessionNotificationsHook } from "./session_notifications_hook";
+import { ReplayHook } from "./replay_hook";
+import { SelectedCycleHook } from "./selected_cycle_hook";
+import { ThemeSwitcherHook } from "./theme_switcher_hook";
 
-const Hooks = { ChartHook, SupportTimelineHook, ContributionsPieHook, TrajectoryPlotHook, Trajectory3DPlotHook, FlashHook, InfiniteScrollHook, CollapsibleSectionHook, CycleNewHook, CycleLogHook };
+const Hooks = { ChartHook, SupportTimelineHook, ContributionsPieHook, ContributionsOverTimeHook, CostBurndownHook, ClaimLineageHook, TrajectoryPlotHook, Trajectory3DPlotHook, FlashHook, InfiniteScrollHook, CollapsibleSectionHook, CycleNewHook, CycleLogHook, SessionShortcutsHook, SessionNotificationsHook, ReplayHook, SelectedCycleHook, ThemeSwitcherHook };
 export default Hooks;
@@ -1,47 +1,55 @@
 /**
- * InfiniteScrollHook - Detects scroll position to trigger loading more content.
+ * InfiniteScrollHook - Loads a windowed list page by page as it scrolls.
  *
- * This hook monitors scroll events on its container element. When the user
- * scrolls near the bottom (within 200px), it triggers a "load_more" event
- * on the LiveView. Loading is debounced to prevent multiple rapid requests.
+ * The server renders only a window of the list and marks where it can grow:
+ * a `data-scroll-edge="previous"` element above the first item while earlier
+ * entries exist, and a `data-scroll-edge="more"` element below the last item
+ * while later ones do. When an edge comes within 200px of the viewport the
+ * hook pushes the matching event, one request per direction at a time.
+ *
+ * `data-has-previous` and `data-has-more` on the container are the server's
+ * end-of-data signal: once one is "false" that direction is done and the hook
+ * stops asking.
+ *
+ * Prepending a page, or dropping one from the top as the window slides, would
+ * move the entries under the reader. Before each patch the hook notes the
+ * first `data-scroll-item` (which needs an id) on screen, and afterwards
+ * scrolls by however far it moved.
  *
  * Usage:
- *   <div id="infinite-scroll-container" phx-hook="InfiniteScrollHook">
- *     <!-- Content goes here -->
+ *   <div id="sessions-container" phx-hook="InfiniteScrollHook"
+ *        data-has-more="true" data-has-previous="false"
+ *        data-load-more-event="load_more" data-load-previous-event="load_previous">
+ *     <div id="session-row-1" data-scroll-item>...</div>
+ *     <div data-scroll-edge="more"></div>
  *   </div>
  */
 
 export const InfiniteScrollHook = {
   mounted() {
-    this.loaded = false;
-    this.loading = false;
+    this.loading = { previous: false, more: false };
     this.observer = new IntersectionObserver(
       (entries) => {
         entries.forEach(entry => {
-          if (entry.isIntersecting && !this.loading && !this.loaded) {
-            this.loading = true;
-            this.pushEvent("load_more", {});
-          }
+          if (entry.isIntersecting) this.load(entry.target.dataset.scrollEdge);
         });
       },
       {
         root: null,
         rootMargin: "200px",
-        threshold: 0.1
+        threshold: 0
       }
     );
+    this.observeEdges();
+  },
 
-    this.sentinel = document.createElement("div");
-    this.sentinel.setAttribute("data-infinite-scroll-sentinel", "true");
-    this.el.appendChild(this.sentinel);
-    this.observer.observe(this.sentinel);
+  beforeUpdate() {
+    this.anchor = this.findAnchor();
   },
 
   updated() {
-    if (this.sentinel) {
-      this.el.appendChild(this.sentinel);
-      this.observer.observe(this.sentinel);
-    }
+    this.restoreAnchor();
+    this.observeEdges();
   },
 
   destroyed() {
@@ -49,7 +57,53 @@ export const InfiniteScrollHook = {
   },
 
   reconnected() {
-    this.loading = false;
-    this.observer?.observe(this.sentinel);
+    this.loading = { previous: false, more: false };
+    this.observeEdges();
+  },
+
+  // Edges reached before the end of the data stay observed; observing them
+  // again re-checks an edge that is still on screen after a short page
+  observeEdges() {
+    this.observer.disconnect();
+    this.loaded = {
+      previous: this.el.dataset.hasPrevious !== "true",
+      more: this.el.dataset.hasMore !== "true"
+    };
+    this.el.querySelectorAll("[data-scroll-edge]").forEach((edge) => {
+      if (!this.loaded[edge.dataset.scrollEdge]) this.observer.observe(edge);
+    });
+  },
+
+  load(direction) {
+    if (!(direction in this.loading) || this.loading[direction] || this.loaded[direction]) return;
+    const event = direction === "more"
+      ? this.el.dataset.loadMoreEvent || "load_more"
+      : this.el.dataset.loadPreviousEvent || "load_previous";
+
+    this.loading[direction] = true;
+    this.pushEvent(event, {}, () => {
+      this.loading[direction] = false;
+      this.observeEdges();
+    });
+  },
+
+  // Only anchors once the list's top has scrolled past the viewport; above
+  // that, nothing the reader is looking at can move
+  findAnchor() {
+    if (this.el.getBoundingClientRect().top >= 0) return null;
+    const item = Array.from(this.el.querySelectorAll("[data-scroll-item][id]"))
+      .find((node) => node.getBoundingClientRect().bottom > 0);
+    return item ? { id: item.id, top: item.getBoundingClientRect().top } : null;
+  },
+
+  // Measured after the patch, so a browser that already anchored natively
+  // leaves nothing to correct
+  restoreAnchor() {
+    const anchor = this.anchor;
+    this.anchor = null;
+    const item = anchor && document.getElementById(anchor.id);
+    if (!item || !this.el.contains(item)) return;
+    const shift = item.getBoundingClientRect().top - anchor.top;
+    if (shift !== 0) window.scrollBy(0, shift);
   }
 };
@@ -0,0 +1,133 @@
+import { setReplayCycle } from './utils/replay.js';
+
+// Milliseconds per cycle at 1× speed
+const STEP_INTERVAL = 1000;
+// Most often the server hears where playback or the slider is
+const SYNC_INTERVAL = 250;
+
+/**
+ * Replay scrubber for a session that has stopped running
+ * (see `ReplayControl.replay_control/1`).
+ *
+ * Playback and scrubbing run here: every cycle goes straight to the chart
+ * hooks through `setReplayCycle`, and to the server at most once per
+ * SYNC_INTERVAL for the parts it loads (the claim card, donut and cycle log).
+ * The last cycle is the live page, so it's reported as null / `stop_replay`.
+ *
+ * `data-replay-cycle` carries the server's replay cycle back. Once nothing is
+ * in flight, a value the hook didn't send means the server moved the page
+ * itself (a new cycle ends the replay), and the hook follows it.
+ */
+export const ReplayHook = {
+  mounted() {
+    this.slider = this.el.querySelector("[data-replay-slider]");
+    this.playButton = this.el.querySelector("[data-replay-play]");
+    this.label = this.el.querySelector("[data-replay-label]");
+    this.speedButtons = [...this.el.querySelectorAll("[data-replay-speed]")];
+    this.speed = 1;
+    this.timer = null;
+    this.syncTimer = null;
+    this.inFlight = 0;
+    this.synced = this.serverCycle();
+
+    this.slider.addEventListener("input", () => {
+      this.pause();
+      this.seek(Number(this.slider.value));
+    });
+    this.playButton.addEventListener("click", () => (this.timer ? this.pause() : this.play()));
+    this.speedButtons.forEach((button) => button.addEventListener("click", () => this.setSpeed(Number(button.dataset.replaySpeed))));
+    this.el.querySelector("[data-replay-live]").addEventListener("click", () => {
+      this.pause();
+      this.seek(this.maxCycle());
+    });
+    this.show(this.synced);
+  },
+  updated() {
+    this.slider.max = this.maxCycle();
+    const server = this.serverCycle();
+    if (this.inFlight === 0 && !this.syncTimer && server !== this.synced) {
+      this.pause();
+      this.synced = server;
+      this.show(server);
+    } else {
+      this.show(this.cycle);
+    }
+  },
+  destroyed() {
+    clearInterval(this.timer);
+    clearTimeout(this.syncTimer);
+    setReplayCycle(null);
+  },
+
+  maxCycle() {
+    return Number(this.el.dataset.maxCycle);
+  },
+
+  serverCycle() {
+    return this.el.dataset.replayCycle ? Number(this.el.dataset.replayCycle) : null;
+  },
+
+  // Moves the page to `cycle`, kept within the session; the last cycle is live
+  seek(cycle) {
+    const max = this.maxCycle();
+    const clamped = Math.min(Math.max(cycle, 1), max);
+    this.show(clamped === max ? null : clamped);
+    this.scheduleSync();
+  },
+
+  show(cycle) {
+    const max = this.maxCycle();
+    this.cycle = cycle;
+    this.slider.value = cycle ?? max;
+    this.slider.setAttribute("aria-valuetext", `Cycle ${cycle ?? max} of ${max}`);
+    this.label.textContent = `Cycle ${cycle ?? max} / ${max}`;
+    setReplayCycle(cycle);
+  },
+
+  // Sends the latest cycle once the interval is up, however many it passed through
+  scheduleSync() {
+    if (this.syncTimer) return;
+    this.syncTimer = setTimeout(() => {
+      this.syncTimer = null;
+      if (this.cycle === this.synced) return;
+      this.synced = this.cycle;
+      this.inFlight += 1;
+      const done = () => { this.inFlight -= 1; };
+      if (this.cycle === null) this.pushEvent("stop_replay", {}, done);
+      else this.pushEvent("set_replay_cycle", { cycle: this.cycle }, done);
+    }, SYNC_INTERVAL);
+  },
+
+  // Playing from the last cycle starts over from the first
+  play() {
+    if (this.cycle === null) this.seek(1);
+    this.startTimer();
+    this.renderPlaying(true);
+  },
+
+  pause() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.renderPlaying(false);
+  },
+
+  startTimer() {
+    clearInterval(this.timer);
+    this.timer = setInterval(() => {
+      this.seek(this.cycle + 1);
+      if (this.cycle === null) this.pause();
+    }, STEP_INTERVAL / this.speed);
+  },
+
+  setSpeed(speed) {
+    this.speed = speed;
+    this.speedButtons.forEach((button) => button.setAttribute("aria-pressed", String(Number(button.dataset.replaySpeed) === speed)));
+    if (this.timer) this.startTimer();
+  },
+
+  renderPlaying(playing) {
+    this.playButton.textContent = playing ? "Pause" : "Play";
+    this.playButton.setAttribute("aria-pressed", String(playing));
+  }
+};
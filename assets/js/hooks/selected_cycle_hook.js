@@ -0,0 +1,43 @@
+import { linkCycles } from './utils/chart_link.js';
+
+/**
+ * Keeps the cycle selected across the session charts and cycle log in the
+ * page URL (see `Show.UrlState`), so a shared link opens with it selected.
+ *
+ * Selections made on any chart are reported as `select_cycle`. The server's
+ * cycle comes back on `data-cycle`, from the URL on mount or from a patch,
+ * and is selected through the chart link so every chart highlights it. While
+ * a report is in flight the hook keeps its own selection, so a reply for an
+ * older click doesn't undo a newer one.
+ */
+export const SelectedCycleHook = {
+  mounted() {
+    this.inFlight = 0;
+    this.reported = null;
+    this.link = linkCycles((state) => this.report(state.selected));
+    this.restore();
+  },
+  updated() {
+    if (this.inFlight === 0) this.restore();
+  },
+  destroyed() {
+    this.link?.unsubscribe();
+  },
+
+  serverCycle() {
+    return this.el.dataset.cycle ? Number(this.el.dataset.cycle) : null;
+  },
+
+  restore() {
+    const cycle = this.serverCycle();
+    this.reported = cycle;
+    if (this.link.current().selected !== cycle) this.link.select(cycle);
+  },
+
+  report(selected) {
+    if (selected === this.reported) return;
+    this.reported = selected;
+    this.inFlight += 1;
+    this.pushEvent("select_cycle", { cycle: selected }, () => { this.inFlight -= 1; });
+  }
+};
@@ -0,0 +1,120 @@
+import { announce } from './utils/a11y.js';
+
+// Ticked state per event kind (see Notifications.session_notifications/1); unset kinds are on
+const STORAGE_KEY = "unshackled-session-notifications";
+const TITLE_SUFFIX = " · Unshackled";
+
+function loadPrefs() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function savePrefs(prefs) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs)); } catch (e) {}
+}
+
+function notificationsSupported() {
+  return typeof window.Notification === "function";
+}
+
+function formatStatus(status) {
+  return status ? status.charAt(0).toUpperCase() + status.slice(1) : "";
+}
+
+/**
+ * Tab title badge and opt-in desktop notifications for a session.
+ *
+ * The title shows the cycle and status from `data-cycle`/`data-status`, so it
+ * follows every LiveView patch. Each `session_event` pushed by the server
+ * (see `Notifications.notify_*`) bumps an unread count in the title while the
+ * tab is hidden, and shows a desktop notification when its kind is ticked and
+ * the browser has granted permission. The count clears when the tab is shown.
+ */
+export const SessionNotificationsHook = {
+  mounted() {
+    this.originalTitle = document.title;
+    this.unseen = 0;
+    this.prefs = loadPrefs();
+
+    this.checkboxes = [...this.el.querySelectorAll("input[data-kind]")];
+    this.checkboxes.forEach((input) => {
+      input.checked = this.prefs[input.dataset.kind] !== false;
+      input.addEventListener("change", () => {
+        this.prefs[input.dataset.kind] = input.checked;
+        savePrefs(this.prefs);
+      });
+    });
+
+    this.enableButton = this.el.querySelector("[data-role='enable']");
+    this.enableButton?.addEventListener("click", () => this.requestPermission());
+    this.renderPermission();
+
+    this.onVisibilityChange = () => {
+      if (document.visibilityState === "visible") {
+        this.unseen = 0;
+        this.renderTitle();
+      }
+    };
+    document.addEventListener("visibilitychange", this.onVisibilityChange);
+
+    this.handleEvent("session_event", (event) => this.receive(event));
+    this.renderTitle();
+  },
+  updated() {
+    this.renderTitle();
+  },
+  destroyed() {
+    document.removeEventListener("visibilitychange", this.onVisibilityChange);
+    document.title = this.originalTitle;
+  },
+
+  receive({ kind, title, body }) {
+    if (document.visibilityState === "hidden") {
+      this.unseen += 1;
+      this.renderTitle();
+    } else {
+      announce(`${title}. ${body}`);
+    }
+
+    if (this.prefs[kind] === false || !notificationsSupported() || Notification.permission !== "granted") return;
+    // One notification per kind and session, so a burst replaces rather than stacks
+    const notification = new Notification(title, { body, tag: `${this.el.dataset.label}-${kind}` });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  },
+
+  renderTitle() {
+    const { label, cycle, status } = this.el.dataset;
+    const parts = [cycle ? `C${cycle}` : null, formatStatus(status) || null, label].filter(Boolean);
+    const badge = this.unseen > 0 ? `(${this.unseen}) ` : "";
+    document.title = `${badge}${parts.join(" · ")}${TITLE_SUFFIX}`;
+  },
+
+  requestPermission() {
+    if (!notificationsSupported()) return;
+    Notification.requestPermission().then(() => this.renderPermission());
+  },
+
+  renderPermission() {
+    const message = this.el.querySelector("[data-role='permission']");
+    if (!message || !this.enableButton) return;
+
+    if (!notificationsSupported()) {
+      message.textContent = "This browser does not support desktop notifications.";
+      this.enableButton.hidden = true;
+      return;
+    }
+
+    const permission = Notification.permission;
+    message.textContent = {
+      granted: "Desktop notifications are on for the events ticked below.",
+      denied: "Desktop notifications are blocked in this browser's site settings.",
+    }[permission] || "Desktop notifications are off.";
+    this.enableButton.hidden = permission !== "default";
+  },
+};
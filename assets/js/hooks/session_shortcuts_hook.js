@@ -0,0 +1,92 @@
+import { announce } from './utils/a11y.js';
+
+// Section ids on the session detail page that the jump shortcuts scroll to
+const SECTIONS = { c: "session-charts", l: "session-cycle-log", t: "claim-evolution" };
+
+// Keys typed into form fields (e.g. the SessionsLive.New form) never reach a shortcut
+function isTypingTarget(target) {
+  return target instanceof Element && (target.isContentEditable || target.closest("input, textarea, select, [contenteditable]") !== null);
+}
+
+/**
+ * Window-level keyboard shortcuts for the session detail page. The bindings
+ * are listed in `SessionControls.shortcuts_help/1`; keep the two in step.
+ *
+ * Session status comes from `data-status` and the session id's presence from
+ * `data-has-session`, both re-read on every key so they follow LiveView patches.
+ * Stop goes through the same confirm dialog as the Stop button.
+ */
+export const SessionShortcutsHook = {
+  mounted() {
+    this.onKeyDown = (event) => this.handleKey(event);
+    window.addEventListener("keydown", this.onKeyDown);
+  },
+  destroyed() {
+    window.removeEventListener("keydown", this.onKeyDown);
+  },
+
+  handleKey(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) return;
+    if (event.key === "?") {
+      event.preventDefault();
+      this.pushEvent("toggle_shortcuts_help", {});
+      return;
+    }
+    // Leave the other keys alone while a dialog (including the help overlay) is open
+    if (this.dialogOpen()) return;
+
+    const key = event.key.toLowerCase();
+    const handled = SECTIONS[key] ? this.jumpTo(SECTIONS[key]) : this.runAction(key, event.shiftKey);
+    if (handled) event.preventDefault();
+  },
+
+  runAction(key, shift) {
+    const { status, hasSession } = this.el.dataset;
+    const active = hasSession === "true";
+    switch (key) {
+      case "p":
+        if (active && status === "running") return this.push("pause_session", "Pausing session");
+        if (active && status === "paused") return this.push("resume_session", "Resuming session");
+        return false;
+      case "s":
+        return active && (status === "running" || status === "paused") && this.push("show_stop_confirm", "Confirm stop");
+      case "e":
+        return document.getElementById("claim-evolution")?.querySelector("[phx-click='toggle_all_timeline_nodes']") ? this.push("toggle_all_timeline_nodes", "Toggling all timeline nodes") : false;
+      case "f":
+        return this.focusCycleLogFilter();
+      case "n":
+        if (!document.getElementById("cycle-log-match-count")) return false;
+        return shift ? this.push("cycle_log_previous_match", "Previous match") : this.push("cycle_log_next_match", "Next match");
+      default:
+        return false;
+    }
+  },
+
+  push(event, message) {
+    this.pushEvent(event, {});
+    announce(message);
+    return true;
+  },
+
+  jumpTo(id) {
+    const section = document.getElementById(id);
+    if (!section) return false;
+    // Focus the section so the next Tab continues from there
+    if (!section.hasAttribute("tabindex")) section.setAttribute("tabindex", "-1");
+    section.scrollIntoView({ behavior: "smooth", block: "start" });
+    section.focus({ preventScroll: true });
+    return true;
+  },
+
+  focusCycleLogFilter() {
+    const input = document.querySelector("#cycle-log-filter input[type='search']");
+    if (!input) return false;
+    input.scrollIntoView({ behavior: "smooth", block: "center" });
+    input.focus({ preventScroll: true });
+    return true;
+  },
+
+  dialogOpen() {
+    return [...document.querySelectorAll("[aria-modal='true']")].some((dialog) => dialog.offsetParent !== null);
+  },
+};
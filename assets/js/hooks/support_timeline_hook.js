@@ -1,32 +1,127 @@
 import { parseChartData, getChartDimensions } from './utils/chart_dom.js';
 import { cleanupSvg, createTooltip, showTooltip, hideTooltip, applyTextStyle, escapeHtml } from './utils/chart_dom.js';
-import { supportToColor, TRANSITION_DURATION, DEATH_THRESHOLD, GRADUATION_THRESHOLD } from './utils/colors.js';
+import { supportToColor, resolveThresholds, TRANSITION_DURATION } from './utils/colors.js';
 import { renderXAxis, renderYAxis, renderGridlines, renderThresholdLine } from './utils/axes.js';
+import { renderLegend, toggleHidden } from './utils/legend.js';
+import { bindChartExport } from './utils/export.js';
+import { linkCycles, activeCycle, pickCompareCycle } from './utils/chart_link.js';
+import { bindChartKeyboard } from './utils/a11y.js';
+import { refreshDataTable } from './utils/data_table.js';
+import { chartTheme, onThemeChange } from './utils/theme.js';
+import { observeResize } from './utils/resize.js';
+import { isHighVolume, createPointCanvas } from './utils/point_canvas.js';
+import { bindChartData, upsert } from './utils/chart_data.js';
+import { followReplay, upToReplay } from './utils/replay.js';
+
+const TOOLTIP_STYLE = { "border-width": "1px", "border-radius": "4px", "font-size": "11px", "max-width": "300px", "box-shadow": "0 4px 6px rgba(0, 0, 0, 0.3)" };
 
 const SupportTimelineHook = {
   mounted() {
     this.isInitialRender = true;
     this.tooltip = null;
+    // Series switched off in the legend; kept across updated() re-renders
+    this.hiddenSeries = new Set();
+    // Live deltas only target the single-session chart, so they land on its one series
+    this.chartData = bindChartData(this, {
+      parse: () => this.parseData(),
+      deltas: {
+        append_point: (data, { point }) => {
+          upsert(data.series[0].support_timeline, point, (d) => d.cycle === point.cycle);
+          return data;
+        },
+        add_transition: (data, { transition }) => {
+          upsert(data.series[0].claim_transitions, transition, (t) => t.id === transition.id);
+          return data;
+        }
+      }
+    });
+    this.unbindExport = bindChartExport(this, { getRows: () => this.getExportRows() });
+    this.link = linkCycles((state) => this.renderLinkedCycle(state));
+    this.unbindKeyboard = bindChartKeyboard(this, {
+      label: "Support timeline",
+      getItems: () => this.keyboardItems || [],
+      describe: (d) => `${d.seriesName ? `${d.seriesName}, ` : ""}cycle ${d.cycle}, support ${(d.support * 100).toFixed(1)}%${d.claim_text ? `. ${d.claim_text}` : ""}`,
+      onFocusItem: (d) => this.link.hover(d ? d.cycle : null),
+      onSelect: (d, event) => pickCompareCycle(this, event, d.cycle) || this.link.select(d.cycle)
+    });
+    // A theme switch redraws from scratch so every colour is re-read
+    this.unbindTheme = onThemeChange(() => {
+      this.isInitialRender = true;
+      this.renderChart();
+    });
+    this.unbindResize = observeResize(this, () => {
+      this.isInitialRender = true;
+      this.renderChart();
+    });
+    // Session replay trims the points already held, so scrubbing redraws without a round trip
+    this.unbindReplay = followReplay(() => {
+      this.renderChart();
+      refreshDataTable(this.el);
+    });
+    this.renderChart();
+  },
+  updated() {
+    this.chartData.sync();
+    this.renderChart();
+    refreshDataTable(this.el);
+  },
+  reconnected() {
+    this.chartData.sync(true);
     this.renderChart();
+    refreshDataTable(this.el);
+  },
+  destroyed() {
+    this.unbindExport?.();
+    this.unbindKeyboard?.();
+    this.unbindTheme?.();
+    this.unbindResize?.();
+    this.unbindReplay?.();
+    this.link?.unsubscribe();
+    this.cleanup();
   },
-  updated() { this.renderChart(); },
-  destroyed() { this.cleanup(); },
 
   getData() {
+    return this.chartData.get();
+  },
+
+  // Accepts a bare timeline array, a single session's `support_timeline` /
+  // `claim_transitions`, or `series: [{id, name, color, support_timeline, claim_transitions}]`
+  // for overlaying sessions. Everything is normalised to a list of series. A series
+  // with a `palette_index` takes its colour from the theme's series palette.
+  // `thresholds` is the session's death/grave_keeper/graduation levels; defaults when absent.
+  // `annotations` are the notes reviewers pinned to cycles of a single session.
+  parseData() {
     const parsed = parseChartData(this.el, 'chartData', null);
+    const single = (support_timeline, claim_transitions) => [{ id: "default", name: null, color: null, support_timeline, claim_transitions }];
 
     if (!parsed) {
-      return { support_timeline: [], claim_transitions: [] };
+      return { series: single([], []), annotations: [], cycle_range: null, thresholds: resolveThresholds(null) };
     }
 
     if (Array.isArray(parsed)) {
-      return { support_timeline: parsed, claim_transitions: [] };
+      return { series: single(parsed, []), annotations: [], cycle_range: null, thresholds: resolveThresholds(null) };
     }
 
-    return {
-      support_timeline: parsed.support_timeline || [],
-      claim_transitions: parsed.claim_transitions || []
-    };
+    const series = parsed.series
+      ? parsed.series.map((s) => ({ ...s, id: String(s.id), support_timeline: s.support_timeline || [], claim_transitions: s.claim_transitions || [] }))
+      : single(parsed.support_timeline || [], parsed.claim_transitions || []);
+
+    return { series, annotations: parsed.annotations || [], cycle_range: parsed.cycle_range || null, thresholds: resolveThresholds(parsed.thresholds) };
+  },
+
+  getExportRows() {
+    const { series } = this.getData();
+    return series.flatMap((s) => {
+      const transitionsByCycle = new Map(s.claim_transitions.map((t) => [t.to_cycle, t]));
+      return upToReplay(s.support_timeline).map((d) => ({
+        ...(s.name ? { session: s.name } : {}),
+        cycle: d.cycle,
+        support: d.support,
+        claim: d.claim_text,
+        claim_changed: transitionsByCycle.has(d.cycle),
+        change_type: transitionsByCycle.get(d.cycle)?.change_type
+      }));
+    });
   },
 
   getConfig() {
@@ -39,10 +134,51 @@ const SupportTimelineHook = {
 
   cleanup() {
     cleanupSvg(this.el);
+    this.pointCanvas?.remove();
+    this.pointCanvas = null;
+  },
+
+  seriesColor(s, theme) {
+    return s.palette_index == null ? s.color : theme.series[s.palette_index % theme.series.length];
+  },
+
+  // Shaded zone from the death threshold up to the Grave Keeper threshold;
+  // `update` moves it when the scale or the session's thresholds change
+  renderGraveKeeperBand(g, innerWidth) {
+    const color = chartTheme().zones.grave_keeper;
+    const band = g.append("g").attr("class", "grave-keeper-band").attr("pointer-events", "none");
+    const rect = band.append("rect").attr("x", 0).attr("width", innerWidth).attr("fill", color).attr("fill-opacity", 0.08);
+    const label = band.append("text").attr("x", 4).attr("dy", "1.1em").call(applyTextStyle, { fill: color, "font-size": "9px" }).text("GRAVE KEEPER");
+    return {
+      update(yScale, { death, grave_keeper }, animate) {
+        const target = (selection) => (animate ? selection.transition().duration(TRANSITION_DURATION) : selection);
+        target(rect).attr("y", yScale(grave_keeper)).attr("height", Math.max(0, yScale(death) - yScale(grave_keeper)));
+        target(label).attr("y", yScale(grave_keeper));
+      }
+    };
   },
 
   renderChart() {
-    const { support_timeline: data, claim_transitions } = this.getData();
+    const { series: rawSeries, annotations, cycle_range, thresholds } = this.getData();
+    const theme = chartTheme();
+    const allSeries = rawSeries.map((s) => {
+      const color = this.seriesColor(s, theme);
+      const points = upToReplay([...s.support_timeline].sort((a, b) => a.cycle - b.cycle));
+      return { ...s, color, claim_transitions: upToReplay(s.claim_transitions, (t) => t.to_cycle), points: points.map((d) => ({ ...d, series: s.id, seriesName: s.name, seriesColor: color })) };
+    });
+    const allData = allSeries.flatMap((s) => s.points);
+    // Hidden series are left out of the drawing but not the axes, so toggling doesn't rescale
+    const series = allSeries.filter((s) => !this.hiddenSeries.has(s.id));
+    const data = series.flatMap((s) => s.points);
+    this.keyboardItems = data;
+    // First point per cycle, for the linked-cycle lookup
+    this.pointByCycle = new Map();
+    data.forEach((d) => { if (!this.pointByCycle.has(d.cycle)) this.pointByCycle.set(d.cycle, d); });
+    const isMultiSeries = allSeries.length > 1;
+    // Switching between SVG circles and the point canvas needs a fresh build
+    const highVolume = isHighVolume(allData.length);
+    if (highVolume !== this.highVolume) this.isInitialRender = true;
+    this.highVolume = highVolume;
     const config = this.getConfig();
     const { width, height, margin } = config;
     const innerWidth = width - margin.left - margin.right;
@@ -50,13 +186,18 @@ const SupportTimelineHook = {
 
     let svg, g, xScale, yScale;
     const isUpdate = !this.isInitialRender;
+    // Per-point transitions are what make thousands of points slow, so high-volume updates snap
+    const animate = isUpdate && !highVolume;
 
-    // Scales
-    const xExtent = d3.extent(data, (d) => d.cycle);
+    // Scales - the x domain follows the brushed cycle range pushed back by the server,
+    // and otherwise spans every cycle, so a replay grows the line across a fixed axis
+    const xExtent = cycle_range ? [cycle_range.from, cycle_range.to] : d3.extent(rawSeries.flatMap((s) => s.support_timeline), (d) => d.cycle);
     const newXScale = d3
       .scaleLinear()
       .domain([xExtent[0], Math.max(xExtent[1], xExtent[0] + 1)])
       .range([0, innerWidth]);
+    const visibleCount = allData.filter((d) => d.cycle >= xExtent[0] && d.cycle <= xExtent[1]).length;
+    const xTickCount = Math.max(Math.min(visibleCount, 10), 1);
 
     const newYScale = d3.scaleLinear().domain([0, 1]).range([innerHeight, 0]);
 
@@ -66,21 +207,22 @@ const SupportTimelineHook = {
       g = this.g;
 
       if (this.xAxisG) {
-        const xAxis = d3.axisBottom(newXScale).ticks(Math.min(data.length, 10)).tickFormat(d3.format("d"));
-        this.xAxisG.transition().duration(TRANSITION_DURATION).call(xAxis).attr("color", "#9ca3af").selectAll("text").call(applyTextStyle);
+        const xAxis = d3.axisBottom(newXScale).ticks(xTickCount).tickFormat(d3.format("d"));
+        this.xAxisG.transition().duration(TRANSITION_DURATION).call(xAxis).attr("color", theme.text).selectAll("text").call(applyTextStyle);
       }
       if (this.yAxisG) {
         const yAxis = d3.axisLeft(newYScale).ticks(5).tickFormat(d3.format(".0%"));
-        this.yAxisG.transition().duration(TRANSITION_DURATION).call(yAxis).attr("color", "#9ca3af").selectAll("text").call(applyTextStyle);
+        this.yAxisG.transition().duration(TRANSITION_DURATION).call(yAxis).attr("color", theme.text).selectAll("text").call(applyTextStyle);
       }
       if (this.deathThreshold) {
-        this.deathThreshold.transition().duration(TRANSITION_DURATION).attr("y1", newYScale(DEATH_THRESHOLD)).attr("y2", newYScale(DEATH_THRESHOLD));
-        this.deathLabel?.transition().duration(TRANSITION_DURATION).attr("y", newYScale(DEATH_THRESHOLD));
+        this.deathThreshold.transition().duration(TRANSITION_DURATION).attr("y1", newYScale(thresholds.death)).attr("y2", newYScale(thresholds.death));
+        this.deathLabel?.transition().duration(TRANSITION_DURATION).attr("y", newYScale(thresholds.death));
       }
       if (this.gradThreshold) {
-        this.gradThreshold.transition().duration(TRANSITION_DURATION).attr("y1", newYScale(GRADUATION_THRESHOLD)).attr("y2", newYScale(GRADUATION_THRESHOLD));
-        this.gradLabel?.transition().duration(TRANSITION_DURATION).attr("y", newYScale(GRADUATION_THRESHOLD));
+        this.gradThreshold.transition().duration(TRANSITION_DURATION).attr("y1", newYScale(thresholds.graduation)).attr("y2", newYScale(thresholds.graduation));
+        this.gradLabel?.transition().duration(TRANSITION_DURATION).attr("y", newYScale(thresholds.graduation));
       }
+      this.graveKeeperBand?.update(newYScale, thresholds, true);
 
       xScale = newXScale;
       yScale = newYScale;
@@ -96,13 +238,13 @@ const SupportTimelineHook = {
         .attr("class", "support-timeline-svg");
 
       // Empty state
-      if (data.length === 0) {
+      if (allData.length === 0) {
         svg
           .append("text")
           .attr("x", width / 2)
           .attr("y", height / 2)
           .attr("text-anchor", "middle")
-          .call(applyTextStyle, { fill: "#6b7280" })
+          .call(applyTextStyle, { fill: theme.muted })
           .text("No data yet");
         return;
       }
@@ -121,10 +263,15 @@ const SupportTimelineHook = {
         innerWidth
       });
 
-      // Death threshold line (0.2) - red
-      const deathThreshold = renderThresholdLine(g, yScale, DEATH_THRESHOLD, {
+      // Grave Keeper zone - between the death threshold and the level at which
+      // the Grave Keeper starts attending the claim
+      this.graveKeeperBand = this.renderGraveKeeperBand(g, innerWidth);
+      this.graveKeeperBand.update(yScale, thresholds, false);
+
+      // Death threshold line
+      const deathThreshold = renderThresholdLine(g, yScale, thresholds.death, {
         label: "DEATH",
-        color: "#ef4444",
+        color: theme.zones.dead,
         strokeWidth: 2,
         dashArray: "5,5",
         innerWidth
@@ -132,10 +279,10 @@ const SupportTimelineHook = {
       this.deathThreshold = deathThreshold.line;
       this.deathLabel = deathThreshold.label;
 
-      // Graduation threshold line (0.85) - blue
-      const gradThreshold = renderThresholdLine(g, yScale, GRADUATION_THRESHOLD, {
+      // Graduation threshold line
+      const gradThreshold = renderThresholdLine(g, yScale, thresholds.graduation, {
         label: "GRAD",
-        color: "#3b82f6",
+        color: theme.zones.graduated,
         strokeWidth: 2,
         dashArray: "5,5",
         innerWidth
@@ -145,7 +292,7 @@ const SupportTimelineHook = {
 
       // X axis
       this.xAxisG = renderXAxis(g, xScale, {
-        tickCount: Math.min(data.length, 10),
+        tickCount: xTickCount,
         tickFormat: d3.format("d"),
         innerHeight,
         innerWidth,
@@ -159,95 +306,260 @@ const SupportTimelineHook = {
         innerHeight,
         label: "SUPPORT"
       });
-    }
 
-    const line = d3.line().x(d => xScale(d.cycle)).y(d => yScale(d.support)).curve(d3.curveLinear);
-    const sortedData = [...data].sort((a, b) => a.cycle - b.cycle);
-
-    if (isUpdate && this.linePath) {
-      // Animate line extension
-      this.linePath.datum(sortedData).transition().duration(300).attr("d", line);
-    } else {
-      // Draw the line - white on dark
-      this.linePath = g.append("path")
-        .datum(sortedData)
-        .attr("fill", "none")
-        .attr("stroke", "#ffffff")
-        .attr("stroke-width", 2)
-        .attr("d", line);
+      // Brush sits under the plot area so points keep their tooltips
+      this.renderBrush(svg, g, innerWidth, innerHeight);
+
+      const clipId = `${this.el.id}-clip`;
+      svg.append("defs").append("clipPath").attr("id", clipId)
+        .append("rect").attr("x", -8).attr("y", -margin.top).attr("width", innerWidth + 16).attr("height", innerHeight + margin.top);
+      this.plotArea = g.append("g").attr("class", "plot-area").attr("clip-path", `url(#${clipId})`);
+
+      // Fixed layers so series added on update stay under the points
+      this.claimMarkersLayer = this.plotArea.append("g").attr("class", "claim-markers-layer");
+      this.annotationMarkersLayer = this.plotArea.append("g").attr("class", "annotation-markers-layer");
+      this.linesLayer = this.plotArea.append("g").attr("class", "lines-layer");
+      this.pointsLayer = this.plotArea.append("g").attr("class", "points-layer");
+
+      // Linked-cycle highlight, driven by hover/click in any session chart or the cycle log
+      this.linkGuide = this.plotArea.append("line").attr("y1", 0).attr("y2", innerHeight).attr("stroke", theme.highlight).attr("stroke-width", 1).attr("opacity", 0).attr("pointer-events", "none");
+      this.linkMarker = this.plotArea.append("circle").attr("r", 8).attr("fill", "none").attr("stroke", theme.highlight).attr("stroke-width", 2).attr("opacity", 0).attr("pointer-events", "none");
+
+      if (highVolume) {
+        this.pointCanvas = createPointCanvas(this.el, svg, { margin, innerWidth, innerHeight });
+        this.pointCanvas.hover(svg, {
+          onEnter: (event, d) => this.showPointTooltip(event, d),
+          onMove: (event) => this.movePointTooltip(event),
+          onLeave: () => this.hidePointTooltip(),
+          onClick: (event, d) => this.clickPoint(event, d)
+        });
+      }
     }
 
-    const existingPoints = this.points ? this.points.data().map(d => d.cycle) : [];
-    const newPoints = sortedData.filter(d => !existingPoints.includes(d.cycle));
+    const plotArea = this.plotArea;
 
-    const points = g.selectAll(".point").data(sortedData, d => d.cycle);
-    points.exit().remove();
-
-    const pointsEnter = points.enter()
-      .append("circle")
-      .attr("class", "point")
-      .attr("cx", d => xScale(d.cycle))
-      .attr("cy", d => yScale(d.support))
-      .attr("r", 4)
-      .attr("fill", d => supportToColor(d.support))
-      .attr("stroke", "#ffffff")
-      .attr("stroke-width", 1);
-
-    if (isUpdate) {
-      pointsEnter.attr("opacity", 0).transition().duration(TRANSITION_DURATION).attr("opacity", 1);
+    const line = d3.line().x(d => xScale(d.cycle)).y(d => yScale(d.support)).curve(d3.curveLinear);
+    const seriesColor = (s) => s.color || theme.strong;
+
+    // One line per series - the theme's strong colour for a single session
+    const lines = this.linesLayer.selectAll(".series-line").data(series, s => s.id);
+    lines.exit().remove();
+    lines.enter()
+      .append("path")
+      .attr("class", "series-line")
+      .attr("fill", "none")
+      .attr("stroke", seriesColor)
+      .attr("stroke-width", 2)
+      .attr("d", s => line(s.points));
+    if (animate) {
+      // Animate line extension
+      lines.transition().duration(TRANSITION_DURATION).attr("d", s => line(s.points)).attr("stroke", seriesColor);
+    } else if (isUpdate) {
+      lines.attr("d", s => line(s.points)).attr("stroke", seriesColor);
     }
 
-    this.points = pointsEnter.merge(points);
+    const pointFill = (d) => (isMultiSeries ? d.seriesColor || theme.strong : supportToColor(d.support, thresholds));
+    if (highVolume) {
+      this.points = null;
+      this.pointCanvas.draw(data, { x: d => xScale(d.cycle), y: d => yScale(d.support), radius: () => 2.5, fill: pointFill, strokeWidth: 0 });
+    } else {
+      const points = this.pointsLayer.selectAll(".point").data(data, d => `${d.series}:${d.cycle}`);
+      points.exit().remove();
+
+      const pointsEnter = points.enter()
+        .append("circle")
+        .attr("class", "point")
+        .attr("cx", d => xScale(d.cycle))
+        .attr("cy", d => yScale(d.support))
+        .attr("r", 4)
+        .attr("fill", pointFill)
+        .attr("stroke", theme.strong)
+        .attr("stroke-width", 1);
+
+      if (animate) {
+        pointsEnter.attr("opacity", 0).transition().duration(TRANSITION_DURATION).attr("opacity", 1);
+      }
 
-    if (isUpdate) {
-      this.points.transition().duration(TRANSITION_DURATION).attr("cx", d => xScale(d.cycle)).attr("cy", d => yScale(d.support));
-    }
+      this.points = pointsEnter.merge(points);
 
-    if (sortedData.length) {
-      const lastPoint = sortedData[sortedData.length - 1];
-      if (isUpdate && this.currentPointMarker) {
-        this.currentPointMarker.transition().duration(TRANSITION_DURATION).attr("cx", xScale(lastPoint.cycle)).attr("cy", yScale(lastPoint.support));
-      } else {
-        this.currentPointMarker = g.append("circle").attr("cx", xScale(lastPoint.cycle)).attr("cy", yScale(lastPoint.support)).attr("r", 7).attr("fill", "none").attr("stroke", "#ffffff").attr("stroke-width", 2);
+      if (animate) {
+        this.points.transition().duration(TRANSITION_DURATION).attr("cx", d => xScale(d.cycle)).attr("cy", d => yScale(d.support)).attr("fill", pointFill);
       }
     }
 
-    this.renderClaimMarkers(g, claim_transitions, xScale, innerHeight, isUpdate);
+    // Current-point ring on the latest cycle of each series
+    const latest = series.filter((s) => s.points.length).map((s) => s.points[s.points.length - 1]);
+    const currentMarkers = this.pointsLayer.selectAll(".current-marker").data(latest, d => d.series);
+    currentMarkers.exit().remove();
+    currentMarkers.enter()
+      .append("circle")
+      .attr("class", "current-marker")
+      .attr("r", 7)
+      .attr("fill", "none")
+      .attr("stroke", d => d.seriesColor || theme.strong)
+      .attr("stroke-width", 2)
+      .attr("pointer-events", "none")
+      .attr("cx", d => xScale(d.cycle))
+      .attr("cy", d => yScale(d.support));
+    (animate ? currentMarkers.transition().duration(TRANSITION_DURATION) : currentMarkers).attr("cx", d => xScale(d.cycle)).attr("cy", d => yScale(d.support));
+
+    this.renderClaimMarkers(this.claimMarkersLayer, series, xScale, innerHeight, animate);
+    this.renderAnnotationMarkers(this.annotationMarkersLayer, upToReplay(annotations, (a) => a.cycle_number), xScale, innerHeight, animate);
+    this.renderSeriesLegend(g, isMultiSeries ? allSeries : [], margin);
     this.renderTooltips(this.points);
 
     this.svg = svg;
     this.g = g;
+    this.xScale = xScale;
+    this.yScale = yScale;
+    this.cycleRange = cycle_range;
     this.isInitialRender = false;
+    this.renderLinkedCycle(this.link.current());
+  },
+
+  renderLinkedCycle(state) {
+    if (!this.linkMarker || !this.xScale) return;
+    const cycle = activeCycle(state);
+    const d = cycle === null ? undefined : this.pointByCycle?.get(cycle);
+    if (!d) {
+      this.linkGuide.attr("opacity", 0);
+      this.linkMarker.attr("opacity", 0);
+      return;
+    }
+    const x = this.xScale(d.cycle);
+    this.linkGuide.attr("x1", x).attr("x2", x).attr("opacity", 0.6);
+    this.linkMarker.attr("cx", x).attr("cy", this.yScale(d.support)).attr("opacity", 1);
+  },
+
+  renderBrush(svg, g, innerWidth, innerHeight) {
+    this.brush = d3.brushX()
+      .extent([[0, 0], [innerWidth, innerHeight]])
+      .on("end", (event) => this.onBrushEnd(event));
+
+    this.brushG = g.append("g").attr("class", "brush").call(this.brush);
+    const theme = chartTheme();
+    this.brushG.select(".selection").attr("fill", theme.strong).attr("fill-opacity", 0.08).attr("stroke", theme.text);
+
+    // Double-click anywhere on the chart resets the zoom
+    svg.on("dblclick", () => { if (this.cycleRange) this.pushEvent("clear_cycle_range", {}); });
+  },
+
+  onBrushEnd(event) {
+    // Ignore the programmatic clear below and clicks without a drag
+    if (!event.sourceEvent || !event.selection) return;
+
+    const [x0, x1] = event.selection.map((px) => this.xScale.invert(px));
+    this.brushG.call(this.brush.move, null);
+
+    const from = Math.floor(x0);
+    const to = Math.ceil(x1);
+    if (to - from < 1) return;
+
+    this.pushEvent("select_cycle_range", { from, to });
   },
 
-  renderClaimMarkers(g, claim_transitions, xScale, innerHeight, isUpdate) {
-    if (isUpdate) this.claimMarkersGroup?.remove();
-    if (!claim_transitions?.length) { this.claimMarkersGroup = null; return; }
+  // Keyed by series and cycle, so an update only adds the new transitions and slides the rest
+  renderClaimMarkers(layer, series, xScale, innerHeight, animate) {
+    const fallbackColor = chartTheme().transition;
+    const markers = series.flatMap((s, index) => s.claim_transitions.map((t) => ({
+      key: `${s.id}:${t.to_cycle}`, transition: t, color: s.color || fallbackColor, labelY: 15 + index * 24
+    })));
+    const translate = (m) => `translate(${xScale(m.transition.to_cycle)},0)`;
+
+    const groups = layer.selectAll(".claim-marker").data(markers, (m) => m.key);
+    groups.exit().remove();
+    const entered = groups.enter().append("g").attr("class", "claim-marker").attr("transform", translate);
+    entered.append("line").attr("y1", 0).attr("y2", innerHeight).attr("stroke-width", 1.5).attr("stroke-dasharray", "4,4").attr("opacity", 0.7);
+    entered.append("text").attr("class", "claim-marker-type").attr("x", 5).attr("font-size", "9px").attr("font-family", "monospace").attr("text-anchor", "start");
+    entered.append("text").attr("class", "claim-marker-agent").attr("x", 5).attr("font-size", "8px").attr("font-family", "monospace").attr("text-anchor", "start").attr("opacity", 0.7);
+
+    const merged = entered.merge(groups);
+    (animate ? groups.transition().duration(TRANSITION_DURATION) : groups).attr("transform", translate);
+    merged.select("line").attr("stroke", (m) => m.color);
+    merged.select(".claim-marker-type").attr("y", (m) => m.labelY).attr("fill", (m) => m.color).text((m) => m.transition.change_type || "Changed");
+    merged.select(".claim-marker-agent").attr("y", (m) => m.labelY + 11).attr("fill", (m) => m.color)
+      .text((m) => (m.transition.trigger_agent ? `by ${m.transition.trigger_agent.replace(/_/g, " ")}` : ""));
+  },
 
-    this.claimMarkersGroup = g.append("g").attr("class", "claim-markers");
-    claim_transitions.forEach((t) => {
-      const x = xScale(t.to_cycle);
-      this.claimMarkersGroup.append("line").attr("x1", x).attr("x2", x).attr("y1", 0).attr("y2", innerHeight).attr("stroke", "#a855f7").attr("stroke-width", 1.5).attr("stroke-dasharray", "4,4").attr("opacity", 0.7);
-      this.claimMarkersGroup.append("text").attr("x", x + 5).attr("y", 15).attr("fill", "#a855f7").attr("font-size", "9px").attr("font-family", "monospace").attr("text-anchor", "start").text(`${t.change_type || "Changed"}`);
-      if (t.trigger_agent) this.claimMarkersGroup.append("text").attr("x", x + 5).attr("y", 26).attr("fill", "#a855f7").attr("font-size", "8px").attr("font-family", "monospace").attr("text-anchor", "start").attr("opacity", 0.7).text(`by ${t.trigger_agent.replace(/_/g, " ")}`);
+  // One flag per annotated cycle, standing on the x axis clear of the claim marker labels.
+  // Hovering shows the notes and clicking selects the cycle, which opens the panel's form.
+  renderAnnotationMarkers(layer, annotations, xScale, innerHeight, animate) {
+    const theme = chartTheme();
+    const markers = d3.groups(annotations, (a) => a.cycle_number).map(([cycle, notes]) => ({ cycle, notes }));
+    const translate = (m) => `translate(${xScale(m.cycle)},${innerHeight})`;
+
+    const groups = layer.selectAll(".annotation-marker").data(markers, (m) => m.cycle);
+    groups.exit().remove();
+    const entered = groups.enter().append("g").attr("class", "annotation-marker").attr("transform", translate).style("cursor", "pointer")
+      .on("mouseover", (event, m) => this.showAnnotationTooltip(event, m))
+      .on("mousemove", (event) => this.movePointTooltip(event))
+      .on("mouseout", () => this.hidePointTooltip())
+      .on("click", (event, m) => this.link.select(m.cycle));
+    entered.append("line").attr("y1", -16).attr("y2", 0).attr("stroke-width", 1.5);
+    entered.append("path").attr("d", "M0,-16L8,-12.5L0,-9Z");
+
+    const merged = entered.merge(groups);
+    (animate ? groups.transition().duration(TRANSITION_DURATION) : groups).attr("transform", translate);
+    merged.select("line").attr("stroke", theme.accent);
+    merged.select("path").attr("fill", theme.accent);
+  },
+
+  renderSeriesLegend(g, series, margin) {
+    g.selectAll(".legend-group").remove();
+    renderLegend(g, series.map((s) => ({ key: s.id, label: s.name || s.id, color: s.color || chartTheme().strong })), {
+      position: { x: 0, y: -margin.top + 4 },
+      itemSize: { width: 140, height: 16 },
+      maxItemsPerRow: 4,
+      hidden: this.hiddenSeries,
+      onToggle: (id, { isolate }) => {
+        this.hiddenSeries = toggleHidden(this.hiddenSeries, id, series.map((s) => s.id), isolate);
+        this.renderChart();
+      }
     });
   },
 
   renderTooltips(points) {
-    const tooltipStyle = { background: "#1f2937", border: "1px solid #4b5563", "border-radius": "4px", "font-size": "11px", color: "#e5e7eb", "max-width": "300px", "box-shadow": "0 4px 6px rgba(0, 0, 0, 0.3)" };
     if (this.tooltip) { this.tooltip.remove(); this.tooltip = null; }
     if (!points) return;
 
-    points.on("mouseover", (event, d) => {
-      if (!this.tooltip) this.tooltip = createTooltip("support-timeline-tooltip", tooltipStyle);
-      const claimText = d.claim_text || "No claim text available";
-      const truncatedText = claimText.length > 150 ? claimText.substring(0, 150) + "..." : claimText;
-      showTooltip(this.tooltip, `<div style="font-weight: bold; margin-bottom: 4px;">Cycle ${d.cycle}</div><div style="margin-bottom: 4px;">Support: ${(d.support * 100).toFixed(1)}%</div><div style="font-size: 10px; color: #9ca3af;">${escapeHtml(truncatedText)}</div>`, event);
-    }).on("mousemove", (event) => {
-      this.tooltip?.style("left", (event.pageX + 10) + "px").style("top", (event.pageY - 10) + "px");
-    }).on("mouseout", () => {
-      hideTooltip(this.tooltip);
-    });
+    points
+      .on("mouseover", (event, d) => this.showPointTooltip(event, d))
+      .on("mousemove", (event) => this.movePointTooltip(event))
+      .on("mouseout", () => this.hidePointTooltip())
+      .on("click", (event, d) => this.clickPoint(event, d))
+      .style("cursor", "pointer");
+  },
+
+  // Shared by the SVG points and the high-volume point canvas
+  showPointTooltip(event, d) {
+    const theme = chartTheme();
+    this.link.hover(d.cycle);
+    if (!this.tooltip) this.tooltip = createTooltip("support-timeline-tooltip", TOOLTIP_STYLE);
+    const claimText = d.claim_text || "No claim text available";
+    const seriesLine = d.seriesName ? `<div style="color: ${d.seriesColor || theme.strong}; margin-bottom: 4px;">${escapeHtml(d.seriesName)}</div>` : "";
+    const truncatedText = claimText.length > 150 ? claimText.substring(0, 150) + "..." : claimText;
+    showTooltip(this.tooltip, `${seriesLine}<div style="font-weight: bold; margin-bottom: 4px;">Cycle ${d.cycle}</div><div style="margin-bottom: 4px;">Support: ${(d.support * 100).toFixed(1)}%</div><div style="font-size: 10px; color: ${theme.text};">${escapeHtml(truncatedText)}</div>`, event);
+  },
+
+  showAnnotationTooltip(event, m) {
+    this.link.hover(m.cycle);
+    if (!this.tooltip) this.tooltip = createTooltip("support-timeline-tooltip", TOOLTIP_STYLE);
+    const title = m.notes.length === 1 ? "Note" : `${m.notes.length} notes`;
+    const notes = m.notes.map((a) => `<div style="margin-top: 4px; white-space: pre-line;">${escapeHtml(a.body)}</div>`).join("");
+    showTooltip(this.tooltip, `<div style="font-weight: bold;">Cycle ${m.cycle} · ${title}</div>${notes}`, event);
+  },
+
+  movePointTooltip(event) {
+    this.tooltip?.style("left", (event.pageX + 10) + "px").style("top", (event.pageY - 10) + "px");
+  },
+
+  hidePointTooltip() {
+    this.link.hover(null);
+    if (this.tooltip) hideTooltip(this.tooltip);
+  },
+
+  clickPoint(event, d) {
+    if (!pickCompareCycle(this, event, d.cycle)) this.link.select(d.cycle);
   },
 };
 
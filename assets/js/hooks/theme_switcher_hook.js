@@ -0,0 +1,18 @@
+import { currentThemeName, setTheme, onThemeChange } from './utils/theme.js';
+
+/**
+ * Theme picker in the app header (`Layouts.theme_switcher/1`). Choosing an
+ * option restyles the page and redraws every open chart in place; the select
+ * follows switches made in other tabs too.
+ */
+export const ThemeSwitcherHook = {
+  mounted() {
+    this.select = this.el.querySelector("select");
+    this.select.value = currentThemeName();
+    this.select.addEventListener("change", () => setTheme(this.select.value));
+    this.unbindTheme = onThemeChange((name) => { this.select.value = name; });
+  },
+  destroyed() {
+    this.unbindTheme?.();
+  },
+};
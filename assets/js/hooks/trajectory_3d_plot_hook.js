@@ -1,15 +1,78 @@
 import { parseChartData, getChartDimensions } from './utils/chart_dom.js';
-import { supportToColorGradient } from './utils/colors.js';
+import { supportToColorGradient, resolveThresholds, getRoleColor, formatRole } from './utils/colors.js';
+import { bindChartExport } from './utils/export.js';
+import { linkCycles, activeCycle, pickCompareCycle } from './utils/chart_link.js';
+import { bindChartKeyboard } from './utils/a11y.js';
+import { refreshDataTable } from './utils/data_table.js';
+import { toggleHidden } from './utils/legend.js';
+import { chartTheme, onThemeChange } from './utils/theme.js';
+import { observeResize } from './utils/resize.js';
+import { STAGNATION_OVERLAY, INTERVENTION_OVERLAYS, interventionEvents } from './utils/trajectory_overlays.js';
+import { followReplay, upToReplay } from './utils/replay.js';
+
+// scatter3d can't tween between frames, so every frame is a full redraw
+const PLAYBACK_FRAME_MS = 250;
+const PLAYBACK_STEP = { mode: "immediate", frame: { duration: 0, redraw: true }, transition: { duration: 0 } };
+
+function webglAvailable() {
+  try {
+    const canvas = document.createElement("canvas");
+    return Boolean(canvas.getContext("webgl2") || canvas.getContext("webgl"));
+  } catch (e) {
+    return false;
+  }
+}
 
 const Trajectory3DPlotHook = {
-  mounted() { this.renderPlot(); },
-  updated() { this.renderPlot(); },
+  mounted() {
+    // scatter3d can't draw without WebGL; the 2D plot shows the same points and statuses
+    if (!webglAvailable()) {
+      this.unsupported = true;
+      this.pushEvent("set_trajectory_view", { view: "two_d" });
+      return;
+    }
+    // Trace names switched off in the legend; kept across updated() re-renders
+    this.hiddenTraces = new Set();
+    this.unbindExport = bindChartExport(this, { getRows: () => this.getExportRows() });
+    this.link = linkCycles((state) => this.renderLinkedCycle(state));
+    this.unbindKeyboard = bindChartKeyboard(this, {
+      label: "3D embedding trajectory",
+      getItems: () => this.sortedPoints || [],
+      describe: (p) => `Cycle ${p.cycle}, ${p.status}, support ${(p.support * 100).toFixed(1)}%${p.stagnant ? ", stagnant" : ""}${(p.interventions || []).map((role) => `, ${formatRole(role)} ran`).join("")}`,
+      onFocusItem: (p) => this.link.hover(p ? p.cycle : null),
+      onSelect: (p, event) => pickCompareCycle(this, event, p.cycle) || this.link.select(p.cycle)
+    });
+    this.unbindTheme = onThemeChange(() => this.renderPlot());
+    this.unbindResize = observeResize(this, () => this.resizePlot());
+    this.unbindReplay = followReplay(() => {
+      this.renderPlot();
+      refreshDataTable(this.el);
+    });
+    this.renderPlot();
+  },
+  updated() {
+    if (this.unsupported) return;
+    this.renderPlot();
+    refreshDataTable(this.el);
+  },
   destroyed() {
+    this.unbindExport?.();
+    this.unbindKeyboard?.();
+    this.unbindTheme?.();
+    this.unbindResize?.();
+    this.unbindReplay?.();
+    this.link?.unsubscribe();
     if (this.el && typeof Plotly !== "undefined") Plotly.purge(this.el);
   },
 
+  // A session replay shows the path up to its cycle
   getData() {
-    return parseChartData(this.el, 'chartData', { points: [] });
+    const data = parseChartData(this.el, 'chartData', { points: [] });
+    return { ...data, points: upToReplay(data.points || []) };
+  },
+
+  getExportRows() {
+    return (this.getData().points || []).map(({ cycle, x, y, z, support, status, stagnant, interventions, claim }) => ({ cycle, x, y, z, support, status, stagnant, interventions: (interventions || []).join(" "), claim }));
   },
 
   getConfig() {
@@ -33,106 +96,240 @@ const Trajectory3DPlotHook = {
     const data = this.getData();
     const config = this.getConfig();
     const points = data.points || [];
+    const thresholds = resolveThresholds(data.thresholds);
+    const theme = chartTheme();
 
     // Empty state
     if (points.length === 0) {
-      this.renderEmptyState(config);
+      this.linkTraceIndex = undefined;
+      this.frameNames = [];
+      this.frameSource = null;
+      this.sortedPoints = [];
+      this.renderEmptyState(config, theme);
       return;
     }
 
     // Sort points by cycle for line drawing
     const sortedPoints = [...points].sort((a, b) => a.cycle - b.cycle);
     const maxCycle = Math.max(...sortedPoints.map((p) => p.cycle));
+    this.sortedPoints = sortedPoints;
 
-    // Separate points by status
-    const activePoints = sortedPoints.filter((p) => p.status === "active");
-    const cemeteryPoints = sortedPoints.filter((p) => p.status === "cemetery");
-    const graduatedPoints = sortedPoints.filter(
-      (p) => p.status === "graduated"
-    );
-    const currentPoint = sortedPoints[sortedPoints.length - 1];
-
-    // Build traces
-    const traces = [];
-
-    // Trajectory line trace
-    if (sortedPoints.length > 1) {
-      traces.push({
-        type: "scatter3d",
-        mode: "lines",
-        x: sortedPoints.map((p) => p.x),
-        y: sortedPoints.map((p) => p.y),
-        z: sortedPoints.map((p) => p.z),
-        line: {
-          color: "#4b5563",
-          width: 2,
-        },
-        hoverinfo: "skip",
-        showlegend: false,
-      });
-    }
-
-    if (activePoints.length) {
-      traces.push({
-        type: "scatter3d", mode: "markers", name: "Active",
-        x: activePoints.map(p => p.x), y: activePoints.map(p => p.y), z: activePoints.map(p => p.z),
-        text: activePoints.map(p => `Cycle ${p.cycle}<br>Support: ${(p.support * 100).toFixed(1)}%<br>${p.claim ? p.claim.substring(0, 60) + (p.claim.length > 60 ? "..." : "") : ""}`),
-        hoverinfo: "text",
-        marker: { size: activePoints.map(p => this.cycleToSize(p.cycle, maxCycle)), color: activePoints.map(p => supportToColorGradient(p.support)), symbol: "circle", line: { color: "#ffffff", width: 1 } },
-      });
-    }
-
-    if (cemeteryPoints.length) {
-      traces.push({
-        type: "scatter3d", mode: "markers", name: "Cemetery",
-        x: cemeteryPoints.map(p => p.x), y: cemeteryPoints.map(p => p.y), z: cemeteryPoints.map(p => p.z),
-        text: cemeteryPoints.map(p => `DEAD - Cycle ${p.cycle}<br>Support: ${(p.support * 100).toFixed(1)}%<br>${p.claim ? p.claim.substring(0, 60) + (p.claim.length > 60 ? "..." : "") : ""}`),
-        hoverinfo: "text",
-        marker: { size: 10, color: "#ef4444", symbol: "x", line: { color: "#ffffff", width: 1 } },
-      });
-    }
-
-    if (graduatedPoints.length) {
-      traces.push({
-        type: "scatter3d", mode: "markers", name: "Graduated",
-        x: graduatedPoints.map(p => p.x), y: graduatedPoints.map(p => p.y), z: graduatedPoints.map(p => p.z),
-        text: graduatedPoints.map(p => `GRADUATED - Cycle ${p.cycle}<br>Support: ${(p.support * 100).toFixed(1)}%<br>${p.claim ? p.claim.substring(0, 60) + (p.claim.length > 60 ? "..." : "") : ""}`),
-        hoverinfo: "text",
-        marker: { size: 12, color: "#22c55e", symbol: "diamond", line: { color: "#ffffff", width: 2 } },
-      });
-    }
+    // One animation frame per cycle; the base traces show the whole path. Each frame
+    // holds the path up to its cycle, so they're only built once playback is used
+    const cycles = [...new Set(sortedPoints.map((p) => p.cycle))];
+    this.frameNames = cycles.map(String);
+    this.frameIndex = cycles.length - 1;
+    this.frameSource = { sortedPoints, maxCycle, thresholds, theme };
+    this.framesBuilt = false;
+    // Visibility lives on the base traces only; frames leave it alone so playback keeps it
+    const traces = this.buildTraces(sortedPoints, maxCycle, maxCycle, thresholds, theme).map((trace) => (trace.name ? { ...trace, visible: this.hiddenTraces.has(trace.name) ? "legendonly" : true } : trace));
+    this.legendTraceNames = traces.filter((trace) => trace.name).map((trace) => trace.name);
 
-    if (currentPoint?.status === "active") {
-      traces.push({
-        type: "scatter3d", mode: "markers", name: "Current",
-        x: [currentPoint.x], y: [currentPoint.y], z: [currentPoint.z],
-        text: [`CURRENT - Cycle ${currentPoint.cycle}<br>Support: ${(currentPoint.support * 100).toFixed(1)}%<br>${currentPoint.claim ? currentPoint.claim.substring(0, 60) + (currentPoint.claim.length > 60 ? "..." : "") : ""}`],
-        hoverinfo: "text",
-        marker: { size: 18, color: supportToColorGradient(currentPoint.support), symbol: "diamond", line: { color: "#ffffff", width: 2 } },
-      });
-    }
+    // Linked-cycle highlight, restyled in place by renderLinkedCycle and left out of the frames
+    this.linkTraceIndex = traces.length;
+    this.linkedCycle = activeCycle(this.link.current());
+    traces.push({ type: "scatter3d", mode: "markers", name: "Linked", showlegend: false, hoverinfo: "skip", ...this.linkedCoords(this.linkedCycle), marker: { size: 20, color: "rgba(0,0,0,0)", symbol: "circle-open", line: { color: theme.highlight, width: 3 } } });
 
     const layout = {
-      width: config.width, height: config.height, paper_bgcolor: "#0a0a0a", plot_bgcolor: "#0a0a0a",
-      margin: { l: 0, r: 0, t: 30, b: 0 },
+      width: config.width, height: config.height, paper_bgcolor: theme.background, plot_bgcolor: theme.background,
+      margin: { l: 0, r: 0, t: 30, b: 40 },
+      // Constant uirevision keeps the user's camera across re-renders and frames
+      uirevision: "trajectory-3d",
       scene: {
-        xaxis: { title: { text: "t-SNE 1", font: { color: "#6b7280", size: 10 } }, gridcolor: "#333333", linecolor: "#333333", tickfont: { color: "#6b7280", size: 9 }, backgroundcolor: "#0a0a0a", showbackground: true, zerolinecolor: "#4b5563" },
-        yaxis: { title: { text: "t-SNE 2", font: { color: "#6b7280", size: 10 } }, gridcolor: "#333333", linecolor: "#333333", tickfont: { color: "#6b7280", size: 9 }, backgroundcolor: "#0a0a0a", showbackground: true, zerolinecolor: "#4b5563" },
-        zaxis: { title: { text: "t-SNE 3", font: { color: "#6b7280", size: 10 } }, gridcolor: "#333333", linecolor: "#333333", tickfont: { color: "#6b7280", size: 9 }, backgroundcolor: "#0a0a0a", showbackground: true, zerolinecolor: "#4b5563" },
+        xaxis: { title: { text: "t-SNE 1", font: { color: theme.muted, size: 10 } }, gridcolor: theme.grid, linecolor: theme.grid, tickfont: { color: theme.muted, size: 9 }, backgroundcolor: theme.background, showbackground: true, zerolinecolor: theme.faint },
+        yaxis: { title: { text: "t-SNE 2", font: { color: theme.muted, size: 10 } }, gridcolor: theme.grid, linecolor: theme.grid, tickfont: { color: theme.muted, size: 9 }, backgroundcolor: theme.background, showbackground: true, zerolinecolor: theme.faint },
+        zaxis: { title: { text: "t-SNE 3", font: { color: theme.muted, size: 10 } }, gridcolor: theme.grid, linecolor: theme.grid, tickfont: { color: theme.muted, size: 9 }, backgroundcolor: theme.background, showbackground: true, zerolinecolor: theme.faint },
         camera: { eye: { x: 1.5, y: 1.5, z: 1.0 } },
         aspectmode: "cube",
+        uirevision: "trajectory-3d",
       },
-      legend: { x: 0, y: 1, font: { color: "#9ca3af", size: 10 }, bgcolor: "rgba(0,0,0,0.5)", bordercolor: "#333333", borderwidth: 1 },
-      hoverlabel: { bgcolor: "#1a1a1a", bordercolor: "#ffffff", font: { color: "#ffffff", family: "monospace", size: 11 } },
+      legend: { x: 0, y: 1, font: { color: theme.text, size: 10 }, bgcolor: theme.panel, bordercolor: theme.grid, borderwidth: 1 },
+      hoverlabel: { bgcolor: theme.panel, bordercolor: theme.strong, font: { color: theme.strong, family: "monospace", size: 11 } },
+      ...this.playbackControls(cycles, theme),
     };
 
-    Plotly.react(this.el, traces, layout, { displayModeBar: true, modeBarButtonsToRemove: ["toImage", "sendDataToCloud"], displaylogo: false, responsive: true });
+    // An empty frame list drops the previous render's frames
+    Plotly.react(this.el, { data: traces, layout, frames: [], config: { displayModeBar: true, modeBarButtonsToRemove: ["sendDataToCloud"], displaylogo: false, responsive: true } });
+    this.bindLinkEvents();
+    this.bindPlaybackEvents();
+    this.bindLegendEvents();
+  },
+
+  // Traces as they stood at `uptoCycle`. Every trace is always present (possibly empty)
+  // so animation frames line up with the base traces by index. Markers are coloured
+  // against the session's `thresholds` in the `theme` palette.
+  buildTraces(sortedPoints, maxCycle, uptoCycle, thresholds, theme) {
+    const visible = sortedPoints.filter((p) => p.cycle <= uptoCycle);
+    const activePoints = visible.filter((p) => p.status === "active");
+    const cemeteryPoints = visible.filter((p) => p.status === "cemetery");
+    const graduatedPoints = visible.filter((p) => p.status === "graduated");
+    const currentPoint = visible[visible.length - 1];
+    const showCurrent = currentPoint?.status === "active";
+    const hoverText = (prefix, p) => `${prefix}Cycle ${p.cycle}<br>Support: ${(p.support * 100).toFixed(1)}%<br>${p.claim ? p.claim.substring(0, 60) + (p.claim.length > 60 ? "..." : "") : ""}`;
+    const coords = (pts) => ({ x: pts.map(p => p.x), y: pts.map(p => p.y), z: pts.map(p => p.z), customdata: pts.map(p => p.cycle) });
+
+    return [
+      // Trajectory line trace
+      {
+        type: "scatter3d", mode: "lines", ...coords(visible.length > 1 ? visible : []),
+        line: { color: theme.faint, width: 2 },
+        hoverinfo: "skip", showlegend: false,
+      },
+      {
+        type: "scatter3d", mode: "markers", name: "Active", ...coords(activePoints),
+        text: activePoints.map(p => hoverText("", p)),
+        hoverinfo: "text",
+        marker: { size: activePoints.map(p => this.cycleToSize(p.cycle, maxCycle)), color: activePoints.map(p => supportToColorGradient(p.support, thresholds)), symbol: "circle", line: { color: theme.strong, width: 1 } },
+      },
+      {
+        type: "scatter3d", mode: "markers", name: "Cemetery", ...coords(cemeteryPoints),
+        text: cemeteryPoints.map(p => hoverText("DEAD - ", p)),
+        hoverinfo: "text",
+        marker: { size: 10, color: theme.zones.dead, symbol: "x", line: { color: theme.strong, width: 1 } },
+      },
+      {
+        type: "scatter3d", mode: "markers", name: "Graduated", ...coords(graduatedPoints),
+        text: graduatedPoints.map(p => hoverText("GRADUATED - ", p)),
+        hoverinfo: "text",
+        marker: { size: 12, color: theme.zones.graduated, symbol: "diamond", line: { color: theme.strong, width: 2 } },
+      },
+      // Overlays, toggled from the legend like the status traces
+      {
+        type: "scatter3d", mode: "markers", name: STAGNATION_OVERLAY.label, ...coords(visible.filter((p) => p.stagnant)),
+        hoverinfo: "skip", opacity: 0.35,
+        marker: { size: 24, color: theme.faint, symbol: "circle" },
+      },
+      ...Object.values(INTERVENTION_OVERLAYS).map((overlay) => {
+        const events = interventionEvents(visible).filter((p) => p.role === overlay.key);
+        const color = getRoleColor(overlay.key);
+        return {
+          type: "scatter3d", mode: "markers", name: overlay.label, ...coords(events),
+          text: events.map(p => hoverText(`${overlay.label.toUpperCase()} - `, p)),
+          hoverinfo: "text",
+          marker: { size: 14, color: overlay.filled ? color : "rgba(0,0,0,0)", symbol: overlay.plotlySymbol, line: { color, width: 2 } },
+        };
+      }),
+      {
+        type: "scatter3d", mode: "markers", name: "Current", ...coords(showCurrent ? [currentPoint] : []),
+        text: showCurrent ? [hoverText("CURRENT - ", currentPoint)] : [],
+        hoverinfo: "text",
+        marker: { size: 18, color: showCurrent ? supportToColorGradient(currentPoint.support, thresholds) : theme.strong, symbol: "diamond", line: { color: theme.strong, width: 2 } },
+      },
+    ];
+  },
+
+  // Buttons use method "skip" and are handled in bindPlaybackEvents, since Plotly
+  // has no built-in step or "restart when finished" behaviour.
+  playbackControls(cycles, theme) {
+    const button = (label, name) => ({ label, name, method: "skip", execute: false, args: [] });
+    const controlFont = { color: theme.text, family: "monospace", size: 10 };
+    return {
+      updatemenus: [{
+        type: "buttons", direction: "left", showactive: false,
+        x: 0, y: 0, xanchor: "left", yanchor: "bottom", pad: { l: 4, b: 4 },
+        bgcolor: theme.panel, bordercolor: theme.grid, font: controlFont,
+        buttons: [button("◀", "step-back"), button("▶ Play", "play"), button("❚❚", "pause"), button("▶", "step-forward")],
+      }],
+      sliders: [{
+        active: cycles.length - 1,
+        x: 0.3, len: 0.7, y: 0, yanchor: "bottom", pad: { t: 0, b: 4 },
+        bgcolor: theme.panel, bordercolor: theme.grid, activebgcolor: theme.strong, tickcolor: theme.grid, font: controlFont,
+        currentvalue: { prefix: "CYCLE ", font: controlFont, xanchor: "right" },
+        steps: cycles.map((cycle) => ({ label: String(cycle), method: "animate", args: [[String(cycle)], PLAYBACK_STEP] })),
+      }],
+    };
+  },
+
+  bindPlaybackEvents() {
+    if (this.playbackEventsBound) return;
+    this.el.on("plotly_animatingframe", (event) => { this.frameIndex = this.frameNames.indexOf(event.name); });
+    // Slider steps animate to their frame, so the frames must exist before the first one runs
+    this.el.on("plotly_sliderstart", () => this.ensureFrames());
+    this.el.on("plotly_sliderchange", (event) => { this.frameIndex = this.frameNames.indexOf(event.step.label); });
+    this.el.on("plotly_buttonclicked", (event) => {
+      switch (event.button?.name) {
+        case "play": return this.play();
+        case "pause": return Plotly.animate(this.el, [null], { ...PLAYBACK_STEP, mode: "immediate" });
+        case "step-back": return this.stepTo(this.frameIndex - 1);
+        case "step-forward": return this.stepTo(this.frameIndex + 1);
+      }
+    });
+    this.playbackEventsBound = true;
+  },
+
+  ensureFrames() {
+    if (this.framesBuilt || !this.frameSource) return;
+    const { sortedPoints, maxCycle, thresholds, theme } = this.frameSource;
+    Plotly.addFrames(this.el, this.frameNames.map((name) => ({ name, data: this.buildTraces(sortedPoints, maxCycle, Number(name), thresholds, theme) })));
+    this.framesBuilt = true;
+  },
+
+  play() {
+    this.ensureFrames();
+    const atEnd = this.frameIndex >= this.frameNames.length - 1;
+    const remaining = atEnd ? this.frameNames : this.frameNames.slice(this.frameIndex + 1);
+    Plotly.animate(this.el, remaining, { mode: "immediate", frame: { duration: PLAYBACK_FRAME_MS, redraw: true }, transition: { duration: 0 } });
+  },
+
+  stepTo(index) {
+    if (index < 0 || index >= this.frameNames.length) return;
+    this.ensureFrames();
+    this.frameIndex = index;
+    Plotly.animate(this.el, [this.frameNames[index]], PLAYBACK_STEP);
+  },
+
+  // Plotly's own legend toggling is replaced so the hidden set can be kept
+  // across Plotly.react and shift-click can isolate like the D3 legends.
+  bindLegendEvents() {
+    if (this.legendEventsBound) return;
+    const toggle = (event, isolate) => {
+      const name = event.data?.[event.curveNumber]?.name;
+      if (!name) return false;
+      this.hiddenTraces = toggleHidden(this.hiddenTraces, name, this.legendTraceNames, isolate);
+      const indices = this.legendTraceNames.map((n) => event.data.findIndex((trace) => trace.name === n));
+      Plotly.restyle(this.el, { visible: this.legendTraceNames.map((n) => (this.hiddenTraces.has(n) ? "legendonly" : true)) }, indices);
+      return false;
+    };
+    this.el.on("plotly_legendclick", (event) => toggle(event, Boolean(event.event?.shiftKey)));
+    this.el.on("plotly_legenddoubleclick", (event) => toggle(event, true));
+    this.legendEventsBound = true;
+  },
+
+  bindLinkEvents() {
+    if (this.linkEventsBound) return;
+    const cycleOf = (event) => event.points?.[0]?.customdata;
+    this.el.on("plotly_hover", (event) => { if (cycleOf(event) !== undefined) this.link.hover(cycleOf(event)); });
+    this.el.on("plotly_unhover", () => this.link.hover(null));
+    this.el.on("plotly_click", (event) => {
+      const cycle = cycleOf(event);
+      if (cycle !== undefined && !pickCompareCycle(this, event.event, cycle)) this.link.select(cycle);
+    });
+    this.linkEventsBound = true;
+  },
+
+  linkedCoords(cycle) {
+    const point = cycle === null ? undefined : this.sortedPoints?.find((p) => p.cycle === cycle);
+    return point ? { x: [point.x], y: [point.y], z: [point.z] } : { x: [], y: [], z: [] };
+  },
+
+  renderLinkedCycle(state) {
+    const cycle = activeCycle(state);
+    if (this.linkTraceIndex === undefined || cycle === this.linkedCycle) return;
+    this.linkedCycle = cycle;
+    const { x, y, z } = this.linkedCoords(cycle);
+    Plotly.restyle(this.el, { x: [x], y: [y], z: [z] }, [this.linkTraceIndex]);
+  },
+
+  // Relayout rather than react, so a resize mid-playback leaves the frames running
+  resizePlot() {
+    const { width, height } = this.getConfig();
+    Plotly.relayout(this.el, { width, height });
   },
 
-  renderEmptyState(config) {
+  renderEmptyState(config, theme) {
     Plotly.react(this.el, [], {
-      width: config.width, height: config.height, paper_bgcolor: "#0a0a0a", plot_bgcolor: "#0a0a0a",
-      annotations: [{ text: "No trajectory data yet", showarrow: false, font: { color: "#6b7280", size: 14, family: "monospace" }, xref: "paper", yref: "paper", x: 0.5, y: 0.5 }],
+      width: config.width, height: config.height, paper_bgcolor: theme.background, plot_bgcolor: theme.background,
+      annotations: [{ text: "No trajectory data yet", showarrow: false, font: { color: theme.muted, size: 14, family: "monospace" }, xref: "paper", yref: "paper", x: 0.5, y: 0.5 }],
       xaxis: { visible: false }, yaxis: { visible: false }
     }, { displayModeBar: false });
   },
@@ -1,22 +1,86 @@
 import { parseChartData, getChartDimensions } from './utils/chart_dom.js';
 import { cleanupSvg, createTooltip, showTooltip, hideTooltip, applyTextStyle, escapeHtml } from './utils/chart_dom.js';
-import { TRANSITION_DURATION } from './utils/colors.js';
-import { renderLegend } from './utils/legend.js';
+import { TRANSITION_DURATION, supportToColorGradient, resolveThresholds, getRoleColor, formatRole } from './utils/colors.js';
+import { renderLegend, toggleHidden } from './utils/legend.js';
 import { renderXAxis, renderYAxis, renderGridlines } from './utils/axes.js';
+import { bindChartExport } from './utils/export.js';
+import { linkCycles, activeCycle, pickCompareCycle } from './utils/chart_link.js';
+import { bindChartKeyboard } from './utils/a11y.js';
+import { refreshDataTable } from './utils/data_table.js';
+import { chartTheme, onThemeChange } from './utils/theme.js';
+import { observeResize } from './utils/resize.js';
+import { isHighVolume, createPointCanvas } from './utils/point_canvas.js';
+import { STAGNATION_OVERLAY, INTERVENTION_OVERLAYS, interventionEvents, overlayKeys } from './utils/trajectory_overlays.js';
+import { followReplay, upToReplay } from './utils/replay.js';
+
+// Points that left the active claim are drawn as markers, styled as in the 3D plot
+const STATUS_MARKERS = {
+  cemetery: { label: "Cemetery", symbol: "symbolTimes", zone: "dead" },
+  graduated: { label: "Graduated", symbol: "symbolDiamond", zone: "graduated" }
+};
+
+const LEGEND_ROW_HEIGHT = 14;
+const LEGEND_ITEM_WIDTH = 100;
+const STATUS_KEY_WIDTH = 170;
+
+const isMarker = (d) => Boolean(STATUS_MARKERS[d.status]);
+const overlayNotes = (d) => [...(d.stagnant ? ["stagnant"] : []), ...(d.interventions || []).map((role) => `${formatRole(role)} ran`)];
+const formatPercent = (value) => (value !== null && value !== undefined ? (value * 100).toFixed(1) + "%" : "unknown");
 
 const TrajectoryPlotHook = {
   mounted() {
     this.isInitialRender = true;
+    // Overlay keys switched off in the legend; kept across updated() re-renders
+    this.hiddenOverlays = new Set();
+    this.unbindExport = bindChartExport(this, { getRows: () => this.getExportRows() });
+    this.link = linkCycles((state) => this.renderLinkedCycle(state));
+    this.unbindKeyboard = bindChartKeyboard(this, {
+      label: "Embedding trajectory",
+      getItems: () => [...(this.getData().points || [])].sort((a, b) => a.cycle - b.cycle),
+      describe: (d) => {
+        const [xLabel, yLabel] = this.axisLabels;
+        return `Cycle ${d.cycle}, ${d.status || "active"}, ${xLabel} ${d.x.toFixed(2)}, ${yLabel} ${d.y.toFixed(2)}, support ${formatPercent(d.support)}${d.agent ? `, changed by ${formatRole(d.agent)}` : ""}${overlayNotes(d).map((note) => `, ${note}`).join("")}`;
+      },
+      onFocusItem: (d) => this.link.hover(d ? d.cycle : null),
+      onSelect: (d, event) => pickCompareCycle(this, event, d.cycle) || this.link.select(d.cycle)
+    });
+    this.unbindTheme = onThemeChange(() => {
+      this.isInitialRender = true;
+      this.renderChart();
+    });
+    this.unbindResize = observeResize(this, () => {
+      this.isInitialRender = true;
+      this.renderChart();
+    });
+    this.unbindReplay = followReplay(() => {
+      this.renderChart();
+      refreshDataTable(this.el);
+    });
+    this.renderChart();
+  },
+  updated() {
     this.renderChart();
+    refreshDataTable(this.el);
   },
-  updated() { this.renderChart(); },
   destroyed() {
+    this.unbindExport?.();
+    this.unbindKeyboard?.();
+    this.unbindTheme?.();
+    this.unbindResize?.();
+    this.unbindReplay?.();
+    this.link?.unsubscribe();
     this.tooltip?.remove();
     this.cleanup();
   },
 
+  // A session replay shows the path up to its cycle
   getData() {
-    return parseChartData(this.el, 'chartData', []);
+    const data = parseChartData(this.el, 'chartData', { points: [] });
+    return { ...data, points: upToReplay(data.points || []) };
+  },
+
+  getExportRows() {
+    return (this.getData().points || []).map(({ cycle, x, y, support, status, agent, novelty, stagnant, interventions, claim }) => ({ cycle, x, y, support, status, agent, novelty, stagnant, interventions: (interventions || []).join(" "), claim }));
   },
 
   getConfig() {
@@ -29,31 +93,57 @@ const TrajectoryPlotHook = {
 
   cleanup() {
     cleanupSvg(this.el);
+    this.pointCanvas?.remove();
+    this.pointCanvas = null;
   },
 
   renderChart() {
     const data = this.getData();
     const config = this.getConfig();
-    const { width, height, margin } = config;
+    const theme = chartTheme();
+    const thresholds = resolveThresholds(data.thresholds);
+    this.axisLabels = data.axes || ["PC1", "PC2"];
+
+    // Sort data by cycle number
+    const sortedData = [...(data.points || [])].sort((a, b) => a.cycle - b.cycle);
+    this.pointByCycle = new Map(sortedData.map((d) => [d.cycle, d]));
+
+    // A grid legend sits above the plot, so its rows push the plot down
+    const coloring = this.pointColoring(data.color_by, sortedData, thresholds, theme);
+    const plotWidth = config.width - config.margin.left - config.margin.right;
+    const legendPerRow = Math.max(1, Math.floor((plotWidth - STATUS_KEY_WIDTH) / LEGEND_ITEM_WIDTH));
+    const legendRows = coloring.legend.type === "grid" ? Math.ceil(coloring.legend.items.length / legendPerRow) : 1;
+    const { width, height } = config;
+    const margin = { ...config.margin, top: config.margin.top + (legendRows - 1) * LEGEND_ROW_HEIGHT };
     const innerWidth = width - margin.left - margin.right;
     const innerHeight = height - margin.top - margin.bottom;
 
-    let svg, g, xScale, yScale, colorScale;
-    const isUpdate = !this.isInitialRender;
+    // Switching between SVG circles and the point canvas needs a fresh build, as do new axis labels or margins
+    const highVolume = isHighVolume(sortedData.length);
+    const layout = [legendRows, ...this.axisLabels].join("|");
+    if (highVolume !== this.highVolume || layout !== this.layout) this.isInitialRender = true;
+    this.highVolume = highVolume;
+    this.layout = layout;
 
-    // Sort data by cycle number
-    const sortedData = [...data].sort((a, b) => a.cycle - b.cycle);
+    let svg, g, xScale, yScale;
+    const isUpdate = !this.isInitialRender;
+    // Per-point transitions are what make thousands of points slow, so high-volume updates snap
+    const animate = isUpdate && !highVolume;
+    const fill = (d) => (isMarker(d) ? theme.zones[STATUS_MARKERS[d.status].zone] : coloring.fill(d));
 
+    // Drawn on updates too, so data that empties out (e.g. a zoom past the last point) doesn't leave the old plot up
     if (sortedData.length === 0) {
       d3.select(this.el).selectAll(".trajectory-plot-svg").remove();
-      if (!isUpdate) {
-        d3.select(this.el).append("svg").attr("width", width).attr("height", height).attr("class", "trajectory-plot-svg").append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor", "middle").call(applyTextStyle, { fill: "#6b7280" }).text("No trajectory data yet");
-      }
+      this.pointCanvas?.remove();
+      this.pointCanvas = null;
+      d3.select(this.el).append("svg").attr("width", width).attr("height", height).attr("class", "trajectory-plot-svg").append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor", "middle").call(applyTextStyle, { fill: theme.muted }).text("No trajectory data yet");
       this.svg = null;
       this.g = null;
       this.trajectoryLine = null;
       this.points = null;
+      this.markers = null;
       this.currentPointMarker = null;
+      this.linkMarker = null;
       this.isInitialRender = true;
       return;
     }
@@ -61,7 +151,6 @@ const TrajectoryPlotHook = {
     // Calculate scales with padding
     const xExtent = d3.extent(sortedData, (d) => d.x);
     const yExtent = d3.extent(sortedData, (d) => d.y);
-    const cycleExtent = d3.extent(sortedData, (d) => d.cycle);
 
     // Add padding to extents for better visualization
     const xPadding = (xExtent[1] - xExtent[0]) * 0.1 || 1;
@@ -77,11 +166,6 @@ const TrajectoryPlotHook = {
       .domain([yExtent[0] - yPadding, yExtent[1] + yPadding])
       .range([innerHeight, 0]);
 
-    const newColorScale = d3
-      .scaleLinear()
-      .domain([cycleExtent[0], cycleExtent[1]])
-      .range(["#06b6d4", "#ffffff"]);
-
     if (isUpdate && this.svg) {
       // Update existing chart with transitions
       svg = this.svg;
@@ -93,16 +177,15 @@ const TrajectoryPlotHook = {
       updateGridY(this.gridY, newYScale, newYScale.ticks(5));
       if (this.xAxisG) {
         const xAxis = d3.axisBottom(newXScale).ticks(5);
-        this.xAxisG.transition().duration(TRANSITION_DURATION).call(xAxis).attr("color", "#9ca3af").selectAll("text").call(applyTextStyle);
+        this.xAxisG.transition().duration(TRANSITION_DURATION).call(xAxis).attr("color", theme.text).selectAll("text").call(applyTextStyle);
       }
       if (this.yAxisG) {
         const yAxis = d3.axisLeft(newYScale).ticks(5);
-        this.yAxisG.transition().duration(TRANSITION_DURATION).call(yAxis).attr("color", "#9ca3af").selectAll("text").call(applyTextStyle);
+        this.yAxisG.transition().duration(TRANSITION_DURATION).call(yAxis).attr("color", theme.text).selectAll("text").call(applyTextStyle);
       }
 
       xScale = newXScale;
       yScale = newYScale;
-      colorScale = newColorScale;
     } else {
       // Initial render - no transitions
       this.cleanup();
@@ -121,7 +204,6 @@ const TrajectoryPlotHook = {
 
       xScale = newXScale;
       yScale = newYScale;
-      colorScale = newColorScale;
 
       // Gridlines - brutalist sharp style
       this.gridX = renderGridlines(g, xScale, {
@@ -135,66 +217,118 @@ const TrajectoryPlotHook = {
         tickCount: 5,
         innerWidth
       });
+
+      // Stagnation halos sit under the trajectory; intervention glyphs are raised over the points
+      this.stagnationG = g.append("g").attr("class", "stagnation-overlay");
+      this.interventionG = g.append("g").attr("class", "intervention-overlay");
+
+      // Linked-cycle highlight, driven by hover/click in any session chart or the cycle log
+      this.linkMarker = g.append("circle").attr("r", 11).attr("fill", "none").attr("stroke", theme.highlight).attr("stroke-width", 2).attr("opacity", 0).attr("pointer-events", "none");
+
+      if (highVolume) {
+        this.pointCanvas = createPointCanvas(this.el, svg, { margin, innerWidth, innerHeight });
+        this.pointCanvas.hover(svg, {
+          onEnter: (event, d) => this.showPointTooltip(event, d),
+          onMove: (event) => this.movePointTooltip(event),
+          onLeave: () => this.hidePointTooltip(),
+          onClick: (event, d) => this.clickPoint(event, d)
+        });
+      }
     }
 
     if (sortedData.length > 1) {
       const line = d3.line().x(d => xScale(d.x)).y(d => yScale(d.y)).curve(d3.curveLinear);
       if (isUpdate && this.trajectoryLine) {
-        this.trajectoryLine.datum(sortedData).transition().duration(TRANSITION_DURATION).attr("d", line);
+        const trajectoryLine = this.trajectoryLine.datum(sortedData);
+        (animate ? trajectoryLine.transition().duration(TRANSITION_DURATION) : trajectoryLine).attr("d", line);
       } else {
-        this.trajectoryLine = g.append("path").datum(sortedData).attr("fill", "none").attr("stroke", "#6b7280").attr("stroke-width", 1.5).attr("stroke-dasharray", "4,4").attr("d", line);
+        this.trajectoryLine = g.append("path").datum(sortedData).attr("fill", "none").attr("stroke", theme.muted).attr("stroke-width", 1.5).attr("stroke-dasharray", "4,4").attr("d", line);
       }
     } else if (this.trajectoryLine && sortedData.length === 1) {
       this.trajectoryLine.remove();
       this.trajectoryLine = null;
     }
 
-    if (!this.tooltip) this.tooltip = createTooltip("trajectory-plot-tooltip");
-    const tooltip = this.tooltip;
-    const existingPoints = this.points ? this.points.data().map(d => d.cycle) : [];
-    const newPoints = sortedData.filter(d => !existingPoints.includes(d.cycle));
-
-    const points = g.selectAll(".trajectory-point").data(sortedData, d => d.cycle);
-    points.exit().remove();
-
-    const pointsEnter = points.enter()
-      .append("circle")
-      .attr("class", "trajectory-point")
-      .attr("cx", d => xScale(d.x))
-      .attr("cy", d => yScale(d.y))
-      .attr("r", (d, i) => (i === sortedData.length - 1 ? 8 : 5))
-      .attr("fill", d => colorScale(d.cycle))
-      .attr("stroke", "#ffffff")
-      .attr("stroke-width", (d, i) => (i === sortedData.length - 1 ? 2 : 1))
-      .style("cursor", "pointer");
-
-    if (isUpdate) {
-      pointsEnter.attr("opacity", 0).transition().duration(TRANSITION_DURATION).attr("opacity", 1);
-    }
+    const lastCycle = sortedData[sortedData.length - 1].cycle;
+    const isLast = (d) => d.cycle === lastCycle;
+
+    if (highVolume) {
+      this.points = null;
+      this.markers = null;
+      this.pointCanvas.draw(sortedData, { x: d => xScale(d.x), y: d => yScale(d.y), radius: d => (isLast(d) ? 5 : 2.5), fill, strokeWidth: 0 });
+    } else {
+      const points = g.selectAll(".trajectory-point").data(sortedData.filter((d) => !isMarker(d)), d => d.cycle);
+      points.exit().remove();
+
+      const pointsEnter = points.enter()
+        .append("circle")
+        .attr("class", "trajectory-point")
+        .attr("cx", d => xScale(d.x))
+        .attr("cy", d => yScale(d.y))
+        .attr("r", d => (isLast(d) ? 8 : 5))
+        .attr("fill", fill)
+        .attr("stroke", theme.strong)
+        .attr("stroke-width", d => (isLast(d) ? 2 : 1))
+        .style("cursor", "pointer");
+
+      if (animate) {
+        pointsEnter.attr("opacity", 0).transition().duration(TRANSITION_DURATION).attr("opacity", 1);
+      }
+
+      this.points = pointsEnter.merge(points);
 
-    this.points = pointsEnter.merge(points);
+      if (animate) {
+        this.points.transition().duration(TRANSITION_DURATION).attr("cx", d => xScale(d.x)).attr("cy", d => yScale(d.y)).attr("fill", fill).attr("r", d => (isLast(d) ? 8 : 5)).attr("stroke-width", d => (isLast(d) ? 2 : 1));
+      }
 
-    if (isUpdate) {
-      this.points.transition().duration(TRANSITION_DURATION).attr("cx", d => xScale(d.x)).attr("cy", d => yScale(d.y)).attr("fill", d => colorScale(d.cycle)).attr("r", (d, i) => (i === sortedData.length - 1 ? 8 : 5)).attr("stroke-width", (d, i) => (i === sortedData.length - 1 ? 2 : 1));
+      // Cemetery and graduated claims, drawn over the circles
+      const placeMarker = (d, scale = 1) => `translate(${xScale(d.x)},${yScale(d.y)}) scale(${scale})`;
+      const markerPath = (d) => d3.symbol(d3[STATUS_MARKERS[d.status].symbol], isLast(d) ? 200 : 110)();
+      const markers = g.selectAll(".trajectory-marker").data(sortedData.filter(isMarker), d => d.cycle);
+      markers.exit().remove();
+
+      const markersEnter = markers.enter()
+        .append("path")
+        .attr("class", "trajectory-marker")
+        .attr("transform", (d) => placeMarker(d))
+        .attr("stroke", theme.strong)
+        .style("cursor", "pointer");
+
+      if (animate) {
+        markersEnter.attr("opacity", 0).transition().duration(TRANSITION_DURATION).attr("opacity", 1);
+      }
+
+      this.markers = markersEnter.merge(markers).attr("d", markerPath).attr("fill", fill).attr("stroke-width", d => (isLast(d) ? 2 : 1)).raise();
+
+      if (animate) {
+        this.markers.transition().duration(TRANSITION_DURATION).attr("transform", (d) => placeMarker(d));
+      }
+
+      const hook = this;
+      this.points.on("mouseenter", function (event, d) {
+        d3.select(this).transition().duration(100).attr("r", d3.select(this).attr("r") * 1.5);
+        hook.showPointTooltip(event, d);
+      }).on("mouseleave", function (event, d) {
+        d3.select(this).transition().duration(100).attr("r", isLast(d) ? 8 : 5);
+        hook.hidePointTooltip();
+      }).on("click", (event, d) => this.clickPoint(event, d));
+      this.markers.on("mouseenter", function (event, d) {
+        d3.select(this).attr("transform", placeMarker(d, 1.5));
+        hook.showPointTooltip(event, d);
+      }).on("mouseleave", function (event, d) {
+        d3.select(this).attr("transform", placeMarker(d));
+        hook.hidePointTooltip();
+      }).on("click", (event, d) => this.clickPoint(event, d));
     }
 
-    this.points.on("mouseenter", function (event, d) {
-      d3.select(this).transition().duration(100).attr("r", d3.select(this).attr("r") * 1.5);
-      const supportPct = d.support !== null && d.support !== undefined ? (d.support * 100).toFixed(1) + "%" : "N/A";
-      const claimText = d.claim ? escapeHtml(d.claim.substring(0, 50)) + (d.claim.length > 50 ? "..." : "") : "";
-      showTooltip(tooltip, `<span class="font-bold">Cycle ${d.cycle}</span><br>Support: ${supportPct}<br>${claimText ? `<span class="text-gray-400">${claimText}</span>` : ""}`, event);
-    }).on("mouseleave", function (event, d) {
-      const isLast = d.cycle === sortedData[sortedData.length - 1].cycle;
-      d3.select(this).transition().duration(100).attr("r", isLast ? 8 : 5);
-      hideTooltip(tooltip);
-    });
+    this.renderOverlays(sortedData, xScale, yScale, theme, animate);
 
     if (sortedData.length) {
       const lastPoint = sortedData[sortedData.length - 1];
       if (isUpdate && this.currentPointMarker) {
-        this.currentPointMarker.transition().duration(TRANSITION_DURATION).attr("cx", xScale(lastPoint.x)).attr("cy", yScale(lastPoint.y));
+        (animate ? this.currentPointMarker.transition().duration(TRANSITION_DURATION) : this.currentPointMarker).attr("cx", xScale(lastPoint.x)).attr("cy", yScale(lastPoint.y));
       } else {
-        this.currentPointMarker = g.append("circle").attr("cx", xScale(lastPoint.x)).attr("cy", yScale(lastPoint.y)).attr("r", 12).attr("fill", "none").attr("stroke", "#ffffff").attr("stroke-width", 2);
+        this.currentPointMarker = g.append("circle").attr("cx", xScale(lastPoint.x)).attr("cy", yScale(lastPoint.y)).attr("r", 12).attr("fill", "none").attr("stroke", theme.strong).attr("stroke-width", 2);
       }
     }
 
@@ -204,7 +338,7 @@ const TrajectoryPlotHook = {
         tickCount: 5,
         innerHeight,
         innerWidth,
-        label: "PC1",
+        label: this.axisLabels[0],
         labelOffset: 40
       });
 
@@ -212,26 +346,162 @@ const TrajectoryPlotHook = {
       this.yAxisG = renderYAxis(g, yScale, {
         tickCount: 5,
         innerHeight,
-        label: "PC2",
+        label: this.axisLabels[1],
         labelOffset: 45
       });
     }
 
     g.selectAll('.legend-group').remove();
-    const legendWidth = 100, legendHeight = 10, legendY = innerHeight + 10, legendX = (innerWidth - legendWidth) / 2;
-    renderLegend(g, {
-      startColor: '#06b6d4', endColor: '#ffffff', startLabel: `C${cycleExtent[0]}`, endLabel: `C${cycleExtent[1]}`, title: 'CYCLE',
-    }, {
-      position: { x: legendX, y: legendY },
-      type: 'gradient',
-      gradientSize: { width: legendWidth, height: legendHeight },
-      labelStyle: { fill: '#6b7280', 'font-family': 'monospace', 'font-size': '10px' },
+    const labelStyle = { fill: theme.muted, 'font-family': 'monospace', 'font-size': '10px' };
+    const legendTop = 8 - margin.top;
+    if (coloring.legend.type === "grid") {
+      renderLegend(g, coloring.legend.items, {
+        position: { x: 0, y: legendTop },
+        itemSize: { width: LEGEND_ITEM_WIDTH, height: LEGEND_ROW_HEIGHT },
+        boxSize: { width: 10, height: 10 },
+        boxOffset: { x: 14, y: 9 },
+        maxItemsPerRow: legendPerRow,
+        labelStyle,
+      });
+    } else {
+      const legendWidth = 100, legendHeight = 10, legendY = innerHeight + 10, legendX = (innerWidth - legendWidth) / 2;
+      renderLegend(g, coloring.legend.items, {
+        position: { x: legendX, y: legendY },
+        type: 'gradient',
+        gradientSize: { width: legendWidth, height: legendHeight },
+        labelStyle,
+      });
+    }
+
+    // Key for the status markers that are on the plot, top right
+    const statusKey = Object.entries(STATUS_MARKERS).filter(([status]) => sortedData.some((d) => d.status === status)).map(([, marker]) => ({ label: marker.label, color: theme.zones[marker.zone] }));
+    renderLegend(g, statusKey, {
+      position: { x: innerWidth - statusKey.length * (STATUS_KEY_WIDTH / 2), y: legendTop },
+      itemSize: { width: STATUS_KEY_WIDTH / 2, height: LEGEND_ROW_HEIGHT },
+      boxSize: { width: 10, height: 10 },
+      boxOffset: { x: 14, y: 9 },
+      labelStyle,
+    });
+
+    // Overlay toggles, bottom right
+    const overlays = overlayKeys(sortedData);
+    const overlayItems = overlays.map((key) => (key === STAGNATION_OVERLAY.key ? { key, label: STAGNATION_OVERLAY.label, color: theme.faint } : { key, label: INTERVENTION_OVERLAYS[key].label, color: getRoleColor(key) }));
+    renderLegend(g, overlayItems, {
+      position: { x: innerWidth - overlayItems.length * LEGEND_ITEM_WIDTH, y: innerHeight + 28 },
+      itemSize: { width: LEGEND_ITEM_WIDTH, height: LEGEND_ROW_HEIGHT },
+      boxSize: { width: 10, height: 10 },
+      boxOffset: { x: 14, y: 9 },
+      maxItemsPerRow: overlayItems.length,
+      labelStyle,
+      hidden: this.hiddenOverlays,
+      onToggle: (key, { isolate }) => {
+        this.hiddenOverlays = toggleHidden(this.hiddenOverlays, key, overlays, isolate);
+        this.renderChart();
+      },
     });
 
     // Store references for updates
     this.svg = svg;
     this.g = g;
+    this.xScale = xScale;
+    this.yScale = yScale;
     this.isInitialRender = false;
+    this.renderLinkedCycle(this.link.current());
+  },
+
+  // Halos on stagnant cycles and glyphs on Cartographer/Perturber cycles, minus any toggled off
+  renderOverlays(sortedData, xScale, yScale, theme, animate) {
+    const move = (selection) => (animate ? selection.transition().duration(TRANSITION_DURATION) : selection);
+    const showStagnation = !this.hiddenOverlays.has(STAGNATION_OVERLAY.key);
+
+    const halos = this.stagnationG.selectAll(".stagnation-halo").data(showStagnation ? sortedData.filter((d) => d.stagnant) : [], d => d.cycle);
+    halos.exit().remove();
+    const halosEnter = halos.enter().append("circle").attr("class", "stagnation-halo").attr("r", 14).attr("pointer-events", "none").attr("cx", d => xScale(d.x)).attr("cy", d => yScale(d.y));
+    halosEnter.merge(halos).attr("fill", theme.faint).attr("opacity", 0.35);
+    move(halos).attr("cx", d => xScale(d.x)).attr("cy", d => yScale(d.y));
+
+    const events = interventionEvents(sortedData).filter((d) => !this.hiddenOverlays.has(d.role));
+    const place = (d) => `translate(${xScale(d.x)},${yScale(d.y) + INTERVENTION_OVERLAYS[d.role].offset})`;
+    const glyphs = this.interventionG.selectAll(".intervention-glyph").data(events, d => `${d.role}-${d.cycle}`);
+    glyphs.exit().remove();
+    const glyphsEnter = glyphs.enter().append("path").attr("class", "intervention-glyph").attr("pointer-events", "none").attr("transform", place);
+    glyphsEnter.merge(glyphs)
+      .attr("d", d => d3.symbol(d3[INTERVENTION_OVERLAYS[d.role].symbol], 70)())
+      .attr("fill", d => (INTERVENTION_OVERLAYS[d.role].filled ? getRoleColor(d.role) : "none"))
+      .attr("stroke", d => getRoleColor(d.role))
+      .attr("stroke-width", 1.5);
+    move(glyphs).attr("transform", place);
+    this.interventionG.raise();
+  },
+
+  // How the points are filled for the chosen colour-by mode, with the legend
+  // that explains it. Markers keep their status colour whatever the mode.
+  pointColoring(colorBy, points, thresholds, theme) {
+    switch (colorBy) {
+      case "support":
+        return {
+          fill: (d) => supportToColorGradient(d.support ?? 0, thresholds),
+          legend: { type: "gradient", items: { startColor: theme.gradient[0], midColor: theme.gradient[1], endColor: theme.gradient[2], startLabel: formatPercent(thresholds.death), endLabel: formatPercent(thresholds.graduation), title: "SUPPORT" } }
+        };
+      case "agent": {
+        const agents = [...new Set(points.map((d) => d.agent).filter(Boolean))].sort();
+        const items = agents.map((agent) => ({ label: formatRole(agent), color: getRoleColor(agent) }));
+        return {
+          fill: (d) => (d.agent ? getRoleColor(d.agent) : theme.faint),
+          legend: { type: "grid", items: [...items, { label: "No change", color: theme.faint }] }
+        };
+      }
+      case "novelty": {
+        const scale = d3.scaleLinear().domain([0, 1]).range([theme.faint, theme.accent]).clamp(true);
+        return {
+          fill: (d) => (d.novelty !== null && d.novelty !== undefined ? scale(d.novelty) : theme.grid),
+          legend: { type: "gradient", items: { startColor: theme.faint, endColor: theme.accent, startLabel: "0", endLabel: "1", title: "NOVELTY" } }
+        };
+      }
+      default: {
+        const cycleExtent = d3.extent(points, (d) => d.cycle);
+        const scale = d3.scaleLinear().domain(cycleExtent).range([theme.accent, theme.strong]);
+        return {
+          fill: (d) => scale(d.cycle),
+          legend: { type: "gradient", items: { startColor: theme.accent, endColor: theme.strong, startLabel: `C${cycleExtent[0]}`, endLabel: `C${cycleExtent[1]}`, title: "CYCLE" } }
+        };
+      }
+    }
+  },
+
+  renderLinkedCycle(state) {
+    if (!this.linkMarker) return;
+    const cycle = activeCycle(state);
+    const d = cycle === null ? undefined : this.pointByCycle?.get(cycle);
+    if (!d) { this.linkMarker.attr("opacity", 0); return; }
+    this.linkMarker.raise().attr("cx", this.xScale(d.x)).attr("cy", this.yScale(d.y)).attr("opacity", 1);
+  },
+
+  // Shared by the SVG points and the high-volume point canvas
+  showPointTooltip(event, d) {
+    this.link.hover(d.cycle);
+    if (!this.tooltip) this.tooltip = createTooltip("trajectory-plot-tooltip");
+    const supportPct = d.support !== null && d.support !== undefined ? (d.support * 100).toFixed(1) + "%" : "N/A";
+    const claimText = d.claim ? escapeHtml(d.claim.substring(0, 50)) + (d.claim.length > 50 ? "..." : "") : "";
+    const status = isMarker(d) ? ` - ${STATUS_MARKERS[d.status].label.toUpperCase()}` : "";
+    const agent = d.agent ? `Changed by: ${escapeHtml(formatRole(d.agent))}<br>` : "";
+    const novelty = d.novelty !== null && d.novelty !== undefined ? `Novelty: ${d.novelty.toFixed(2)}<br>` : "";
+    const notes = overlayNotes(d);
+    const overlays = notes.length ? `${escapeHtml(notes.join(", "))}<br>` : "";
+    showTooltip(this.tooltip, `<span class="font-bold">Cycle ${d.cycle}${status}</span><br>Support: ${supportPct}<br>${agent}${novelty}${overlays}${claimText ? `<span class="text-gray-400">${claimText}</span>` : ""}`, event);
+  },
+
+  movePointTooltip(event) {
+    this.tooltip?.style("left", (event.pageX + 10) + "px").style("top", (event.pageY - 10) + "px");
+  },
+
+  hidePointTooltip() {
+    this.link.hover(null);
+    if (this.tooltip) hideTooltip(this.tooltip);
+  },
+
+  clickPoint(event, d) {
+    if (!pickCompareCycle(this, event, d.cycle)) this.link.select(d.cycle);
   },
 };
 
@@ -0,0 +1,69 @@
+const LIVE_REGION_ID = "chart-live-region";
+
+/**
+ * Announces text through a single page-wide polite ARIA live region.
+ * The region lives on <body> so LiveView patches never remove it.
+ */
+export function announce(text) {
+  let region = document.getElementById(LIVE_REGION_ID);
+  if (!region) {
+    region = document.createElement("div");
+    region.id = LIVE_REGION_ID;
+    region.className = "sr-only";
+    region.setAttribute("aria-live", "polite");
+    region.setAttribute("aria-atomic", "true");
+    document.body.appendChild(region);
+  }
+  // Clear first so repeating the same text is still announced
+  region.textContent = "";
+  requestAnimationFrame(() => { region.textContent = text; });
+}
+
+/**
+ * Makes a chart hook's element focusable and traversable with the keyboard.
+ *
+ * Arrow keys move between `getItems()` (in order), Home/End jump to the ends,
+ * Enter/Space call `onSelect(item, event)`, Escape leaves the chart. Each move
+ * calls `onFocusItem(item)` so the hook can draw its own highlight, and
+ * announces `describe(item)`. `onFocusItem(null)` is called when focus leaves.
+ *
+ * Returns a function that removes the listeners.
+ */
+export function bindChartKeyboard(hook, { label, getItems, describe, onFocusItem = () => {}, onSelect = () => {} }) {
+  const el = hook.el;
+  el.setAttribute("tabindex", "0");
+  el.setAttribute("role", "group");
+  el.setAttribute("aria-roledescription", "chart");
+  el.setAttribute("aria-label", `${label}. Use arrow keys to move between points.`);
+
+  let index = -1;
+  const moveTo = (next) => {
+    const items = getItems();
+    if (!items.length) { announce(`${label}: no data`); return; }
+    index = Math.max(0, Math.min(next, items.length - 1));
+    onFocusItem(items[index]);
+    announce(`${describe(items[index])}. ${index + 1} of ${items.length}.`);
+  };
+
+  const onKeyDown = (event) => {
+    const items = getItems();
+    switch (event.key) {
+      case "ArrowRight": case "ArrowDown": moveTo(index + 1); break;
+      case "ArrowLeft": case "ArrowUp": moveTo(index < 0 ? items.length - 1 : index - 1); break;
+      case "Home": moveTo(0); break;
+      case "End": moveTo(items.length - 1); break;
+      case "Enter": case " ": if (items[index]) onSelect(items[index], event); break;
+      case "Escape": el.blur(); return;
+      default: return;
+    }
+    event.preventDefault();
+  };
+  const onBlur = () => { index = -1; onFocusItem(null); };
+
+  el.addEventListener("keydown", onKeyDown);
+  el.addEventListener("blur", onBlur);
+  return () => {
+    el.removeEventListener("keydown", onKeyDown);
+    el.removeEventListener("blur", onBlur);
+  };
+}
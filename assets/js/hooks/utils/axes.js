@@ -1,25 +1,26 @@
 import { applyTextStyle } from './chart_dom.js';
+import { chartTheme } from './theme.js';
 
 export function renderXAxis(g, xScale, config = {}) {
   const { tickCount = 5, tickFormat, innerHeight, innerWidth, label, labelOffset = 35 } = config;
   const xAxis = d3.axisBottom(xScale).ticks(tickCount).tickFormat(tickFormat);
-  const xAxisG = g.append("g").attr("transform", `translate(0,${innerHeight})`).call(xAxis).attr("color", "#9ca3af");
+  const xAxisG = g.append("g").attr("transform", `translate(0,${innerHeight})`).call(xAxis).attr("color", chartTheme().text);
   xAxisG.selectAll("text").call(applyTextStyle);
-  if (label) g.append("text").attr("x", innerWidth / 2).attr("y", innerHeight + labelOffset).attr("text-anchor", "middle").call(applyTextStyle, { fill: "#6b7280" }).text(label);
+  if (label) g.append("text").attr("x", innerWidth / 2).attr("y", innerHeight + labelOffset).attr("text-anchor", "middle").call(applyTextStyle, { fill: chartTheme().muted }).text(label);
   return xAxisG;
 }
 
 export function renderYAxis(g, yScale, config = {}) {
   const { tickCount = 5, tickFormat, innerHeight, label, labelOffset = 40 } = config;
   const yAxis = d3.axisLeft(yScale).ticks(tickCount).tickFormat(tickFormat);
-  const yAxisG = g.append("g").call(yAxis).attr("color", "#9ca3af");
+  const yAxisG = g.append("g").call(yAxis).attr("color", chartTheme().text);
   yAxisG.selectAll("text").call(applyTextStyle);
-  if (label) g.append("text").attr("transform", "rotate(-90)").attr("x", -innerHeight / 2).attr("y", -labelOffset).attr("text-anchor", "middle").call(applyTextStyle, { fill: "#6b7280" }).text(label);
+  if (label) g.append("text").attr("transform", "rotate(-90)").attr("x", -innerHeight / 2).attr("y", -labelOffset).attr("text-anchor", "middle").call(applyTextStyle, { fill: chartTheme().muted }).text(label);
   return yAxisG;
 }
 
 export function renderGridlines(g, scale, config = {}) {
-  const { orientation = 'horizontal', tickCount = 5, values, innerWidth, innerHeight, color = '#333333', strokeWidth = 1 } = config;
+  const { orientation = 'horizontal', tickCount = 5, values, innerWidth, innerHeight, color = chartTheme().grid, strokeWidth = 1 } = config;
   const ticks = values || scale.ticks(tickCount);
   const gridG = g.append("g").attr("class", `grid-${orientation}`);
   gridG.selectAll("line").data(ticks).enter().append("line")
@@ -32,7 +33,7 @@ export function renderGridlines(g, scale, config = {}) {
 }
 
 export function renderThresholdLine(g, yScale, value, config = {}) {
-  const { label, color = '#ef4444', strokeWidth = 2, dashArray = '5,5', innerWidth, textAlign = 'start', textDy = '0.35em' } = config;
+  const { label, color = chartTheme().zones.dead, strokeWidth = 2, dashArray = '5,5', innerWidth, textAlign = 'start', textDy = '0.35em' } = config;
   const line = g.append("line").attr("x1", 0).attr("x2", innerWidth).attr("y1", yScale(value)).attr("y2", yScale(value)).attr("stroke", color).attr("stroke-width", strokeWidth).attr("stroke-dasharray", dashArray);
   let labelText = null;
   if (label) {
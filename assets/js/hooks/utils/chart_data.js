@@ -0,0 +1,49 @@
+import { refreshDataTable } from './data_table.js';
+
+/**
+ * Keeps a chart hook's data between LiveView patches, so new cycles can
+ * arrive as small pushed deltas instead of a re-encoded `data-chart-data`.
+ *
+ * The data is loaded with `parse()` on mount and re-read only when the
+ * server re-renders the attribute (a resync, see `Show.ChartDeltas`) or when
+ * `sync(true)` forces it after a reconnect. `deltas` maps pushed event names
+ * to `(data, payload) => data`; events whose `id` names another chart are
+ * ignored, and each applied delta re-renders the chart and its table view.
+ *
+ * Returns `{ get, sync }`. `sync(force)` reports whether the data was reloaded.
+ */
+export function bindChartData(hook, { parse, deltas = {} }) {
+  let source = null;
+  let data = null;
+  const load = () => {
+    source = hook.el.dataset.chartData;
+    data = parse();
+  };
+  load();
+
+  Object.entries(deltas).forEach(([event, apply]) => {
+    hook.handleEvent(event, (payload) => {
+      if (payload.id !== hook.el.id) return;
+      data = apply(data, payload);
+      hook.renderChart();
+      refreshDataTable(hook.el);
+    });
+  });
+
+  return {
+    get: () => data,
+    sync(force = false) {
+      if (!force && hook.el.dataset.chartData === source) return false;
+      load();
+      return true;
+    }
+  };
+}
+
+// Replaces the entry `matches` finds in `list`, or appends `entry`
+export function upsert(list, entry, matches) {
+  const index = list.findIndex(matches);
+  if (index === -1) list.push(entry);
+  else list[index] = { ...list[index], ...entry };
+  return list;
+}
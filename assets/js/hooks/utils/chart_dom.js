@@ -1,3 +1,5 @@
+import { chartTheme } from './theme.js';
+
 export function cleanupSvg(el) {
   d3.select(el).selectAll("svg").remove();
 }
@@ -8,23 +10,32 @@ export function parseChartData(el, attrName, fallback) {
   try { return JSON.parse(dataAttr); } catch (e) { console.warn(`Chart: Failed to parse data-${attrName}`, e); return fallback; }
 }
 
+// Width inside the container's padding, which is what an SVG child can fill
+export function contentWidth(el) {
+  const style = getComputedStyle(el);
+  return Math.max(0, Math.floor(el.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight)));
+}
+
 export function getChartDimensions(el, defaults) {
   const { width: defaultWidth, height: defaultHeight, margin: defaultMargin } = defaults;
   const getMargin = (side) => parseInt(el.dataset[`chartMargin${side.charAt(0).toUpperCase() + side.slice(1)}`]) || defaultMargin[side];
   const margin = { top: getMargin('top'), right: getMargin('right'), bottom: getMargin('bottom'), left: getMargin('left') };
-  const width = parseInt(el.dataset.chartWidth) || el.clientWidth || defaultWidth;
+  const width = parseInt(el.dataset.chartWidth) || contentWidth(el) || defaultWidth;
   const height = parseInt(el.dataset.chartHeight) || defaultHeight;
   return { width, height, margin, innerWidth: width - margin.left - margin.right, innerHeight: height - margin.top - margin.bottom };
 }
 
 export function createTooltip(className, styleOverrides = {}) {
   const tooltip = d3.select("body").append("div").attr("class", className);
-  Object.entries({ position: "absolute", padding: "8px 12px", background: "#1a1a1a", border: "2px solid #ffffff", color: "#ffffff", "font-family": "monospace", "font-size": "12px", "pointer-events": "none", opacity: 0, "z-index": 1000, ...styleOverrides })
+  Object.entries({ position: "absolute", padding: "8px 12px", border: "2px solid", "font-family": "monospace", "font-size": "12px", "pointer-events": "none", opacity: 0, "z-index": 1000, ...styleOverrides })
     .forEach(([k, v]) => tooltip.style(k, v));
   return tooltip;
 }
 
+// Colours come from the theme on every show, so a tooltip created before a switch follows it
 export function showTooltip(tooltip, html, event) {
+  const theme = chartTheme();
+  tooltip.style("background", theme.panel).style("border-color", theme.strong).style("color", theme.strong);
   tooltip.style("opacity", 1).html(html).style("left", event.pageX + 10 + "px").style("top", event.pageY - 10 + "px");
 }
 
@@ -41,6 +52,6 @@ export function escapeHtml(str) {
 }
 
 export function applyTextStyle(selection, overrides = {}) {
-  return Object.entries({ fill: '#9ca3af', 'font-family': 'monospace', 'font-size': '12px', ...overrides })
+  return Object.entries({ fill: chartTheme().text, 'font-family': 'monospace', 'font-size': '12px', ...overrides })
     .reduce((sel, [k, v]) => sel.attr(k, v), selection);
 }
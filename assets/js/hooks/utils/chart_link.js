@@ -0,0 +1,46 @@
+const subscribers = new Set();
+let linkState = { hovered: null, selected: null };
+
+/**
+ * Client-side coordination for the session charts and cycle log.
+ *
+ * Every subscriber is told about every change, including ones it made
+ * itself, so a hook renders its highlight from `activeCycle(state)` in one
+ * place. Clicking the selected cycle again clears the selection. State is
+ * dropped once the last subscriber leaves, so it doesn't leak across pages.
+ */
+export function linkCycles(onChange) {
+  const subscriber = { onChange };
+  subscribers.add(subscriber);
+  return {
+    hover: (cycle) => setLinkState({ hovered: cycle ?? null }, subscriber),
+    select: (cycle) => setLinkState({ selected: linkState.selected === cycle ? null : cycle }, subscriber),
+    current: () => linkState,
+    unsubscribe: () => {
+      subscribers.delete(subscriber);
+      if (subscribers.size === 0) linkState = { hovered: null, selected: null };
+    }
+  };
+}
+
+/**
+ * Shift-click (or Shift+Enter) on charts rendered with `cycle_compare` sends
+ * the cycle to the LiveView as one end of the claim diff. Returns false when
+ * the event isn't a compare pick, so the caller falls back to linking.
+ */
+export function pickCompareCycle(hook, event, cycle) {
+  if (!event?.shiftKey || !("cycleCompare" in hook.el.dataset)) return false;
+  hook.pushEvent("compare_cycle", { cycle });
+  return true;
+}
+
+export function activeCycle(state) {
+  return state.hovered ?? state.selected;
+}
+
+function setLinkState(patch, source) {
+  const next = { ...linkState, ...patch };
+  if (next.hovered === linkState.hovered && next.selected === linkState.selected) return;
+  linkState = next;
+  subscribers.forEach((s) => s.onChange(linkState, s === source));
+}
@@ -1,23 +1,33 @@
+import { chartTheme } from './theme.js';
+
 export const TRANSITION_DURATION = 300;
 export const FLASH_DISMISS_MS = 4000;
 export const DEATH_THRESHOLD = 0.2;
+export const GRAVE_KEEPER_THRESHOLD = 0.4;
 export const GRADUATION_THRESHOLD = 0.85;
 
-export const ROLE_COLORS = {
-  explorer: "#22c55e", critic: "#ef4444", connector: "#3b82f6", steelman: "#eab308",
-  operationalizer: "#f97316", quantifier: "#8b5cf6", reducer: "#06b6d4", boundary_hunter: "#ec4899",
-  translator: "#14b8a6", historian: "#a855f7", grave_keeper: "#6b7280", cartographer: "#f59e0b", perturber: "#dc2626"
-};
+// Fallback for charts drawn without a session's own thresholds (Unshackled.Config.thresholds/1)
+export const DEFAULT_THRESHOLDS = { death: DEATH_THRESHOLD, grave_keeper: GRAVE_KEEPER_THRESHOLD, graduation: GRADUATION_THRESHOLD };
+
+export function resolveThresholds(thresholds) {
+  return { ...DEFAULT_THRESHOLDS, ...(thresholds || {}) };
+}
 
 export function getRoleColor(role) {
-  return ROLE_COLORS[role] || "#ffffff";
+  const theme = chartTheme();
+  return theme.roles[role] || theme.strong;
+}
+
+// Support zones bounded by the thresholds, lowest first; coloured by `chartTheme().zones`
+export function supportZone(support, thresholds = DEFAULT_THRESHOLDS) {
+  if (support >= thresholds.graduation) return "graduated";
+  if (support >= thresholds.grave_keeper) return "healthy";
+  if (support > thresholds.death) return "grave_keeper";
+  return "dead";
 }
 
-export function supportToColor(support) {
-  if (support >= 0.85) return "#3b82f6";
-  if (support >= 0.5) return "#22c55e";
-  if (support >= 0.2) return "#eab308";
-  return "#ef4444";
+export function supportToColor(support, thresholds = DEFAULT_THRESHOLDS) {
+  return chartTheme().zones[supportZone(support, thresholds)];
 }
 
 export function formatRole(role) {
@@ -33,10 +43,12 @@ export function formatRoleShort(role, maxLen) {
   return formatted.length <= maxLen ? formatted : formatted.substring(0, maxLen - 1) + "…";
 }
 
-export function supportToColorGradient(support) {
-  const t = support <= 0.5 ? support * 2 : (support - 0.5) * 2;
-  const hex = x => (x.toString(16).padStart(2, '0'));
-  const r = support <= 0.5 ? 255 : Math.round(255 * (1 - t));
-  const g = support <= 0.5 ? Math.round(255 * t) : 255;
-  return "#" + [r, g, 0].map(hex).join("");
+// The theme's support ramp: first stop at the death threshold, middle at the Grave Keeper
+// threshold, last at graduation
+export function supportToColorGradient(support, thresholds = DEFAULT_THRESHOLDS) {
+  const { death, grave_keeper, graduation } = thresholds;
+  const [lowColor, midColor, highColor] = chartTheme().gradient;
+  const low = support <= grave_keeper;
+  const t = Math.max(0, Math.min(1, low ? (support - death) / (grave_keeper - death) : (support - grave_keeper) / (graduation - grave_keeper)));
+  return d3.color(low ? d3.interpolateRgb(lowColor, midColor)(t) : d3.interpolateRgb(midColor, highColor)(t)).formatHex();
 }
@@ -0,0 +1,54 @@
+import { escapeHtml } from './chart_dom.js';
+
+/**
+ * Tabular fallback for charts rendered by `CoreComponents.chart`.
+ *
+ * The toolbar's "Table" button toggles the chart and its `#<id>-table`
+ * sibling with JS commands (so visibility survives LiveView patches) and
+ * dispatches `chart:toggle-table`, which app.js routes here. Rows come from
+ * the hook's export rows when it has them, so the table matches the CSV;
+ * otherwise they're derived from `data-chart-data` directly.
+ */
+export function renderDataTable(chartEl) {
+  const container = document.getElementById(`${chartEl.id}-table`);
+  if (!container) return;
+
+  const rows = chartEl.getChartRows?.() ?? rowsFromChartData(chartEl);
+  container.dataset.rendered = "true";
+
+  if (!rows.length) {
+    container.innerHTML = `<p class="text-text-muted text-sm italic p-4">No data yet</p>`;
+    return;
+  }
+
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const cell = (value) => escapeHtml(value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value));
+  const label = chartEl.getAttribute("aria-label")?.split(".")[0] || chartEl.id;
+
+  container.innerHTML = `
+    <table class="w-full text-xs font-mono text-left">
+      <caption class="sr-only">${escapeHtml(label)} data</caption>
+      <thead class="sticky top-0 bg-surface">
+        <tr>${columns.map((c) => `<th scope="col" class="px-2 py-1 text-text-muted uppercase border-b border-border">${escapeHtml(c.replace(/_/g, " "))}</th>`).join("")}</tr>
+      </thead>
+      <tbody>
+        ${rows.map((row) => `<tr class="border-b border-border-subtle">${columns.map((c) => `<td class="px-2 py-1 text-text-secondary align-top">${cell(row[c])}</td>`).join("")}</tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Re-renders the table after a chart update, but only once it has been opened.
+ */
+export function refreshDataTable(chartEl) {
+  const container = document.getElementById(`${chartEl.id}-table`);
+  if (container?.dataset.rendered) renderDataTable(chartEl);
+}
+
+function rowsFromChartData(chartEl) {
+  let data;
+  try { data = JSON.parse(chartEl.dataset.chartData || "[]"); } catch (e) { return []; }
+  if (Array.isArray(data)) return data.filter((row) => row && typeof row === "object");
+  const firstList = data && Object.values(data).find(Array.isArray);
+  return firstList ? firstList.filter((row) => row && typeof row === "object") : [];
+}
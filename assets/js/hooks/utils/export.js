@@ -0,0 +1,109 @@
+import { chartTheme } from './theme.js';
+
+const PNG_SCALE = 2;
+
+/**
+ * Wires a chart hook up to the `chart:export` event dispatched by the
+ * toolbar that `CoreComponents.chart` renders when `exportable` is set.
+ *
+ * `getRows` returns the flat rows written to CSV. Plotly charts are detected
+ * from the element and exported through Plotly itself so the paper colours
+ * and legend survive; D3 charts are serialised from their SVG.
+ *
+ * `getRows` is also exposed as `el.getChartRows` for the data-table view.
+ *
+ * Returns a function that removes the listener.
+ */
+export function bindChartExport(hook, { getRows }) {
+  const handler = (event) => {
+    const format = event.detail?.format;
+    const filename = hook.el.id || "chart";
+    if (format === "csv") return downloadCsv(getRows(), filename);
+    if (hook.el.classList.contains("js-plotly-plot")) return exportPlotly(hook.el, format, filename);
+    const svg = hook.el.querySelector("svg");
+    if (!svg) { console.warn("Chart export: no SVG to export", hook.el.id); return; }
+    if (format === "svg") return downloadBlob(new Blob([serializeSvg(svg)], { type: "image/svg+xml;charset=utf-8" }), `${filename}.svg`);
+    if (format === "png") return exportPng(svg, filename);
+  };
+  hook.el.addEventListener("chart:export", handler);
+  hook.el.getChartRows = getRows;
+  return () => {
+    hook.el.removeEventListener("chart:export", handler);
+    delete hook.el.getChartRows;
+  };
+}
+
+/**
+ * Serialises an SVG node into a standalone document with the theme's
+ * background painted in, since the page background is not part of the SVG.
+ * Point canvases laid over the SVG in high-volume mode are embedded as images.
+ */
+export function serializeSvg(svgNode) {
+  const clone = svgNode.cloneNode(true);
+  const width = svgNode.getAttribute("width") || svgNode.clientWidth;
+  const height = svgNode.getAttribute("height") || svgNode.clientHeight;
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  clone.setAttribute("font-family", "monospace");
+  const background = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  Object.entries({ x: 0, y: 0, width, height, fill: chartTheme().background }).forEach(([k, v]) => background.setAttribute(k, v));
+  clone.insertBefore(background, clone.firstChild);
+  svgNode.parentNode?.querySelectorAll("canvas.point-canvas").forEach((canvas) => {
+    const image = document.createElementNS("http://www.w3.org/2000/svg", "image");
+    Object.entries({ x: canvas.dataset.svgX, y: canvas.dataset.svgY, width: parseFloat(canvas.style.width), height: parseFloat(canvas.style.height), href: canvas.toDataURL("image/png") }).forEach(([k, v]) => image.setAttribute(k, v));
+    clone.appendChild(image);
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+}
+
+export function toCsv(rows) {
+  if (!rows?.length) return "";
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const cell = (value) => {
+    if (value === null || value === undefined) return "";
+    const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.join(","), ...rows.map((row) => columns.map((c) => cell(row[c])).join(","))].join("\n");
+}
+
+function downloadCsv(rows, filename) {
+  downloadBlob(new Blob([toCsv(rows)], { type: "text/csv;charset=utf-8" }), `${filename}.csv`);
+}
+
+function exportPlotly(el, format, filename) {
+  if (typeof Plotly === "undefined" || !["svg", "png"].includes(format)) return;
+  const { width, height } = el._fullLayout || {};
+  Plotly.downloadImage(el, { format, filename, width, height, scale: format === "png" ? PNG_SCALE : 1 });
+}
+
+function exportPng(svgNode, filename) {
+  const width = parseInt(svgNode.getAttribute("width")) || svgNode.clientWidth;
+  const height = parseInt(svgNode.getAttribute("height")) || svgNode.clientHeight;
+  const url = URL.createObjectURL(new Blob([serializeSvg(svgNode)], { type: "image/svg+xml;charset=utf-8" }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width * PNG_SCALE;
+    canvas.height = height * PNG_SCALE;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(PNG_SCALE, PNG_SCALE);
+    ctx.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => blob && downloadBlob(blob, `${filename}.png`), "image/png");
+  };
+  image.onerror = () => { URL.revokeObjectURL(url); console.warn("Chart export: failed to rasterise SVG"); };
+  image.src = url;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
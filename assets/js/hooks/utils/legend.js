@@ -1,18 +1,74 @@
 import { applyTextStyle } from './chart_dom.js';
+import { chartTheme } from './theme.js';
 
+const HIDDEN_ITEM_OPACITY = 0.35;
+
+/**
+ * Draws a grid or gradient legend into `svg`.
+ *
+ * A gradient legend's `items` is one object: `startColor`, `endColor` and an
+ * optional `midColor`, with `startLabel`, `endLabel` and `title`.
+ *
+ * Grid items become toggles when `onToggle` is given: each item needs a
+ * `key`, items whose key is in `hidden` are drawn dimmed, and clicking (or
+ * Enter/Space) calls `onToggle(key, { isolate })`, where `isolate` is true
+ * for shift-click. Hooks keep `hidden` themselves so it survives re-renders;
+ * `toggleHidden` computes the next set.
+ */
 export function renderLegend(svg, items, config = {}) {
   if (!items || (Array.isArray(items) && items.length === 0)) return null;
-  const { position = { x: 0, y: 0 }, type = 'grid', itemSize = { width: 100, height: 20 }, boxSize = { width: 12, height: 12 }, boxOffset = { x: 18, y: 10 }, spacing = { x: 0, y: 0 }, maxItemsPerRow = 3, labelStyle = {}, gradientSize = { width: 100, height: 10 }, stroke = '#ffffff', strokeWidth = 1 } = config;
+  const { position = { x: 0, y: 0 }, type = 'grid', itemSize = { width: 100, height: 20 }, boxSize = { width: 12, height: 12 }, boxOffset = { x: 18, y: 10 }, spacing = { x: 0, y: 0 }, maxItemsPerRow = 3, labelStyle = {}, gradientSize = { width: 100, height: 10 }, stroke = chartTheme().strong, strokeWidth = 1, hidden = new Set(), onToggle = null } = config;
   const legendGroup = svg.append('g').attr('class', 'legend-group').attr('transform', `translate(${position.x},${position.y})`);
-  type === 'gradient' ? renderGradientLegend(legendGroup, items, { gradientSize, stroke, strokeWidth, labelStyle }) : renderGridLegend(legendGroup, items, { itemSize, boxSize, boxOffset, spacing, maxItemsPerRow, stroke, strokeWidth, labelStyle });
+  type === 'gradient' ? renderGradientLegend(legendGroup, items, { gradientSize, stroke, strokeWidth, labelStyle }) : renderGridLegend(legendGroup, items, { itemSize, boxSize, boxOffset, spacing, maxItemsPerRow, stroke, strokeWidth, labelStyle, hidden, onToggle });
   return legendGroup;
 }
 
+/**
+ * Next hidden set after a legend toggle. A plain toggle flips one key;
+ * isolating hides every other key, or shows everything again when `key`
+ * is already the only visible one.
+ */
+export function toggleHidden(hidden, key, keys, isolate = false) {
+  if (!isolate) {
+    const next = new Set(hidden);
+    next.has(key) ? next.delete(key) : next.add(key);
+    return next;
+  }
+  const others = keys.filter((k) => k !== key);
+  const alreadyIsolated = !hidden.has(key) && others.every((k) => hidden.has(k));
+  return alreadyIsolated ? new Set() : new Set(others);
+}
+
 function renderGridLegend(legendGroup, items, config) {
-  const { itemSize, boxSize, boxOffset, maxItemsPerRow, stroke, strokeWidth, labelStyle } = config;
+  const { itemSize, boxSize, boxOffset, maxItemsPerRow, stroke, strokeWidth, labelStyle, hidden, onToggle } = config;
   const legendItems = legendGroup.selectAll('.legend-item').data(items).enter().append('g').attr('class', 'legend-item').attr('transform', (_, i) => `translate(${(i % maxItemsPerRow) * itemSize.width},${Math.floor(i / maxItemsPerRow) * itemSize.height})`);
   legendItems.append('rect').attr('width', boxSize.width).attr('height', boxSize.height).attr('fill', d => d.color).attr('stroke', stroke).attr('stroke-width', strokeWidth);
   legendItems.append('text').attr('x', boxOffset.x).attr('y', boxOffset.y).text(d => d.label).call(applyTextStyle, { 'font-size': '10px', ...labelStyle });
+  if (onToggle) bindLegendToggles(legendItems, { itemSize, hidden, onToggle });
+}
+
+function bindLegendToggles(legendItems, { itemSize, hidden, onToggle }) {
+  // Transparent hit area so the gap between box and label is clickable too
+  legendItems.insert('rect', ':first-child').attr('class', 'legend-hit').attr('width', itemSize.width).attr('height', itemSize.height).attr('y', -2).attr('fill', 'transparent');
+  legendItems
+    .attr('opacity', d => (hidden.has(d.key) ? HIDDEN_ITEM_OPACITY : 1))
+    .attr('role', 'button').attr('tabindex', 0)
+    .attr('aria-pressed', d => String(!hidden.has(d.key)))
+    .attr('aria-label', d => `${d.label}: ${hidden.has(d.key) ? 'hidden' : 'shown'}. Click to toggle, shift-click to show only this.`)
+    .style('cursor', 'pointer')
+    .on('click', (event, d) => { event.stopPropagation(); onToggle(d.key, { isolate: event.shiftKey }); })
+    // Rapid toggling shouldn't reach chart-level double-click handlers (zoom reset)
+    .on('dblclick', (event) => event.stopPropagation())
+    .on('keydown', (event, d) => {
+      if (event.key !== 'Enter' && event.key !== ' ') return;
+      // Keep the chart's own keyboard navigation from also handling the key
+      event.preventDefault();
+      event.stopPropagation();
+      const svgNode = event.currentTarget.ownerSVGElement;
+      onToggle(d.key, { isolate: event.shiftKey });
+      // The hook redraws its legend on toggle, so refocus the replacement item
+      d3.select(svgNode).selectAll('.legend-item').filter((item) => item.key === d.key).node()?.focus();
+    });
 }
 
 function renderGradientLegend(legendGroup, items, config) {
@@ -20,9 +76,10 @@ function renderGradientLegend(legendGroup, items, config) {
   const gradientId = `gradient-${Date.now()}`;
   const gradient = legendGroup.append('defs').append('linearGradient').attr('id', gradientId).attr('x1', '0%').attr('x2', '100%');
   gradient.append('stop').attr('offset', '0%').attr('stop-color', items.startColor);
+  if (items.midColor) gradient.append('stop').attr('offset', '50%').attr('stop-color', items.midColor);
   gradient.append('stop').attr('offset', '100%').attr('stop-color', items.endColor);
   legendGroup.append('rect').attr('width', gradientSize.width).attr('height', gradientSize.height).attr('fill', `url(#${gradientId})`).attr('stroke', stroke).attr('stroke-width', strokeWidth);
-  if (items.startLabel) legendGroup.append('text').attr('x', 0).attr('y', gradientSize.height + 12).call(applyTextStyle, { fill: '#6b7280', 'font-size': '10px', ...labelStyle }).text(items.startLabel);
-  if (items.endLabel) legendGroup.append('text').attr('x', gradientSize.width).attr('y', gradientSize.height + 12).attr('text-anchor', 'end').call(applyTextStyle, { fill: '#6b7280', 'font-size': '10px', ...labelStyle }).text(items.endLabel);
+  if (items.startLabel) legendGroup.append('text').attr('x', 0).attr('y', gradientSize.height + 12).call(applyTextStyle, { fill: chartTheme().muted, 'font-size': '10px', ...labelStyle }).text(items.startLabel);
+  if (items.endLabel) legendGroup.append('text').attr('x', gradientSize.width).attr('y', gradientSize.height + 12).attr('text-anchor', 'end').call(applyTextStyle, { fill: chartTheme().muted, 'font-size': '10px', ...labelStyle }).text(items.endLabel);
   if (items.title) legendGroup.append('text').attr('x', gradientSize.width / 2).attr('y', -3).attr('text-anchor', 'middle').call(applyTextStyle, { 'font-size': '10px' }).text(items.title);
 }
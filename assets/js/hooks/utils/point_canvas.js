@@ -0,0 +1,94 @@
+// Past this many points a chart draws them on one canvas instead of one SVG circle each
+export const HIGH_VOLUME_THRESHOLD = 1500;
+
+// How close (px) the pointer has to be to a canvas point to hover it
+const HIT_RADIUS = 8;
+
+export function isHighVolume(count) {
+  return count > HIGH_VOLUME_THRESHOLD;
+}
+
+/**
+ * Canvas layer for scatter points, laid over the plot area of `svg` (the
+ * group translated by `margin`). Used in high-volume mode, where thousands of
+ * SVG circles make every update and hover slow.
+ *
+ * The canvas ignores the pointer, so the SVG underneath keeps its brush and
+ * legend; `hover` hit-tests against a quadtree of the last drawn points
+ * instead. Export picks the canvas up as an image (see `serializeSvg`).
+ *
+ * Returns `{ draw, hover, remove }`.
+ */
+export function createPointCanvas(el, svg, { margin, innerWidth, innerHeight }) {
+  const ratio = window.devicePixelRatio || 1;
+  if (getComputedStyle(el).position === "static") el.style.position = "relative";
+  const svgNode = svg.node();
+  const left = svgNode.offsetLeft + margin.left;
+  const top = svgNode.offsetTop + margin.top;
+
+  const canvas = d3.select(el).append("canvas")
+    .attr("class", "point-canvas")
+    .attr("width", Math.round(innerWidth * ratio))
+    .attr("height", Math.round(innerHeight * ratio))
+    .attr("data-svg-x", margin.left)
+    .attr("data-svg-y", margin.top)
+    .style("position", "absolute")
+    .style("left", `${left}px`)
+    .style("top", `${top}px`)
+    .style("width", `${innerWidth}px`)
+    .style("height", `${innerHeight}px`)
+    .style("pointer-events", "none");
+  const context = canvas.node().getContext("2d");
+  context.scale(ratio, ratio);
+
+  let quadtree = d3.quadtree();
+
+  return {
+    // `x`, `y`, `radius` and `fill` are accessors on each point
+    draw(points, { x, y, radius, fill, stroke, strokeWidth = 1 }) {
+      context.clearRect(0, 0, innerWidth, innerHeight);
+      context.lineWidth = strokeWidth;
+      context.strokeStyle = stroke;
+      points.forEach((d) => {
+        context.beginPath();
+        context.arc(x(d), y(d), radius(d), 0, 2 * Math.PI);
+        context.fillStyle = fill(d);
+        context.fill();
+        if (strokeWidth > 0) context.stroke();
+      });
+      quadtree = d3.quadtree().x(x).y(y).addAll(points);
+    },
+
+    // Calls `onEnter(event, d)` when the pointer reaches a point, `onMove(event)`
+    // while it stays on it, `onLeave()` when it leaves, `onClick(event, d)` on click
+    hover(target, { onEnter, onMove = () => {}, onLeave, onClick }) {
+      let current = null;
+      const find = (event) => {
+        const [px, py] = d3.pointer(event, svgNode);
+        return quadtree.find(px - margin.left, py - margin.top, HIT_RADIUS) || null;
+      };
+      target
+        .on("mousemove.points", (event) => {
+          const d = find(event);
+          if (d === current) { if (d) onMove(event); return; }
+          if (current) onLeave();
+          current = d;
+          target.style("cursor", d ? "pointer" : null);
+          if (d) onEnter(event, d);
+        })
+        .on("mouseleave.points", () => {
+          if (current) onLeave();
+          current = null;
+          target.style("cursor", null);
+        })
+        .on("click.points", (event) => {
+          const d = find(event);
+          if (d) onClick(event, d);
+        });
+    },
+
+    remove() {
+      canvas.remove();
+    }
+  };
+}
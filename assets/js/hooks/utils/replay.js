@@ -0,0 +1,30 @@
+const followers = new Set();
+let replayCycle = null;
+
+/**
+ * Client side of the session replay (see `Show.Replay`).
+ *
+ * `ReplayHook` sets the cycle being replayed as its slider moves or plays,
+ * and chart hooks follow it, trimming the data they already hold with
+ * `upToReplay` so scrubbing never waits on the server. A null cycle is the
+ * live session. Returns a function that stops following.
+ */
+export function followReplay(onChange) {
+  followers.add(onChange);
+  return () => followers.delete(onChange);
+}
+
+export function setReplayCycle(cycle) {
+  if (cycle === replayCycle) return;
+  replayCycle = cycle;
+  followers.forEach((onChange) => onChange(cycle));
+}
+
+export function currentReplayCycle() {
+  return replayCycle;
+}
+
+// The items up to the replay cycle; all of them when the page is live
+export function upToReplay(items, cycleOf = (d) => d.cycle) {
+  return replayCycle === null ? items : items.filter((d) => cycleOf(d) <= replayCycle);
+}
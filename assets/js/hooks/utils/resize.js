@@ -0,0 +1,43 @@
+import { contentWidth, hideTooltip } from './chart_dom.js';
+
+// Long enough to skip the intermediate sizes of a window drag or sidebar animation
+const RESIZE_DEBOUNCE_MS = 150;
+
+/**
+ * Calls `onResize()` once a chart hook's element has settled at a new width,
+ * e.g. after a window resize, a sidebar collapse or the charts grid switching
+ * columns. Height changes are ignored, since they come from the chart's own
+ * redraw. Charts with a fixed `data-chart-width` are never re-laid out, and a
+ * hidden chart (width 0, e.g. while its table is shown) keeps its last layout.
+ *
+ * The hook's tooltip is hidden first: the mark it points at is about to move.
+ *
+ * Returns a function that stops observing.
+ */
+export function observeResize(hook, onResize) {
+  const el = hook.el;
+  if (parseInt(el.dataset.chartWidth) || typeof ResizeObserver === "undefined") return () => {};
+
+  let width = contentWidth(el);
+  let timer = null;
+
+  const settle = () => {
+    timer = null;
+    const next = contentWidth(el);
+    if (next === 0 || next === width) return;
+    width = next;
+    if (hook.tooltip) hideTooltip(hook.tooltip);
+    onResize();
+  };
+
+  const observer = new ResizeObserver(() => {
+    clearTimeout(timer);
+    timer = setTimeout(settle, RESIZE_DEBOUNCE_MS);
+  });
+  observer.observe(el);
+
+  return () => {
+    clearTimeout(timer);
+    observer.disconnect();
+  };
+}
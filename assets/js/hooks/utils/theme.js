@@ -0,0 +1,104 @@
+// Chosen theme, kept per browser; the root layout applies it before first paint
+export const THEME_STORAGE_KEY = "unshackled-theme";
+export const DEFAULT_THEME = "dark";
+
+const THEME_CHANGE_EVENT = "unshackled:theme-change";
+
+const DARK_ROLES = {
+  explorer: "#22c55e", critic: "#ef4444", connector: "#3b82f6", steelman: "#eab308",
+  operationalizer: "#f97316", quantifier: "#8b5cf6", reducer: "#06b6d4", boundary_hunter: "#ec4899",
+  translator: "#14b8a6", historian: "#a855f7", grave_keeper: "#6b7280", cartographer: "#f59e0b", perturber: "#dc2626"
+};
+
+/**
+ * Chart palettes, one per `data-theme` value on <html>. The page chrome is
+ * themed by the matching CSS variables in app.css; keep the two in step.
+ *
+ * - `background` chart paper, and the separator stroke between filled shapes
+ * - `text` axis ticks and legend labels; `muted` secondary labels; `faint` guide lines
+ * - `grid` gridlines and panel borders; `panel` tooltip and control backgrounds
+ * - `strong` marker outlines and emphasised text; `highlight` the linked cycle
+ * - `accent` start of the cycle ramp and annotation flags; `transition` claim change markers
+ * - `zones` support zones; `gradient` the support ramp from the death through
+ *   the Grave Keeper to the graduation threshold
+ * - `series` overlaid sessions, matching the `--color-series-N` CSS variables
+ */
+export const THEMES = {
+  dark: {
+    background: "#0a0a0a", text: "#9ca3af", muted: "#6b7280", faint: "#4b5563", grid: "#333333",
+    panel: "#1a1a1a", strong: "#ffffff", highlight: "#facc15", accent: "#06b6d4", transition: "#a855f7",
+    zones: { dead: "#ef4444", grave_keeper: "#eab308", healthy: "#22c55e", graduated: "#3b82f6" },
+    gradient: ["#ff0000", "#ffff00", "#00ff00"],
+    series: ["#ffffff", "#06b6d4", "#f59e0b", "#ec4899", "#22c55e", "#8b5cf6"],
+    roles: DARK_ROLES
+  },
+  light: {
+    background: "#ffffff", text: "#4b5563", muted: "#6b7280", faint: "#9ca3af", grid: "#e5e7eb",
+    panel: "#ffffff", strong: "#111827", highlight: "#d97706", accent: "#0891b2", transition: "#9333ea",
+    zones: { dead: "#dc2626", grave_keeper: "#ca8a04", healthy: "#16a34a", graduated: "#2563eb" },
+    gradient: ["#dc2626", "#ca8a04", "#16a34a"],
+    series: ["#111827", "#0891b2", "#d97706", "#db2777", "#16a34a", "#7c3aed"],
+    roles: { ...DARK_ROLES, steelman: "#ca8a04", reducer: "#0891b2", grave_keeper: "#4b5563", cartographer: "#d97706" }
+  },
+  high_contrast: {
+    background: "#000000", text: "#ffffff", muted: "#e5e5e5", faint: "#a3a3a3", grid: "#737373",
+    panel: "#000000", strong: "#ffffff", highlight: "#ffff00", accent: "#00ffff", transition: "#f0abfc",
+    zones: { dead: "#ff5c5c", grave_keeper: "#ffd600", healthy: "#00e676", graduated: "#4db8ff" },
+    gradient: ["#ff5c5c", "#ffd600", "#00e676"],
+    series: ["#ffffff", "#00ffff", "#ffd600", "#ff66cc", "#00e676", "#b388ff"],
+    roles: { ...DARK_ROLES, grave_keeper: "#d4d4d4", perturber: "#ff5c5c" }
+  },
+  // Okabe–Ito colours: support runs vermillion to blue, so no zone relies on red vs green
+  colorblind: {
+    background: "#0a0a0a", text: "#9ca3af", muted: "#6b7280", faint: "#4b5563", grid: "#333333",
+    panel: "#1a1a1a", strong: "#ffffff", highlight: "#f0e442", accent: "#56b4e9", transition: "#cc79a7",
+    zones: { dead: "#d55e00", grave_keeper: "#e69f00", healthy: "#56b4e9", graduated: "#0072b2" },
+    gradient: ["#d55e00", "#f0e442", "#0072b2"],
+    series: ["#ffffff", "#56b4e9", "#e69f00", "#cc79a7", "#009e73", "#f0e442"],
+    roles: {
+      explorer: "#009e73", critic: "#d55e00", connector: "#0072b2", steelman: "#f0e442",
+      operationalizer: "#e69f00", quantifier: "#cc79a7", reducer: "#56b4e9", boundary_hunter: "#aa4499",
+      translator: "#44aa99", historian: "#882255", grave_keeper: "#888888", cartographer: "#ddcc77", perturber: "#6699cc"
+    }
+  }
+};
+
+export function currentThemeName() {
+  const name = document.documentElement.dataset.theme;
+  return THEMES[name] ? name : DEFAULT_THEME;
+}
+
+// The palette charts draw with; read at render time so a switch shows on the next draw
+export function chartTheme() {
+  return THEMES[currentThemeName()];
+}
+
+/**
+ * Switches the page and every subscribed chart to `name` and remembers the
+ * choice. Unknown names fall back to the default theme.
+ */
+export function setTheme(name) {
+  const theme = THEMES[name] ? name : DEFAULT_THEME;
+  document.documentElement.dataset.theme = theme;
+  try { localStorage.setItem(THEME_STORAGE_KEY, theme); } catch (e) {}
+  window.dispatchEvent(new CustomEvent(THEME_CHANGE_EVENT, { detail: { theme } }));
+}
+
+/**
+ * Calls `onChange(name)` after every theme switch, including ones made in
+ * another tab. Returns a function that removes the listeners.
+ */
+export function onThemeChange(onChange) {
+  const handler = () => onChange(currentThemeName());
+  const storageHandler = (event) => {
+    if (event.key !== THEME_STORAGE_KEY) return;
+    document.documentElement.dataset.theme = THEMES[event.newValue] ? event.newValue : DEFAULT_THEME;
+    handler();
+  };
+  window.addEventListener(THEME_CHANGE_EVENT, handler);
+  window.addEventListener("storage", storageHandler);
+  return () => {
+    window.removeEventListener(THEME_CHANGE_EVENT, handler);
+    window.removeEventListener("storage", storageHandler);
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * Overlays shared by the 2D and 3D trajectory plots: a halo on the cycles
+ * `Embedding.Stagnation` flags as stagnant, and a glyph on each cycle the
+ * Cartographer or Perturber ran in (`point.stagnant`, `point.interventions`).
+ *
+ * Each overlay has a legend key, so the plots can toggle them like any other
+ * legend item. Glyphs are given as a d3 symbol name for the 2D plot and the
+ * matching Plotly scatter3d symbol, so both plots draw the same shapes; the
+ * 2D plot offsets them from the point by `offset` pixels so they don't cover
+ * it or each other.
+ */
+export const STAGNATION_OVERLAY = { key: "stagnation", label: "Stagnant" };
+
+export const INTERVENTION_OVERLAYS = {
+  cartographer: { key: "cartographer", label: "Cartographer", symbol: "symbolSquare", plotlySymbol: "square-open", filled: false, offset: -14 },
+  perturber: { key: "perturber", label: "Perturber", symbol: "symbolCross", plotlySymbol: "cross", filled: true, offset: 14 }
+};
+
+/**
+ * One `{ ...point, role }` per intervention on each point, for roles that
+ * have an overlay.
+ */
+export function interventionEvents(points) {
+  return points.flatMap((point) => (point.interventions || []).filter((role) => INTERVENTION_OVERLAYS[role]).map((role) => ({ ...point, role })));
+}
+
+/**
+ * Legend keys for the overlays with something to show among `points`.
+ */
+export function overlayKeys(points) {
+  const stagnation = points.some((point) => point.stagnant) ? [STAGNATION_OVERLAY.key] : [];
+  const roles = new Set(interventionEvents(points).map((event) => event.role));
+  return [...stagnation, ...Object.keys(INTERVENTION_OVERLAYS).filter((role) => roles.has(role))];
+}
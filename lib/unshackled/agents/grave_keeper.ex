@@ -27,18 +27,23 @@ defmodule Unshackled.Agents.GraveKeeper do
   The prompt includes the current claim (which is at risk) and
   the full history of cemetery entries. The agent is instructed to
   identify patterns in how claims have died and suggest how the
-  current claim might avoid similar fates.
+  current claim might avoid similar fates. A claim is at risk below the
+  session's Grave Keeper threshold.
   """
   @impl true
   @spec build_prompt(Server.t()) :: String.t()
+  def build_prompt(%Server{thresholds: nil} = state),
+    do: build_prompt(%{state | thresholds: Server.thresholds(state)})
+
   def build_prompt(%Server{
         current_claim: claim,
         support_strength: support,
         blackboard_id: _blackboard_id,
         cycle_count: current_cycle,
-        blackboard_name: bb_name
+        blackboard_name: bb_name,
+        thresholds: %{grave_keeper: threshold}
       })
-      when is_number(support) and support < 0.4 do
+      when is_number(support) and support < threshold do
     cemetery = Server.get_cemetery(bb_name)
 
     cemetery_text =
@@ -70,7 +75,7 @@ defmodule Unshackled.Agents.GraveKeeper do
 
     Current claim (Cycle #{current_cycle}):
     "#{claim}"
-    Current support: #{support} (AT RISK - below 0.4 threshold)
+    Current support: #{support} (AT RISK - below #{threshold} threshold)
 
     Cemetery records (claims that have died):
     #{cemetery_text}
@@ -162,15 +167,19 @@ defmodule Unshackled.Agents.GraveKeeper do
     """
   end
 
-  def build_prompt(%Server{current_claim: claim, support_strength: support})
-      when is_number(support) and support >= 0.4 do
+  def build_prompt(%Server{
+        current_claim: claim,
+        support_strength: support,
+        thresholds: %{grave_keeper: threshold}
+      })
+      when is_number(support) and support >= threshold do
     """
-    ERROR: Grave Keeper should not be activated when support >= 0.4.
+    ERROR: Grave Keeper should not be activated when support >= #{threshold}.
 
     Current support: #{support} (NOT at risk)
     Current claim: #{claim}
 
-    The Grave Keeper only activates when support_strength < 0.4.
+    The Grave Keeper only activates when support_strength < #{threshold}.
     This is an error in agent scheduling.
 
     Required response format (JSON):
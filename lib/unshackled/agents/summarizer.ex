@@ -88,6 +88,30 @@ defmodule Unshackled.Agents.Summarizer do
     end
   end
 
+  @doc """
+  Retrieves the most recent summary written at or before `cycle_number`, i.e.
+  the summary a reader had at that cycle.
+
+  Returns {:ok, %ClaimSummary{}} if one exists.
+  Returns {:error, :not_found} otherwise.
+  """
+  @spec get_summary_at(pos_integer(), integer()) ::
+          {:ok, ClaimSummary.t()} | {:error, :not_found}
+  def get_summary_at(blackboard_id, cycle_number)
+      when is_integer(blackboard_id) and is_integer(cycle_number) do
+    query =
+      from(cs in ClaimSummary,
+        where: cs.blackboard_id == ^blackboard_id and cs.cycle_number <= ^cycle_number,
+        order_by: [desc: cs.cycle_number],
+        limit: 1
+      )
+
+    case Repo.one(query) do
+      nil -> {:error, :not_found}
+      summary -> {:ok, summary}
+    end
+  end
+
   defp fetch_blackboard(blackboard_id) do
     case Repo.get(BlackboardRecord, blackboard_id) do
       nil -> {:error, :blackboard_not_found}
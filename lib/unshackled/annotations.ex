@@ -0,0 +1,111 @@
+defmodule Unshackled.Annotations do
+  @moduledoc """
+  Context module for annotations: notes reviewers pin to a cycle of a
+  session, shown on its support timeline.
+
+  Every change is broadcast on the blackboard's PubSub topic, so each open
+  session page shows it live.
+
+  ## Functions
+
+  * `list_annotations/1` - List a session's annotations in cycle order
+  * `create_annotation/2` - Pin a note to a cycle
+  * `update_annotation/3` - Edit a note's text
+  * `delete_annotation/2` - Remove a note
+
+  """
+
+  import Ecto.Query
+
+  alias Unshackled.Annotations.Annotation
+  alias Unshackled.Repo
+  alias UnshackledWeb.PubSub, as: WebPubSub
+
+  @doc """
+  Returns a session's annotations, ordered by cycle and then by when they
+  were written.
+
+  ## Examples
+
+      iex> Unshackled.Annotations.list_annotations(1)
+      [%Annotation{cycle_number: 37, body: "Premise attack lands here"}]
+
+  """
+  @spec list_annotations(integer()) :: [Annotation.t()]
+  def list_annotations(blackboard_id) when is_integer(blackboard_id) do
+    Annotation
+    |> where([a], a.blackboard_id == ^blackboard_id)
+    |> order_by([a], asc: a.cycle_number, asc: a.inserted_at, asc: a.id)
+    |> Repo.all()
+  end
+
+  @doc """
+  Pins a note to a cycle of a session and broadcasts it.
+
+  Takes `cycle_number` and `body` as atom or string keys.
+
+  ## Examples
+
+      iex> Unshackled.Annotations.create_annotation(1, %{"cycle_number" => 37, "body" => "Here"})
+      {:ok, %Annotation{}}
+
+      iex> Unshackled.Annotations.create_annotation(1, %{"cycle_number" => 37, "body" => " "})
+      {:error, %Ecto.Changeset{}}
+
+  """
+  @spec create_annotation(integer(), map()) ::
+          {:ok, Annotation.t()} | {:error, Ecto.Changeset.t()}
+  def create_annotation(blackboard_id, attrs) when is_integer(blackboard_id) do
+    attrs = Map.new(attrs, fn {key, value} -> {to_string(key), value} end)
+
+    %Annotation{}
+    |> Annotation.changeset(Map.put(attrs, "blackboard_id", blackboard_id))
+    |> Repo.insert()
+    |> broadcast_saved()
+  end
+
+  @doc """
+  Replaces the text of one of a session's annotations and broadcasts it.
+
+  Returns `{:error, :not_found}` when the session has no such annotation.
+  """
+  @spec update_annotation(integer(), integer(), map()) ::
+          {:ok, Annotation.t()} | {:error, Ecto.Changeset.t() | :not_found}
+  def update_annotation(blackboard_id, annotation_id, attrs) do
+    with {:ok, annotation} <- fetch_annotation(blackboard_id, annotation_id) do
+      annotation
+      |> Annotation.update_changeset(attrs)
+      |> Repo.update()
+      |> broadcast_saved()
+    end
+  end
+
+  @doc """
+  Deletes one of a session's annotations and broadcasts its removal.
+
+  Returns `{:error, :not_found}` when the session has no such annotation.
+  """
+  @spec delete_annotation(integer(), integer()) ::
+          {:ok, Annotation.t()} | {:error, Ecto.Changeset.t() | :not_found}
+  def delete_annotation(blackboard_id, annotation_id) do
+    with {:ok, annotation} <- fetch_annotation(blackboard_id, annotation_id),
+         {:ok, annotation} <- Repo.delete(annotation) do
+      WebPubSub.broadcast_annotation_deleted(blackboard_id, annotation.id)
+      {:ok, annotation}
+    end
+  end
+
+  defp fetch_annotation(blackboard_id, annotation_id) do
+    case Repo.get_by(Annotation, id: annotation_id, blackboard_id: blackboard_id) do
+      nil -> {:error, :not_found}
+      annotation -> {:ok, annotation}
+    end
+  end
+
+  defp broadcast_saved({:ok, annotation}) do
+    WebPubSub.broadcast_annotation_saved(annotation.blackboard_id, annotation)
+    {:ok, annotation}
+  end
+
+  defp broadcast_saved(error), do: error
+end
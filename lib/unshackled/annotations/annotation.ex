@@ -0,0 +1,63 @@
+defmodule Unshackled.Annotations.Annotation do
+  @moduledoc """
+  Ecto schema for the annotations table.
+  Stores notes reviewers pin to a cycle of a session.
+  """
+
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @derive {Jason.Encoder, only: [:id, :cycle_number, :body, :inserted_at, :updated_at]}
+
+  @max_body_length 1000
+
+  @type t :: %__MODULE__{
+          id: pos_integer() | nil,
+          blackboard_id: pos_integer() | nil,
+          blackboard: term() | nil,
+          cycle_number: integer() | nil,
+          body: String.t() | nil,
+          inserted_at: NaiveDateTime.t() | nil,
+          updated_at: NaiveDateTime.t() | nil
+        }
+
+  schema "annotations" do
+    field :cycle_number, :integer
+    field :body, :string
+
+    belongs_to :blackboard, Unshackled.Blackboard.BlackboardRecord
+
+    timestamps()
+  end
+
+  @doc """
+  Changeset for a new annotation; the body is trimmed before validation.
+  """
+  @spec changeset(Ecto.Schema.t(), map()) :: Ecto.Changeset.t()
+  def changeset(annotation, attrs) do
+    annotation
+    |> cast(attrs, [:blackboard_id, :cycle_number, :body])
+    |> validate_required([:blackboard_id, :cycle_number])
+    |> validate_body()
+    |> validate_number(:cycle_number, greater_than_or_equal_to: 0)
+    |> foreign_key_constraint(:blackboard_id)
+  end
+
+  @doc """
+  Changeset for editing an annotation. Only the body can change; the cycle it
+  is pinned to stays put.
+  """
+  @spec update_changeset(Ecto.Schema.t(), map()) :: Ecto.Changeset.t()
+  def update_changeset(annotation, attrs) do
+    annotation
+    |> cast(attrs, [:body])
+    |> validate_body()
+  end
+
+  defp validate_body(changeset) do
+    changeset
+    |> update_change(:body, &String.trim/1)
+    |> validate_required([:body])
+    |> validate_length(:body, max: @max_body_length)
+  end
+end
@@ -1,11 +1,15 @@
 defmodule Unshackled.Blackboard.BlackboardRecord do
   @moduledoc """
   Ecto schema for the blackboards table.
+
+  The support thresholds a session runs with are saved on its blackboard
+  when it starts, so they outlive the session (see `thresholds/1`).
   """
 
   use Ecto.Schema
   import Ecto.Changeset
 
+  alias Unshackled.Config
   alias Unshackled.Repo
 
   schema "blackboards" do
@@ -19,6 +23,9 @@ defmodule Unshackled.Blackboard.BlackboardRecord do
     field :embedding, :binary
     field :translator_frameworks_used, {:array, :string}, default: []
     field :cost_limit_usd, :decimal
+    field :death_threshold, :float
+    field :grave_keeper_threshold, :float
+    field :graduation_threshold, :float
 
     timestamps()
   end
@@ -36,11 +43,48 @@ defmodule Unshackled.Blackboard.BlackboardRecord do
       :cycle_count,
       :embedding,
       :translator_frameworks_used,
-      :cost_limit_usd
+      :cost_limit_usd,
+      :death_threshold,
+      :grave_keeper_threshold,
+      :graduation_threshold
     ])
     |> validate_required([:current_claim, :support_strength])
-    |> validate_number(:support_strength,
-      greater_than_or_equal_to: 0.2,
+    |> validate_support_strength()
+  end
+
+  @doc """
+  Returns the support thresholds a blackboard's session ran with.
+
+  Blackboards saved before sessions recorded their thresholds get the
+  configured defaults.
+
+  ## Examples
+
+      iex> BlackboardRecord.thresholds(%BlackboardRecord{death_threshold: 0.1,
+      ...>   grave_keeper_threshold: 0.3, graduation_threshold: 0.7})
+      %{death: 0.1, grave_keeper: 0.3, graduation: 0.7}
+
+      iex> BlackboardRecord.thresholds(%BlackboardRecord{})
+      %{death: 0.2, grave_keeper: 0.4, graduation: 0.85}
+  """
+  @spec thresholds(%__MODULE__{}) :: Config.thresholds()
+  def thresholds(%__MODULE__{
+        death_threshold: death,
+        grave_keeper_threshold: grave_keeper,
+        graduation_threshold: graduation
+      })
+      when is_number(death) and is_number(grave_keeper) and is_number(graduation) do
+    %{death: death, grave_keeper: grave_keeper, graduation: graduation}
+  end
+
+  def thresholds(%__MODULE__{}), do: Config.thresholds(nil)
+
+  # Support is clamped at the session's death threshold, not the default one
+  defp validate_support_strength(changeset) do
+    support_floor = get_field(changeset, :death_threshold) || Config.death_threshold()
+
+    validate_number(changeset, :support_strength,
+      greater_than_or_equal_to: support_floor,
       less_than_or_equal_to: 0.9
     )
   end
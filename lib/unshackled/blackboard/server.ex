@@ -2,6 +2,10 @@ defmodule Unshackled.Blackboard.Server do
   @moduledoc """
   GenServer managing of Blackboard state for Unshackled system.
   Provides atomic read/write access to shared state for all agents.
+
+  Claims die at the session's death threshold and graduate at its graduation
+  threshold (see `Unshackled.Config.thresholds/1`), passed as the
+  `:thresholds` option and saved with the blackboard record.
   """
 
   use GenServer
@@ -12,6 +16,7 @@ defmodule Unshackled.Blackboard.Server do
   alias Unshackled.Blackboard.BlackboardSnapshot
   alias Unshackled.Blackboard.CemeteryEntry
   alias Unshackled.Blackboard.FrontierIdea
+  alias Unshackled.Config
   alias Unshackled.GenServer.TerminateHelper
   alias Unshackled.Repo
 
@@ -28,7 +33,8 @@ defmodule Unshackled.Blackboard.Server do
     :blackboard_name,
     :embedding,
     :translator_frameworks_used,
-    :cost_limit_usd
+    :cost_limit_usd,
+    :thresholds
   ]
 
   @type t :: %__MODULE__{
@@ -44,7 +50,8 @@ defmodule Unshackled.Blackboard.Server do
           blackboard_name: atom() | nil,
           embedding: binary() | nil,
           translator_frameworks_used: list(String.t()),
-          cost_limit_usd: float() | nil
+          cost_limit_usd: float() | nil,
+          thresholds: Config.thresholds() | nil
         }
 
   @type frontier_idea :: %{
@@ -69,9 +76,7 @@ defmodule Unshackled.Blackboard.Server do
           cycle_graduated: non_neg_integer()
         }
 
-  @support_floor 0.2
   @support_ceiling 0.9
-  @graduation_threshold 0.85
 
   @spec start_link(String.t()) :: GenServer.on_start()
   def start_link(seed_claim) when is_binary(seed_claim) do
@@ -113,10 +118,21 @@ defmodule Unshackled.Blackboard.Server do
       blackboard_name: nil,
       embedding: nil,
       translator_frameworks_used: [],
-      cost_limit_usd: Keyword.get(opts, :cost_limit_usd)
+      cost_limit_usd: Keyword.get(opts, :cost_limit_usd),
+      thresholds: Keyword.get_lazy(opts, :thresholds, fn -> Config.thresholds(nil) end)
     }
   end
 
+  @doc """
+  Returns the support thresholds a blackboard state runs with.
+
+  States built without thresholds (e.g. a bare `%Server{}`) use the
+  configured defaults.
+  """
+  @spec thresholds(t()) :: Config.thresholds()
+  def thresholds(%__MODULE__{thresholds: nil}), do: Config.thresholds(nil)
+  def thresholds(%__MODULE__{thresholds: thresholds}), do: thresholds
+
   @spec get_state(atom()) :: t()
   def get_state(server \\ __MODULE__) do
     GenServer.call(server, :get_state)
@@ -253,13 +269,16 @@ defmodule Unshackled.Blackboard.Server do
     old_support = state.support_strength
     unclamped_support = old_support + delta
 
+    %{death: support_floor, graduation: graduation_threshold} = thresholds(state)
+
     {new_support, should_graduate, reason} =
       cond do
-        unclamped_support >= @graduation_threshold ->
-          {@graduation_threshold, true, "Confidence reached graduation threshold (0.85)"}
+        unclamped_support >= graduation_threshold ->
+          {graduation_threshold, true,
+           "Confidence reached graduation threshold (#{graduation_threshold})"}
 
-        unclamped_support <= @support_floor ->
-          {@support_floor, false, "Support decayed to floor (0.2)"}
+        unclamped_support <= support_floor ->
+          {support_floor, false, "Support decayed to floor (#{support_floor})"}
 
         unclamped_support >= @support_ceiling ->
           {@support_ceiling, false, "Support clamped at ceiling (0.9)"}
@@ -279,7 +298,7 @@ defmodule Unshackled.Blackboard.Server do
     new_state = %{state | support_strength: new_support}
 
     new_state =
-      if new_support == @support_floor do
+      if new_support == support_floor do
         kill_claim_internal(new_state, "Support decay below threshold")
       else
         new_state
@@ -407,6 +426,8 @@ defmodule Unshackled.Blackboard.Server do
       |> Enum.map(fn {entry, index} -> {index, entry} end)
       |> Map.new()
 
+    %{death: death, grave_keeper: grave_keeper, graduation: graduation} = thresholds(state)
+
     attrs = %{
       current_claim: state.current_claim,
       support_strength: state.support_strength,
@@ -417,7 +438,10 @@ defmodule Unshackled.Blackboard.Server do
       cycle_count: state.cycle_count,
       embedding: state.embedding,
       translator_frameworks_used: state.translator_frameworks_used || [],
-      cost_limit_usd: state.cost_limit_usd
+      cost_limit_usd: state.cost_limit_usd,
+      death_threshold: death,
+      grave_keeper_threshold: grave_keeper,
+      graduation_threshold: graduation
     }
 
     case state.blackboard_id do
@@ -10,7 +10,10 @@ defmodule Unshackled.Config do
       config :unshackled, :session,
         max_cycles: 100,
         cycle_mode: :time_based,
-        cycle_timeout_ms: 600_000
+        cycle_timeout_ms: 600_000,
+        death_threshold: 0.2,
+        grave_keeper_threshold: 0.4,
+        graduation_threshold: 0.85
   """
 
   import Unshackled.ConfigHelpers
@@ -38,6 +41,15 @@ defmodule Unshackled.Config do
 
   defconfig(:decay_rate, app_key: :session, default: 0.02)
 
+  defconfig(:death_threshold, app_key: :session, default: 0.2)
+
+  defconfig(:grave_keeper_threshold, app_key: :session, default: 0.4)
+
+  defconfig(:graduation_threshold, app_key: :session, default: 0.85)
+
+  # Support is clamped here by the blackboard, so graduation must trigger at or below it
+  @support_ceiling 0.9
+
   defstruct [
     :seed_claim,
     :max_cycles,
@@ -47,7 +59,10 @@ defmodule Unshackled.Config do
     :agent_overrides,
     :novelty_bonus_enabled,
     :decay_rate,
-    :cost_limit_usd
+    :cost_limit_usd,
+    :death_threshold,
+    :grave_keeper_threshold,
+    :graduation_threshold
   ]
 
   @type t :: %__MODULE__{
@@ -59,9 +74,15 @@ defmodule Unshackled.Config do
           agent_overrides: map() | nil,
           novelty_bonus_enabled: boolean(),
           decay_rate: float(),
-          cost_limit_usd: float() | nil
+          cost_limit_usd: float() | nil,
+          death_threshold: float(),
+          grave_keeper_threshold: float(),
+          graduation_threshold: float()
         }
 
+  @typedoc "Support levels at which a claim dies, gets the Grave Keeper, and graduates"
+  @type thresholds :: %{death: float(), grave_keeper: float(), graduation: float()}
+
   @type validation_error :: String.t()
   @type cycle_mode :: :time_based | :event_driven
 
@@ -89,7 +110,11 @@ defmodule Unshackled.Config do
       agent_overrides: Keyword.get(opts, :agent_overrides),
       novelty_bonus_enabled: Keyword.get(opts, :novelty_bonus_enabled, novelty_bonus_enabled()),
       decay_rate: Keyword.get(opts, :decay_rate, decay_rate()),
-      cost_limit_usd: Keyword.get(opts, :cost_limit_usd)
+      cost_limit_usd: Keyword.get(opts, :cost_limit_usd),
+      death_threshold: Keyword.get(opts, :death_threshold, death_threshold()),
+      grave_keeper_threshold:
+        Keyword.get(opts, :grave_keeper_threshold, grave_keeper_threshold()),
+      graduation_threshold: Keyword.get(opts, :graduation_threshold, graduation_threshold())
     }
   end
 
@@ -109,6 +134,8 @@ defmodule Unshackled.Config do
   - `novelty_bonus_enabled` must be a boolean
   - `decay_rate` must be a positive float
   - `cost_limit_usd` must be nil or a positive number
+  - `death_threshold`, `grave_keeper_threshold` and `graduation_threshold` must be
+    numbers in ascending order between 0 and the support ceiling (0.9)
 
   ## Examples
 
@@ -133,6 +160,7 @@ defmodule Unshackled.Config do
       |> validate_novelty_bonus_enabled(config.novelty_bonus_enabled)
       |> validate_decay_rate(config.decay_rate)
       |> validate_cost_limit_usd(config.cost_limit_usd)
+      |> validate_thresholds(config)
 
     case errors do
       [] -> {:ok, config}
@@ -174,6 +202,15 @@ defmodule Unshackled.Config do
       )
       |> maybe_put_opt(:decay_rate, get_value(map, "decay_rate", :decay_rate))
       |> maybe_put_opt(:cost_limit_usd, get_value(map, "cost_limit_usd", :cost_limit_usd))
+      |> maybe_put_opt(:death_threshold, get_value(map, "death_threshold", :death_threshold))
+      |> maybe_put_opt(
+        :grave_keeper_threshold,
+        get_value(map, "grave_keeper_threshold", :grave_keeper_threshold)
+      )
+      |> maybe_put_opt(
+        :graduation_threshold,
+        get_value(map, "graduation_threshold", :graduation_threshold)
+      )
 
     config = new(opts)
     validate(config)
@@ -209,10 +246,43 @@ defmodule Unshackled.Config do
       max_cycles: config.max_cycles,
       cycle_mode: config.cycle_mode,
       cycle_timeout_ms: config.cycle_timeout_ms,
-      cost_limit_usd: config.cost_limit_usd
+      cost_limit_usd: config.cost_limit_usd,
+      thresholds: thresholds(config)
     ]
   end
 
+  @doc """
+  Returns the support thresholds of a config, or the configured defaults for `nil`.
+
+  The blackboard, the agent scheduler and the session charts all read the
+  thresholds from here, so a session configured differently is drawn with
+  the lines it actually dies and graduates at.
+
+  ## Examples
+
+      iex> Unshackled.Config.thresholds(nil)
+      %{death: 0.2, grave_keeper: 0.4, graduation: 0.85}
+
+      iex> Unshackled.Config.new(graduation_threshold: 0.8) |> Unshackled.Config.thresholds()
+      %{death: 0.2, grave_keeper: 0.4, graduation: 0.8}
+  """
+  @spec thresholds(t() | nil) :: thresholds()
+  def thresholds(nil) do
+    %{
+      death: death_threshold(),
+      grave_keeper: grave_keeper_threshold(),
+      graduation: graduation_threshold()
+    }
+  end
+
+  def thresholds(%__MODULE__{} = config) do
+    %{
+      death: config.death_threshold,
+      grave_keeper: config.grave_keeper_threshold,
+      graduation: config.graduation_threshold
+    }
+  end
+
   @spec parse_cycle_mode(nil | String.t() | atom()) :: cycle_mode()
   defp parse_cycle_mode(nil), do: cycle_mode()
 
@@ -300,4 +370,27 @@ defmodule Unshackled.Config do
 
   defp validate_cost_limit_usd(errors, _),
     do: ["cost_limit_usd must be nil or a positive number" | errors]
+
+  @spec validate_thresholds([validation_error()], t()) :: [validation_error()]
+  defp validate_thresholds(errors, config) do
+    levels = [config.death_threshold, config.grave_keeper_threshold, config.graduation_threshold]
+
+    cond do
+      not Enum.all?(levels, &is_number/1) ->
+        ["thresholds must be numbers" | errors]
+
+      not (0 < config.death_threshold and
+               config.death_threshold < config.grave_keeper_threshold and
+               config.grave_keeper_threshold < config.graduation_threshold and
+               config.graduation_threshold <= @support_ceiling) ->
+        [
+          "thresholds must satisfy 0 < death_threshold < grave_keeper_threshold < " <>
+            "graduation_threshold <= #{@support_ceiling}"
+          | errors
+        ]
+
+      true ->
+        errors
+    end
+  end
 end
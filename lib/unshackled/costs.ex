@@ -11,6 +11,8 @@ defmodule Unshackled.Costs do
   * `get_session_total_cost/1` - Get total cost for a session
   * `get_cost_by_cycle/1` - Get cost breakdown by cycle number
   * `get_cost_by_agent/1` - Get cost breakdown by agent role
+  * `get_cost_by_cycle_and_agent/1` - Get cost per agent role within each cycle
+  * `project_limit_cycle/2` - Project the cycle at which a cost limit is reached
 
   """
 
@@ -121,4 +123,128 @@ defmodule Unshackled.Costs do
 
     Repo.all(query)
   end
+
+  @doc """
+  Returns cost per agent role within each cycle for a given session.
+
+  Returns a list of maps with keys :cycle_number, :agent_role, and :total_cost.
+  Sorted by cycle_number then agent_role, ascending.
+
+  Returns empty list if the session has no cost records or doesn't exist.
+
+  ## Examples
+
+      iex> Unshackled.Costs.get_cost_by_cycle_and_agent(1)
+      [
+        %{cycle_number: 1, agent_role: "critic", total_cost: 0.0007},
+        %{cycle_number: 1, agent_role: "explorer", total_cost: 0.001}
+      ]
+
+      iex> Unshackled.Costs.get_cost_by_cycle_and_agent(999)
+      []
+
+  """
+  @spec get_cost_by_cycle_and_agent(integer()) :: [
+          %{cycle_number: integer(), agent_role: String.t(), total_cost: float()}
+        ]
+  def get_cost_by_cycle_and_agent(blackboard_id) when is_integer(blackboard_id) do
+    query =
+      from c in LLMCost,
+        where: c.blackboard_id == ^blackboard_id,
+        group_by: [c.cycle_number, c.agent_role],
+        select: %{
+          cycle_number: c.cycle_number,
+          agent_role: c.agent_role,
+          total_cost: sum(c.cost_usd)
+        },
+        order_by: [asc: c.cycle_number, asc: c.agent_role]
+
+    Repo.all(query)
+  end
+
+  @doc """
+  Projects the cycle at which cumulative cost reaches `cost_limit`.
+
+  Takes the per-cycle costs from `get_cost_by_cycle/1` and extrapolates
+  linearly from the mean cost of the most recent `window` cycles (default 10).
+  If the limit has already been reached, returns the cycle where it was crossed.
+
+  Returns nil when there is no limit, no cost data, or costs are not growing.
+
+  ## Examples
+
+      iex> costs = [%{cycle_number: 2, total_cost: 1.0}, %{cycle_number: 1, total_cost: 1.0}]
+      iex> Unshackled.Costs.project_limit_cycle(costs, 5.0)
+      5
+
+      iex> Unshackled.Costs.project_limit_cycle(costs, nil)
+      nil
+
+  """
+  @spec project_limit_cycle([map()], Decimal.t() | number() | nil, pos_integer()) ::
+          integer() | nil
+  def project_limit_cycle(cost_by_cycle, cost_limit, window \\ 10)
+
+  def project_limit_cycle(_cost_by_cycle, nil, _window), do: nil
+  def project_limit_cycle([], _cost_limit, _window), do: nil
+
+  def project_limit_cycle(cost_by_cycle, %Decimal{} = cost_limit, window) do
+    project_limit_cycle(cost_by_cycle, Decimal.to_float(cost_limit), window)
+  end
+
+  def project_limit_cycle(cost_by_cycle, cost_limit, window) when is_number(cost_limit) do
+    ascending = Enum.sort_by(cost_by_cycle, & &1.cycle_number)
+
+    cumulative =
+      Enum.scan(ascending, {nil, 0.0}, fn %{cycle_number: cycle, total_cost: cost}, {_, acc} ->
+        {cycle, acc + (cost || 0.0)}
+      end)
+
+    case Enum.find(cumulative, fn {_cycle, total} -> total >= cost_limit end) do
+      {cycle, _total} -> cycle
+      nil -> extrapolate_limit_cycle(ascending, List.last(cumulative), cost_limit, window)
+    end
+  end
+
+  defp extrapolate_limit_cycle(ascending, {last_cycle, total}, cost_limit, window) do
+    recent = Enum.take(ascending, -window)
+    first_cycle = hd(recent).cycle_number
+    recent_cost = Enum.reduce(recent, 0.0, &((&1.total_cost || 0.0) + &2))
+    # Rate per elapsed cycle, so cycles without cost records count as free
+    rate = recent_cost / (last_cycle - first_cycle + 1)
+
+    if rate > 0 do
+      last_cycle + ceil((cost_limit - total) / rate)
+    end
+  end
+
+  @doc """
+  Returns true when going from `previous_total` to `total` exceeds `cost_limit`.
+
+  Uses the same rule as the agent runner's cost limit check (total strictly
+  above the limit), so a limit is reported once, by the cost that stops the
+  session.
+
+  ## Examples
+
+      iex> Unshackled.Costs.limit_crossed?(4.5, 5.2, 5.0)
+      true
+
+      iex> Unshackled.Costs.limit_crossed?(5.2, 5.6, Decimal.new("5.00"))
+      false
+
+      iex> Unshackled.Costs.limit_crossed?(4.5, 5.2, nil)
+      false
+
+  """
+  @spec limit_crossed?(number(), number(), Decimal.t() | number() | nil) :: boolean()
+  def limit_crossed?(_previous_total, _total, nil), do: false
+
+  def limit_crossed?(previous_total, total, %Decimal{} = cost_limit) do
+    limit_crossed?(previous_total, total, Decimal.to_float(cost_limit))
+  end
+
+  def limit_crossed?(previous_total, total, cost_limit) when is_number(cost_limit) do
+    previous_total <= cost_limit and total > cost_limit
+  end
 end
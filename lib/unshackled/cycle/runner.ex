@@ -28,6 +28,8 @@ defmodule Unshackled.Cycle.Runner do
 
   - `{:cycle_started, cycle_data}` - When a cycle begins execution
   - `{:cycle_complete, cycle_data}` - When a cycle finishes execution
+  - `{:claim_died, cemetery_entry}` - When a claim died during the cycle
+  - `{:claim_graduated, graduated_entry}` - When a claim graduated during the cycle
 
   Subscribe to these events using `UnshackledWeb.PubSub.subscribe_session/1`.
   """
@@ -40,6 +42,7 @@ defmodule Unshackled.Cycle.Runner do
   alias Unshackled.Agents.Summarizer
   alias Unshackled.Blackboard.Server
   alias Unshackled.Agents.Supervisor
+  alias Unshackled.Config
   alias Unshackled.Cycle.Scheduler
   alias Unshackled.Cycle.Arbiter
   alias Unshackled.Embedding.Space
@@ -62,7 +65,8 @@ defmodule Unshackled.Cycle.Runner do
     :blackboard_name,
     :agent_results,
     :session_id,
-    :cost_limit_usd
+    :cost_limit_usd,
+    :thresholds
   ]
 
   @type t :: %__MODULE__{
@@ -78,7 +82,8 @@ defmodule Unshackled.Cycle.Runner do
           blackboard_name: atom() | nil,
           agent_results: [term()],
           session_id: String.t() | nil,
-          cost_limit_usd: float() | nil
+          cost_limit_usd: float() | nil,
+          thresholds: Config.thresholds()
         }
 
   @doc """
@@ -90,6 +95,8 @@ defmodule Unshackled.Cycle.Runner do
   - `:max_cycles` - Maximum number of cycles to run (required)
   - `:cycle_mode` - Either :time_based or :event_driven (required)
   - `:cycle_timeout_ms` - Timeout for cycle operations (required)
+  - `:thresholds` - Support thresholds for the blackboard (optional, defaults to
+    `Unshackled.Config.thresholds(nil)`)
   """
   @spec start_link(keyword()) :: GenServer.on_start()
   def start_link(opts) when is_list(opts) do
@@ -110,6 +117,7 @@ defmodule Unshackled.Cycle.Runner do
     cycle_duration_ms = Keyword.get(opts, :cycle_duration_ms, 300_000)
     session_id = Keyword.get(opts, :session_id)
     cost_limit_usd = Keyword.get(opts, :cost_limit_usd)
+    thresholds = Keyword.get_lazy(opts, :thresholds, fn -> Config.thresholds(nil) end)
 
     unless cycle_mode in [:time_based, :event_driven] do
       raise ArgumentError, "cycle_mode must be :time_based or :event_driven"
@@ -128,7 +136,8 @@ defmodule Unshackled.Cycle.Runner do
       blackboard_name: nil,
       agent_results: [],
       session_id: session_id,
-      cost_limit_usd: cost_limit_usd
+      cost_limit_usd: cost_limit_usd,
+      thresholds: thresholds
     }
 
     {:ok, state}
@@ -184,6 +193,7 @@ defmodule Unshackled.Cycle.Runner do
       blackboard_name = :"blackboard_#{System.unique_integer()}"
 
       opts = if state.cost_limit_usd, do: [cost_limit_usd: state.cost_limit_usd], else: []
+      opts = [{:thresholds, state.thresholds} | opts]
 
       case Server.start_link(state.seed_claim, blackboard_name, opts) do
         {:ok, blackboard_pid} ->
@@ -269,6 +279,8 @@ defmodule Unshackled.Cycle.Runner do
       message: "Cycle #{state.cycle_count} started"
     )
 
+    outcomes_before = claim_outcome_counts(Server.get_state(state.blackboard_name))
+
     # Broadcast cycle started if session_id is available
     if state.session_id do
       WebPubSub.broadcast_cycle_started(state.session_id, %{
@@ -302,6 +314,8 @@ defmodule Unshackled.Cycle.Runner do
       # Get current blackboard state for broadcast
       blackboard_state = Server.get_state(state.blackboard_name)
 
+      broadcast_claim_outcomes(state, blackboard_state, outcomes_before)
+
       # Broadcast cycle complete if session_id is available
       if state.session_id do
         WebPubSub.broadcast_cycle_complete(state.session_id, %{
@@ -341,6 +355,32 @@ defmodule Unshackled.Cycle.Runner do
     end
   end
 
+  @spec claim_outcome_counts(Server.t()) :: {non_neg_integer(), non_neg_integer()}
+  defp claim_outcome_counts(blackboard_state) do
+    {length(blackboard_state.cemetery), length(blackboard_state.graduated_claims)}
+  end
+
+  # The blackboard prepends cemetery and graduation entries, so the entries
+  # added during this cycle are the ones in front of the counts taken at start.
+  @spec broadcast_claim_outcomes(t(), Server.t(), {non_neg_integer(), non_neg_integer()}) :: :ok
+  defp broadcast_claim_outcomes(state, blackboard_state, {deaths_before, graduations_before}) do
+    if state.session_id do
+      {deaths, graduations} = claim_outcome_counts(blackboard_state)
+
+      blackboard_state.cemetery
+      |> Enum.take(max(deaths - deaths_before, 0))
+      |> Enum.reverse()
+      |> Enum.each(&WebPubSub.broadcast_claim_died(state.session_id, &1))
+
+      blackboard_state.graduated_claims
+      |> Enum.take(max(graduations - graduations_before, 0))
+      |> Enum.reverse()
+      |> Enum.each(&WebPubSub.broadcast_claim_graduated(state.session_id, &1))
+    end
+
+    :ok
+  end
+
   @spec read_phase(t()) :: {:ok, atom()}
   defp read_phase(state) do
     Logger.debug(
@@ -700,12 +740,13 @@ defmodule Unshackled.Cycle.Runner do
       blackboard_state = Server.get_state(state.blackboard_name)
       current_support = blackboard_state.support_strength
 
+      support_floor = state.thresholds.death
       decay_amount = -0.02
       decayed_support = current_support + decay_amount
 
       final_support =
-        if decayed_support < 0.2 do
-          0.2
+        if decayed_support < support_floor do
+          support_floor
         else
           decayed_support
         end
@@ -721,7 +762,8 @@ defmodule Unshackled.Cycle.Runner do
       else
         Logger.debug(
           metadata: [cycle_number: state.cycle_count],
-          message: "Decay would bring support below floor (0.2), clamped to 0.2"
+          message:
+            "Decay would bring support below floor (#{support_floor}), clamped to #{support_floor}"
         )
       end
 
@@ -11,7 +11,8 @@ defmodule Unshackled.Cycle.Scheduler do
   - Analytical agents (Connector, Steelman, Operationalizer, Quantifier): every 3 cycles
   - Structural agents (Reducer, Boundary Hunter, Translator): every 5 cycles
   - Historian: every 5 cycles
-  - Grave Keeper: when support_strength < 0.4
+  - Grave Keeper: when support_strength is below the session's Grave Keeper
+    threshold (0.4 by default, see `Unshackled.Config.thresholds/1`)
   - Cartographer: when stagnation detected
   - Perturber: 20% probability each cycle (if eligible frontiers exist)
 
@@ -92,8 +93,13 @@ defmodule Unshackled.Cycle.Scheduler do
   end
 
   @spec maybe_add_grave_keeper([module()], Server.t()) :: [module()]
-  defp maybe_add_grave_keeper(agents, %Server{support_strength: support}) when support < 0.4 do
-    [GraveKeeper | agents]
+  defp maybe_add_grave_keeper(agents, %Server{support_strength: support} = blackboard_state)
+       when is_number(support) do
+    if support < Server.thresholds(blackboard_state).grave_keeper do
+      [GraveKeeper | agents]
+    else
+      agents
+    end
   end
 
   defp maybe_add_grave_keeper(agents, _), do: agents
@@ -124,7 +130,7 @@ defmodule Unshackled.Cycle.Scheduler do
               |> Enum.filter(&(&1.cycle_number >= from_cycle and &1.cycle_number <= current_cycle))
               |> Enum.sort_by(& &1.cycle_number)
 
-            Stagnation.detect_stagnation(recent_points, 0.01)
+            Stagnation.detect_stagnation(recent_points, Stagnation.default_threshold())
 
           _ ->
             {false, 0, 0.0}
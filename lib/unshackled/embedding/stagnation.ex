@@ -33,6 +33,18 @@ defmodule Unshackled.Embedding.Stagnation do
   @type trajectory_point :: %{embedding_vector: Nx.Tensor.t() | binary()}
   @type stagnation_result :: {boolean(), non_neg_integer(), float()}
 
+  @min_stagnant_cycles 5
+
+  # Movement below which the scheduler counts a cycle as stagnant
+  @default_threshold 0.01
+
+  @doc """
+  The movement threshold the cycle scheduler uses when deciding whether to
+  bring in the Cartographer.
+  """
+  @spec default_threshold() :: float()
+  def default_threshold, do: @default_threshold
+
   @doc """
   Detects stagnation based on trajectory movement.
 
@@ -97,6 +109,39 @@ defmodule Unshackled.Embedding.Stagnation do
     {false, 0, 0.0}
   end
 
+  @doc """
+  Flags every point of a trajectory that `detect_stagnation/2` would have
+  reported as stagnant had the trajectory ended there, i.e. the points closing
+  5+ consecutive movements below `threshold`. Returns one boolean per point.
+
+  ## Examples
+
+      iex> trajectory = [
+      ...>   %{embedding_vector: Nx.tensor([1.0, 2.0])},
+      ...>   %{embedding_vector: Nx.tensor([1.005, 2.005])},
+      ...>   %{embedding_vector: Nx.tensor([1.003, 2.003])},
+      ...>   %{embedding_vector: Nx.tensor([1.004, 2.004])},
+      ...>   %{embedding_vector: Nx.tensor([1.002, 2.002])},
+      ...>   %{embedding_vector: Nx.tensor([1.003, 2.003])},
+      ...>   %{embedding_vector: Nx.tensor([1.5, 2.5])}
+      ...> ]
+      iex> Stagnation.stagnant_flags(trajectory, 0.01)
+      [false, false, false, false, false, true, false]
+
+  """
+  @spec stagnant_flags([trajectory_point()], float()) :: [boolean()]
+  def stagnant_flags([], _threshold), do: []
+
+  def stagnant_flags(trajectory_points, threshold) do
+    flags =
+      trajectory_points
+      |> calculate_movements()
+      |> Enum.scan(0, fn movement, run -> if movement < threshold, do: run + 1, else: 0 end)
+      |> Enum.map(&(&1 >= @min_stagnant_cycles))
+
+    [false | flags]
+  end
+
   @spec calculate_movements([trajectory_point()]) :: [float()]
   defp calculate_movements(trajectory_points) when length(trajectory_points) < 2 do
     []
@@ -135,7 +180,7 @@ defmodule Unshackled.Embedding.Stagnation do
   @spec analyze_stagnation([float()], float(), non_neg_integer(), non_neg_integer(), [float()]) ::
           stagnation_result()
   defp analyze_stagnation([], _threshold, consecutive_count, _total_count, stagnant_movements) do
-    is_stagnant = consecutive_count >= 5
+    is_stagnant = consecutive_count >= @min_stagnant_cycles
     average_movement = calculate_average(stagnant_movements)
     {is_stagnant, consecutive_count, average_movement}
   end
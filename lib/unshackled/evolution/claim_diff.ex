@@ -4,6 +4,8 @@ defmodule Unshackled.Evolution.ClaimDiff do
 
   This module uses an LLM to identify meaningful semantic changes between
   two claim versions, focusing on concepts rather than character-level diffs.
+  `word_diff/2` is a deterministic word-level alternative for comparing any
+  two claims without an LLM call.
   """
 
   alias Unshackled.LLM.Client
@@ -15,6 +17,8 @@ defmodule Unshackled.Evolution.ClaimDiff do
           modifications: [String.t()]
         }
 
+  @type word_segment :: {:eq | :del | :ins, String.t()}
+
   @type html_result :: %{
           previous_claim_html: String.t(),
           new_claim_html: String.t()
@@ -96,6 +100,33 @@ defmodule Unshackled.Evolution.ClaimDiff do
     end
   end
 
+  @doc """
+  Computes a word-level diff between two claims.
+
+  Splits both claims on whitespace and returns the shortest edit script as
+  segments of consecutive words: `:eq` for words in both, `:del` for words
+  only in the previous claim and `:ins` for words only in the new claim.
+
+  ## Examples
+
+      iex> Unshackled.Evolution.ClaimDiff.word_diff("AI is good", "AI is beneficial")
+      [{:eq, "AI is"}, {:del, "good"}, {:ins, "beneficial"}]
+
+      iex> Unshackled.Evolution.ClaimDiff.word_diff("Same claim", "Same claim")
+      [{:eq, "Same claim"}]
+
+  """
+  @spec word_diff(String.t() | nil, String.t() | nil) :: [word_segment()]
+  def word_diff(previous_claim, new_claim) do
+    previous_claim
+    |> words()
+    |> List.myers_difference(words(new_claim))
+    |> Enum.map(fn {op, words} -> {op, Enum.join(words, " ")} end)
+  end
+
+  defp words(nil), do: []
+  defp words(text), do: String.split(text)
+
   defp call_diff_llm(previous_claim, new_claim) do
     model = Config.summarizer_model()
 
@@ -8,6 +8,7 @@ defmodule Unshackled.Visualization.Contributions do
   - Pie chart showing accepted contributions by agent role (percentage)
   - Secondary bar chart showing net confidence delta by agent role
   - Empty chart with message when no contributions exist
+  - Per-cycle accepted contribution counts by role, for the over-time chart
   """
 
   import Ecto.Query
@@ -22,6 +23,12 @@ defmodule Unshackled.Visualization.Contributions do
           net_delta: float()
         }
 
+  @type cycle_role_count :: %{
+          cycle: non_neg_integer(),
+          role: String.t(),
+          count: pos_integer()
+        }
+
   @doc """
   Creates a pie chart visualization of agent contributions for a blackboard session.
 
@@ -66,6 +73,48 @@ defmodule Unshackled.Visualization.Contributions do
     {:error, "blackboard_id must be a positive integer"}
   end
 
+  @doc """
+  Counts accepted contributions per agent role for each cycle of a session.
+
+  Uses the same accepted contributions as `plot_agent_pie/1`, so summing the
+  counts for a role gives its slice of the pie. Roles with no accepted
+  contribution in a cycle are omitted rather than reported as zero.
+
+  ## Parameters
+
+  - blackboard_id: The ID of the blackboard session
+
+  ## Returns
+
+  - {:ok, list} of `%{cycle: integer, role: string, count: integer}` maps,
+    sorted by cycle then role
+  - {:error, reason} on failure
+
+  ## Examples
+
+      iex> Contributions.contributions_by_cycle(1)
+      {:ok, [%{cycle: 1, role: "critic", count: 1}, %{cycle: 1, role: "explorer", count: 2}]}
+
+  """
+  @spec contributions_by_cycle(integer()) :: {:ok, [cycle_role_count()]} | {:error, String.t()}
+  def contributions_by_cycle(blackboard_id)
+      when is_integer(blackboard_id) and blackboard_id > 0 do
+    with {:ok, contributions} <- query_contributions(blackboard_id) do
+      counts =
+        contributions
+        |> Enum.filter(& &1.accepted)
+        |> Enum.frequencies_by(&{&1.cycle_number, &1.agent_role})
+        |> Enum.map(fn {{cycle, role}, count} -> %{cycle: cycle, role: role, count: count} end)
+        |> Enum.sort_by(&{&1.cycle, &1.role})
+
+      {:ok, counts}
+    end
+  end
+
+  def contributions_by_cycle(_) do
+    {:error, "blackboard_id must be a positive integer"}
+  end
+
   @spec query_contributions(integer()) :: {:ok, [AgentContribution.t()]} | {:error, String.t()}
   defp query_contributions(blackboard_id) do
     try do
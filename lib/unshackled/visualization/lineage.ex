@@ -0,0 +1,242 @@
+defmodule Unshackled.Visualization.Lineage do
+  @moduledoc """
+  Claim lineage graph data for the evolution timeline.
+
+  Turns the recorded claim transitions of a session into a graph in which
+  each distinct claim version is a node and each transition is an edge.
+  Claims are compared after lowercasing and collapsing whitespace, so a
+  transition back to an earlier wording lands on the existing node instead
+  of adding a new one. That makes reverts and branching visible:
+
+  - Edges into a node that already existed are marked as reverts
+  - A node with several outgoing edges is a branch point
+  - Nodes that were current when the Historian flagged a re-tread are marked
+  """
+
+  import Ecto.Query
+
+  alias Unshackled.Agents.AgentContribution
+  alias Unshackled.Agents.Historian
+  alias Unshackled.Embedding.TrajectoryPoint
+  alias Unshackled.Evolution.ClaimTransition
+  alias Unshackled.Repo
+
+  @type lineage_node :: %{
+          id: non_neg_integer(),
+          claim: String.t(),
+          first_cycle: integer(),
+          cycles: [integer()],
+          support: float() | nil,
+          transition_id: pos_integer() | nil,
+          retread: boolean(),
+          retread_cycles: [integer()]
+        }
+
+  @type lineage_edge :: %{
+          id: pos_integer(),
+          source: non_neg_integer(),
+          target: non_neg_integer(),
+          from_cycle: integer(),
+          to_cycle: integer(),
+          change_type: String.t() | nil,
+          trigger_agent: String.t() | nil,
+          revert: boolean()
+        }
+
+  @type lineage :: %{nodes: [lineage_node()], edges: [lineage_edge()]}
+
+  @doc """
+  Builds the claim lineage graph for a blackboard session.
+
+  Node support is the support recorded at the most recent cycle the claim
+  version was entered. Re-treads come from Historian contributions whose
+  parsed response has `is_retread` set.
+
+  ## Parameters
+
+  - blackboard_id: The ID of the blackboard session
+
+  ## Returns
+
+  - {:ok, %{nodes: list, edges: list}} on success, with empty lists when the
+    claim has never changed
+  - {:error, reason} on failure
+
+  ## Examples
+
+      iex> Lineage.claim_lineage(1)
+      {:ok, %{nodes: [%{id: 0, claim: "A", ...}, %{id: 1, claim: "B", ...}], edges: [...]}}
+
+  """
+  @spec claim_lineage(integer()) :: {:ok, lineage()} | {:error, String.t()}
+  def claim_lineage(blackboard_id) when is_integer(blackboard_id) and blackboard_id > 0 do
+    try do
+      transitions =
+        ClaimTransition
+        |> where([ct], ct.blackboard_id == ^blackboard_id)
+        |> order_by([ct], asc: ct.to_cycle, asc: ct.id)
+        |> Repo.all()
+
+      support_by_cycle =
+        TrajectoryPoint
+        |> where([t], t.blackboard_id == ^blackboard_id)
+        |> select([t], {t.cycle_number, t.support_strength})
+        |> Repo.all()
+        |> Map.new()
+
+      {:ok, build_lineage(transitions, support_by_cycle, retread_cycles(blackboard_id))}
+    rescue
+      e -> {:error, "Failed to build claim lineage: #{inspect(e)}"}
+    end
+  end
+
+  def claim_lineage(_) do
+    {:error, "blackboard_id must be a positive integer"}
+  end
+
+  @doc """
+  Builds the lineage graph from transitions ordered by `to_cycle`.
+
+  `support_by_cycle` maps cycle numbers to support strength and
+  `retread_cycles` lists the cycles the Historian flagged. Both may be empty.
+
+  ## Examples
+
+      iex> transitions = [
+      ...>   %{id: 1, from_cycle: 1, to_cycle: 2, previous_claim: "A", new_claim: "B",
+      ...>     change_type: "pivot", trigger_agent: "explorer"},
+      ...>   %{id: 2, from_cycle: 2, to_cycle: 3, previous_claim: "B", new_claim: "a",
+      ...>     change_type: "pivot", trigger_agent: "critic"}
+      ...> ]
+      iex> %{nodes: nodes, edges: edges} = Lineage.build_lineage(transitions)
+      iex> Enum.map(nodes, &{&1.claim, &1.cycles})
+      [{"A", [1, 3]}, {"B", [2]}]
+      iex> Enum.map(edges, &{&1.source, &1.target, &1.revert})
+      [{0, 1, false}, {1, 0, true}]
+
+  """
+  @spec build_lineage([map()], %{integer() => float()}, [integer()]) :: lineage()
+  def build_lineage(transitions, support_by_cycle \\ %{}, retread_cycles \\ [])
+
+  def build_lineage([], _support_by_cycle, _retread_cycles), do: %{nodes: [], edges: []}
+
+  def build_lineage(transitions, support_by_cycle, retread_cycles) do
+    {nodes_by_key, edges} =
+      Enum.reduce(transitions, {%{}, []}, fn transition, {nodes, edges} ->
+        {nodes, source} = source_node(nodes, transition)
+        {nodes, target, existed} = enter_node(nodes, transition)
+
+        edge = %{
+          id: transition.id,
+          source: source.id,
+          target: target.id,
+          from_cycle: transition.from_cycle,
+          to_cycle: transition.to_cycle,
+          change_type: transition.change_type,
+          trigger_agent: transition.trigger_agent,
+          revert: existed and target.id != source.id
+        }
+
+        {nodes, [edge | edges]}
+      end)
+
+    edges = Enum.reverse(edges)
+    retreads = Enum.group_by(retread_cycles, &node_at_cycle(&1, edges))
+
+    nodes =
+      nodes_by_key
+      |> Map.values()
+      |> Enum.sort_by(& &1.id)
+      |> Enum.map(fn node ->
+        flagged = retreads |> Map.get(node.id, []) |> Enum.sort()
+
+        %{
+          node
+          | support: Map.get(support_by_cycle, List.last(node.cycles)),
+            retread: flagged != [],
+            retread_cycles: flagged
+        }
+      end)
+
+    %{nodes: nodes, edges: edges}
+  end
+
+  # A transition's previous claim normally matches the node entered by the
+  # transition before it. The first transition's previous claim becomes the
+  # root node (id 0); after that a miss means a gap in the record, and the
+  # previous claim gets a node of its own so the edge still has a source.
+  defp source_node(nodes, transition) do
+    case Map.get(nodes, claim_key(transition.previous_claim)) do
+      nil -> add_node(nodes, transition.previous_claim, transition.from_cycle, nil)
+      node -> {nodes, node}
+    end
+  end
+
+  # Returns the node for the transition's new claim and whether it already
+  # existed, recording the transition's cycle as another entry into it.
+  defp enter_node(nodes, transition) do
+    key = claim_key(transition.new_claim)
+
+    case Map.get(nodes, key) do
+      nil ->
+        {nodes, node} = add_node(nodes, transition.new_claim, transition.to_cycle, transition.id)
+        {nodes, node, false}
+
+      node ->
+        node = %{node | cycles: node.cycles ++ [transition.to_cycle]}
+        {Map.put(nodes, key, node), node, true}
+    end
+  end
+
+  defp add_node(nodes, claim, cycle, transition_id) do
+    node = new_node(map_size(nodes), claim, cycle, transition_id)
+    {Map.put(nodes, claim_key(claim), node), node}
+  end
+
+  defp new_node(id, claim, cycle, transition_id) do
+    %{
+      id: id,
+      claim: claim,
+      first_cycle: cycle,
+      cycles: [cycle],
+      support: nil,
+      transition_id: transition_id,
+      retread: false,
+      retread_cycles: []
+    }
+  end
+
+  defp claim_key(nil), do: ""
+
+  defp claim_key(claim) do
+    claim |> String.downcase() |> String.split() |> Enum.join(" ")
+  end
+
+  # The node that was current at `cycle`: the target of the last transition
+  # at or before it, or the root when the claim had not changed yet.
+  defp node_at_cycle(cycle, edges) do
+    edges
+    |> Enum.filter(&(&1.to_cycle <= cycle))
+    |> List.last()
+    |> case do
+      nil -> 0
+      edge -> edge.target
+    end
+  end
+
+  defp retread_cycles(blackboard_id) do
+    AgentContribution
+    |> where([c], c.blackboard_id == ^blackboard_id and c.agent_role == "historian")
+    |> select([c], {c.cycle_number, c.output_text})
+    |> Repo.all()
+    |> Enum.filter(fn {_cycle, output} -> retread?(output) end)
+    |> Enum.map(fn {cycle, _output} -> cycle end)
+    |> Enum.uniq()
+  end
+
+  defp retread?(nil), do: false
+
+  defp retread?(output) do
+    match?(%{valid: true, is_retread: true}, Historian.parse_response(output))
+  end
+end
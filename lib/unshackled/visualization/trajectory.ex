@@ -14,6 +14,7 @@ defmodule Unshackled.Visualization.Trajectory do
   - Star symbols for graduated claims
   """
 
+  alias Unshackled.Config
   alias Unshackled.Embedding.TrajectoryPoint
   alias Unshackled.Visualization.TrajectoryReducer
 
@@ -42,6 +43,8 @@ defmodule Unshackled.Visualization.Trajectory do
   ## Parameters
 
   - trajectory_points: List of TrajectoryPoint structs or trajectory point maps
+  - thresholds: The session's support thresholds, which decide each point's
+    status (defaults to `Unshackled.Config.thresholds(nil)`)
 
   ## Returns
 
@@ -65,19 +68,23 @@ defmodule Unshackled.Visualization.Trajectory do
       }}
 
   """
-  @spec plot_2d([Unshackled.Embedding.TrajectoryPoint.t()]) :: {:ok, map()} | {:error, String.t()}
-  def plot_2d([]) do
+  @spec plot_2d([Unshackled.Embedding.TrajectoryPoint.t()], Config.thresholds()) ::
+          {:ok, map()} | {:error, String.t()}
+  def plot_2d(trajectory_points, thresholds \\ Config.thresholds(nil))
+
+  def plot_2d([], _thresholds) do
     empty_spec()
   end
 
-  def plot_2d([_single_point]) do
+  def plot_2d([_single_point], _thresholds) do
     empty_spec()
   end
 
-  def plot_2d(trajectory_points) when is_list(trajectory_points) do
+  def plot_2d(trajectory_points, thresholds) when is_list(trajectory_points) do
     with {:ok, decoded_points} <- decode_all_embeddings(trajectory_points),
          {:ok, pca_points} <- apply_pca(decoded_points),
-         {:ok, all_data} <- prepare_all_visualization_data(pca_points, trajectory_points) do
+         {:ok, all_data} <-
+           prepare_all_visualization_data(pca_points, trajectory_points, thresholds) do
       spec = build_vegalite_spec(all_data)
       {:ok, spec}
     else
@@ -85,7 +92,7 @@ defmodule Unshackled.Visualization.Trajectory do
     end
   end
 
-  def plot_2d(_) do
+  def plot_2d(_, _thresholds) do
     {:error, "Input must be a list of trajectory points"}
   end
 
@@ -96,19 +103,24 @@ defmodule Unshackled.Visualization.Trajectory do
 
   - trajectory_points: List of TrajectoryPoint structs
   - blackboard_id: ID for cache lookup
+  - thresholds: The session's support thresholds, which decide each point's
+    status (defaults to `Unshackled.Config.thresholds(nil)`)
 
   ## Returns
 
   - {:ok, %{points: [%{x, y, z, cycle, support, claim, status}]}} on success
   - {:error, reason} on failure
   """
-  @spec plot_3d([TrajectoryPoint.t()], integer()) :: {:ok, map()} | {:error, String.t()}
-  def plot_3d([], _blackboard_id) do
+  @spec plot_3d([TrajectoryPoint.t()], integer(), Config.thresholds()) ::
+          {:ok, map()} | {:error, String.t()}
+  def plot_3d(trajectory_points, blackboard_id, thresholds \\ Config.thresholds(nil))
+
+  def plot_3d([], _blackboard_id, _thresholds) do
     {:ok, %{points: []}}
   end
 
-  def plot_3d([single_point], blackboard_id) do
-    status = determine_status(single_point)
+  def plot_3d([single_point], blackboard_id, thresholds) do
+    status = determine_status(single_point, thresholds)
 
     point = %{
       x: 0.0,
@@ -123,7 +135,7 @@ defmodule Unshackled.Visualization.Trajectory do
     {:ok, %{points: [point], blackboard_id: blackboard_id}}
   end
 
-  def plot_3d(trajectory_points, blackboard_id) when is_list(trajectory_points) do
+  def plot_3d(trajectory_points, blackboard_id, thresholds) when is_list(trajectory_points) do
     with {:ok, decoded_embeddings} <- decode_all_embeddings(trajectory_points),
          coords <- TrajectoryReducer.reduce_to_3d(decoded_embeddings, blackboard_id) do
       points =
@@ -137,7 +149,7 @@ defmodule Unshackled.Visualization.Trajectory do
             cycle: point.cycle_number,
             support: point.support_strength,
             claim: point.claim_text,
-            status: determine_status(point)
+            status: determine_status(point, thresholds)
           }
         end)
 
@@ -147,7 +159,7 @@ defmodule Unshackled.Visualization.Trajectory do
     end
   end
 
-  def plot_3d(_, _) do
+  def plot_3d(_, _, _) do
     {:error, "Input must be a list of trajectory points"}
   end
 
@@ -304,9 +316,12 @@ defmodule Unshackled.Visualization.Trajectory do
     Nx.LinAlg.eigh(cov_matrix)
   end
 
-  @spec prepare_all_visualization_data([tuple()], [Unshackled.Embedding.TrajectoryPoint.t()]) ::
-          {:ok, trajectory_point_map()} | {:error, String.t()}
-  defp prepare_all_visualization_data(pca_points, trajectory_points) do
+  @spec prepare_all_visualization_data(
+          [tuple()],
+          [Unshackled.Embedding.TrajectoryPoint.t()],
+          Config.thresholds()
+        ) :: {:ok, trajectory_point_map()} | {:error, String.t()}
+  defp prepare_all_visualization_data(pca_points, trajectory_points, thresholds) do
     if length(pca_points) != length(trajectory_points) do
       {:error, "PCA points count doesn't match trajectory points count"}
     else
@@ -314,7 +329,7 @@ defmodule Unshackled.Visualization.Trajectory do
         Enum.zip(pca_points, trajectory_points)
         |> Enum.map(fn {pca_point, point} ->
           {x, y} = pca_point
-          status = determine_status(point)
+          status = determine_status(point, thresholds)
 
           %{
             x: x,
@@ -330,12 +345,12 @@ defmodule Unshackled.Visualization.Trajectory do
     end
   end
 
-  @spec determine_status(Unshackled.Embedding.TrajectoryPoint.t()) ::
+  @spec determine_status(Unshackled.Embedding.TrajectoryPoint.t(), Config.thresholds()) ::
           :active | :cemetery | :graduated
-  defp determine_status(point) do
+  defp determine_status(point, %{death: death, graduation: graduation}) do
     cond do
-      point.support_strength <= 0.2 -> :cemetery
-      point.support_strength >= 0.85 -> :graduated
+      point.support_strength <= death -> :cemetery
+      point.support_strength >= graduation -> :graduated
       true -> :active
     end
   end
@@ -8,6 +8,10 @@ defmodule UnshackledWeb.Components.ClaimDiff do
   - Yellow: refined/modified concepts
 
   Supports both inline and side-by-side view modes.
+
+  `word_diff/1` renders a deterministic word-level diff of any two claims
+  (see `Unshackled.Evolution.ClaimDiff.word_diff/2`), used to compare
+  cycles picked on the session charts.
   """
 
   use Phoenix.Component
@@ -122,6 +126,102 @@ defmodule UnshackledWeb.Components.ClaimDiff do
     """
   end
 
+  @doc """
+  Renders a word-level diff between two claims.
+
+  Inline mode shows one text with removed words struck through and added
+  words highlighted; side-by-side shows the previous claim with its removals
+  next to the new claim with its additions.
+
+  ## Attributes
+
+  * `previous_claim` - The earlier claim text (required)
+  * `new_claim` - The later claim text (required)
+  * `previous_label` - Heading for the earlier claim (default "Previous")
+  * `new_label` - Heading for the later claim (default "Current")
+  * `mode` - Display mode: :inline (default) or :side_by_side
+  * `class` - Additional CSS classes
+
+  ## Examples
+
+      <.word_diff
+        previous_claim="AI is good"
+        new_claim="AI is beneficial for companies"
+        previous_label="Cycle 3"
+        new_label="Cycle 12"
+        mode={:side_by_side}
+      />
+  """
+  attr(:previous_claim, :string, required: true, doc: "the earlier claim text")
+  attr(:new_claim, :string, required: true, doc: "the later claim text")
+  attr(:previous_label, :string, default: "Previous", doc: "heading for the earlier claim")
+  attr(:new_label, :string, default: "Current", doc: "heading for the later claim")
+
+  attr(:mode, :atom,
+    default: :inline,
+    values: [:inline, :side_by_side],
+    doc: "display mode (:inline | :side_by_side)"
+  )
+
+  attr(:class, :string, default: nil, doc: "additional CSS classes")
+
+  def word_diff(assigns) do
+    assigns =
+      assign(assigns, :segments, ClaimDiff.word_diff(assigns.previous_claim, assigns.new_claim))
+
+    ~H"""
+    <div class={["claim-diff", @class]}>
+      <%= case @mode do %>
+        <% :inline -> %>
+          <div class="claim-diff-section">
+            <h3 class="text-xs font-bold uppercase tracking-wider text-text-muted mb-2">
+              <%= @previous_label %> → <%= @new_label %>
+            </h3>
+            <div class="p-3 bg-surface-elevated border-2 border-border text-text-primary leading-relaxed">
+              <.word_segments segments={@segments} show={[:eq, :del, :ins]} />
+            </div>
+          </div>
+
+        <% :side_by_side -> %>
+          <div class="grid grid-cols-2 gap-4">
+            <div class="claim-diff-section">
+              <h3 class="text-xs font-bold uppercase tracking-wider text-text-muted mb-2">
+                <%= @previous_label %>
+              </h3>
+              <div class="p-3 bg-surface border-2 border-border text-text-secondary leading-relaxed">
+                <.word_segments segments={@segments} show={[:eq, :del]} />
+              </div>
+            </div>
+
+            <div class="claim-diff-section">
+              <h3 class="text-xs font-bold uppercase tracking-wider text-text-muted mb-2">
+                <%= @new_label %>
+              </h3>
+              <div class="p-3 bg-surface-elevated border-2 border-border text-text-primary leading-relaxed">
+                <.word_segments segments={@segments} show={[:eq, :ins]} />
+              </div>
+            </div>
+          </div>
+      <% end %>
+    </div>
+    """
+  end
+
+  attr(:segments, :list, required: true)
+  attr(:show, :list, required: true, doc: "segment types to render")
+
+  defp word_segments(assigns) do
+    ~H"""
+    <%= for {op, text} <- @segments, op in @show do %>
+      <span class={segment_class(op)}><%= text %></span>
+    <% end %>
+    """
+  end
+
+  defp segment_class(:del), do: "diff-remove"
+  defp segment_class(:ins), do: "diff-add"
+  defp segment_class(:eq), do: nil
+
   @doc """
   Renders diff HTML with safe handling of raw markup.
   """
@@ -477,17 +477,21 @@ defmodule UnshackledWeb.CoreComponents do
   attr(:shadow, :boolean, default: false, doc: "add neo-brutalist offset shadow")
   attr(:interactive, :boolean, default: false, doc: "add hover lift effect")
   attr(:accent, :boolean, default: false, doc: "add accent left border")
+  attr(:rest, :global, doc: "the arbitrary HTML attributes to add to the card")
   slot(:inner_block, required: true)
 
   def card(assigns) do
     ~H"""
-    <div class={[
-      "bg-surface border-2 border-border p-6 relative",
-      @shadow && "shadow-subtle",
-      @interactive && "card-interactive cursor-pointer",
-      @accent && "accent-stripe",
-      @class
-    ]}>
+    <div
+      class={[
+        "bg-surface border-2 border-border p-6 relative",
+        @shadow && "shadow-subtle",
+        @interactive && "card-interactive cursor-pointer",
+        @accent && "accent-stripe",
+        @class
+      ]}
+      {@rest}
+    >
       <%!-- Subtle top gradient for depth --%>
       <div class="absolute inset-x-0 top-0 h-px bg-gradient-to-r from-transparent via-white/5 to-transparent"></div>
       <%= render_slot(@inner_block) %>
@@ -505,6 +509,19 @@ defmodule UnshackledWeb.CoreComponents do
 
       <.chart id="support-timeline" hook="ChartHook" data={@timeline_data} />
       <.chart id="trajectory" hook="TrajectoryPlotHook" data={@trajectory_data} height={300} />
+      <.chart id="support-export" hook="SupportTimelineHook" data={@timeline_data} exportable />
+
+  Every chart gets a "Table" toggle that swaps the chart for a tabular view
+  of the same data (rendered client-side by `utils/data_table.js`). When
+  `exportable` is set, SVG / PNG / CSV buttons are added to the toolbar; each
+  dispatches a `chart:export` event to the chart element, which the hook
+  handles via `bindChartExport` in `utils/export.js`.
+
+  With `cycle_compare`, shift-clicking a point pushes a `compare_cycle`
+  event with that point's cycle, for picking the ends of a claim diff.
+
+  Without a `width`, the chart fills the container and is laid out again
+  whenever the container's width changes (see `utils/resize.js`).
   """
   attr(:id, :string, required: true, doc: "unique identifier for the chart element")
   attr(:hook, :string, default: "ChartHook", doc: "the LiveView hook to use for rendering")
@@ -512,6 +529,12 @@ defmodule UnshackledWeb.CoreComponents do
   attr(:width, :integer, default: nil, doc: "chart width in pixels (defaults to container width)")
   attr(:height, :integer, default: 200, doc: "chart height in pixels")
   attr(:class, :string, default: nil, doc: "additional CSS classes")
+  attr(:exportable, :boolean, default: false, doc: "render an SVG/PNG/CSV export toolbar")
+
+  attr(:cycle_compare, :boolean,
+    default: false,
+    doc: "push compare_cycle when a point is shift-clicked"
+  )
 
   attr(:margin_top, :integer, default: 20)
   attr(:margin_right, :integer, default: 20)
@@ -520,6 +543,28 @@ defmodule UnshackledWeb.CoreComponents do
 
   def chart(assigns) do
     ~H"""
+    <div id={"#{@id}-toolbar"} class="flex justify-end gap-1 mb-2" role="toolbar" aria-label="Chart options">
+      <button
+        type="button"
+        id={"#{@id}-table-toggle"}
+        phx-click={toggle_chart_table(@id)}
+        aria-pressed="false"
+        aria-controls={"#{@id}-table"}
+        class="px-2 py-0.5 text-xs font-mono uppercase text-text-muted border border-border hover:text-text-primary hover:border-text-muted aria-pressed:text-text-primary aria-pressed:border-text-muted transition-colors"
+        title="Show data as a table"
+      >
+        Table
+      </button>
+      <button
+        :for={format <- if(@exportable, do: ~w(svg png csv), else: [])}
+        type="button"
+        phx-click={JS.dispatch("chart:export", to: "##{@id}", detail: %{format: format})}
+        class="px-2 py-0.5 text-xs font-mono uppercase text-text-muted border border-border hover:text-text-primary hover:border-text-muted transition-colors"
+        title={"Export as #{String.upcase(format)}"}
+      >
+        <%= format %>
+      </button>
+    </div>
     <div
       id={@id}
       phx-hook={@hook}
@@ -530,12 +575,78 @@ defmodule UnshackledWeb.CoreComponents do
       data-chart-margin-right={@margin_right}
       data-chart-margin-bottom={@margin_bottom}
       data-chart-margin-left={@margin_left}
-      class={["chart-container bg-surface border border-border p-6", @class]}
+      data-cycle-compare={@cycle_compare}
+      class={[
+        "chart-container bg-surface border border-border p-6",
+        "focus:outline-none focus-visible:border-text-muted",
+        @class
+      ]}
+    >
+    </div>
+    <div
+      id={"#{@id}-table"}
+      phx-update="ignore"
+      class="hidden bg-surface border border-border overflow-auto"
+      style={"max-height: #{@height + 48}px"}
     >
     </div>
     """
   end
 
+  defp toggle_chart_table(id) do
+    %JS{}
+    |> JS.toggle(to: "##{id}")
+    |> JS.toggle(to: "##{id}-table")
+    |> JS.toggle_attribute({"aria-pressed", "true", "false"}, to: "##{id}-table-toggle")
+    |> JS.dispatch("chart:toggle-table", to: "##{id}")
+  end
+
+  @doc """
+  Renders a row of buttons picking one of `options`, with the chosen one
+  marked `aria-pressed`.
+
+  Each button sends `event` with its option as `phx-value-<name>`. Without an
+  `event` the option goes in `data-<name>` instead, for a hook to handle.
+
+  ## Examples
+
+      <.segmented_toggle
+        id="trajectory-view-toggle"
+        aria-label="Trajectory view"
+        event="set_trajectory_view"
+        name="view"
+        options={[three_d: "3D", two_d: "2D"]}
+        value={@trajectory_view}
+      />
+  """
+  attr(:event, :string, default: nil, doc: "the event each button sends")
+  attr(:name, :string, required: true, doc: "the key each button's option is sent under")
+  attr(:options, :list, required: true, doc: "`{option, label}` pairs, in display order")
+  attr(:value, :any, required: true, doc: "the option currently chosen")
+  attr(:label, :string, default: nil, doc: "optional caption shown before the buttons")
+  attr(:rest, :global, doc: "the arbitrary HTML attributes to add to the group")
+
+  def segmented_toggle(assigns) do
+    ~H"""
+    <div role="group" class="flex items-center text-xs font-mono" {@rest}>
+      <span :if={@label} class="mr-2 uppercase text-text-muted"><%= @label %></span>
+      <button
+        :for={{option, label} <- @options}
+        type="button"
+        phx-click={@event}
+        {[{option_attribute(@event, @name), option}]}
+        aria-pressed={to_string(option == @value)}
+        class="px-2 py-0.5 uppercase text-text-muted border border-border -ml-px first:ml-0 hover:text-text-primary aria-pressed:text-text-primary aria-pressed:border-text-muted transition-colors"
+      >
+        <%= label %>
+      </button>
+    </div>
+    """
+  end
+
+  defp option_attribute(nil, name), do: "data-#{name}"
+  defp option_attribute(_event, name), do: "phx-value-#{name}"
+
   @doc """
   Renders a collapsible section with a header that toggles visibility.
 
@@ -1154,6 +1265,11 @@ defmodule UnshackledWeb.CoreComponents do
   The section state persists in sessionStorage across page refreshes within
   a tab session. Triangle icon points right when collapsed, down when expanded.
 
+  With `track`, the LiveView owns the state instead: `expanded` is the
+  current state rather than a default, and toggling pushes
+  `"toggle_section"` with the section's `id` and new `expanded` state for the
+  LiveView to keep (SessionsLive.Show keeps it in the URL).
+
   ## Examples
 
       <.collapsible_section id="recent-sessions" title="Recent Sessions" count={3}>
@@ -1164,11 +1280,21 @@ defmodule UnshackledWeb.CoreComponents do
         <:title>Custom Title</:title>
         <p>Metrics content here</p>
       </.collapsible_section>
+
+      <.collapsible_section id="costs" expanded={@expanded_sections["costs"] == true} track>
+        <:title>Costs</:title>
+        <p>Cost content here</p>
+      </.collapsible_section>
   """
   attr(:id, :string, required: true, doc: "unique identifier for the section")
   attr(:count, :integer, default: nil, doc: "optional badge count shown in header")
   attr(:expanded, :boolean, default: false, doc: "default expanded state (true = expanded)")
 
+  attr(:track, :boolean,
+    default: false,
+    doc: "report toggles to the LiveView, which renders the state in `expanded`"
+  )
+
   attr(:status, :atom,
     default: nil,
     doc: "status color for count badge (:active, :paused, :dead, :graduated, or nil)"
@@ -1184,7 +1310,7 @@ defmodule UnshackledWeb.CoreComponents do
 
   def collapsible_section(assigns) do
     ~H"""
-    <div id={@id} phx-hook="CollapsibleSectionHook" data-expanded={@expanded} class={["border-2 border-border", @class]}>
+    <div id={@id} phx-hook="CollapsibleSectionHook" data-expanded={@expanded} data-track={@track} class={["border-2 border-border", @class]}>
       <button
         type="button"
         class={[
@@ -1192,11 +1318,15 @@ defmodule UnshackledWeb.CoreComponents do
           "bg-surface-elevated hover:bg-border transition-colors",
           @header_class
         ]}
-        aria-expanded="true"
+        aria-expanded={to_string(!@track or @expanded)}
         aria-controls={"#{@id}-content"}
       >
         <span class="flex items-center gap-3 flex-1 min-w-0">
-          <span id={"#{@id}-icon"} class="flex-shrink-0 text-text-muted transition-transform">
+          <span
+            id={"#{@id}-icon"}
+            class="flex-shrink-0 text-text-muted transition-transform"
+            style={@track && "transform: rotate(#{if @expanded, do: 90, else: 0}deg)"}
+          >
             <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="square" stroke-linejoin="miter" class="w-4 h-4">
               <polyline points="9 6 15 12 9 18"></polyline>
             </svg>
@@ -1224,9 +1354,11 @@ defmodule UnshackledWeb.CoreComponents do
         </span>
       </button>
 
+      <%!-- A tracked section renders its state, so patches keep what the hook showed --%>
       <div
         id={"#{@id}-content"}
         class="px-4 pb-4 pl-8"
+        style={@track && !@expanded && "display: none"}
       >
         <%= render_slot(@inner_block) %>
       </div>
@@ -18,6 +18,39 @@ defmodule UnshackledWeb.Layouts do
 
   embed_templates("layouts/*")
 
+  # Values match `data-theme` in app.css and THEMES in assets/js/hooks/utils/theme.js
+  @themes [
+    {"dark", "Dark"},
+    {"light", "Light"},
+    {"high_contrast", "High contrast"},
+    {"colorblind", "Colour-blind safe"}
+  ]
+
+  @doc """
+  Renders the theme picker for the app header.
+
+  `ThemeSwitcherHook` applies the choice to `<html data-theme>` and stores it
+  in the browser, so the page and its charts restyle without a reload. The
+  root layout restores the stored theme before first paint.
+  """
+  attr(:id, :string, default: "theme-switcher")
+
+  def theme_switcher(assigns) do
+    assigns = assign(assigns, :themes, @themes)
+
+    ~H"""
+    <div id={@id} phx-hook="ThemeSwitcherHook" phx-update="ignore">
+      <label for={"#{@id}-select"} class="sr-only">Theme</label>
+      <select
+        id={"#{@id}-select"}
+        class="h-8 border border-border bg-surface px-2 font-display text-xs uppercase tracking-wider text-text-secondary hover:border-accent focus:border-accent focus:outline-none"
+      >
+        <option :for={{value, label} <- @themes} value={value}><%= label %></option>
+      </select>
+    </div>
+    """
+  end
+
   @doc """
   Determines if a navigation link should be marked as active.
 
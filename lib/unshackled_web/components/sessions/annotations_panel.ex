@@ -0,0 +1,147 @@
+defmodule UnshackledWeb.Components.Sessions.AnnotationsPanel do
+  @moduledoc """
+  Side panel listing the notes pinned to a session's cycles, beside the
+  support timeline that marks them.
+
+  Selecting a cycle (clicking a point on the timeline) opens a form to note
+  it; each note can be edited in place or deleted. The panel only sends
+  events (`"create_annotation"`, `"edit_annotation"`, `"update_annotation"`,
+  `"cancel_annotation_edit"`, `"delete_annotation"`); the notes themselves
+  come from `Unshackled.Annotations`, broadcast to every open page.
+  """
+
+  use Phoenix.Component
+
+  import UnshackledWeb.CoreComponents, only: [button: 1, input: 1]
+
+  @doc """
+  Renders the annotations panel.
+
+  ## Attributes
+
+  * `annotations` - The session's annotations in cycle order (required)
+  * `selected_cycle` - Cycle selected on the charts, offered for a new note (optional)
+  * `editing` - ID of the annotation being edited (optional)
+  * `form_key` - Changed to replace the new-note form with an empty one (optional)
+
+  ## Examples
+
+      <.annotations_panel
+        annotations={@annotations}
+        selected_cycle={@selected_cycle}
+        editing={@editing_annotation}
+        form_key={@annotation_form_key}
+      />
+  """
+  attr(:annotations, :list, required: true, doc: "the session's annotations, in cycle order")
+  attr(:selected_cycle, :integer, default: nil, doc: "cycle selected on the charts")
+  attr(:editing, :integer, default: nil, doc: "ID of the annotation being edited")
+  attr(:form_key, :integer, default: 0, doc: "changed to clear the new-note form")
+
+  def annotations_panel(assigns) do
+    form = to_form(%{"cycle_number" => assigns.selected_cycle, "body" => ""}, as: :annotation)
+    assigns = assign(assigns, :form, form)
+
+    ~H"""
+    <aside id="annotations-panel" aria-label="Annotations" class="space-y-3 xl:w-64 xl:flex-shrink-0">
+      <h3 class="text-xs font-bold uppercase tracking-wider text-text-secondary">
+        Annotations
+        <span :if={@annotations != []} class="text-text-muted">(<%= length(@annotations) %>)</span>
+      </h3>
+
+      <%!-- A new key replaces the textarea with an empty one once the note is saved --%>
+      <.form
+        :if={@selected_cycle}
+        for={@form}
+        id={"annotation-form-#{@form_key}"}
+        class="space-y-2"
+        phx-submit="create_annotation"
+      >
+        <input type="hidden" name={@form[:cycle_number].name} value={@selected_cycle} />
+        <.input
+          field={@form[:body]}
+          id="annotation-new-body"
+          type="textarea"
+          label={"Note on cycle #{@selected_cycle}"}
+          placeholder="What happened here?"
+          maxlength="1000"
+          required
+        />
+        <.button type="submit" variant={:secondary} class="w-full">Add note</.button>
+      </.form>
+      <p :if={!@selected_cycle} class="text-text-muted text-xs">
+        Click a point on the timeline to note its cycle.
+      </p>
+
+      <ol id="annotation-list" class="space-y-2">
+        <li
+          :for={annotation <- @annotations}
+          id={"annotation-#{annotation.id}"}
+          class="border border-border p-2 space-y-1"
+        >
+          <div class="flex items-center justify-between gap-2 text-xs font-mono">
+            <span class="font-bold text-text-primary">Cycle <%= annotation.cycle_number %></span>
+            <span :if={@editing != annotation.id} class="flex gap-2">
+              <button
+                type="button"
+                phx-click="edit_annotation"
+                phx-value-id={annotation.id}
+                class="uppercase text-text-muted hover:text-text-primary"
+              >
+                Edit
+              </button>
+              <button
+                type="button"
+                phx-click="delete_annotation"
+                phx-value-id={annotation.id}
+                data-confirm="Delete this note?"
+                class="uppercase text-text-muted hover:text-status-dead"
+              >
+                Delete
+              </button>
+            </span>
+          </div>
+          <%= if @editing == annotation.id do %>
+            <.edit_form annotation={annotation} />
+          <% else %>
+            <p class="text-sm text-text-secondary whitespace-pre-line break-words"><%= annotation.body %></p>
+          <% end %>
+        </li>
+      </ol>
+      <p :if={@annotations == []} class="text-text-muted text-xs italic">No annotations yet</p>
+    </aside>
+    """
+  end
+
+  attr(:annotation, :map, required: true)
+
+  defp edit_form(assigns) do
+    assigns =
+      assign(assigns, :form, to_form(%{"body" => assigns.annotation.body}, as: :annotation))
+
+    ~H"""
+    <.form
+      for={@form}
+      id={"annotation-edit-#{@annotation.id}"}
+      class="space-y-2"
+      phx-submit="update_annotation"
+    >
+      <input type="hidden" name="annotation[id]" value={@annotation.id} />
+      <.input
+        field={@form[:body]}
+        id={"annotation-#{@annotation.id}-body"}
+        type="textarea"
+        aria-label={"Note on cycle #{@annotation.cycle_number}"}
+        maxlength="1000"
+        required
+      />
+      <div class="flex gap-2">
+        <.button type="submit" variant={:secondary}>Save</.button>
+        <.button type="button" variant={:secondary} phx-click="cancel_annotation_edit">
+          Cancel
+        </.button>
+      </div>
+    </.form>
+    """
+  end
+end
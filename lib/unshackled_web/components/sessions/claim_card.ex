@@ -19,6 +19,7 @@ defmodule UnshackledWeb.Components.Sessions.ClaimCard do
   ## Attributes
 
   * `current_claim` - The current claim text (required)
+  * `title` - Card heading (optional, defaults to "Current Claim")
   * `claim_summary` - Map containing summary data (optional)
   * `expanded_summary_sections` - MapSet of expanded section IDs (optional, defaults to empty)
 
@@ -31,6 +32,7 @@ defmodule UnshackledWeb.Components.Sessions.ClaimCard do
       />
   """
   attr(:current_claim, :string, required: true, doc: "the current claim text")
+  attr(:title, :string, default: "Current Claim", doc: "card heading")
   attr(:claim_summary, :map, default: nil, doc: "map containing summary data")
 
   attr(:expanded_summary_sections, :map,
@@ -43,7 +45,7 @@ defmodule UnshackledWeb.Components.Sessions.ClaimCard do
     <.card class="space-y-4">
       <div class="flex items-center justify-between">
         <h2 class="text-lg font-bold text-text-primary uppercase tracking-wider">
-          Current Claim
+          <%= @title %>
         </h2>
         <%= if @claim_summary do %>
           <span class="text-xs text-text-muted">
@@ -3,12 +3,15 @@ defmodule UnshackledWeb.Components.Sessions.CostCard do
   Component for displaying session cost information.
 
   Renders cost breakdown by cycle and agent with visual indicators and
-  progress bars showing cost distribution.
+  progress bars showing cost distribution, plus a cumulative cost
+  burn-down chart projecting when the cost limit will be reached.
   """
 
   use Phoenix.Component
 
-  import UnshackledWeb.CoreComponents, only: [card: 1]
+  import UnshackledWeb.CoreComponents, only: [card: 1, chart: 1]
+
+  alias Unshackled.Costs
 
   import UnshackledWeb.SessionsLive.Show.Formatters,
     only: [
@@ -185,4 +188,83 @@ defmodule UnshackledWeb.Components.Sessions.CostCard do
     </div>
     """
   end
+
+  @doc """
+  Renders the cumulative cost burn-down chart, stacked by agent, with the
+  cost limit and the cycle at which it is projected to be reached.
+
+  ## Attributes
+
+  * `id` - Chart element ID (required)
+  * `cost_by_cycle` - List of cycle cost entries, used for the projection (required)
+  * `cost_by_cycle_and_agent` - List of per-cycle, per-agent cost entries (required)
+  * `cost_by_agent` - List of agent cost entries, used for stacking order (required)
+  * `cost_limit` - Optional cost limit (optional)
+
+  ## Examples
+
+      <.cost_burndown
+        id="cost-burndown-1"
+        cost_by_cycle={@cost_by_cycle}
+        cost_by_cycle_and_agent={@cost_by_cycle_and_agent}
+        cost_by_agent={@cost_by_agent}
+        cost_limit={@blackboard.cost_limit_usd}
+      />
+  """
+  attr(:id, :string, required: true, doc: "chart element ID")
+  attr(:cost_by_cycle, :list, required: true, doc: "list of cycle cost entries")
+  attr(:cost_by_cycle_and_agent, :list, required: true, doc: "per-cycle, per-agent costs")
+  attr(:cost_by_agent, :list, required: true, doc: "list of agent cost entries")
+  attr(:cost_limit, :any, default: nil, doc: "optional cost limit")
+
+  def cost_burndown(assigns) do
+    assigns =
+      assign(assigns,
+        projected_cycle: Costs.project_limit_cycle(assigns.cost_by_cycle, assigns.cost_limit),
+        last_cycle: assigns.cost_by_cycle |> Enum.map(& &1.cycle_number) |> Enum.max(fn -> 0 end)
+      )
+
+    ~H"""
+    <.card>
+      <div class="flex items-center justify-between mb-4">
+        <h2 class="text-lg font-bold text-text-primary uppercase tracking-wider">
+          Cost Burn-down
+        </h2>
+        <span id={"#{@id}-projection"} class="text-xs font-mono text-text-muted">
+          <%= cond do %>
+            <% is_nil(@cost_limit) -> %>
+              No cost limit set
+            <% is_nil(@projected_cycle) -> %>
+              Limit not projected
+            <% @projected_cycle <= @last_cycle -> %>
+              <span class="text-status-dead">Limit reached at cycle <%= @projected_cycle %></span>
+            <% true -> %>
+              Limit projected at cycle <%= @projected_cycle %>
+          <% end %>
+        </span>
+      </div>
+      <.chart
+        id={@id}
+        hook="CostBurndownHook"
+        data={
+          %{
+            costs: @cost_by_cycle_and_agent,
+            agents: Enum.map(@cost_by_agent, & &1.agent_role),
+            cost_limit: limit_to_float(@cost_limit),
+            projected_cycle: @projected_cycle
+          }
+        }
+        height={280}
+        margin_right={120}
+        margin_bottom={40}
+        margin_left={56}
+        exportable
+      />
+    </.card>
+    """
+  end
+
+  defp limit_to_float(nil), do: nil
+  defp limit_to_float(%Decimal{} = limit), do: Decimal.to_float(limit)
+  defp limit_to_float(limit) when is_number(limit), do: limit / 1
 end
@@ -2,17 +2,22 @@ defmodule UnshackledWeb.Components.Sessions.CycleLog do
   @moduledoc """
   Component for displaying cycle log with expandable contributions.
 
-  Renders paginated cycle entries grouped by time period (last hour, earlier today,
-  older) with expandable contribution details. Supports load more pagination and
-  highlights new cycles as they appear.
+  Renders a window of cycle entries grouped by time period (last hour, earlier today,
+  older) with expandable contribution details. The window grows a page at either end
+  as the reader scrolls (see `SessionsLive.Show.CycleLogWindow`) and highlights new
+  cycles as they appear. A filter bar narrows the log to cycles matching an agent
+  role, text or support delta range (see `SessionsLive.Show.CycleLogFilter`) and
+  steps through the matches.
   """
 
   use Phoenix.Component
 
   alias Phoenix.LiveView.JS
+  alias Unshackled.Agents.Metadata
   alias UnshackledWeb.CoreComponents
+  alias UnshackledWeb.SessionsLive.Show.CycleLogFilter
 
-  import UnshackledWeb.CoreComponents, only: [button: 1]
+  import UnshackledWeb.CoreComponents, only: [button: 1, input: 1]
 
   import UnshackledWeb.SessionsLive.Show.Formatters,
     only: [
@@ -23,25 +28,47 @@ defmodule UnshackledWeb.Components.Sessions.CycleLog do
     ]
 
   @doc """
-  Renders the cycle log view with pagination support.
+  Renders the cycle log view with windowed loading.
+
+  The entries load older cycles as the reader scrolls down and newer ones as
+  they scroll back up (`InfiniteScrollHook`, via the `load_more_cycles` and
+  `load_newer_cycles` events). The buttons at either end do the same by click.
+
+  With a filter, `cycle_log` holds only matching cycles and `matches` every
+  matching cycle number, loaded or not.
 
   ## Attributes
 
   * `cycle_log` - List of cycle entries (required)
-  * `has_more_cycles` - Whether more cycles can be loaded (required)
+  * `has_more_cycles` - Whether older cycles can be loaded (required)
+  * `has_newer_cycles` - Whether newer cycles can be loaded (optional)
   * `new_cycle_number` - Cycle number to highlight as new (optional)
+  * `filter` - The active cycle log filter (optional)
+  * `matches` - Matching cycle numbers, newest first (optional)
+  * `current_match` - The match last navigated to (optional)
+  * `expanded_sections` - Time groups the reader expanded or collapsed, by
+    section ID (optional)
 
   ## Examples
 
       <.cycle_log_view
         cycle_log={@cycle_log}
         has_more_cycles={@has_more_cycles}
+        has_newer_cycles={@has_newer_cycles}
         new_cycle_number={@new_cycle_number}
+        filter={@cycle_log_filter}
+        matches={@cycle_log_matches}
+        current_match={@cycle_log_match}
       />
   """
   attr(:cycle_log, :list, required: true, doc: "list of cycle entries")
-  attr(:has_more_cycles, :boolean, required: true, doc: "whether more cycles can be loaded")
+  attr(:has_more_cycles, :boolean, required: true, doc: "whether older cycles can be loaded")
+  attr(:has_newer_cycles, :boolean, default: false, doc: "whether newer cycles can be loaded")
   attr(:new_cycle_number, :integer, default: nil, doc: "cycle number to highlight as new")
+  attr(:filter, :map, default: nil, doc: "active cycle log filter, or nil")
+  attr(:matches, :list, default: nil, doc: "matching cycle numbers, newest first")
+  attr(:current_match, :integer, default: nil, doc: "cycle number of the current match")
+  attr(:expanded_sections, :map, default: %{}, doc: "time group section IDs to expanded state")
 
   def cycle_log_view(assigns) do
     ~H"""
@@ -51,59 +78,219 @@ defmodule UnshackledWeb.Components.Sessions.CycleLog do
       phx-hook="CycleLogHook"
       data-new-cycle-number={@new_cycle_number}
     >
+      <.filter_bar
+        :if={@cycle_log != [] or @filter}
+        filter={@filter}
+        matches={@matches || []}
+        current_match={@current_match}
+      />
+
       <%= if @cycle_log == [] do %>
-        <p class="text-text-muted text-sm italic">Waiting for first cycle...</p>
+        <p :if={@filter} class="text-text-muted text-sm italic">No cycles match the filter</p>
+        <p :if={!@filter} class="text-text-muted text-sm italic">Waiting for first cycle...</p>
       <% else %>
-        <.render_cycle_groups cycle_log={@cycle_log} has_more_cycles={@has_more_cycles} new_cycle_number={@new_cycle_number} />
+        <div
+          id="cycle-log-entries"
+          class="space-y-4"
+          phx-hook="InfiniteScrollHook"
+          data-has-more={to_string(@has_more_cycles)}
+          data-has-previous={to_string(@has_newer_cycles)}
+          data-load-more-event="load_more_cycles"
+          data-load-previous-event="load_newer_cycles"
+        >
+          <.render_cycle_groups
+            cycle_log={@cycle_log}
+            has_more_cycles={@has_more_cycles}
+            has_newer_cycles={@has_newer_cycles}
+            new_cycle_number={@new_cycle_number}
+            filter={@filter}
+            current_match={@current_match}
+            expanded_sections={@expanded_sections}
+          />
+        </div>
       <% end %>
     </div>
     """
   end
 
+  @doc """
+  Renders the cycle log filter form with the match count and next/previous
+  buttons. Enter in the form moves to the next match.
+
+  ## Attributes
+
+  * `filter` - The active cycle log filter (optional)
+  * `matches` - Matching cycle numbers, newest first (required)
+  * `current_match` - The match last navigated to (optional)
+
+  ## Examples
+
+      <.filter_bar filter={@filter} matches={@matches} current_match={@current_match} />
+  """
+  attr(:filter, :map, default: nil, doc: "active cycle log filter, or nil")
+  attr(:matches, :list, required: true, doc: "matching cycle numbers, newest first")
+  attr(:current_match, :integer, default: nil, doc: "cycle number of the current match")
+
+  def filter_bar(assigns) do
+    assigns =
+      assign(assigns,
+        form: to_form(CycleLogFilter.to_params(assigns.filter), as: :cycle_log_filter),
+        role_options: role_options()
+      )
+
+    ~H"""
+    <.form
+      for={@form}
+      id="cycle-log-filter"
+      class="space-y-3 pb-4 border-b border-border-subtle"
+      phx-change="filter_cycle_log"
+      phx-submit="cycle_log_next_match"
+      data-cycle-log-filter
+    >
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <.input field={@form[:role]} type="select" label="Agent" prompt="Any agent" options={@role_options} />
+        <.input
+          field={@form[:query]}
+          type="search"
+          label="Text"
+          placeholder="Contribution or claim"
+          autocomplete="off"
+          phx-debounce="300"
+        />
+        <.input field={@form[:min_delta]} type="number" label="Min delta" step="0.01" phx-debounce="300" />
+        <.input field={@form[:max_delta]} type="number" label="Max delta" step="0.01" phx-debounce="300" />
+      </div>
+
+      <div :if={@filter} class="flex items-center justify-between gap-3">
+        <span id="cycle-log-match-count" class="text-xs font-mono-data text-text-secondary" aria-live="polite">
+          <%= match_count_label(@matches, @current_match) %>
+        </span>
+        <div class="flex items-center gap-2">
+          <.button
+            type="button"
+            variant={:secondary}
+            phx-click="cycle_log_previous_match"
+            disabled={@matches == []}
+            title="Previous match (Shift+Enter)"
+          >
+            Previous
+          </.button>
+          <.button
+            type="button"
+            variant={:secondary}
+            phx-click="cycle_log_next_match"
+            disabled={@matches == []}
+            title="Next match (Enter)"
+          >
+            Next
+          </.button>
+          <.button type="button" variant={:secondary} phx-click="clear_cycle_log_filter">
+            Clear
+          </.button>
+        </div>
+      </div>
+    </.form>
+    """
+  end
+
+  @doc """
+  Describes how many cycles match and which one is current.
+
+  ## Examples
+
+      iex> CycleLog.match_count_label([9, 4, 2], 4)
+      "Match 2 of 3"
+
+      iex> CycleLog.match_count_label([9], nil)
+      "1 matching cycle"
+  """
+  @spec match_count_label([integer()], integer() | nil) :: String.t()
+  def match_count_label([], _current_match), do: "No matching cycles"
+
+  def match_count_label(matches, current_match) do
+    case Enum.find_index(matches, &(&1 == current_match)) do
+      nil -> "#{length(matches)} matching #{if length(matches) == 1, do: "cycle", else: "cycles"}"
+      index -> "Match #{index + 1} of #{length(matches)}"
+    end
+  end
+
+  defp role_options do
+    Metadata.all_roles()
+    |> Enum.map(&{Metadata.display_name(&1), Atom.to_string(&1)})
+    |> Enum.sort()
+  end
+
   @doc """
   Renders cycle entries grouped by time period.
 
   ## Attributes
 
   * `cycle_log` - List of cycle entries (required)
-  * `has_more_cycles` - Whether more cycles can be loaded (required)
+  * `has_more_cycles` - Whether older cycles can be loaded (required)
+  * `has_newer_cycles` - Whether newer cycles can be loaded (optional)
   * `new_cycle_number` - Cycle number to highlight as new (optional)
+  * `filter` - The active cycle log filter, for highlighting matches (optional)
+  * `current_match` - The match last navigated to (optional)
+  * `expanded_sections` - Time groups toggled away from their default (optional)
 
   ## Examples
 
       <.render_cycle_groups
         cycle_log={@cycle_log}
         has_more_cycles={@has_more_cycles}
+        has_newer_cycles={@has_newer_cycles}
         new_cycle_number={@new_cycle_number}
       />
   """
   attr(:cycle_log, :list, required: true, doc: "list of cycle entries")
-  attr(:has_more_cycles, :boolean, required: true, doc: "whether more cycles can be loaded")
+  attr(:has_more_cycles, :boolean, required: true, doc: "whether older cycles can be loaded")
+  attr(:has_newer_cycles, :boolean, default: false, doc: "whether newer cycles can be loaded")
   attr(:new_cycle_number, :integer, default: nil, doc: "cycle number to highlight as new")
+  attr(:filter, :map, default: nil, doc: "active cycle log filter, or nil")
+  attr(:current_match, :integer, default: nil, doc: "cycle number of the current match")
+  attr(:expanded_sections, :map, default: %{}, doc: "time group section IDs to expanded state")
 
   def render_cycle_groups(assigns) do
     ~H"""
+    <%= if @has_newer_cycles do %>
+      <div class="pb-4 border-b border-border-subtle" data-scroll-edge="previous">
+        <.button phx-click="load_newer_cycles" variant={:secondary} class="w-full">
+          Load newer
+        </.button>
+      </div>
+    <% end %>
+
     <%= for group <- group_cycles_by_time(@cycle_log) do %>
       <CoreComponents.collapsible_section
         id={"cycles-#{group.period}"}
         count={group.count}
-        expanded={group.expanded}
+        expanded={Map.get(@expanded_sections, "cycles-#{group.period}", group.expanded)}
+        track
       >
         <:title><%= group.label %></:title>
         <div class="space-y-3">
           <%= for cycle <- group.cycles do %>
-            <.cycle_entry cycle={cycle} new_cycle_number={@new_cycle_number} />
+            <.cycle_entry
+              cycle={cycle}
+              new_cycle_number={@new_cycle_number}
+              filter={@filter}
+              current_match={@current_match}
+            />
           <% end %>
         </div>
       </CoreComponents.collapsible_section>
     <% end %>
 
     <%= if @has_more_cycles do %>
-      <div class="pt-4 border-t border-border-subtle">
+      <div class="pt-4 border-t border-border-subtle" data-scroll-edge="more">
         <.button phx-click="load_more_cycles" variant={:secondary} class="w-full">
           Load more
         </.button>
       </div>
+    <% else %>
+      <p id="cycle-log-end" class="pt-4 text-center text-text-muted text-xs uppercase tracking-wider">
+        No older cycles
+      </p>
     <% end %>
     """
   end
@@ -115,6 +302,8 @@ defmodule UnshackledWeb.Components.Sessions.CycleLog do
 
   * `cycle` - Cycle map containing cycle_number, total_delta, and contributions (required)
   * `new_cycle_number` - Cycle number to highlight as new (optional)
+  * `filter` - The active cycle log filter, for highlighting matches (optional)
+  * `current_match` - The match last navigated to (optional)
 
   ## Examples
 
@@ -125,19 +314,32 @@ defmodule UnshackledWeb.Components.Sessions.CycleLog do
   """
   attr(:cycle, :map, required: true, doc: "cycle map containing cycle data")
   attr(:new_cycle_number, :integer, default: nil, doc: "cycle number to highlight as new")
+  attr(:filter, :map, default: nil, doc: "active cycle log filter, or nil")
+  attr(:current_match, :integer, default: nil, doc: "cycle number of the current match")
 
   def cycle_entry(assigns) do
     is_new = assigns[:new_cycle_number] == assigns[:cycle].cycle_number
+    claim_text = Map.get(assigns.cycle, :claim_text)
 
-    assigns = assign(assigns, :is_new, is_new)
+    assigns =
+      assign(assigns,
+        is_new: is_new,
+        is_current: assigns.current_match == assigns.cycle.cycle_number,
+        claim_text: claim_text,
+        claim_match: CycleLogFilter.highlight?(assigns.filter, claim_text)
+      )
 
     ~H"""
     <div
       class={[
         "border-l-2 border-border-strong pl-4 py-3 relative",
-        @is_new && "cycle-new"
+        @is_new && "cycle-new",
+        @is_current && "cycle-match-current"
       ]}
       id={"cycle-#{@cycle.cycle_number}"}
+      data-cycle={@cycle.cycle_number}
+      data-scroll-item
+      aria-current={@is_current && "true"}
       phx-hook={@is_new && "CycleNewHook"}
     >
       <%!-- Cycle number badge --%>
@@ -157,10 +359,20 @@ defmodule UnshackledWeb.Components.Sessions.CycleLog do
         </span>
       </div>
 
+      <p :if={@claim_match} class="mb-3 text-xs text-text-secondary">
+        <span class="text-text-muted uppercase tracking-wider">Claim</span>
+        <.highlighted text={@claim_text} filter={@filter} />
+      </p>
+
       <%!-- Agent contributions for this cycle --%>
       <div class="space-y-2">
         <%= for contribution <- @cycle.contributions do %>
-          <.contribution_item contribution={contribution} cycle={@cycle} />
+          <.contribution_item
+            contribution={contribution}
+            cycle={@cycle}
+            match={CycleLogFilter.contribution_match?(@filter, contribution, @claim_text)}
+            filter={@filter}
+          />
         <% end %>
       </div>
     </div>
@@ -174,6 +386,9 @@ defmodule UnshackledWeb.Components.Sessions.CycleLog do
 
   * `contribution` - Contribution map containing agent_role, support_delta, accepted, and output_text (required)
   * `cycle` - Cycle map for context (required)
+  * `match` - Whether the contribution matches the cycle log filter (optional)
+  * `filter` - The active cycle log filter; a matching contribution's text is
+    shown with the filter text highlighted (optional)
 
   ## Examples
 
@@ -184,10 +399,22 @@ defmodule UnshackledWeb.Components.Sessions.CycleLog do
   """
   attr(:contribution, :map, required: true, doc: "contribution map")
   attr(:cycle, :map, required: true, doc: "cycle map for context")
+  attr(:match, :boolean, default: false, doc: "whether the contribution matches the filter")
+  attr(:filter, :map, default: nil, doc: "active cycle log filter, or nil")
 
   def contribution_item(assigns) do
+    text_id = "contribution-text-#{assigns.contribution.agent_role}-#{assigns.cycle.cycle_number}"
+
+    %{match: match, filter: filter, contribution: contribution} = assigns
+    show_text = match and CycleLogFilter.highlight?(filter, contribution.output_text)
+
+    assigns = assign(assigns, text_id: text_id, show_text: show_text)
+
     ~H"""
-    <div class="flex items-start gap-3 text-sm">
+    <div
+      class={["flex items-start gap-3 text-sm", @match && "cycle-log-match"]}
+      data-match={@match && "true"}
+    >
       <%!-- Agent role dot --%>
       <div class={[
         "w-3 h-3 flex-shrink-0 mt-0.5",
@@ -217,24 +444,41 @@ defmodule UnshackledWeb.Components.Sessions.CycleLog do
         <button
           type="button"
           class="text-text-muted text-xs hover:text-text-primary transition-colors"
-          phx-click={toggle_contribution("contribution-text-#{@contribution.agent_role}-#{@cycle.cycle_number}")}
-          aria-expanded="false"
-          aria-controls={"contribution-text-#{@contribution.agent_role}-#{@cycle.cycle_number}"}
+          phx-click={toggle_contribution(@text_id)}
+          aria-expanded={to_string(@show_text)}
+          aria-controls={@text_id}
         >
           Show contribution
         </button>
 
+        <%!-- Text matching the filter starts open, with the matches marked --%>
         <div
-          id={"contribution-text-#{@contribution.agent_role}-#{@cycle.cycle_number}"}
-          class="mt-2 p-3 bg-surface-elevated border border-border text-sm text-text-secondary hidden"
+          id={@text_id}
+          class={[
+            "mt-2 p-3 bg-surface-elevated border border-border text-sm text-text-secondary",
+            !@show_text && "hidden"
+          ]}
         >
-          <%= @contribution.output_text || "No contribution text available" %>
+          <%= if @show_text do %>
+            <.highlighted text={@contribution.output_text} filter={@filter} />
+          <% else %>
+            <%= @contribution.output_text || "No contribution text available" %>
+          <% end %>
         </div>
       </div>
      </div>
     """
   end
 
+  attr(:text, :string, required: true)
+  attr(:filter, :map, required: true)
+
+  defp highlighted(assigns) do
+    ~H"""
+    <%= for {kind, part} <- CycleLogFilter.highlight(@text, @filter) do %><mark :if={kind == :match} class="bg-accent/30 text-text-primary"><%= part %></mark><span :if={kind == :text}><%= part %></span><% end %>
+    """
+  end
+
   @doc """
   Returns a JS command for toggling contribution visibility.
 
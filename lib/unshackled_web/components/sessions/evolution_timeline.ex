@@ -5,11 +5,15 @@ defmodule UnshackledWeb.Components.Sessions.EvolutionTimeline do
   Renders a vertical timeline of claim changes with expandable cards showing
   detailed diff views and contribution excerpts. Supports both desktop and
   mobile layouts with different visual presentations.
+
+  Above the cards, a lineage graph (`ClaimLineageHook`) draws each claim
+  version as a node so branching, reverts and re-treads are visible at a
+  glance. Clicking a node expands its card.
   """
 
   use Phoenix.Component
 
-  import UnshackledWeb.CoreComponents, only: [card: 1]
+  import UnshackledWeb.CoreComponents, only: [card: 1, chart: 1]
 
   import UnshackledWeb.SessionsLive.Show.Formatters,
     only: [
@@ -30,26 +34,36 @@ defmodule UnshackledWeb.Components.Sessions.EvolutionTimeline do
 
   * `blackboard` - Blackboard map containing session data (required)
   * `claim_transitions` - List of claim transition records (optional, defaults to [])
+  * `lineage` - Claim lineage graph from `Lineage.claim_lineage/1` (optional)
   * `claim_summary` - Map containing summary data (optional)
   * `expanded_nodes` - Map of expanded timeline node IDs (optional, defaults to %{})
+  * `thresholds` - Support thresholds used to colour lineage nodes (optional, defaults to nil)
 
   ## Examples
 
       <.claim_evolution_timeline
         blackboard={@blackboard}
         claim_transitions={@claim_transitions}
+        lineage={@claim_lineage}
         claim_summary={@claim_summary}
         expanded_nodes={@expanded_timeline_nodes}
       />
   """
   attr(:blackboard, :map, required: true, doc: "blackboard map containing session data")
   attr(:claim_transitions, :list, default: [], doc: "list of claim transition records")
+
+  attr(:lineage, :map,
+    default: %{nodes: [], edges: []},
+    doc: "claim version nodes and transition edges"
+  )
+
   attr(:claim_summary, :map, default: nil, doc: "map containing summary data")
   attr(:expanded_nodes, :map, default: %{}, doc: "map of expanded timeline node IDs")
+  attr(:thresholds, :map, default: nil, doc: "support thresholds for lineage node colours")
 
   def claim_evolution_timeline(assigns) do
     ~H"""
-    <.card>
+    <.card id="claim-evolution">
       <div class="flex items-center justify-between mb-4">
         <h2 class="text-lg font-bold text-text-primary uppercase tracking-wider">
           Claim Evolution
@@ -76,6 +90,21 @@ defmodule UnshackledWeb.Components.Sessions.EvolutionTimeline do
           </p>
         </div>
       <% else %>
+        <%!-- Lineage graph: one node per claim version --%>
+        <div :if={@lineage.nodes != []} class="mb-6">
+          <.chart
+            id={"claim-lineage-#{@blackboard.id}"}
+            hook="ClaimLineageHook"
+            data={Map.put(@lineage, :thresholds, @thresholds)}
+            height={260}
+            margin_top={20}
+            margin_right={20}
+            margin_bottom={40}
+            margin_left={20}
+            exportable
+          />
+        </div>
+
         <%!-- Desktop: vertical timeline with connected nodes --%>
         <div class="hidden md:block relative">
           <%!-- Vertical timeline line --%>
@@ -0,0 +1,179 @@
+defmodule UnshackledWeb.Components.Sessions.Notifications do
+  @moduledoc """
+  Browser notifications and tab-title badges for a running session.
+
+  The `session_notifications/1` component mounts `SessionNotificationsHook`
+  (assets/js/hooks/session_notifications_hook.js), which keeps the tab title
+  showing the session's cycle and status and counts events that arrive while
+  the tab is in the background. Desktop notifications are opt-in: the user
+  grants browser permission from the component's panel and picks which
+  events notify them. Choices are stored in the browser, not on the server.
+
+  LiveViews report events with the `notify_*` functions, which push a
+  `"session_event"` to the hook. The hook decides whether to show it.
+  """
+
+  use Phoenix.Component
+
+  alias Unshackled.Costs
+
+  import UnshackledWeb.SessionsLive.Show.Formatters,
+    only: [format_cost: 1, format_cost_limit: 1, truncate_contribution: 2]
+
+  # Event kinds the user can opt into; the hook keys its stored choices on these
+  @kinds [
+    {"graduated", "A claim graduates"},
+    {"died", "A claim dies"},
+    {"cost_limit", "The cost limit is reached"},
+    {"stopped", "The session stops or completes"}
+  ]
+
+  @claim_preview_length 120
+
+  @doc """
+  Renders the notification settings panel and the hook that drives the tab title.
+
+  ## Attributes
+
+  * `id` - DOM id of the hook element (required)
+  * `label` - Session name shown in the tab title and notifications (required)
+  * `cycle` - Current cycle number (optional)
+  * `status` - Current session status atom (optional)
+
+  ## Examples
+
+      <.session_notifications
+        id="session-notifications"
+        label={"Session #{@blackboard.id}"}
+        cycle={@blackboard.cycle_count}
+        status={@status}
+      />
+  """
+  attr(:id, :string, required: true, doc: "DOM id of the hook element")
+  attr(:label, :string, required: true, doc: "session name for the tab title")
+  attr(:cycle, :integer, default: nil, doc: "current cycle number")
+  attr(:status, :atom, default: nil, doc: "current session status atom")
+
+  def session_notifications(assigns) do
+    assigns = assign(assigns, :kinds, @kinds)
+
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="SessionNotificationsHook"
+      class="relative"
+      data-label={@label}
+      data-cycle={@cycle}
+      data-status={@status}
+    >
+      <%!-- Ignored so patches don't reset the checkboxes the hook restores --%>
+      <details id={"#{@id}-panel"} phx-update="ignore" class="relative">
+        <summary class="btn list-none cursor-pointer px-5 py-2.5 font-display text-xs font-semibold uppercase tracking-wider border-2 bg-transparent text-text-primary border-border hover:bg-surface-elevated hover:border-accent hover:text-accent">
+          Notify
+        </summary>
+        <div class="absolute right-0 z-20 mt-2 w-72 space-y-4 border border-border bg-surface p-4 shadow-lg">
+          <div class="space-y-2">
+            <p data-role="permission" class="text-xs text-text-muted">
+              Desktop notifications are off.
+            </p>
+            <button
+              type="button"
+              data-role="enable"
+              class="btn px-3 py-1.5 font-display text-xs font-semibold uppercase tracking-wider border-2 bg-transparent text-text-primary border-border hover:bg-surface-elevated hover:border-accent hover:text-accent disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              Enable desktop notifications
+            </button>
+          </div>
+          <fieldset class="space-y-2">
+            <legend class="mb-2 font-display text-xs font-semibold uppercase tracking-wider text-text-secondary">
+              Notify me when
+            </legend>
+            <label
+              :for={{kind, description} <- @kinds}
+              class="flex items-center gap-3 text-sm text-text-secondary cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                data-kind={kind}
+                class="h-4 w-4 border border-border-strong bg-surface text-accent accent-accent"
+              />
+              <%= description %>
+            </label>
+          </fieldset>
+        </div>
+      </details>
+    </div>
+    """
+  end
+
+  @doc """
+  Pushes a notification for a claim that died, from its cemetery entry.
+  """
+  @spec notify_claim_died(Phoenix.LiveView.Socket.t(), String.t(), map()) ::
+          Phoenix.LiveView.Socket.t()
+  def notify_claim_died(socket, label, entry) do
+    push_session_event(
+      socket,
+      "died",
+      "#{label}: claim died",
+      "#{claim_preview(entry[:claim])} (cycle #{entry[:cycle_killed]})"
+    )
+  end
+
+  @doc """
+  Pushes a notification for a claim that graduated, from its graduation entry.
+  """
+  @spec notify_claim_graduated(Phoenix.LiveView.Socket.t(), String.t(), map()) ::
+          Phoenix.LiveView.Socket.t()
+  def notify_claim_graduated(socket, label, entry) do
+    push_session_event(
+      socket,
+      "graduated",
+      "#{label}: claim graduated",
+      "#{claim_preview(entry[:claim])} (cycle #{entry[:cycle_graduated]})"
+    )
+  end
+
+  @doc """
+  Pushes a notification for a session that was stopped or ran all its cycles.
+  """
+  @spec notify_session_ended(Phoenix.LiveView.Socket.t(), String.t(), :stopped | :completed) ::
+          Phoenix.LiveView.Socket.t()
+  def notify_session_ended(socket, label, :stopped) do
+    push_session_event(socket, "stopped", "#{label} stopped", "The session was stopped.")
+  end
+
+  def notify_session_ended(socket, label, :completed) do
+    push_session_event(socket, "stopped", "#{label} completed", "All cycles have run.")
+  end
+
+  @doc """
+  Pushes a cost limit notification when the cost going from `previous_total`
+  to `total` exceeds `cost_limit`, and returns the socket unchanged otherwise.
+  """
+  @spec maybe_notify_cost_limit(
+          Phoenix.LiveView.Socket.t(),
+          String.t(),
+          number(),
+          number(),
+          Decimal.t() | number() | nil
+        ) :: Phoenix.LiveView.Socket.t()
+  def maybe_notify_cost_limit(socket, label, previous_total, total, cost_limit) do
+    if Costs.limit_crossed?(previous_total, total, cost_limit) do
+      push_session_event(
+        socket,
+        "cost_limit",
+        "#{label}: cost limit reached",
+        "Spent #{format_cost(total)} of #{format_cost_limit(cost_limit)}."
+      )
+    else
+      socket
+    end
+  end
+
+  defp push_session_event(socket, kind, title, body) do
+    Phoenix.LiveView.push_event(socket, "session_event", %{kind: kind, title: title, body: body})
+  end
+
+  defp claim_preview(claim), do: truncate_contribution(claim, @claim_preview_length)
+end
@@ -0,0 +1,100 @@
+defmodule UnshackledWeb.Components.Sessions.ReplayControl do
+  @moduledoc """
+  Replay control for a session that has stopped running: a cycle slider with
+  play/pause and playback speed.
+
+  The `replay_control/1` component mounts `ReplayHook`
+  (assets/js/hooks/replay_hook.js), which plays and scrubs on the client,
+  trims the charts to the cycle shown and tells the server the cycle it
+  lands on, as `"set_replay_cycle"` or `"stop_replay"` once back at the last
+  cycle. The server's replay cycle comes back on `data-replay-cycle`, so the
+  hook follows the page back to live when it ends the replay itself. See
+  `UnshackledWeb.SessionsLive.Show.Replay`.
+  """
+
+  use Phoenix.Component
+
+  import UnshackledWeb.CoreComponents, only: [segmented_toggle: 1]
+
+  # Playback speeds as the hook reads them, with their button labels
+  @speeds [{"0.5", "½×"}, {"1", "1×"}, {"2", "2×"}, {"4", "4×"}]
+
+  @doc """
+  Renders the replay control.
+
+  ## Attributes
+
+  * `id` - DOM id of the hook element (required)
+  * `cycle_count` - The session's last cycle, the end of the slider (required)
+  * `replay_cycle` - Cycle being replayed, or nil when the page is live (optional)
+
+  ## Examples
+
+      <.replay_control
+        id="session-replay"
+        cycle_count={@blackboard.cycle_count}
+        replay_cycle={@replay_cycle}
+      />
+  """
+  attr(:id, :string, required: true, doc: "DOM id of the hook element")
+  attr(:cycle_count, :integer, required: true, doc: "the session's last cycle")
+  attr(:replay_cycle, :integer, default: nil, doc: "cycle being replayed; nil when live")
+
+  def replay_control(assigns) do
+    assigns = assign(assigns, :speeds, @speeds)
+
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="ReplayHook"
+      class="bg-surface border-2 border-border px-4 py-3"
+      data-max-cycle={@cycle_count}
+      data-replay-cycle={@replay_cycle}
+    >
+      <%!-- Ignored so patches don't move the slider or playback state the hook owns --%>
+      <div
+        id={"#{@id}-controls"}
+        phx-update="ignore"
+        class="flex flex-wrap items-center gap-3 text-xs font-mono"
+      >
+        <span class="font-bold uppercase tracking-wider text-text-primary">Replay</span>
+        <button
+          type="button"
+          data-replay-play
+          aria-pressed="false"
+          class="w-16 px-2 py-0.5 uppercase text-text-muted border border-border hover:text-text-primary aria-pressed:text-text-primary aria-pressed:border-text-muted transition-colors"
+        >
+          Play
+        </button>
+        <input
+          type="range"
+          data-replay-slider
+          min="1"
+          max={@cycle_count}
+          step="1"
+          value={@replay_cycle || @cycle_count}
+          aria-label="Replay cycle"
+          class="flex-1 min-w-32 accent-accent"
+        />
+        <span data-replay-label class="text-text-muted whitespace-nowrap">
+          Cycle <%= @replay_cycle || @cycle_count %> / <%= @cycle_count %>
+        </span>
+        <.segmented_toggle
+          aria-label="Replay speed"
+          name="replay-speed"
+          options={@speeds}
+          value="1"
+        />
+        <button
+          type="button"
+          data-replay-live
+          title="Back to the last cycle"
+          class="px-2 py-0.5 uppercase text-text-muted border border-border hover:text-text-primary hover:border-text-muted transition-colors"
+        >
+          Latest
+        </button>
+      </div>
+    </div>
+    """
+  end
+end
@@ -4,10 +4,25 @@ defmodule UnshackledWeb.Components.Sessions.SessionControls do
 
   Renders action buttons for session management (pause, resume, stop, delete)
   based on the current session status, with confirmation dialogs for destructive actions.
+  Also renders the keyboard shortcuts overlay for the session detail page.
   """
 
   use Phoenix.Component
 
+  # Bindings handled by SessionShortcutsHook (assets/js/hooks/session_shortcuts_hook.js)
+  @shortcuts [
+    {"p", "Pause or resume the session"},
+    {"s", "Stop the session (asks for confirmation)"},
+    {"c", "Jump to the charts"},
+    {"l", "Jump to the cycle log"},
+    {"t", "Jump to the claim evolution timeline"},
+    {"e", "Expand or collapse all timeline nodes"},
+    {"f", "Filter the cycle log"},
+    {"n", "Next cycle log match"},
+    {"N", "Previous cycle log match"},
+    {"?", "Show or hide this list"}
+  ]
+
   alias Phoenix.LiveView.JS
   import UnshackledWeb.CoreComponents
 
@@ -141,4 +156,47 @@ defmodule UnshackledWeb.Components.Sessions.SessionControls do
     </div>
     """
   end
+
+  @doc """
+  Renders the overlay listing the session detail keyboard shortcuts.
+
+  Opened with "?" or the header's "?" button, closed with Escape or by
+  clicking outside it.
+
+  ## Attributes
+
+  * `show` - Whether the overlay is visible (optional, defaults to false)
+
+  ## Examples
+
+      <.shortcuts_help show={@show_shortcuts_help} />
+  """
+  attr(:show, :boolean, default: false, doc: "whether the overlay is visible")
+
+  def shortcuts_help(assigns) do
+    assigns = assign(assigns, :shortcuts, @shortcuts)
+
+    ~H"""
+    <.modal
+      id="shortcuts-help-modal"
+      show={@show}
+      on_close={JS.push("close_shortcuts_help")}
+    >
+      <:title>Keyboard Shortcuts</:title>
+      <dl class="space-y-2 text-sm">
+        <div :for={{key, description} <- @shortcuts} class="flex items-center gap-4">
+          <dt class="w-8 flex-shrink-0">
+            <kbd class="inline-block min-w-[1.5rem] px-1.5 py-0.5 text-center font-mono-data text-xs text-text-primary border border-border bg-surface-elevated">
+              <%= key %>
+            </kbd>
+          </dt>
+          <dd><%= description %></dd>
+        </div>
+      </dl>
+      <p class="mt-4 text-xs text-text-muted">
+        Shortcuts are ignored while typing in a form field.
+      </p>
+    </.modal>
+    """
+  end
 end
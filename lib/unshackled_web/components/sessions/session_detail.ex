@@ -9,12 +9,19 @@ defmodule UnshackledWeb.Components.Sessions.SessionDetail do
   use UnshackledWeb, :html
 
   alias UnshackledWeb.CoreComponents
+  alias UnshackledWeb.Components.Sessions.AnnotationsPanel
   alias UnshackledWeb.Components.Sessions.ClaimCard
   alias UnshackledWeb.Components.Sessions.EvolutionTimeline
   alias UnshackledWeb.Components.Sessions.CycleLog
   alias UnshackledWeb.Components.Sessions.CostCard
+  alias UnshackledWeb.Components.Sessions.Notifications
+  alias UnshackledWeb.Components.Sessions.ReplayControl
   alias UnshackledWeb.Components.Sessions.SessionControls
   alias UnshackledWeb.Components.Sessions.ClaimsLists
+  alias UnshackledWeb.Components.ClaimDiff
+  alias UnshackledWeb.SessionsLive.Show.ChartDeltas
+  alias UnshackledWeb.SessionsLive.Show.Replay
+  alias UnshackledWeb.SessionsLive.Show.State
 
   import UnshackledWeb.SessionsLive.Show.Formatters,
     only: [
@@ -22,7 +29,9 @@ defmodule UnshackledWeb.Components.Sessions.SessionDetail do
       support_color: 1,
       status_text: 1,
       status_text_color: 1,
-      status_border_class: 1
+      status_border_class: 1,
+      format_delta: 1,
+      delta_color: 1
     ]
 
   attr(:blackboard, :map, required: true)
@@ -30,26 +39,81 @@ defmodule UnshackledWeb.Components.Sessions.SessionDetail do
   attr(:status, :atom, required: true)
   attr(:show_stop_confirm, :boolean, required: true)
   attr(:show_delete_confirm, :boolean, required: true)
+  attr(:show_shortcuts_help, :boolean, default: false)
   attr(:support_timeline, :list, required: true)
   attr(:contributions_data, :list, required: true)
+  attr(:contributions_timeline, :list, default: [])
+  attr(:contributions_view, :atom, default: :donut, values: [:donut, :over_time])
   attr(:trajectory_data, :map, required: true)
   attr(:trajectory_loading, :boolean, default: false)
+  attr(:trajectory_view, :atom, default: :three_d, values: [:three_d, :two_d])
+
+  attr(:trajectory_color_by, :atom,
+    default: :cycle,
+    values: [:cycle, :support, :agent, :novelty]
+  )
+
   attr(:cemetery_entries, :list, required: true)
   attr(:graduated_claims, :list, required: true)
   attr(:cycle_log, :list, required: true)
   attr(:has_more_cycles, :boolean, required: true)
+  attr(:has_newer_cycles, :boolean, default: false)
+  attr(:cycle_log_filter, :map, default: nil)
+  attr(:cycle_log_matches, :list, default: nil)
+  attr(:cycle_log_match, :integer, default: nil)
   attr(:new_cycle_number, :integer, default: nil)
   attr(:claim_summary, :map, default: nil)
   attr(:claim_transitions, :list, default: [])
+  attr(:claim_lineage, :map, default: %{nodes: [], edges: []})
   attr(:expanded_timeline_nodes, :map, default: %{})
   attr(:expanded_summary_sections, :map, default: MapSet.new())
   attr(:total_cost, :float, default: 0.0)
   attr(:cost_by_cycle, :list, default: [])
   attr(:cost_by_agent, :list, default: [])
+  attr(:cost_by_cycle_and_agent, :list, default: [])
+  attr(:cycle_range, :map, default: nil, doc: "cycle window brushed on the support timeline")
+  attr(:replay_cycle, :integer, default: nil, doc: "cycle the page is replayed at; nil when live")
+  attr(:selected_cycle, :integer, default: nil, doc: "cycle selected on the charts and cycle log")
+  attr(:annotations, :list, default: [], doc: "notes pinned to the session's cycles")
+  attr(:editing_annotation, :integer, default: nil, doc: "ID of the annotation being edited")
+  attr(:annotation_form_key, :integer, default: 0, doc: "bumped to clear the new-note form")
+
+  attr(:expanded_sections, :map,
+    default: %{},
+    doc: "collapsible section IDs toggled away from their default, to their expanded state"
+  )
+
+  attr(:claim_compare_cycles, :list,
+    default: [],
+    doc: "cycles shift-clicked to diff their claims"
+  )
+
+  attr(:claim_compare_mode, :atom, default: :inline, values: [:inline, :side_by_side])
+
+  attr(:thresholds, :map,
+    default: nil,
+    doc: "session's death, grave_keeper and graduation support thresholds for the charts"
+  )
+
+  attr(:chart_snapshot, :map,
+    default: nil,
+    doc: "chart data last sent in full; nil draws the charts from the lists above"
+  )
 
   def session_detail(assigns) do
+    assigns =
+      assigns
+      |> assign(:charts, assigns.chart_snapshot || State.chart_snapshot(assigns))
+      |> assign(:shown, shown_state(assigns))
+
     ~H"""
-    <div class={["space-y-6", "border-l-4", status_border_class(@status)]}>
+    <div
+      id="session-detail"
+      class={["space-y-6", "border-l-4", status_border_class(@status)]}
+      phx-hook="SessionShortcutsHook"
+      data-status={@status}
+      data-has-session={to_string(@session_id != nil)}
+    >
       <.breadcrumb>
         <:item navigate="/sessions">Sessions</:item>
         <:item>Session #<%= @blackboard.id %></:item>
@@ -71,15 +135,52 @@ defmodule UnshackledWeb.Components.Sessions.SessionDetail do
              show_stop_confirm={@show_stop_confirm}
              show_delete_confirm={@show_delete_confirm}
            />
+           <Notifications.session_notifications
+             id="session-notifications"
+             label={"Session #{@blackboard.id}"}
+             cycle={@blackboard.cycle_count}
+             status={@status}
+           />
+           <.button
+             variant={:secondary}
+             phx-click="toggle_shortcuts_help"
+             aria-label="Keyboard shortcuts"
+             title="Keyboard shortcuts (?)"
+           >
+             ?
+           </.button>
+           <a href={"/sessions/compare?ids=#{@blackboard.id}"}>
+             <.button variant={:secondary}>Compare</.button>
+           </a>
            <a href="/sessions">
              <.button variant={:secondary}>Back to Sessions</.button>
            </a>
          </:actions>
       </.header>
 
+      <SessionControls.shortcuts_help show={@show_shortcuts_help} />
+
+      <%!-- Keeps the cycle selected across the charts in the URL --%>
+      <div
+        id="session-selected-cycle"
+        phx-hook="SelectedCycleHook"
+        data-cycle={@selected_cycle}
+        hidden
+      >
+      </div>
+
+      <%!-- Replay scrubber, once the session has stopped running --%>
+      <ReplayControl.replay_control
+        :if={Replay.available?(@status, @blackboard.cycle_count)}
+        id="session-replay"
+        cycle_count={@blackboard.cycle_count}
+        replay_cycle={@replay_cycle}
+      />
+
       <%!-- Contextualized Claim Card --%>
       <ClaimCard.contextualized_claim_card
-        current_claim={@blackboard.current_claim}
+        title={if @replay_cycle, do: "Claim at Cycle #{@replay_cycle}", else: "Current Claim"}
+        current_claim={@shown.claim}
         claim_summary={@claim_summary}
         expanded_summary_sections={@expanded_summary_sections}
       />
@@ -88,20 +189,22 @@ defmodule UnshackledWeb.Components.Sessions.SessionDetail do
       <EvolutionTimeline.claim_evolution_timeline
         blackboard={@blackboard}
         claim_transitions={@claim_transitions}
+        lineage={@claim_lineage}
         claim_summary={@claim_summary}
         expanded_nodes={@expanded_timeline_nodes}
+        thresholds={@thresholds}
       />
 
       <%!-- Key Metrics --%>
       <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
         <.simple_metric_card
           label="Support Strength"
-          value={format_support(@blackboard.support_strength)}
-          color={support_color(@blackboard.support_strength)}
+          value={format_support(@shown.support)}
+          color={support_color(@shown.support)}
         />
         <.simple_metric_card
           label="Cycle Count"
-          value={@blackboard.cycle_count}
+          value={@shown.cycle_count}
           color="text-text-primary"
         />
         <.simple_metric_card
@@ -117,11 +220,21 @@ defmodule UnshackledWeb.Components.Sessions.SessionDetail do
         cost_limit={@blackboard.cost_limit_usd}
       />
 
+      <%!-- Cumulative cost burn-down with limit projection --%>
+      <CostCard.cost_burndown
+        id={"cost-burndown-#{@blackboard.id}"}
+        cost_by_cycle={@cost_by_cycle}
+        cost_by_cycle_and_agent={@cost_by_cycle_and_agent}
+        cost_by_agent={@cost_by_agent}
+        cost_limit={@blackboard.cost_limit_usd}
+      />
+
       <%!-- Cost Breakdown by Cycle (collapsible) --%>
       <CoreComponents.collapsible_section
         id="cost-by-cycle"
         count={length(@cost_by_cycle)}
-        expanded={false}
+        expanded={Map.get(@expanded_sections, "cost-by-cycle", false)}
+        track
       >
         <:title>Cost by Cycle</:title>
         <CostCard.cost_by_cycle_list costs={@cost_by_cycle} />
@@ -131,48 +244,109 @@ defmodule UnshackledWeb.Components.Sessions.SessionDetail do
       <CoreComponents.collapsible_section
         id="cost-by-agent"
         count={length(@cost_by_agent)}
-        expanded={false}
+        expanded={Map.get(@expanded_sections, "cost-by-agent", false)}
+        track
       >
         <:title>Cost by Agent</:title>
         <CostCard.cost_by_agent_list costs={@cost_by_agent} />
       </CoreComponents.collapsible_section>
 
       <%!-- Charts Grid --%>
-      <div class="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <div id="session-charts" class="grid grid-cols-1 lg:grid-cols-2 gap-4">
         <%!-- Support Timeline Chart --%>
         <.card>
-          <h2 class="text-lg font-bold text-text-primary mb-4 uppercase tracking-wider">
-            Support Timeline
-          </h2>
-          <.chart
-            id={"support-timeline-#{@blackboard.id}"}
-            hook="SupportTimelineHook"
-            data={%{support_timeline: @support_timeline, claim_transitions: @claim_transitions}}
-            height={300}
-            margin_right={50}
-          />
+          <div class="flex items-center justify-between mb-4">
+            <h2 class="text-lg font-bold text-text-primary uppercase tracking-wider">
+              Support Timeline
+            </h2>
+            <.cycle_range_control cycle_range={@cycle_range} />
+          </div>
+          <div class="flex flex-col xl:flex-row gap-4">
+            <div class="flex-1 min-w-0">
+              <.chart
+                id={ChartDeltas.chart_id(:support_timeline, @blackboard.id)}
+                hook="SupportTimelineHook"
+                data={
+                  %{
+                    support_timeline: @charts.support_timeline,
+                    claim_transitions: @charts.claim_transitions,
+                    annotations: @annotations,
+                    cycle_range: @cycle_range,
+                    thresholds: @thresholds
+                  }
+                }
+                height={300}
+                margin_right={50}
+                exportable
+                cycle_compare
+              />
+            </div>
+            <AnnotationsPanel.annotations_panel
+              annotations={@annotations}
+              selected_cycle={@selected_cycle}
+              editing={@editing_annotation}
+              form_key={@annotation_form_key}
+            />
+          </div>
         </.card>
 
-        <%!-- Agent Contributions Pie Chart --%>
+        <%!-- Agent Contributions: donut or per-cycle stacked area --%>
         <.card>
-          <h2 class="text-lg font-bold text-text-primary mb-4 uppercase tracking-wider">
-            Agent Contributions
-          </h2>
-          <.chart
-            id={"contributions-pie-#{@blackboard.id}"}
-            hook="ContributionsPieHook"
-            data={@contributions_data}
-            height={300}
-            margin_bottom={20}
-          />
+          <div class="flex items-center justify-between mb-4">
+            <h2 class="text-lg font-bold text-text-primary uppercase tracking-wider">
+              Agent Contributions <.cycle_range_label cycle_range={@cycle_range} />
+              <.replay_cycle_label cycle={@replay_cycle} />
+            </h2>
+            <.contributions_view_toggle view={@contributions_view} />
+          </div>
+          <%= if @contributions_view == :over_time do %>
+            <.chart
+              id={ChartDeltas.chart_id(:contributions_over_time, @blackboard.id)}
+              hook="ContributionsOverTimeHook"
+              data={@charts.contributions_timeline}
+              height={300}
+              margin_right={120}
+              margin_bottom={40}
+              exportable
+            />
+          <% else %>
+            <.chart
+              id={ChartDeltas.chart_id(:contributions_pie, @blackboard.id)}
+              hook="ContributionsPieHook"
+              data={@charts.contributions_data}
+              height={300}
+              margin_bottom={20}
+              exportable
+            />
+          <% end %>
         </.card>
       </div>
 
-        <%!-- Trajectory Plot - Full Width (3D) --%>
+      <%!-- Claim drift between two cycles picked on the charts --%>
+      <.claim_drift_panel
+        :if={@claim_compare_cycles != []}
+        cycles={@claim_compare_cycles}
+        mode={@claim_compare_mode}
+        support_timeline={@support_timeline}
+      />
+
+        <%!-- Trajectory Plot - Full Width, 3D t-SNE or 2D PCA --%>
         <.card>
-          <h2 class="text-lg font-bold text-text-primary mb-4 uppercase tracking-wider">
-            Embedding Trajectory (3D t-SNE)
-          </h2>
+          <div class="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h2 class="text-lg font-bold text-text-primary uppercase tracking-wider">
+              Embedding Trajectory (<%= if @trajectory_view == :two_d,
+                do: "2D PCA",
+                else: "3D t-SNE" %>)
+              <.cycle_range_label cycle_range={@cycle_range} />
+            </h2>
+            <div class="flex items-center gap-3">
+              <.trajectory_color_by_toggle
+                :if={@trajectory_view == :two_d}
+                color_by={@trajectory_color_by}
+              />
+              <.trajectory_view_toggle view={@trajectory_view} />
+            </div>
+          </div>
           <%= if @trajectory_loading do %>
             <div class="flex items-center justify-center h-[450px] bg-surface-elevated">
               <div class="text-center">
@@ -182,20 +356,49 @@ defmodule UnshackledWeb.Components.Sessions.SessionDetail do
             </div>
           <% else %>
             <.chart
+              :if={@trajectory_view == :two_d}
+              id={"trajectory-2d-plot-#{@blackboard.id}"}
+              hook="TrajectoryPlotHook"
+              data={
+                %{
+                  points: Map.get(@trajectory_data, :points_2d, []),
+                  thresholds: @thresholds,
+                  color_by: @trajectory_color_by,
+                  axes: ["PC1", "PC2"]
+                }
+              }
+              height={450}
+              exportable
+              cycle_compare
+            />
+            <.chart
+              :if={@trajectory_view == :three_d}
               id={"trajectory-3d-plot-#{@blackboard.id}"}
               hook="Trajectory3DPlotHook"
-              data={@trajectory_data}
+              data={Map.put(@trajectory_data, :thresholds, @thresholds)}
               height={450}
+              exportable
+              cycle_compare
             />
           <% end %>
         </.card>
 
       <%!-- Cycle Log --%>
-      <.card>
+      <.card id="session-cycle-log">
         <h2 class="text-lg font-bold text-text-primary mb-4 uppercase tracking-wider">
-          Cycle Log
+          Cycle Log <.cycle_range_label cycle_range={@cycle_range} />
+          <.replay_cycle_label cycle={@replay_cycle} />
         </h2>
-        <CycleLog.cycle_log_view cycle_log={@cycle_log} has_more_cycles={@has_more_cycles} new_cycle_number={@new_cycle_number} />
+        <CycleLog.cycle_log_view
+          cycle_log={@cycle_log}
+          has_more_cycles={@has_more_cycles}
+          has_newer_cycles={@has_newer_cycles}
+          new_cycle_number={@new_cycle_number}
+          filter={@cycle_log_filter}
+          matches={@cycle_log_matches}
+          current_match={@cycle_log_match}
+          expanded_sections={@expanded_sections}
+        />
       </.card>
 
       <%!-- Active Objection --%>
@@ -239,6 +442,26 @@ defmodule UnshackledWeb.Components.Sessions.SessionDetail do
     """
   end
 
+  # The claim, support and cycle count the page shows: the blackboard's, or
+  # during a replay the support timeline point at the replay cycle
+  defp shown_state(%{replay_cycle: nil, blackboard: blackboard}) do
+    %{
+      claim: blackboard.current_claim,
+      support: blackboard.support_strength,
+      cycle_count: blackboard.cycle_count
+    }
+  end
+
+  defp shown_state(%{replay_cycle: cycle, blackboard: blackboard} = assigns) do
+    point = Replay.point_at(assigns.support_timeline, cycle) || %{}
+
+    %{
+      claim: Map.get(point, :claim_text),
+      support: Map.get(point, :support),
+      cycle_count: "#{cycle} / #{blackboard.cycle_count}"
+    }
+  end
+
   attr(:label, :string, required: true)
   attr(:value, :any, required: true)
   attr(:color, :string, default: "text-text-primary")
@@ -255,4 +478,170 @@ defmodule UnshackledWeb.Components.Sessions.SessionDetail do
     </.card>
     """
   end
+
+  attr(:cycle_range, :map, default: nil)
+
+  def cycle_range_control(assigns) do
+    ~H"""
+    <div :if={@cycle_range} id="cycle-range-control" class="flex items-center gap-2 text-xs font-mono">
+      <span class="text-text-muted">
+        Cycles <%= @cycle_range.from %>–<%= @cycle_range.to %>
+      </span>
+      <button
+        type="button"
+        phx-click="clear_cycle_range"
+        class="px-2 py-0.5 uppercase text-text-muted border border-border hover:text-text-primary hover:border-text-muted transition-colors"
+      >
+        Reset zoom
+      </button>
+    </div>
+    <span :if={is_nil(@cycle_range)} class="text-xs font-mono text-text-muted">
+      Drag to zoom
+    </span>
+    """
+  end
+
+  attr(:view, :atom, required: true, doc: "the contributions chart currently shown")
+
+  def contributions_view_toggle(assigns) do
+    ~H"""
+    <.segmented_toggle
+      id="contributions-view-toggle"
+      aria-label="Contributions view"
+      event="set_contributions_view"
+      name="view"
+      options={[donut: "Total", over_time: "Over time"]}
+      value={@view}
+    />
+    """
+  end
+
+  attr(:view, :atom, required: true, doc: "the trajectory plot currently shown")
+
+  def trajectory_view_toggle(assigns) do
+    ~H"""
+    <.segmented_toggle
+      id="trajectory-view-toggle"
+      aria-label="Trajectory view"
+      event="set_trajectory_view"
+      name="view"
+      options={[three_d: "3D", two_d: "2D"]}
+      value={@view}
+    />
+    """
+  end
+
+  attr(:color_by, :atom, required: true, doc: "what the 2D trajectory points are coloured by")
+
+  def trajectory_color_by_toggle(assigns) do
+    ~H"""
+    <.segmented_toggle
+      id="trajectory-color-by-toggle"
+      aria-label="Colour points by"
+      label="Colour"
+      event="set_trajectory_color_by"
+      name="color_by"
+      options={trajectory_color_modes()}
+      value={@color_by}
+    />
+    """
+  end
+
+  defp trajectory_color_modes do
+    [cycle: "Cycle", support: "Support", agent: "Agent", novelty: "Novelty"]
+  end
+
+  attr(:cycles, :list, required: true, doc: "one or two cycle numbers, ascending")
+  attr(:mode, :atom, required: true)
+  attr(:support_timeline, :list, required: true, doc: "source of each cycle's claim and support")
+
+  def claim_drift_panel(assigns) do
+    points = Map.new(assigns.support_timeline, &{&1.cycle, &1})
+    assigns =
+      assign(assigns, :points, Enum.map(assigns.cycles, &Map.get(points, &1, %{cycle: &1})))
+
+    ~H"""
+    <div id="claim-drift">
+      <.card>
+        <div class="flex items-center justify-between mb-4">
+          <h2 class="text-lg font-bold text-text-primary uppercase tracking-wider">
+            Claim Drift
+          </h2>
+          <div class="flex items-center gap-2 text-xs font-mono">
+            <.segmented_toggle
+              aria-label="Diff layout"
+              event="set_claim_compare_mode"
+              name="mode"
+              options={[inline: "Inline", side_by_side: "Side by side"]}
+              value={@mode}
+            />
+            <button
+              type="button"
+              phx-click="clear_claim_compare"
+              class="px-2 py-0.5 uppercase text-text-muted border border-border hover:text-text-primary hover:border-text-muted transition-colors"
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+
+        <%= case @points do %>
+          <% [from, to] -> %>
+            <div class="flex items-center gap-3 mb-4 text-sm font-mono">
+              <span class="text-text-secondary">Cycle <%= from.cycle %></span>
+              <span class={support_color(Map.get(from, :support))}>
+                <%= format_support(Map.get(from, :support)) %>
+              </span>
+              <span class="text-text-muted">→</span>
+              <span class="text-text-secondary">Cycle <%= to.cycle %></span>
+              <span class={support_color(Map.get(to, :support))}>
+                <%= format_support(Map.get(to, :support)) %>
+              </span>
+              <span class={["text-xs", delta_color(support_delta(from, to))]}>
+                (<%= format_delta(support_delta(from, to)) %>)
+              </span>
+            </div>
+            <ClaimDiff.word_diff
+              previous_claim={Map.get(from, :claim_text) || ""}
+              new_claim={Map.get(to, :claim_text) || ""}
+              previous_label={"Cycle #{from.cycle}"}
+              new_label={"Cycle #{to.cycle}"}
+              mode={@mode}
+            />
+          <% [only] -> %>
+            <p class="text-sm text-text-secondary">
+              Cycle <%= only.cycle %> selected. Shift-click another point on the support
+              timeline or trajectory to compare claims.
+            </p>
+        <% end %>
+      </.card>
+    </div>
+    """
+  end
+
+  # Both ends come from the support timeline, so the panel needs no queries to re-render
+  defp support_delta(%{support: from}, %{support: to}) when is_number(from) and is_number(to),
+    do: to - from
+
+  defp support_delta(_from, _to), do: nil
+
+  attr(:cycle_range, :map, default: nil)
+
+  def cycle_range_label(assigns) do
+    ~H"""
+    <span :if={@cycle_range} class="ml-2 text-xs font-mono font-normal normal-case text-text-muted">
+      (cycles <%= @cycle_range.from %>–<%= @cycle_range.to %>)
+    </span>
+    """
+  end
+
+  attr(:cycle, :integer, default: nil)
+
+  def replay_cycle_label(assigns) do
+    ~H"""
+    <span :if={@cycle} class="ml-2 text-xs font-mono font-normal normal-case text-text-muted">
+      (as of cycle <%= @cycle %>)
+    </span>
+    """
+  end
 end
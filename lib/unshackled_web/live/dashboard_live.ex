@@ -7,9 +7,11 @@ defmodule UnshackledWeb.DashboardLive do
   import Ecto.Query
 
   alias Unshackled.Blackboard.BlackboardRecord
+  alias Unshackled.Costs
   alias Unshackled.Embedding.TrajectoryPoint
   alias Unshackled.Repo
   alias Unshackled.Session
+  alias UnshackledWeb.Components.Sessions.Notifications
   alias UnshackledWeb.PubSub, as: WebPubSub
 
   # Refresh interval for polling (as fallback, in milliseconds)
@@ -48,6 +50,15 @@ defmodule UnshackledWeb.DashboardLive do
       <.header>
         Dashboard
         <:subtitle>Session monitoring and control</:subtitle>
+        <:actions>
+          <%!-- Rendered without a session too, so the hook outlives the session it reports on --%>
+          <Notifications.session_notifications
+            id="dashboard-notifications"
+            label={if @active_session, do: "Session #{@blackboard_id}", else: "Dashboard"}
+            cycle={@cycle_count}
+            status={@session_status}
+          />
+        </:actions>
       </.header>
 
       <%= if @loading do %>
@@ -262,6 +273,8 @@ defmodule UnshackledWeb.DashboardLive do
           |> assign(:current_claim, blackboard.current_claim)
           |> assign(:support_strength, blackboard.support_strength)
           |> assign(:cycle_count, blackboard.cycle_count)
+          |> assign(:total_cost, Costs.get_session_total_cost(blackboard.id))
+          |> assign(:cost_limit, blackboard.cost_limit_usd)
           |> assign(:support_history, support_history)
           |> assign(:cycle_history, cycle_history)
           |> assign(:loading, false)
@@ -275,6 +288,8 @@ defmodule UnshackledWeb.DashboardLive do
           |> assign(:current_claim, nil)
           |> assign(:support_strength, nil)
           |> assign(:cycle_count, nil)
+          |> assign(:total_cost, 0.0)
+          |> assign(:cost_limit, nil)
           |> assign(:support_history, [])
           |> assign(:cycle_history, [])
           |> assign(:loading, false)
@@ -441,11 +456,27 @@ defmodule UnshackledWeb.DashboardLive do
 
   @impl Phoenix.LiveView
   def handle_info({:session_stopped, _session_id}, socket) do
+    socket = Notifications.notify_session_ended(socket, notification_label(socket), :stopped)
     {:noreply, refresh_session_data(socket)}
   end
 
   @impl Phoenix.LiveView
   def handle_info({:session_completed, _session_id}, socket) do
+    socket = Notifications.notify_session_ended(socket, notification_label(socket), :completed)
+    {:noreply, refresh_session_data(socket)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_info({:claim_died, cemetery_entry}, socket) do
+    socket = Notifications.notify_claim_died(socket, notification_label(socket), cemetery_entry)
+    {:noreply, refresh_session_data(socket)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_info({:claim_graduated, graduated_entry}, socket) do
+    socket =
+      Notifications.notify_claim_graduated(socket, notification_label(socket), graduated_entry)
+
     {:noreply, refresh_session_data(socket)}
   end
 
@@ -481,7 +512,18 @@ defmodule UnshackledWeb.DashboardLive do
   end
 
   @impl Phoenix.LiveView
-  def handle_info({:cost_recorded, _session_id, _blackboard_id, _cost_data}, socket) do
+  def handle_info({:cost_recorded, _session_id, _blackboard_id, cost_data}, socket) do
+    # Compared against the total from the last refresh, so the copy of this
+    # message from the blackboard topic does not notify twice
+    socket =
+      Notifications.maybe_notify_cost_limit(
+        socket,
+        notification_label(socket),
+        socket.assigns.total_cost,
+        Map.get(cost_data, :total_cost, 0.0),
+        socket.assigns.cost_limit
+      )
+
     {:noreply, refresh_session_data(socket)}
   end
 
@@ -491,6 +533,8 @@ defmodule UnshackledWeb.DashboardLive do
     {:noreply, socket}
   end
 
+  defp notification_label(socket), do: "Session #{socket.assigns.blackboard_id}"
+
   # Helper to refresh session data without showing loading state
   defp refresh_session_data(socket) do
     old_session_id = socket.assigns[:session_id]
@@ -535,6 +579,8 @@ defmodule UnshackledWeb.DashboardLive do
         |> assign(:current_claim, blackboard.current_claim)
         |> assign(:support_strength, blackboard.support_strength)
         |> assign(:cycle_count, blackboard.cycle_count)
+        |> assign(:total_cost, Costs.get_session_total_cost(blackboard.id))
+        |> assign(:cost_limit, blackboard.cost_limit_usd)
         |> assign(:support_history, support_history)
         |> assign(:cycle_history, cycle_history)
         |> assign(:loading, false)
@@ -548,6 +594,8 @@ defmodule UnshackledWeb.DashboardLive do
         |> assign(:current_claim, nil)
         |> assign(:support_strength, nil)
         |> assign(:cycle_count, nil)
+        |> assign(:total_cost, 0.0)
+        |> assign(:cost_limit, nil)
         |> assign(:support_history, [])
         |> assign(:cycle_history, [])
         |> assign(:loading, false)
@@ -0,0 +1,255 @@
+defmodule UnshackledWeb.SessionsLive.Compare do
+  @moduledoc """
+  Session comparison LiveView - overlays the support timelines of several
+  sessions on one chart.
+
+  The selected sessions live in the `ids` query parameter
+  (`/sessions/compare?ids=3,7,12`), so a comparison can be bookmarked or
+  shared. Adding and removing sessions patches the URL.
+  """
+  use UnshackledWeb, :live_view_minimal
+
+  import Ecto.Query
+
+  alias Unshackled.Blackboard.BlackboardRecord
+  alias Unshackled.Repo
+  alias UnshackledWeb.Components.Sessions.SessionDetail
+
+  import UnshackledWeb.SessionsLive.Show.DataLoader,
+    only: [load_blackboard: 1, load_support_timeline: 1, load_claim_transitions: 1]
+
+  import UnshackledWeb.SessionsLive.Show.Formatters, only: [format_support: 1, support_color: 1]
+  import UnshackledWeb.SessionsLive.Show.Helpers, only: [assign_current_path: 1]
+
+  @max_sessions 6
+  # Dark-theme fallbacks for the themed `--color-series-N` palette in app.css
+  @series_colors ~w(#ffffff #06b6d4 #f59e0b #ec4899 #22c55e #8b5cf6)
+  @picker_limit 50
+
+  @doc """
+  Builds the comparison URL for a list of blackboard IDs.
+  """
+  @spec path([integer()]) :: String.t()
+  def path(ids), do: "/sessions/compare?ids=#{Enum.join(ids, ",")}"
+
+  @impl Phoenix.LiveView
+  def mount(_params, _session, socket) do
+    {:ok,
+     assign(assign_current_path(socket),
+       series: [],
+       ids: [],
+       available_sessions: [],
+       cycle_range: nil
+     )}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_params(params, _uri, socket) do
+    ids = params |> Map.get("ids", "") |> parse_ids()
+    series = load_series(ids)
+
+    {:noreply,
+     assign(socket,
+       ids: Enum.map(series, & &1.id),
+       series: series,
+       available_sessions: list_available_sessions(Enum.map(series, & &1.id))
+     )}
+  end
+
+  @impl Phoenix.LiveView
+  def render(assigns) do
+    ~H"""
+    <div class="space-y-6">
+      <.breadcrumb>
+        <:item navigate="/sessions">Sessions</:item>
+        <:item>Compare</:item>
+      </.breadcrumb>
+
+      <.header>
+        Compare Sessions
+        <:subtitle>Support timelines overlaid on a shared cycle axis</:subtitle>
+        <:actions>
+          <a href="/sessions">
+            <.button variant={:secondary}>Back to Sessions</.button>
+          </a>
+        </:actions>
+      </.header>
+
+      <.card>
+        <form id="compare-picker" phx-change="add_session" class="flex items-center gap-3">
+          <label for="compare-add-session" class="text-xs font-bold uppercase tracking-wider text-text-muted">
+            Add session
+          </label>
+          <select
+            id="compare-add-session"
+            name="id"
+            disabled={length(@series) >= max_sessions() or @available_sessions == []}
+            class="flex-1 bg-surface-elevated border border-border text-text-primary text-sm font-mono px-3 py-2"
+          >
+            <option value="">
+              <%= if length(@series) >= max_sessions(),
+                do: "Up to #{max_sessions()} sessions can be compared",
+                else: "Select a session…" %>
+            </option>
+            <option :for={session <- @available_sessions} value={session.id}>
+              Session #<%= session.id %> — <%= truncate(session.current_claim, 60) %>
+            </option>
+          </select>
+        </form>
+      </.card>
+
+      <%= if @series == [] do %>
+        <.card class="text-center py-12">
+          <p class="text-text-secondary text-lg">No sessions selected</p>
+          <p class="mt-2 text-text-muted text-sm">
+            Pick sessions above, or select them from the sessions list.
+          </p>
+        </.card>
+      <% else %>
+        <.card>
+          <div class="flex items-center justify-between mb-4">
+            <h2 class="text-lg font-bold text-text-primary uppercase tracking-wider">
+              Support Timeline
+            </h2>
+            <SessionDetail.cycle_range_control cycle_range={@cycle_range} />
+          </div>
+          <.chart
+            id="compare-support-timeline"
+            hook="SupportTimelineHook"
+            data={%{series: @series, cycle_range: @cycle_range}}
+            height={350}
+            margin_top={40}
+            margin_right={50}
+            exportable
+          />
+        </.card>
+
+        <.card>
+          <h2 class="text-lg font-bold text-text-primary mb-4 uppercase tracking-wider">
+            Sessions
+          </h2>
+          <div id="compare-sessions" class="divide-y divide-border-subtle">
+            <div
+              :for={series <- @series}
+              id={"compare-session-#{series.id}"}
+              class="flex items-center gap-4 py-3"
+            >
+              <span
+                class="w-3 h-3 flex-shrink-0"
+                style={"background-color: var(--color-series-#{series.palette_index}, #{series.color})"}
+              >
+              </span>
+              <a href={"/sessions/#{series.id}"} class="text-sm font-bold text-text-primary hover:underline">
+                <%= series.name %>
+              </a>
+              <span class="flex-1 min-w-0 truncate text-sm text-text-secondary">
+                <%= series.claim %>
+              </span>
+              <span class="text-xs font-mono text-text-muted">Cycle <%= series.cycle_count %></span>
+              <span class={["text-sm font-mono-data", support_color(series.support)]}>
+                <%= format_support(series.support) %>
+              </span>
+              <button
+                type="button"
+                phx-click="remove_session"
+                phx-value-id={series.id}
+                class="px-2 py-0.5 text-xs font-mono uppercase text-text-muted border border-border hover:text-status-dead hover:border-status-dead transition-colors"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        </.card>
+      <% end %>
+    </div>
+    """
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("add_session", %{"id" => ""}, socket), do: {:noreply, socket}
+
+  @impl Phoenix.LiveView
+  def handle_event("add_session", %{"id" => id}, socket) do
+    ids = Enum.uniq(socket.assigns.ids ++ parse_ids(id))
+    {:noreply, push_patch(socket, to: path(ids))}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("remove_session", %{"id" => id}, socket) do
+    ids = socket.assigns.ids -- parse_ids(id)
+    {:noreply, push_patch(socket, to: path(ids))}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("select_cycle_range", %{"from" => from, "to" => to}, socket)
+      when is_integer(from) and is_integer(to) do
+    {:noreply, assign(socket, :cycle_range, %{from: min(from, to), to: max(from, to)})}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("select_cycle_range", _params, socket), do: {:noreply, socket}
+
+  @impl Phoenix.LiveView
+  def handle_event("clear_cycle_range", _params, socket) do
+    {:noreply, assign(socket, :cycle_range, nil)}
+  end
+
+  # Private functions
+
+  defp max_sessions, do: @max_sessions
+
+  defp parse_ids(value) do
+    value
+    |> String.split(",", trim: true)
+    |> Enum.flat_map(fn part ->
+      case Integer.parse(String.trim(part)) do
+        {id, ""} -> [id]
+        _ -> []
+      end
+    end)
+    |> Enum.uniq()
+    |> Enum.take(@max_sessions)
+  end
+
+  # Unknown IDs are dropped so a stale link still renders the rest
+  defp load_series(ids) do
+    ids
+    |> Enum.flat_map(fn id ->
+      case load_blackboard(id) do
+        {:ok, blackboard} -> [blackboard]
+        {:error, :not_found} -> []
+      end
+    end)
+    |> Enum.with_index()
+    |> Enum.map(fn {blackboard, index} ->
+      palette_index = rem(index, length(@series_colors))
+
+      %{
+        id: blackboard.id,
+        name: "Session ##{blackboard.id}",
+        color: Enum.at(@series_colors, palette_index),
+        palette_index: palette_index,
+        claim: blackboard.current_claim,
+        cycle_count: blackboard.cycle_count,
+        support: blackboard.support_strength,
+        support_timeline: load_support_timeline(blackboard.id),
+        claim_transitions: load_claim_transitions(blackboard.id)
+      }
+    end)
+  end
+
+  defp list_available_sessions(selected_ids) do
+    BlackboardRecord
+    |> where([b], b.id not in ^selected_ids)
+    |> order_by([b], desc: b.id)
+    |> limit(@picker_limit)
+    |> select([b], %{id: b.id, current_claim: b.current_claim})
+    |> Repo.all()
+  end
+
+  defp truncate(nil, _length), do: ""
+
+  defp truncate(text, length) do
+    if String.length(text) > length, do: String.slice(text, 0, length) <> "…", else: text
+  end
+end
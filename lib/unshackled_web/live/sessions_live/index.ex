@@ -1,6 +1,10 @@
 defmodule UnshackledWeb.SessionsLive.Index do
   @moduledoc """
   Sessions list LiveView - displays all sessions with status indicators.
+
+  The list is windowed: it loads `@page_size` sessions at a time as the reader
+  scrolls either way, and keeps at most `@max_sessions` of them rendered.
+  `offset` counts the newer sessions above the window.
   """
   use UnshackledWeb, :live_view_minimal
 
@@ -11,26 +15,30 @@ defmodule UnshackledWeb.SessionsLive.Index do
   alias Unshackled.Repo
   alias Unshackled.Session
   alias UnshackledWeb.PubSub
+  alias UnshackledWeb.SessionsLive.Compare
+
+  @page_size 10
+  @max_sessions 30
 
   @impl Phoenix.LiveView
   def mount(_params, _session, socket) do
     if connected?(socket), do: PubSub.subscribe_sessions()
 
     socket = assign_current_path(socket)
-    page_size = 10
 
-    case list_sessions_with_status(page: 0, page_size: page_size) do
+    case list_sessions_with_status(offset: 0, limit: @page_size) do
       {:ok, sessions, has_more} ->
         {:ok,
          assign(socket,
            sessions: sessions,
            error: nil,
-           page: 0,
-           page_size: page_size,
+           offset: 0,
            loading: false,
            has_more: has_more,
+           has_previous: false,
            show_clear_confirm: false,
-           show_delete_confirm: nil
+           show_delete_confirm: nil,
+           compare_ids: []
          )}
 
       {:error, reason} ->
@@ -38,12 +46,13 @@ defmodule UnshackledWeb.SessionsLive.Index do
          assign(socket,
            sessions: [],
            error: format_db_error(reason),
-           page: 0,
-           page_size: page_size,
+           offset: 0,
            loading: false,
            has_more: false,
+           has_previous: false,
            show_clear_confirm: false,
-           show_delete_confirm: nil
+           show_delete_confirm: nil,
+           compare_ids: []
          )}
     end
   end
@@ -56,6 +65,9 @@ defmodule UnshackledWeb.SessionsLive.Index do
         Sessions
         <:subtitle>All reasoning sessions</:subtitle>
         <:actions>
+          <a :if={length(@compare_ids) >= 2} id="compare-selected" href={Compare.path(@compare_ids)}>
+            <.button variant={:secondary}>Compare (<%= length(@compare_ids) %>)</.button>
+          </a>
           <%= if @sessions != [] do %>
             <.button phx-click="show_clear_confirm" variant={:danger}>
               <span class="flex items-center gap-1.5">
@@ -142,8 +154,22 @@ defmodule UnshackledWeb.SessionsLive.Index do
         <%= if @sessions == [] and not @loading do %>
           <.empty_state />
         <% else %>
-          <div id="sessions-container" phx-hook="InfiniteScrollHook" class="space-y-3 overflow-y-auto">
-            <.sessions_list sessions={@sessions} />
+          <div
+            id="sessions-container"
+            phx-hook="InfiniteScrollHook"
+            data-has-more={to_string(@has_more)}
+            data-has-previous={to_string(@has_previous)}
+            class="space-y-3"
+          >
+            <div :if={@has_previous} data-scroll-edge="previous">
+              <.button phx-click="load_previous" variant={:secondary} class="w-full">
+                Newer sessions
+              </.button>
+            </div>
+
+            <.sessions_list sessions={@sessions} compare_ids={@compare_ids} />
+
+            <div :if={@has_more} data-scroll-edge="more" class="h-px"></div>
 
             <%= if @loading do %>
               <div class="space-y-3">
@@ -171,16 +197,15 @@ defmodule UnshackledWeb.SessionsLive.Index do
 
   @impl Phoenix.LiveView
   def handle_event("retry", _params, socket) do
-    page_size = socket.assigns.page_size
-
-    case list_sessions_with_status(page: 0, page_size: page_size) do
+    case list_sessions_with_status(offset: 0, limit: @page_size) do
       {:ok, sessions, has_more} ->
         {:noreply,
          assign(socket,
            sessions: sessions,
            error: nil,
-           page: 0,
-           has_more: has_more
+           offset: 0,
+           has_more: has_more,
+           has_previous: false
          )}
 
       {:error, reason} ->
@@ -195,21 +220,26 @@ defmodule UnshackledWeb.SessionsLive.Index do
 
   @impl Phoenix.LiveView
   def handle_event("load_more", _params, socket) do
+    %{sessions: sessions, offset: offset} = socket.assigns
+
     if socket.assigns.loading or not socket.assigns.has_more do
       {:noreply, socket}
     else
       socket = assign(socket, loading: true)
-      next_page = socket.assigns.page + 1
 
-      case list_sessions_with_status(page: next_page, page_size: socket.assigns.page_size) do
+      case list_sessions_with_status(offset: offset + length(sessions), limit: @page_size) do
         {:ok, new_sessions, has_more} ->
+          sessions = sessions ++ new_sessions
+          overflow = max(length(sessions) - @max_sessions, 0)
+
           {:noreply,
            socket
            |> assign(
-             sessions: socket.assigns.sessions ++ new_sessions,
-             page: next_page,
+             sessions: Enum.drop(sessions, overflow),
+             offset: offset + overflow,
              loading: false,
-             has_more: has_more
+             has_more: has_more,
+             has_previous: offset + overflow > 0
            )}
 
         {:error, reason} ->
@@ -218,6 +248,44 @@ defmodule UnshackledWeb.SessionsLive.Index do
     end
   end
 
+  @impl Phoenix.LiveView
+  def handle_event("load_previous", _params, socket) do
+    %{sessions: sessions, offset: offset} = socket.assigns
+
+    if socket.assigns.loading or offset == 0 do
+      {:noreply, socket}
+    else
+      start = max(offset - @page_size, 0)
+
+      case list_sessions_with_status(offset: start, limit: offset - start) do
+        {:ok, new_sessions, _has_more} ->
+          sessions = new_sessions ++ sessions
+
+          {:noreply,
+           assign(socket,
+             sessions: Enum.take(sessions, @max_sessions),
+             offset: start,
+             has_more: socket.assigns.has_more or length(sessions) > @max_sessions,
+             has_previous: start > 0
+           )}
+
+        {:error, reason} ->
+          {:noreply, assign(socket, error: format_db_error(reason))}
+      end
+    end
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("toggle_compare", %{"id" => id}, socket) do
+    id = String.to_integer(id)
+    compare_ids = socket.assigns.compare_ids
+
+    compare_ids =
+      if id in compare_ids, do: List.delete(compare_ids, id), else: compare_ids ++ [id]
+
+    {:noreply, assign(socket, :compare_ids, compare_ids)}
+  end
+
   @impl Phoenix.LiveView
   def handle_event("show_clear_confirm", _params, socket) do
     {:noreply, assign(socket, :show_clear_confirm, true)}
@@ -244,9 +312,11 @@ defmodule UnshackledWeb.SessionsLive.Index do
     socket =
       socket
       |> assign(:sessions, [])
+      |> assign(:compare_ids, [])
       |> assign(:show_clear_confirm, false)
       |> assign(:has_more, false)
-      |> assign(:page, 0)
+      |> assign(:has_previous, false)
+      |> assign(:offset, 0)
       |> put_flash(:info, "Deleted #{count} sessions")
 
     {:noreply, socket}
@@ -288,6 +358,7 @@ defmodule UnshackledWeb.SessionsLive.Index do
             socket =
               socket
               |> assign(:sessions, sessions)
+              |> assign(:compare_ids, List.delete(socket.assigns.compare_ids, blackboard_id))
               |> assign(:show_delete_confirm, nil)
               |> put_flash(:info, "Session ##{blackboard_id} deleted")
 
@@ -361,19 +432,38 @@ defmodule UnshackledWeb.SessionsLive.Index do
         }
 
         sessions = socket.assigns.sessions
-        existing_index = Enum.find_index(sessions, &(&1.id == blackboard_id))
-
-        updated_sessions =
-          if existing_index do
-            List.replace_at(sessions, existing_index, updated_session)
-          else
-            [updated_session | sessions]
-          end
 
-        assign(socket, :sessions, updated_sessions)
+        case Enum.find_index(sessions, &(&1.id == blackboard_id)) do
+          nil -> add_session_above_window(socket, updated_session)
+          index -> assign(socket, :sessions, List.replace_at(sessions, index, updated_session))
+        end
     end
   end
 
+  # Sessions are listed newest first, so a session missing from the window is
+  # either below it (nothing to show) or above it. At the top of the list that
+  # is a new session to show first; further down the window stays put and only
+  # its offset catches up.
+  defp add_session_above_window(%{assigns: %{sessions: [first | _]}} = socket, session)
+       when session.id < first.id,
+       do: socket
+
+  defp add_session_above_window(%{assigns: %{offset: 0}} = socket, session) do
+    sessions = [session | socket.assigns.sessions]
+
+    assign(socket,
+      sessions: Enum.take(sessions, @max_sessions),
+      has_more: socket.assigns.has_more or length(sessions) > @max_sessions
+    )
+  end
+
+  defp add_session_above_window(%{assigns: %{sessions: [first | _]}} = socket, _session) do
+    offset = Repo.one(from(b in BlackboardRecord, where: b.id > ^first.id, select: count(b.id)))
+    assign(socket, offset: offset, has_previous: offset > 0)
+  end
+
+  defp add_session_above_window(socket, _session), do: socket
+
   defp update_session_status_by_session_id(socket, session_id, new_status) do
     case Session.get_info(session_id) do
       {:ok, info} ->
@@ -441,11 +531,17 @@ defmodule UnshackledWeb.SessionsLive.Index do
   end
 
   attr(:sessions, :list, required: true)
+  attr(:compare_ids, :list, default: [])
 
   defp sessions_list(assigns) do
     ~H"""
     <div class="space-y-3">
-      <div :for={{session, index} <- Enum.with_index(@sessions)} class="relative group">
+      <div
+        :for={{session, index} <- Enum.with_index(@sessions)}
+        id={"session-row-#{session.id}"}
+        class="relative group"
+        data-scroll-item
+      >
         <.session_card
           id={session.id}
           claim={session.current_claim}
@@ -456,6 +552,26 @@ defmodule UnshackledWeb.SessionsLive.Index do
           navigate={"/sessions/#{session.id}"}
           class={"animate-fade-in stagger-#{min(index + 1, 5)}"}
         />
+        <%!-- Compare selection toggle --%>
+        <button
+          type="button"
+          id={"compare-toggle-#{session.id}"}
+          phx-click="toggle_compare"
+          phx-value-id={session.id}
+          aria-pressed={to_string(session.id in @compare_ids)}
+          class={[
+            "absolute top-3 right-14 px-2 py-1.5",
+            "bg-surface-elevated border text-xs font-mono uppercase",
+            "transition-opacity z-10",
+            if(session.id in @compare_ids,
+              do: "border-accent text-accent opacity-100",
+              else: "border-border text-text-muted hover:text-text-primary opacity-0 group-hover:opacity-100"
+            )
+          ]}
+          title="Select for comparison"
+        >
+          Compare
+        </button>
         <%!-- Delete button overlay --%>
         <button
           type="button"
@@ -480,9 +596,8 @@ defmodule UnshackledWeb.SessionsLive.Index do
   end
 
   defp list_sessions_with_status(opts) do
-    page = Keyword.get(opts, :page, 0)
-    page_size = Keyword.get(opts, :page_size, 10)
-    offset = page * page_size
+    offset = Keyword.get(opts, :offset, 0)
+    limit = Keyword.get(opts, :limit, @page_size)
 
     try do
       # Get blackboard records with pagination, ordered by most recent first
@@ -491,7 +606,7 @@ defmodule UnshackledWeb.SessionsLive.Index do
         Repo.all(
           from(b in BlackboardRecord,
             order_by: [desc: b.id],
-            limit: ^page_size,
+            limit: ^limit,
             offset: ^offset
           )
         )
@@ -523,7 +638,7 @@ defmodule UnshackledWeb.SessionsLive.Index do
         )
 
       total_count = count_result || 0
-      has_more = total_count > (page + 1) * page_size
+      has_more = total_count > offset + limit
 
       {:ok, sessions, has_more}
     rescue
@@ -565,14 +680,16 @@ defmodule UnshackledWeb.SessionsLive.Index do
         end
       end)
 
+    %{death: death, graduation: graduation} = BlackboardRecord.thresholds(blackboard)
+
     cond do
       active_status != nil ->
         active_status
 
-      blackboard.support_strength >= 0.85 ->
+      blackboard.support_strength >= graduation ->
         :graduated
 
-      blackboard.support_strength <= 0.2 ->
+      blackboard.support_strength <= death ->
         :dead
 
       true ->
@@ -1,32 +1,57 @@
 defmodule UnshackledWeb.SessionsLive.Show do
   @moduledoc """
   Session detail LiveView - displays live session state with real-time updates.
+
+  How the reader has set the page up (the selected cycle and range, chart
+  modes, replay and expanded sections) lives in the query string, so a link
+  reproduces what its sender saw. Events that change it patch the URL and
+  `handle_params/3` applies it; see `UrlState`.
   """
   use UnshackledWeb, :live_view_minimal
 
+  alias UnshackledWeb.Components.Sessions.Notifications
   alias UnshackledWeb.Components.Sessions.SessionDetail
 
+  alias Unshackled.Annotations
   alias Unshackled.Blackboard.BlackboardRecord
   alias Unshackled.Costs
   alias Unshackled.Session
   alias UnshackledWeb.PubSub
+  alias UnshackledWeb.SessionsLive.Show.CycleLogFilter
+  alias UnshackledWeb.SessionsLive.Show.CycleLogWindow
+  alias UnshackledWeb.SessionsLive.Show.Replay
+  alias UnshackledWeb.SessionsLive.Show.UrlState
 
   import UnshackledWeb.SessionsLive.Show.DataLoader,
     only: [
       load_blackboard: 1,
       load_support_timeline: 1,
-      load_contributions_data: 1,
-      load_trajectory_data: 1,
+      load_contributions_data: 2,
+      load_contributions_timeline: 2,
+      load_trajectory_data: 2,
       load_cemetery_entries: 1,
+      fetch_cycle_numbers: 3,
       load_graduated_claims: 1,
-      load_cycle_log: 3,
       load_claim_transitions: 1,
+      load_claim_lineage: 1,
+      load_thresholds: 1,
+      load_annotations: 1,
       load_claim_summary: 2,
-      load_session_data_fast: 2
+      load_claim_summary_at: 2,
+      load_session_data_fast: 3,
+      filter_trajectory_data: 2
     ]
 
   import UnshackledWeb.SessionsLive.Show.State,
-    only: [build_found_state: 4, build_not_found_state: 0, build_refresh_state: 4]
+    only: [
+      build_found_state: 4,
+      build_not_found_state: 0,
+      build_refresh_state: 4,
+      chart_snapshot: 1
+    ]
+
+  import UnshackledWeb.SessionsLive.Show.ChartDeltas,
+    only: [push_support_points: 4, push_transitions: 4, push_contributions: 5]
 
   import UnshackledWeb.SessionsLive.Show.Helpers,
     only: [
@@ -57,8 +82,8 @@ defmodule UnshackledWeb.SessionsLive.Show do
     maybe_subscribe(socket, session_id, blackboard.id)
 
     # Load non-blocking data synchronously
-    session_data = load_session_data_fast(blackboard.id, session_id)
-    {cycle_log, has_more_cycles} = load_cycle_log(blackboard.id, 0, 10)
+    session_data = load_session_data_fast(blackboard.id, session_id, nil)
+    cycle_window = CycleLogWindow.first_page(blackboard.id, nil)
     claim_summary = load_claim_summary(blackboard.id, blackboard.cycle_count)
     claim_transitions = load_claim_transitions(blackboard.id)
 
@@ -67,10 +92,13 @@ defmodule UnshackledWeb.SessionsLive.Show do
         socket,
         build_found_state(blackboard, session_id, session_data,
           status: determine_status(blackboard, session_id),
-          cycle_log: cycle_log,
-          has_more_cycles: has_more_cycles,
+          cycle_log: cycle_window.cycle_log,
+          has_more_cycles: cycle_window.has_more_cycles,
           claim_summary: claim_summary,
-          claim_transitions: claim_transitions
+          claim_transitions: claim_transitions,
+          claim_lineage: load_claim_lineage(blackboard.id),
+          thresholds: load_thresholds(blackboard),
+          annotations: load_annotations(blackboard.id)
         )
       )
 
@@ -86,6 +114,14 @@ defmodule UnshackledWeb.SessionsLive.Show do
     assign(socket, build_not_found_state())
   end
 
+  @impl Phoenix.LiveView
+  def handle_params(_params, _uri, %{assigns: %{not_found: true}} = socket),
+    do: {:noreply, socket}
+
+  def handle_params(params, _uri, socket) do
+    {:noreply, apply_url_state(socket, UrlState.from_params(params))}
+  end
+
   defp maybe_subscribe(socket, session_id, blackboard_id) do
     if connected?(socket) and session_id do
       PubSub.subscribe_session(session_id)
@@ -96,11 +132,12 @@ defmodule UnshackledWeb.SessionsLive.Show do
     end
   end
 
-  defp load_session_data(blackboard_id, session_id) do
+  defp load_session_data(blackboard_id, session_id, cycle_range, thresholds) do
     %{
       support_timeline: load_support_timeline(blackboard_id),
-      contributions_data: load_contributions_data(blackboard_id),
-      trajectory_data: load_trajectory_data(blackboard_id),
+      contributions_data: load_contributions_data(blackboard_id, cycle_range),
+      contributions_timeline: load_contributions_timeline(blackboard_id, cycle_range),
+      trajectory_data: load_trajectory_data(blackboard_id, thresholds),
       cemetery_entries: load_cemetery_entries(blackboard_id),
       graduated_claims: load_graduated_claims(session_id)
     }
@@ -110,6 +147,7 @@ defmodule UnshackledWeb.SessionsLive.Show do
     assign(socket, %{
       support_timeline: data.support_timeline,
       contributions_data: data.contributions_data,
+      contributions_timeline: data.contributions_timeline,
       cemetery_entries: data.cemetery_entries,
       graduated_claims: data.graduated_claims
     })
@@ -127,22 +165,44 @@ defmodule UnshackledWeb.SessionsLive.Show do
        status={@status}
        show_stop_confirm={@show_stop_confirm}
        show_delete_confirm={@show_delete_confirm}
+       show_shortcuts_help={@show_shortcuts_help}
        support_timeline={@support_timeline}
        contributions_data={@contributions_data}
-       trajectory_data={@trajectory_data}
+       contributions_timeline={@contributions_timeline}
+       contributions_view={@contributions_view}
+       claim_compare_cycles={@claim_compare_cycles}
+       claim_compare_mode={@claim_compare_mode}
+       trajectory_data={filter_trajectory_data(@trajectory_data, @cycle_range)}
        trajectory_loading={@trajectory_loading}
+       trajectory_view={@trajectory_view}
+       trajectory_color_by={@trajectory_color_by}
        cemetery_entries={@cemetery_entries}
        graduated_claims={@graduated_claims}
        cycle_log={@cycle_log}
        has_more_cycles={@has_more_cycles}
+       has_newer_cycles={@has_newer_cycles}
        new_cycle_number={@new_cycle_number}
+       cycle_log_filter={@cycle_log_filter}
+       cycle_log_matches={@cycle_log_matches}
+       cycle_log_match={@cycle_log_match}
        claim_summary={@claim_summary}
        claim_transitions={@claim_transitions}
+       claim_lineage={@claim_lineage}
        expanded_timeline_nodes={@expanded_timeline_nodes}
        expanded_summary_sections={@expanded_summary_sections}
        total_cost={@total_cost}
        cost_by_cycle={@cost_by_cycle}
        cost_by_agent={@cost_by_agent}
+       cost_by_cycle_and_agent={@cost_by_cycle_and_agent}
+       cycle_range={@cycle_range}
+       replay_cycle={@replay_cycle}
+       selected_cycle={@selected_cycle}
+       expanded_sections={@expanded_sections}
+       annotations={@annotations}
+       editing_annotation={@editing_annotation}
+       annotation_form_key={@annotation_form_key}
+       thresholds={@thresholds}
+       chart_snapshot={@chart_snapshot}
      />
     <% end %>
     """
@@ -188,7 +248,7 @@ defmodule UnshackledWeb.SessionsLive.Show do
   def handle_event("resume_session", _params, socket) do
     case Session.resume(socket.assigns.session_id) do
       :ok ->
-        {:noreply, assign(socket, :status, :running)}
+        {:noreply, socket |> assign(:status, :running) |> end_replay()}
 
       {:error, reason} ->
         {:noreply, put_flash(socket, :error, "Failed to resume: #{inspect(reason)}")}
@@ -264,33 +324,173 @@ defmodule UnshackledWeb.SessionsLive.Show do
     end
   end
 
+  @impl Phoenix.LiveView
+  def handle_event("toggle_shortcuts_help", _params, socket) do
+    {:noreply, assign(socket, :show_shortcuts_help, not socket.assigns.show_shortcuts_help)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("close_shortcuts_help", _params, socket) do
+    {:noreply, assign(socket, :show_shortcuts_help, false)}
+  end
+
   @impl Phoenix.LiveView
   def handle_event("load_more_cycles", _params, socket) do
-    blackboard_id = socket.assigns.blackboard.id
-    current_offset = socket.assigns.cycle_log_offset
+    {:noreply, assign(socket, CycleLogWindow.load_older(socket.assigns))}
+  end
 
-    {more_cycles, has_more} = load_cycle_log(blackboard_id, current_offset, 10)
+  @impl Phoenix.LiveView
+  def handle_event("load_newer_cycles", _params, socket) do
+    {:noreply, assign(socket, CycleLogWindow.load_newer(socket.assigns))}
+  end
 
-    socket =
-      socket
-      |> assign(:cycle_log, socket.assigns.cycle_log ++ more_cycles)
-      |> assign(:cycle_log_offset, current_offset + length(more_cycles))
-      |> assign(:has_more_cycles, has_more)
+  @impl Phoenix.LiveView
+  def handle_event("filter_cycle_log", %{"cycle_log_filter" => params}, socket) do
+    {:noreply, apply_cycle_log_filter(socket, CycleLogFilter.from_params(params))}
+  end
 
-    {:noreply, socket}
+  @impl Phoenix.LiveView
+  def handle_event("clear_cycle_log_filter", _params, socket) do
+    {:noreply, apply_cycle_log_filter(socket, nil)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("cycle_log_next_match", _params, socket) do
+    {:noreply, step_cycle_log_match(socket, 1)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("cycle_log_previous_match", _params, socket) do
+    {:noreply, step_cycle_log_match(socket, -1)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("select_cycle_range", %{"from" => from, "to" => to}, socket) do
+    case normalize_cycle_range(from, to) do
+      {:ok, cycle_range} -> {:noreply, patch_url(socket, cycle_range: cycle_range)}
+      :error -> {:noreply, socket}
+    end
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("clear_cycle_range", _params, socket) do
+    {:noreply, patch_url(socket, cycle_range: nil)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("set_replay_cycle", %{"cycle" => cycle}, socket) do
+    %{blackboard: %{cycle_count: cycle_count}, status: status} = socket.assigns
+
+    with true <- Replay.available?(status, cycle_count),
+         {:ok, cycle} <- parse_cycle(cycle) do
+      {:noreply, patch_url(socket, replay_cycle: Replay.replay_cycle(cycle, cycle_count))}
+    else
+      _ -> {:noreply, socket}
+    end
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("stop_replay", _params, socket) do
+    {:noreply, patch_url(socket, replay_cycle: nil)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("select_cycle", %{"cycle" => nil}, socket) do
+    {:noreply, patch_url(socket, selected_cycle: nil)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("select_cycle", %{"cycle" => cycle}, socket) do
+    case parse_cycle(cycle) do
+      {:ok, cycle} when cycle > 0 -> {:noreply, patch_url(socket, selected_cycle: cycle)}
+      _ -> {:noreply, socket}
+    end
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("toggle_section", %{"id" => id, "expanded" => expanded}, socket)
+      when is_binary(id) and is_boolean(expanded) do
+    sections = Map.put(socket.assigns.expanded_sections, id, expanded)
+    {:noreply, patch_url(socket, expanded_sections: sections)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("toggle_section", _params, socket), do: {:noreply, socket}
+
+  @impl Phoenix.LiveView
+  def handle_event("set_contributions_view", %{"view" => view}, socket)
+      when view in ["donut", "over_time"] do
+    {:noreply, patch_url(socket, contributions_view: String.to_existing_atom(view))}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("set_contributions_view", _params, socket), do: {:noreply, socket}
+
+  @impl Phoenix.LiveView
+  def handle_event("set_trajectory_view", %{"view" => view}, socket)
+      when view in ["three_d", "two_d"] do
+    {:noreply, patch_url(socket, trajectory_view: String.to_existing_atom(view))}
   end
 
+  @impl Phoenix.LiveView
+  def handle_event("set_trajectory_view", _params, socket), do: {:noreply, socket}
+
+  @impl Phoenix.LiveView
+  def handle_event("set_trajectory_color_by", %{"color_by" => color_by}, socket)
+      when color_by in ["cycle", "support", "agent", "novelty"] do
+    {:noreply, patch_url(socket, trajectory_color_by: String.to_existing_atom(color_by))}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("set_trajectory_color_by", _params, socket), do: {:noreply, socket}
+
+  @impl Phoenix.LiveView
+  def handle_event("compare_cycle", %{"cycle" => cycle}, socket) do
+    case parse_cycle(cycle) do
+      {:ok, cycle} ->
+        cycles = pick_compare_cycle(socket.assigns.claim_compare_cycles, cycle)
+        {:noreply, patch_url(socket, claim_compare_cycles: cycles)}
+
+      :error ->
+        {:noreply, socket}
+    end
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("clear_claim_compare", _params, socket) do
+    {:noreply, patch_url(socket, claim_compare_cycles: [])}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("set_claim_compare_mode", %{"mode" => mode}, socket)
+      when mode in ["inline", "side_by_side"] do
+    {:noreply, patch_url(socket, claim_compare_mode: String.to_existing_atom(mode))}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("set_claim_compare_mode", _params, socket), do: {:noreply, socket}
+
   @impl Phoenix.LiveView
   def handle_event("toggle_timeline_node", %{"node" => node_id}, socket) do
     node_id = String.to_integer(node_id)
     toggle_timeline_node_map(socket, node_id)
   end
 
+  @impl Phoenix.LiveView
+  def handle_event("expand_timeline_node", %{"node" => node_id}, socket)
+      when is_integer(node_id) do
+    expanded_nodes = Map.put(socket.assigns.expanded_timeline_nodes, node_id, true)
+    {:noreply, patch_url(socket, expanded_timeline_nodes: expanded_nodes)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("expand_timeline_node", _params, socket), do: {:noreply, socket}
+
   @impl Phoenix.LiveView
   def handle_event("toggle_all_timeline_nodes", _params, socket) do
     transition_ids = Enum.map(socket.assigns.claim_transitions, & &1.id)
     current_expanded = socket.assigns.expanded_timeline_nodes
-    all_expanded = length(current_expanded) == length(transition_ids)
+    all_expanded = map_size(current_expanded) == length(transition_ids)
 
     toggle_all_timeline_nodes(socket, not all_expanded)
   end
@@ -300,15 +500,80 @@ defmodule UnshackledWeb.SessionsLive.Show do
     toggle_summary_section_map(socket, section_id)
   end
 
+  # Annotation events. Saved and deleted notes come back over the blackboard
+  # topic too; applying them here as well keeps this page current without it.
+
+  @impl Phoenix.LiveView
+  def handle_event("create_annotation", %{"annotation" => params}, socket) do
+    case Annotations.create_annotation(socket.assigns.blackboard.id, params) do
+      {:ok, annotation} ->
+        socket =
+          socket
+          |> put_annotation(annotation)
+          |> assign(:annotation_form_key, socket.assigns.annotation_form_key + 1)
+
+        {:noreply, socket}
+
+      {:error, changeset} ->
+        {:noreply, put_flash(socket, :error, annotation_error(changeset))}
+    end
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("edit_annotation", %{"id" => id}, socket) do
+    case parse_id(id) do
+      {:ok, id} -> {:noreply, assign(socket, :editing_annotation, id)}
+      :error -> {:noreply, socket}
+    end
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("cancel_annotation_edit", _params, socket) do
+    {:noreply, assign(socket, :editing_annotation, nil)}
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("update_annotation", %{"annotation" => %{"id" => id} = params}, socket) do
+    blackboard_id = socket.assigns.blackboard.id
+
+    with {:ok, id} <- parse_id(id),
+         {:ok, annotation} <- Annotations.update_annotation(blackboard_id, id, params) do
+      {:noreply, socket |> assign(:editing_annotation, nil) |> put_annotation(annotation)}
+    else
+      error -> {:noreply, put_flash(socket, :error, annotation_error(error))}
+    end
+  end
+
+  @impl Phoenix.LiveView
+  def handle_event("delete_annotation", %{"id" => id}, socket) do
+    blackboard_id = socket.assigns.blackboard.id
+
+    with {:ok, id} <- parse_id(id),
+         {:ok, annotation} <- Annotations.delete_annotation(blackboard_id, id) do
+      {:noreply, drop_annotation(socket, annotation.id)}
+    else
+      error -> {:noreply, put_flash(socket, :error, annotation_error(error))}
+    end
+  end
+
   @impl Phoenix.LiveView
   def handle_info({:claim_changed, blackboard_id, _transition}, socket) do
     if socket.assigns.blackboard.id == blackboard_id do
       claim_transitions = load_claim_transitions(blackboard_id)
-      session_data = load_session_data(blackboard_id, socket.assigns.session_id)
+      session_data =
+        load_session_data(
+          blackboard_id,
+          socket.assigns.session_id,
+          socket.assigns.cycle_range,
+          socket.assigns.thresholds
+        )
 
       socket =
         socket
+        |> push_transitions(blackboard_id, socket.assigns.claim_transitions, claim_transitions)
+        |> push_chart_deltas(session_data)
         |> assign(:claim_transitions, claim_transitions)
+        |> assign(:claim_lineage, load_claim_lineage(blackboard_id))
         |> assign_session_data(session_data)
 
       {:noreply, socket}
@@ -339,9 +604,10 @@ defmodule UnshackledWeb.SessionsLive.Show do
   def handle_info({:load_trajectory_data, blackboard_id}, socket) do
     # Load trajectory data in a separate process to avoid blocking
     lv_pid = self()
+    thresholds = socket.assigns.thresholds
 
     Task.start(fn ->
-      trajectory_data = load_trajectory_data(blackboard_id)
+      trajectory_data = load_trajectory_data(blackboard_id, thresholds)
       send(lv_pid, {:trajectory_data_loaded, trajectory_data})
     end)
 
@@ -365,7 +631,8 @@ defmodule UnshackledWeb.SessionsLive.Show do
     new_cycle_number = Map.get(cycle_data, :cycle_number)
     # Trigger async trajectory reload for the 3D plot
     send(self(), {:load_trajectory_data, socket.assigns.blackboard.id})
-    {:noreply, refresh_session_data(socket, new_cycle_number)}
+    # A new cycle moves the end of the replay, so the page goes back to live
+    {:noreply, socket |> end_replay() |> refresh_session_data(new_cycle_number)}
   end
 
   @impl Phoenix.LiveView
@@ -409,7 +676,17 @@ defmodule UnshackledWeb.SessionsLive.Show do
         :session_completed -> :completed
       end
 
-    {:noreply, assign(socket, :status, status)}
+    socket = assign(socket, :status, status)
+    socket = if status == :running, do: end_replay(socket), else: socket
+
+    socket =
+      if status in [:stopped, :completed] do
+        Notifications.notify_session_ended(socket, notification_label(socket), status)
+      else
+        socket
+      end
+
+    {:noreply, socket}
   end
 
   @impl Phoenix.LiveView
@@ -418,12 +695,25 @@ defmodule UnshackledWeb.SessionsLive.Show do
       total_cost = Map.get(cost_data, :total_cost, 0.0)
       cost_by_cycle = Costs.get_cost_by_cycle(blackboard_id)
       cost_by_agent = Costs.get_cost_by_agent(blackboard_id)
+      cost_by_cycle_and_agent = Costs.get_cost_by_cycle_and_agent(blackboard_id)
+
+      # The message arrives on both the session and blackboard topics; the
+      # second copy sees the updated total and does not notify again
+      socket =
+        Notifications.maybe_notify_cost_limit(
+          socket,
+          notification_label(socket),
+          socket.assigns.total_cost,
+          total_cost,
+          socket.assigns.blackboard.cost_limit_usd
+        )
 
       {:noreply,
        assign(socket,
          total_cost: total_cost,
          cost_by_cycle: cost_by_cycle,
-         cost_by_agent: cost_by_agent
+         cost_by_agent: cost_by_agent,
+         cost_by_cycle_and_agent: cost_by_cycle_and_agent
        )}
     else
       {:noreply, socket}
@@ -437,7 +727,7 @@ defmodule UnshackledWeb.SessionsLive.Show do
   end
 
   @impl Phoenix.LiveView
-  def handle_info({:claim_died, _cemetery_entry}, socket) do
+  def handle_info({:claim_died, cemetery_entry}, socket) do
     # Reload to get updated cemetery
     case load_blackboard(socket.assigns.blackboard.id) do
       {:ok, blackboard} ->
@@ -447,6 +737,7 @@ defmodule UnshackledWeb.SessionsLive.Show do
           socket
           |> assign(:blackboard, blackboard)
           |> assign(:cemetery_entries, cemetery_entries)
+          |> Notifications.notify_claim_died(notification_label(socket), cemetery_entry)
 
         {:noreply, socket}
 
@@ -456,7 +747,7 @@ defmodule UnshackledWeb.SessionsLive.Show do
   end
 
   @impl Phoenix.LiveView
-  def handle_info({:claim_graduated, _graduated_entry}, socket) do
+  def handle_info({:claim_graduated, graduated_entry}, socket) do
     # Reload to get updated state
     case load_blackboard(socket.assigns.blackboard.id) do
       {:ok, blackboard} ->
@@ -467,6 +758,7 @@ defmodule UnshackledWeb.SessionsLive.Show do
           |> assign(:blackboard, blackboard)
           |> assign(:status, :graduated)
           |> assign(:graduated_claims, graduated_claims)
+          |> Notifications.notify_claim_graduated(notification_label(socket), graduated_entry)
 
         {:noreply, socket}
 
@@ -475,6 +767,24 @@ defmodule UnshackledWeb.SessionsLive.Show do
     end
   end
 
+  @impl Phoenix.LiveView
+  def handle_info({:annotation_saved, blackboard_id, annotation}, socket) do
+    if socket.assigns.blackboard.id == blackboard_id do
+      {:noreply, put_annotation(socket, annotation)}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  @impl Phoenix.LiveView
+  def handle_info({:annotation_deleted, blackboard_id, annotation_id}, socket) do
+    if socket.assigns.blackboard.id == blackboard_id do
+      {:noreply, drop_annotation(socket, annotation_id)}
+    else
+      {:noreply, socket}
+    end
+  end
+
   @impl Phoenix.LiveView
   def handle_info(_msg, socket) do
     # Ignore unhandled messages
@@ -487,27 +797,259 @@ defmodule UnshackledWeb.SessionsLive.Show do
     case load_blackboard(socket.assigns.blackboard.id) do
       {:ok, blackboard} ->
         # Use fast loader - trajectory data is loaded asynchronously
-        session_data = load_session_data_fast(blackboard.id, socket.assigns.session_id)
-        {cycle_log, has_more_cycles} = load_cycle_log(blackboard.id, 0, 10)
+        cycle_range = socket.assigns.cycle_range
+        session_data =
+          load_session_data_fast(blackboard.id, socket.assigns.session_id, cycle_range)
 
-        assign(
-          socket,
+        socket
+        |> push_chart_deltas(session_data)
+        |> assign(
           build_refresh_state(
             blackboard,
             socket.assigns.session_id,
             session_data,
             status: determine_status(blackboard, socket.assigns.session_id),
-            cycle_log: cycle_log,
-            has_more_cycles: has_more_cycles,
             new_cycle_number: new_cycle_number
           )
         )
+        |> then(&assign(&1, CycleLogWindow.refresh(&1.assigns)))
+        |> assign_cycle_log_matches()
 
       {:error, :not_found} ->
         assign(socket, :not_found, true)
     end
   end
 
+  defp notification_label(socket), do: "Session #{socket.assigns.blackboard.id}"
+
+  # Sends the charts what changed between the current assigns and freshly
+  # loaded session data; the chart snapshot itself is left alone
+  defp push_chart_deltas(socket, session_data) do
+    %{blackboard: blackboard, contributions_view: view, support_timeline: timeline} =
+      socket.assigns
+
+    socket
+    |> push_support_points(blackboard.id, timeline, session_data.support_timeline)
+    |> push_contributions(blackboard.id, view, socket.assigns, session_data)
+  end
+
+  # Re-renders every chart's data attribute from the current assigns
+  defp resync_charts(socket) do
+    assign(socket, :chart_snapshot, chart_snapshot(socket.assigns))
+  end
+
+  defp normalize_cycle_range(from, to) do
+    with {:ok, from} <- parse_cycle(from),
+         {:ok, to} <- parse_cycle(to) do
+      {:ok, %{from: min(from, to), to: max(from, to)}}
+    end
+  end
+
+  defp parse_cycle(value) when is_integer(value), do: {:ok, value}
+  defp parse_cycle(value) when is_float(value), do: {:ok, round(value)}
+
+  defp parse_cycle(value) when is_binary(value) do
+    case Integer.parse(value) do
+      {cycle, ""} -> {:ok, cycle}
+      _ -> :error
+    end
+  end
+
+  defp parse_cycle(_value), do: :error
+
+  defp parse_id(value) when is_integer(value), do: {:ok, value}
+
+  defp parse_id(value) when is_binary(value) do
+    case Integer.parse(value) do
+      {id, ""} -> {:ok, id}
+      _ -> :error
+    end
+  end
+
+  defp parse_id(_value), do: :error
+
+  # Picking a selected cycle again deselects it; a third pick starts a new pair
+  defp pick_compare_cycle(cycles, cycle) do
+    cond do
+      cycle in cycles -> List.delete(cycles, cycle)
+      length(cycles) >= 2 -> [cycle]
+      true -> Enum.sort([cycle | cycles])
+    end
+  end
+
+  # View state changes go through the URL, so a copied link reproduces the
+  # page; `handle_params/3` then applies them
+  defp patch_url(socket, changes) do
+    assigns = Enum.into(changes, socket.assigns)
+    push_patch(socket, to: UrlState.path(socket.assigns.blackboard.id, assigns), replace: true)
+  end
+
+  # Brings the page to the view state parsed from its URL, reloading only what
+  # changed. A replay cycle is only taken while the session can be replayed.
+  defp apply_url_state(socket, state) do
+    %{status: status, blackboard: %{cycle_count: cycle_count}} = socket.assigns
+
+    replay_cycle =
+      if state.replay_cycle && Replay.available?(status, cycle_count),
+        do: Replay.replay_cycle(state.replay_cycle, cycle_count)
+
+    socket
+    |> apply_cycle_range(state.cycle_range)
+    |> apply_replay_cycle(replay_cycle)
+    |> apply_contributions_view(state.contributions_view)
+    |> assign(Map.drop(state, [:cycle_range, :replay_cycle, :contributions_view]))
+  end
+
+  # Ends a replay the session has moved past, and takes it out of the URL
+  defp end_replay(%{assigns: %{replay_cycle: nil}} = socket), do: socket
+  defp end_replay(socket), do: socket |> apply_replay_cycle(nil) |> patch_url([])
+
+  defp apply_contributions_view(%{assigns: %{contributions_view: view}} = socket, view),
+    do: socket
+
+  defp apply_contributions_view(socket, view) do
+    socket
+    |> assign(:contributions_view, view)
+    |> resync_charts()
+  end
+
+  # Narrows the cycle log and contributions charts to the selected window and
+  # restarts the cycle log at its newest cycle. The trajectory is filtered at render time.
+  defp apply_cycle_range(%{assigns: %{cycle_range: cycle_range}} = socket, cycle_range),
+    do: socket
+
+  defp apply_cycle_range(socket, cycle_range) do
+    %{blackboard: %{id: blackboard_id}, cycle_log_filter: filter} = socket.assigns
+    socket = assign(socket, :cycle_range, cycle_range)
+    visible_range = Replay.cycle_range(socket.assigns)
+
+    socket
+    |> assign(
+      contributions_data: load_contributions_data(blackboard_id, visible_range),
+      contributions_timeline: load_contributions_timeline(blackboard_id, cycle_range)
+    )
+    |> assign(CycleLogWindow.first_page(blackboard_id, visible_range, filter))
+    |> assign(:cycle_log_match, nil)
+    |> assign_cycle_log_matches()
+    |> resync_charts()
+  end
+
+  # Filters the cycle log and restarts it at the newest matching cycle
+  defp apply_cycle_log_filter(socket, filter) do
+    %{blackboard: blackboard} = socket.assigns
+    cycle_range = Replay.cycle_range(socket.assigns)
+
+    socket
+    |> assign(cycle_log_filter: filter, cycle_log_match: nil)
+    |> assign(CycleLogWindow.first_page(blackboard.id, cycle_range, filter))
+    |> assign_cycle_log_matches()
+  end
+
+  defp assign_cycle_log_matches(%{assigns: %{cycle_log_filter: nil}} = socket) do
+    assign(socket, :cycle_log_matches, nil)
+  end
+
+  defp assign_cycle_log_matches(socket) do
+    %{blackboard: blackboard, cycle_log_filter: filter} = socket.assigns
+    cycle_range = Replay.cycle_range(socket.assigns)
+
+    assign(socket, :cycle_log_matches, fetch_cycle_numbers(blackboard.id, cycle_range, filter))
+  end
+
+  # Winds the parts of the page the server loads back to the replay cycle, or
+  # forward to live for nil: the claim summary, the donut and the cycle log.
+  # The charts trim their own data on the client.
+  defp apply_replay_cycle(%{assigns: %{replay_cycle: cycle}} = socket, cycle), do: socket
+
+  defp apply_replay_cycle(socket, cycle) do
+    %{blackboard: blackboard, cycle_log_filter: filter} = socket.assigns
+    socket = assign(socket, :replay_cycle, cycle)
+    visible_range = Replay.cycle_range(socket.assigns)
+
+    socket
+    |> assign(
+      claim_summary: replay_claim_summary(blackboard, cycle),
+      contributions_data: load_contributions_data(blackboard.id, visible_range)
+    )
+    |> assign(CycleLogWindow.first_page(blackboard.id, visible_range, filter))
+    |> assign(:cycle_log_match, nil)
+    |> assign_cycle_log_matches()
+    |> resync_charts()
+  end
+
+  defp replay_claim_summary(blackboard, nil),
+    do: load_claim_summary(blackboard.id, blackboard.cycle_count)
+
+  defp replay_claim_summary(blackboard, cycle), do: load_claim_summary_at(blackboard.id, cycle)
+
+  # Moves to the next (`1`) or previous (`-1`) matching cycle, wrapping at
+  # either end, and loads it into the window if the reader hasn't reached it
+  defp step_cycle_log_match(%{assigns: %{cycle_log_matches: matches}} = socket, _step)
+       when matches in [nil, []],
+       do: socket
+
+  defp step_cycle_log_match(socket, step) do
+    %{cycle_log_matches: matches, cycle_log_match: current} = socket.assigns
+
+    index =
+      case Enum.find_index(matches, &(&1 == current)) do
+        nil -> if step > 0, do: 0, else: -1
+        index -> rem(index + step + length(matches), length(matches))
+      end
+
+    cycle = Enum.at(matches, index)
+
+    socket
+    |> assign(CycleLogWindow.show_cycle(socket.assigns, cycle))
+    |> assign(:cycle_log_match, cycle)
+    |> push_event("focus_cycle", %{cycle: cycle})
+  end
+
+  # Adds or replaces an annotation, keeping cycle order. The support timeline
+  # is resynced, since its marker data is re-sent with the chart's. The
+  # broadcast of a note this page saved itself finds it already applied.
+  defp put_annotation(socket, annotation) do
+    %{annotations: annotations} = socket.assigns
+
+    if annotation in annotations do
+      socket
+    else
+      annotations =
+        [annotation | Enum.reject(annotations, &(&1.id == annotation.id))]
+        |> Enum.sort_by(&{&1.cycle_number, &1.id})
+
+      socket
+      |> assign(:annotations, annotations)
+      |> resync_charts()
+    end
+  end
+
+  defp drop_annotation(socket, annotation_id) do
+    %{annotations: annotations, editing_annotation: editing} = socket.assigns
+
+    socket
+    |> assign(
+      annotations: Enum.reject(annotations, &(&1.id == annotation_id)),
+      editing_annotation: if(editing == annotation_id, do: nil, else: editing)
+    )
+    |> resync_charts()
+  end
+
+  defp annotation_error({:error, :not_found}), do: "That note no longer exists"
+  defp annotation_error({:error, %Ecto.Changeset{} = changeset}), do: annotation_error(changeset)
+  defp annotation_error(:error), do: "That note no longer exists"
+
+  defp annotation_error(%Ecto.Changeset{} = changeset) do
+    changeset
+    |> Ecto.Changeset.traverse_errors(fn {message, opts} ->
+      Regex.replace(~r"%{(\w+)}", message, fn _, key ->
+        opts |> Keyword.get(String.to_existing_atom(key), key) |> to_string()
+      end)
+    end)
+    |> Enum.map_join("; ", fn {field, messages} -> "#{field} #{Enum.join(messages, ", ")}" end)
+    |> then(&"Could not save the note: #{&1}")
+  end
+
   defp toggle_timeline_node_map(socket, node_id) do
     expanded_nodes = socket.assigns.expanded_timeline_nodes
 
@@ -518,7 +1060,7 @@ defmodule UnshackledWeb.SessionsLive.Show do
         Map.put(expanded_nodes, node_id, true)
       end
 
-    {:noreply, assign(socket, :expanded_timeline_nodes, new_expanded_nodes)}
+    {:noreply, patch_url(socket, expanded_timeline_nodes: new_expanded_nodes)}
   end
 
   defp toggle_all_timeline_nodes(socket, should_expand) do
@@ -527,7 +1069,7 @@ defmodule UnshackledWeb.SessionsLive.Show do
     new_expanded_nodes =
       if should_expand, do: expand_all_ids(transition_ids), else: %{}
 
-    {:noreply, assign(socket, :expanded_timeline_nodes, new_expanded_nodes)}
+    {:noreply, patch_url(socket, expanded_timeline_nodes: new_expanded_nodes)}
   end
 
   defp toggle_summary_section_map(socket, section_id) do
@@ -540,6 +1082,6 @@ defmodule UnshackledWeb.SessionsLive.Show do
         MapSet.put(expanded_sections, section_id)
       end
 
-    {:noreply, assign(socket, :expanded_summary_sections, new_expanded_sections)}
+    {:noreply, patch_url(socket, expanded_summary_sections: new_expanded_sections)}
   end
 end
@@ -0,0 +1,106 @@
+defmodule UnshackledWeb.SessionsLive.Show.ChartDeltas do
+  @moduledoc """
+  Incremental chart updates for SessionsLive.Show.
+
+  The session charts render their `data-chart-data` from the `chart_snapshot`
+  assign (see `State.chart_snapshot/1`), which only changes on a resync:
+  mount, a cycle range change, or switching the contributions view. Between
+  resyncs, new data reaches the chart hooks as pushed events that they apply
+  in place, so a new cycle doesn't re-encode and re-parse every dataset:
+
+  * `"append_point"` - `%{id, point}`, a support timeline point, added or
+    replaced by cycle
+  * `"add_transition"` - `%{id, transition}`, a claim transition marker on
+    the support timeline
+  * `"update_contribution"` - `%{id, role, count, color}` for the donut, or
+    `%{id, cycle, role, count}` for the per-cycle chart; sets that count
+
+  Every event carries the DOM `id` of its chart, and hooks ignore events for
+  other charts. After a LiveView reconnect the hooks reload from the data
+  attribute, which the fresh mount renders in full.
+  """
+
+  import Phoenix.LiveView, only: [push_event: 3]
+
+  @type chart :: :support_timeline | :contributions_pie | :contributions_over_time
+
+  @doc """
+  DOM id of a session chart that receives deltas.
+  """
+  @spec chart_id(chart(), integer()) :: String.t()
+  def chart_id(:support_timeline, blackboard_id), do: "support-timeline-#{blackboard_id}"
+  def chart_id(:contributions_pie, blackboard_id), do: "contributions-pie-#{blackboard_id}"
+
+  def chart_id(:contributions_over_time, blackboard_id),
+    do: "contributions-over-time-#{blackboard_id}"
+
+  @doc """
+  Pushes an `append_point` for each support timeline point that is new or
+  changed between `previous` and `timeline`.
+  """
+  @spec push_support_points(Phoenix.LiveView.Socket.t(), integer(), [map()], [map()]) ::
+          Phoenix.LiveView.Socket.t()
+  def push_support_points(socket, blackboard_id, previous, timeline) do
+    id = chart_id(:support_timeline, blackboard_id)
+
+    timeline
+    |> changed_since(previous)
+    |> Enum.reduce(socket, &push_event(&2, "append_point", %{id: id, point: &1}))
+  end
+
+  @doc """
+  Pushes an `add_transition` for each claim transition whose id is not in `previous`.
+  """
+  @spec push_transitions(Phoenix.LiveView.Socket.t(), integer(), [map()], [map()]) ::
+          Phoenix.LiveView.Socket.t()
+  def push_transitions(socket, blackboard_id, previous, transitions) do
+    id = chart_id(:support_timeline, blackboard_id)
+    seen = MapSet.new(previous, & &1.id)
+
+    transitions
+    |> Enum.reject(&MapSet.member?(seen, &1.id))
+    |> Enum.reduce(socket, &push_event(&2, "add_transition", %{id: id, transition: &1}))
+  end
+
+  @doc """
+  Pushes an `update_contribution` for each changed count on the contributions
+  chart currently shown: per-role totals for `:donut`, per-cycle counts by role
+  for `:over_time`. `previous` and `current` are maps with the
+  `contributions_data` and `contributions_timeline` lists.
+  """
+  @spec push_contributions(
+          Phoenix.LiveView.Socket.t(),
+          integer(),
+          :donut | :over_time,
+          map(),
+          map()
+        ) :: Phoenix.LiveView.Socket.t()
+  def push_contributions(socket, blackboard_id, :donut, previous, current) do
+    push_contribution_entries(
+      socket,
+      chart_id(:contributions_pie, blackboard_id),
+      previous.contributions_data,
+      current.contributions_data
+    )
+  end
+
+  def push_contributions(socket, blackboard_id, :over_time, previous, current) do
+    push_contribution_entries(
+      socket,
+      chart_id(:contributions_over_time, blackboard_id),
+      previous.contributions_timeline,
+      current.contributions_timeline
+    )
+  end
+
+  defp push_contribution_entries(socket, id, previous, entries) do
+    entries
+    |> changed_since(previous)
+    |> Enum.reduce(socket, &push_event(&2, "update_contribution", Map.put(&1, :id, id)))
+  end
+
+  defp changed_since(entries, previous) do
+    seen = MapSet.new(previous)
+    Enum.reject(entries, &MapSet.member?(seen, &1))
+  end
+end
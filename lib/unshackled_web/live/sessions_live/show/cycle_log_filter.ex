@@ -0,0 +1,137 @@
+defmodule UnshackledWeb.SessionsLive.Show.CycleLogFilter do
+  @moduledoc """
+  The cycle log filter: agent role, free text and a support delta range.
+
+  A contribution matches when it was made by the role, its support delta lies
+  inside the range, and the text appears in its output or in the claim as it
+  stood at its cycle. The cycle log lists only cycles with a matching
+  contribution; `DataLoader` applies the same rules in SQL, so cycles that
+  were never loaded into the page are filtered too. Text matching ignores ASCII
+  case only, as SQLite's LIKE does, so both sides agree on non-ASCII text.
+  """
+
+  alias Unshackled.Agents.Metadata
+
+  @type t :: %{
+          role: String.t() | nil,
+          query: String.t(),
+          min_delta: float() | nil,
+          max_delta: float() | nil
+        }
+
+  @doc """
+  Builds a filter from the filter form params. Returns nil when every field is
+  blank, so an empty form shows the whole log. Unknown roles and unparseable
+  deltas are ignored.
+
+  ## Examples
+
+      iex> CycleLogFilter.from_params(%{"role" => "critic", "query" => " edge "})
+      %{role: "critic", query: "edge", min_delta: nil, max_delta: nil}
+
+      iex> CycleLogFilter.from_params(%{"role" => "", "query" => ""})
+      nil
+  """
+  @spec from_params(map()) :: t() | nil
+  def from_params(params) do
+    filter = %{
+      role: parse_role(params["role"]),
+      query: String.trim(params["query"] || ""),
+      min_delta: parse_delta(params["min_delta"]),
+      max_delta: parse_delta(params["max_delta"])
+    }
+
+    if filter == empty(), do: nil, else: filter
+  end
+
+  @doc """
+  The filter form's values; every field is blank when there is no filter.
+  """
+  @spec to_params(t() | nil) :: map()
+  def to_params(nil), do: to_params(empty())
+
+  def to_params(filter) do
+    %{
+      "role" => filter.role || "",
+      "query" => filter.query,
+      "min_delta" => filter.min_delta,
+      "max_delta" => filter.max_delta
+    }
+  end
+
+  @doc """
+  Whether `contribution` matches the filter, given the claim text at its cycle.
+  """
+  @spec contribution_match?(t() | nil, map(), String.t() | nil) :: boolean()
+  def contribution_match?(nil, _contribution, _claim_text), do: false
+
+  def contribution_match?(filter, contribution, claim_text) do
+    (filter.role == nil or contribution.agent_role == filter.role) and
+      delta_in_range?(contribution.support_delta, filter) and
+      (text_match?(filter, contribution.output_text) or text_match?(filter, claim_text))
+  end
+
+  @doc """
+  Whether `text` contains the filter's query. A blank query matches any text.
+  """
+  @spec text_match?(t() | nil, String.t() | nil) :: boolean()
+  def text_match?(%{query: ""}, _text), do: true
+  def text_match?(%{query: query}, text) when is_binary(text), do: contains?(text, query)
+  def text_match?(_filter, _text), do: false
+
+  @doc """
+  Whether `text` is worth showing with its matches highlighted: the filter has
+  a non-blank query and `text` contains it.
+  """
+  @spec highlight?(t() | nil, String.t() | nil) :: boolean()
+  def highlight?(%{query: query} = filter, text) when query != "", do: text_match?(filter, text)
+  def highlight?(_filter, _text), do: false
+
+  @doc """
+  Splits `text` around the filter's query, tagging each piece `:match` or
+  `:text`, for rendering the matches highlighted.
+
+  ## Examples
+
+      iex> CycleLogFilter.highlight("Edge case at the edge", %{query: "edge"})
+      [{:match, "Edge"}, {:text, " case at the "}, {:match, "edge"}]
+  """
+  @spec highlight(String.t() | nil, t() | nil) :: [{:match | :text, String.t()}]
+  def highlight(nil, _filter), do: []
+  def highlight(text, nil), do: [{:text, text}]
+  def highlight(text, %{query: ""}), do: [{:text, text}]
+
+  def highlight(text, %{query: query}) do
+    ~r/(#{Regex.escape(query)})/i
+    |> Regex.split(text, include_captures: true, trim: true)
+    |> Enum.map(&if(contains?(&1, query), do: {:match, &1}, else: {:text, &1}))
+  end
+
+  defp empty, do: %{role: nil, query: "", min_delta: nil, max_delta: nil}
+
+  defp delta_in_range?(_delta, %{min_delta: nil, max_delta: nil}), do: true
+  defp delta_in_range?(nil, _filter), do: false
+
+  defp delta_in_range?(delta, filter) do
+    (filter.min_delta == nil or delta >= filter.min_delta) and
+      (filter.max_delta == nil or delta <= filter.max_delta)
+  end
+
+  defp contains?(text, query),
+    do: String.contains?(String.downcase(text, :ascii), String.downcase(query, :ascii))
+
+  defp parse_role(role) when is_binary(role) do
+    if Metadata.from_string(role), do: role
+  end
+
+  defp parse_role(_role), do: nil
+
+  defp parse_delta(value) when is_binary(value) do
+    case Float.parse(String.trim(value)) do
+      {delta, ""} -> delta
+      _ -> nil
+    end
+  end
+
+  defp parse_delta(_value), do: nil
+end
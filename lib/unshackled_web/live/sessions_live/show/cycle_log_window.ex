@@ -0,0 +1,158 @@
+defmodule UnshackledWeb.SessionsLive.Show.CycleLogWindow do
+  @moduledoc """
+  Windowed paging for the SessionsLive.Show cycle log.
+
+  The cycle log lists cycles newest first. Rather than growing without bound
+  as the reader scrolls, it holds a window of at most `max_cycles/0` cycles
+  and loads a page at either end:
+
+  * `load_older/1` appends the next older page and drops cycles from the top
+    once the window is full
+  * `load_newer/1` prepends the page above the window and drops cycles from
+    the bottom
+
+  * `show_cycle/2` moves the window to a cycle that isn't loaded, e.g. the
+    next match of the cycle log filter
+
+  The window is described by four assigns: `cycle_log`, `cycle_log_offset`
+  (how many newer cycles sit above the window), `has_more_cycles` (older
+  cycles below it) and `has_newer_cycles` (`cycle_log_offset > 0`). Each
+  function here takes the socket assigns and returns the assigns to merge.
+  Offsets count only the cycles the `cycle_range`, `replay_cycle` and
+  `cycle_log_filter` assigns let through (see `Replay.cycle_range/1`).
+  """
+
+  alias UnshackledWeb.SessionsLive.Show.CycleLogFilter
+  alias UnshackledWeb.SessionsLive.Show.DataLoader
+  alias UnshackledWeb.SessionsLive.Show.Replay
+
+  import DataLoader, only: [load_cycle_log: 5, count_cycles_after: 4]
+
+  @page_size 10
+  @max_cycles 50
+
+  @doc """
+  Number of cycles loaded at a time.
+  """
+  @spec page_size() :: pos_integer()
+  def page_size, do: @page_size
+
+  @doc """
+  Most cycles the window holds at once.
+  """
+  @spec max_cycles() :: pos_integer()
+  def max_cycles, do: @max_cycles
+
+  @doc """
+  The first page of the log, starting at the newest cycle.
+  """
+  @spec first_page(integer(), DataLoader.cycle_range(), CycleLogFilter.t() | nil) :: map()
+  def first_page(blackboard_id, cycle_range, filter \\ nil) do
+    {cycle_log, has_more} = load_cycle_log(blackboard_id, 0, @page_size, cycle_range, filter)
+    window(cycle_log, 0, has_more)
+  end
+
+  @doc """
+  Appends the next page of older cycles, dropping the newest cycles past
+  `max_cycles/0`.
+  """
+  @spec load_older(map()) :: map()
+  def load_older(%{cycle_log: cycle_log, cycle_log_offset: offset} = assigns) do
+    {older, has_more} =
+      load_cycle_log(
+        assigns.blackboard.id,
+        offset + length(cycle_log),
+        @page_size,
+        Replay.cycle_range(assigns),
+        assigns.cycle_log_filter
+      )
+
+    cycle_log = cycle_log ++ older
+    overflow = max(length(cycle_log) - @max_cycles, 0)
+
+    window(Enum.drop(cycle_log, overflow), offset + overflow, has_more)
+  end
+
+  @doc """
+  Prepends the page of cycles just above the window, dropping the oldest
+  cycles past `max_cycles/0`. Does nothing when the window starts at the
+  newest cycle.
+  """
+  @spec load_newer(map()) :: map()
+  def load_newer(%{cycle_log_offset: 0} = assigns),
+    do: window(assigns.cycle_log, 0, assigns.has_more_cycles)
+
+  def load_newer(%{cycle_log: cycle_log, cycle_log_offset: offset} = assigns) do
+    start = max(offset - @page_size, 0)
+
+    {newer, _has_more} =
+      load_cycle_log(
+        assigns.blackboard.id,
+        start,
+        offset - start,
+        Replay.cycle_range(assigns),
+        assigns.cycle_log_filter
+      )
+
+    cycle_log = newer ++ cycle_log
+    has_more = assigns.has_more_cycles or length(cycle_log) > @max_cycles
+
+    window(Enum.take(cycle_log, @max_cycles), start, has_more)
+  end
+
+  @doc """
+  Reloads the window after new cycles were recorded.
+
+  A window at the top of the log takes the new cycles in, keeping every cycle
+  the reader had loaded up to `max_cycles/0`. A window further down keeps its
+  cycles, so the reader's place doesn't move; only its offset grows by the
+  number of new cycles above it.
+  """
+  @spec refresh(map()) :: map()
+  def refresh(%{cycle_log: []} = assigns) do
+    first_page(assigns.blackboard.id, Replay.cycle_range(assigns), assigns.cycle_log_filter)
+  end
+
+  def refresh(%{cycle_log: [first | _] = cycle_log, cycle_log_offset: offset} = assigns) do
+    %{blackboard: blackboard, cycle_log_filter: filter} = assigns
+    cycle_range = Replay.cycle_range(assigns)
+    newer = count_cycles_after(blackboard.id, first.cycle_number, cycle_range, filter)
+
+    if offset == 0 do
+      count = min(length(cycle_log) + newer, @max_cycles)
+      {cycle_log, has_more} = load_cycle_log(blackboard.id, 0, count, cycle_range, filter)
+      window(cycle_log, 0, has_more)
+    else
+      window(cycle_log, newer, assigns.has_more_cycles)
+    end
+  end
+
+  @doc """
+  Makes sure `cycle_number` is in the window. A window that already holds it
+  is left alone; otherwise the window is replaced by the page containing it.
+  """
+  @spec show_cycle(map(), integer()) :: map()
+  def show_cycle(%{cycle_log: cycle_log, cycle_log_offset: offset} = assigns, cycle_number) do
+    if Enum.any?(cycle_log, &(&1.cycle_number == cycle_number)) do
+      window(cycle_log, offset, assigns.has_more_cycles)
+    else
+      %{blackboard: blackboard, cycle_log_filter: filter} = assigns
+      cycle_range = Replay.cycle_range(assigns)
+      position = count_cycles_after(blackboard.id, cycle_number, cycle_range, filter)
+      start = position - rem(position, @page_size)
+      {cycle_log, has_more} =
+        load_cycle_log(blackboard.id, start, @page_size, cycle_range, filter)
+
+      window(cycle_log, start, has_more)
+    end
+  end
+
+  defp window(cycle_log, offset, has_more) do
+    %{
+      cycle_log: cycle_log,
+      cycle_log_offset: offset,
+      has_more_cycles: has_more,
+      has_newer_cycles: offset > 0
+    }
+  end
+end
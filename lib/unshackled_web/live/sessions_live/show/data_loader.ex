@@ -6,14 +6,28 @@ defmodule UnshackledWeb.SessionsLive.Show.DataLoader do
   import Ecto.Query
 
   alias Unshackled.Agents.AgentContribution
+  alias Unshackled.Agents.Historian
   alias Unshackled.Agents.Summarizer
+  alias Unshackled.Annotations
+  alias Unshackled.Annotations.Annotation
   alias Unshackled.Blackboard.BlackboardRecord
   alias Unshackled.Blackboard.CemeteryEntry
   alias Unshackled.Blackboard.Server
+  alias Unshackled.Config
   alias Unshackled.Evolution.ClaimTransition
+  alias Unshackled.Embedding.Stagnation
   alias Unshackled.Embedding.TrajectoryPoint
   alias Unshackled.Repo
+  alias Unshackled.Visualization.Contributions
+  alias Unshackled.Visualization.Lineage
   alias Unshackled.Visualization.Trajectory
+  alias UnshackledWeb.SessionsLive.Show.CycleLogFilter
+
+  @typedoc "Inclusive cycle window selected on the support timeline, or nil for all cycles."
+  @type cycle_range :: %{from: integer(), to: integer()} | nil
+
+  # Exploration agents marked on the trajectory plots
+  @intervention_roles ["cartographer", "perturber"]
 
   @doc """
   Loads a blackboard by ID.
@@ -42,12 +56,14 @@ defmodule UnshackledWeb.SessionsLive.Show.DataLoader do
 
   @doc """
   Loads agent contributions data for a blackboard.
+  When a cycle range is given, only contributions inside it are counted.
   Returns a list of maps with role, count, and color.
   """
-  @spec load_contributions_data(integer()) :: [map()]
-  def load_contributions_data(blackboard_id) do
+  @spec load_contributions_data(integer(), cycle_range()) :: [map()]
+  def load_contributions_data(blackboard_id, cycle_range \\ nil) do
     AgentContribution
     |> where([c], c.blackboard_id == ^blackboard_id and c.accepted == true)
+    |> within_cycle_range(cycle_range)
     |> group_by([c], c.agent_role)
     |> select([c], %{role: c.agent_role, count: count(c.id)})
     |> Repo.all()
@@ -58,25 +74,136 @@ defmodule UnshackledWeb.SessionsLive.Show.DataLoader do
     |> Enum.sort_by(& &1.count, :desc)
   end
 
+  @doc """
+  Loads per-cycle accepted contribution counts by role for the over-time chart.
+  When a cycle range is given, only cycles inside it are returned.
+  Returns a list of maps with cycle, role, and count, or [] on error.
+  """
+  @spec load_contributions_timeline(integer(), cycle_range()) :: [map()]
+  def load_contributions_timeline(blackboard_id, cycle_range \\ nil) do
+    case Contributions.contributions_by_cycle(blackboard_id) do
+      {:ok, counts} -> Enum.filter(counts, &in_cycle_range?(&1.cycle, cycle_range))
+      {:error, _reason} -> []
+    end
+  end
+
   @doc """
   Loads trajectory data for a blackboard.
-  Computes 3D t-SNE plot for embedding visualization.
+  Computes 3D t-SNE plot for embedding visualization, and `points_2d`, the
+  same cycles reduced to 2D by `Trajectory.plot_2d/2` for the 2D plot.
   Returns map with points list or empty map on error.
+
+  Points in both lists also carry what the 2D plot can colour by: `agent`, the role
+  that triggered the claim transition into that cycle, and `novelty`, the
+  Historian's novelty score for the cycle. Either is nil when the cycle has
+  none. For the overlays, `stagnant` tells whether `Embedding.Stagnation`
+  flags the cycle, and `interventions` lists the exploration agents
+  (Cartographer, Perturber) that ran in it.
   """
-  @spec load_trajectory_data(integer()) :: map()
-  def load_trajectory_data(blackboard_id) do
+  @spec load_trajectory_data(integer(), Config.thresholds()) :: map()
+  def load_trajectory_data(blackboard_id, thresholds \\ Config.thresholds(nil)) do
     trajectory_points =
       TrajectoryPoint
       |> where([t], t.blackboard_id == ^blackboard_id)
       |> order_by([t], asc: t.cycle_number)
       |> Repo.all()
 
-    case Trajectory.plot_3d(trajectory_points, blackboard_id) do
-      {:ok, data} -> data
-      {:error, _reason} -> %{points: []}
+    case Trajectory.plot_3d(trajectory_points, blackboard_id, thresholds) do
+      {:ok, %{points: []} = data} ->
+        Map.put(data, :points_2d, [])
+
+      {:ok, data} ->
+        annotations = trajectory_annotations(trajectory_points, blackboard_id)
+        points_2d = plot_2d_points(trajectory_points, data.points, thresholds)
+
+        data
+        |> Map.update!(:points, &annotate_trajectory(&1, annotations))
+        |> Map.put(:points_2d, annotate_trajectory(points_2d, annotations))
+
+      {:error, _reason} ->
+        %{points: [], points_2d: []}
     end
   end
 
+  # The PCA points, or none when the reduction fails; a single point has
+  # nothing to reduce, so it keeps its place at the origin
+  defp plot_2d_points([_single_point], [point], _thresholds), do: [Map.delete(point, :z)]
+
+  defp plot_2d_points(trajectory_points, _points_3d, thresholds) do
+    case Trajectory.plot_2d(trajectory_points, thresholds) do
+      {:ok, %{"layer" => _layers, "data" => %{"values" => points}}} -> points
+      _no_plot -> []
+    end
+  end
+
+  # `points` are the plotted trajectory points, in cycle order
+  defp annotate_trajectory(points, {agents, novelty, stagnant, interventions}) do
+    points
+    |> Enum.zip(stagnant)
+    |> Enum.map(fn {point, stagnant} ->
+      Map.merge(point, %{
+        agent: agents[point.cycle],
+        novelty: novelty[point.cycle],
+        stagnant: stagnant,
+        interventions: interventions |> Map.get(point.cycle, []) |> Enum.sort()
+      })
+    end)
+  end
+
+  defp trajectory_annotations(trajectory_points, blackboard_id) do
+    agents =
+      ClaimTransition
+      |> where([ct], ct.blackboard_id == ^blackboard_id)
+      |> select([ct], {ct.to_cycle, ct.trigger_agent})
+      |> Repo.all()
+      |> Map.new()
+
+    novelty = fetch_novelty_scores(blackboard_id)
+    stagnant = Stagnation.stagnant_flags(trajectory_points, Stagnation.default_threshold())
+
+    interventions =
+      AgentContribution
+      |> where([c], c.blackboard_id == ^blackboard_id and c.agent_role in @intervention_roles)
+      |> distinct(true)
+      |> select([c], {c.cycle_number, c.agent_role})
+      |> Repo.all()
+      |> Enum.group_by(&elem(&1, 0), &elem(&1, 1))
+
+    {agents, novelty, stagnant, interventions}
+  end
+
+  defp fetch_novelty_scores(blackboard_id) do
+    AgentContribution
+    |> where([c], c.blackboard_id == ^blackboard_id and c.agent_role == "historian")
+    |> select([c], {c.cycle_number, c.output_text})
+    |> Repo.all()
+    |> Enum.flat_map(fn {cycle, output} ->
+      case Historian.parse_response(output || "") do
+        %{valid: true, novelty_score: score} when is_number(score) -> [{cycle, score}]
+        _invalid -> []
+      end
+    end)
+    |> Map.new()
+  end
+
+  @doc """
+  Narrows loaded trajectory data to the points inside a cycle range.
+  The embedding coordinates are kept as computed over the whole session,
+  so the zoomed view stays comparable with the full plot.
+  """
+  @spec filter_trajectory_data(map(), cycle_range()) :: map()
+  def filter_trajectory_data(trajectory_data, nil), do: trajectory_data
+
+  def filter_trajectory_data(%{points: _points} = trajectory_data, %{from: from, to: to}) do
+    in_range? = &(&1.cycle >= from and &1.cycle <= to)
+
+    trajectory_data
+    |> Map.update!(:points, &Enum.filter(&1, in_range?))
+    |> Map.update(:points_2d, [], &Enum.filter(&1, in_range?))
+  end
+
+  def filter_trajectory_data(trajectory_data, _cycle_range), do: trajectory_data
+
   @doc """
   Loads cemetery entries for a blackboard.
   Returns a list of dead claims ordered by cycle_killed (most recent first).
@@ -105,33 +232,73 @@ defmodule UnshackledWeb.SessionsLive.Show.DataLoader do
     :exit, _ -> []
   end
 
+  @doc """
+  Loads the notes pinned to a session's cycles, in cycle order.
+  """
+  @spec load_annotations(integer()) :: [Annotation.t()]
+  def load_annotations(blackboard_id), do: Annotations.list_annotations(blackboard_id)
+
+  @doc """
+  Loads the support thresholds a session ran with, saved on its blackboard
+  when it started, so stopped and finished sessions keep their own lines.
+  """
+  @spec load_thresholds(%BlackboardRecord{}) :: Config.thresholds()
+  def load_thresholds(%BlackboardRecord{} = blackboard),
+    do: BlackboardRecord.thresholds(blackboard)
+
   @doc """
   Loads cycle log data for displaying cycle history.
   Returns {cycle_entries, has_more} where cycle_entries is grouped by cycle number
-  in reverse chronological order (most recent first).
+  in reverse chronological order (most recent first). With a filter, only cycles
+  holding a matching contribution are paged through.
   """
-  @spec load_cycle_log(integer(), integer(), integer()) :: {[map()], boolean()}
-  def load_cycle_log(blackboard_id, offset, limit) do
-    cycle_numbers = fetch_cycle_numbers(blackboard_id)
+  @spec load_cycle_log(
+          integer(),
+          integer(),
+          integer(),
+          cycle_range(),
+          CycleLogFilter.t() | nil
+        ) :: {[map()], boolean()}
+  def load_cycle_log(blackboard_id, offset, limit, cycle_range \\ nil, filter \\ nil) do
+    cycle_numbers = fetch_cycle_numbers(blackboard_id, cycle_range, filter)
     {cycles_to_fetch, has_more} = paginate_cycles(cycle_numbers, offset, limit)
     cycle_entries = build_cycle_entries(blackboard_id, cycles_to_fetch)
     {cycle_entries, has_more}
   end
 
   @doc """
-  Fetches all cycle numbers for a blackboard.
+  Fetches all cycle numbers for a blackboard, optionally limited to a cycle range
+  and to cycles with a contribution matching a cycle log filter.
   Returns sorted list of cycle numbers in descending order.
   """
-  @spec fetch_cycle_numbers(integer()) :: [integer()]
-  def fetch_cycle_numbers(blackboard_id) do
+  @spec fetch_cycle_numbers(integer(), cycle_range(), CycleLogFilter.t() | nil) :: [integer()]
+  def fetch_cycle_numbers(blackboard_id, cycle_range \\ nil, filter \\ nil) do
     AgentContribution
     |> where([c], c.blackboard_id == ^blackboard_id)
+    |> within_cycle_range(cycle_range)
+    |> matching_filter(filter)
     |> group_by([c], c.cycle_number)
     |> select([c], c.cycle_number)
     |> Repo.all()
     |> Enum.sort(:desc)
   end
 
+  @doc """
+  Counts the cycles after `cycle_number` that have contributions, optionally
+  limited to a cycle range and a cycle log filter. In the newest-first cycle
+  log this is the offset of `cycle_number`.
+  """
+  @spec count_cycles_after(integer(), integer(), cycle_range(), CycleLogFilter.t() | nil) ::
+          non_neg_integer()
+  def count_cycles_after(blackboard_id, cycle_number, cycle_range \\ nil, filter \\ nil) do
+    AgentContribution
+    |> where([c], c.blackboard_id == ^blackboard_id and c.cycle_number > ^cycle_number)
+    |> within_cycle_range(cycle_range)
+    |> matching_filter(filter)
+    |> select([c], count(c.cycle_number, :distinct))
+    |> Repo.one()
+  end
+
   @doc """
   Paginates cycle numbers for pagination.
   Returns {paginated_cycles, has_more} tuple.
@@ -157,7 +324,13 @@ defmodule UnshackledWeb.SessionsLive.Show.DataLoader do
   def build_cycle_entries(blackboard_id, cycles_to_fetch) do
     contributions = fetch_contributions_for_cycles(blackboard_id, cycles_to_fetch)
     grouped = Enum.group_by(contributions, & &1.cycle_number)
-    Enum.map(cycles_to_fetch, &build_cycle_entry(&1, grouped))
+    claims = fetch_claims_for_cycles(blackboard_id, cycles_to_fetch)
+
+    Enum.map(cycles_to_fetch, fn cycle_num ->
+      cycle_num
+      |> build_cycle_entry(grouped)
+      |> Map.put(:claim_text, Map.get(claims, cycle_num))
+    end)
   end
 
   @doc """
@@ -172,6 +345,20 @@ defmodule UnshackledWeb.SessionsLive.Show.DataLoader do
     |> Repo.all()
   end
 
+  @doc """
+  Fetches the claim text recorded at each of the given cycles.
+  Returns a map of cycle number to claim text; cycles without a trajectory
+  point are left out.
+  """
+  @spec fetch_claims_for_cycles(integer(), [integer()]) :: %{integer() => String.t()}
+  def fetch_claims_for_cycles(blackboard_id, cycles) do
+    TrajectoryPoint
+    |> where([t], t.blackboard_id == ^blackboard_id and t.cycle_number in ^cycles)
+    |> select([t], {t.cycle_number, t.claim_text})
+    |> Repo.all()
+    |> Map.new()
+  end
+
   @doc """
   Builds a single cycle entry from cycle number and grouped contributions.
   Returns map with cycle_number, contributions, total_delta, and inserted_at.
@@ -246,6 +433,18 @@ defmodule UnshackledWeb.SessionsLive.Show.DataLoader do
     end)
   end
 
+  @doc """
+  Loads the claim lineage graph for the evolution timeline.
+  Returns a map with nodes and edges, both empty on error.
+  """
+  @spec load_claim_lineage(integer()) :: Lineage.lineage()
+  def load_claim_lineage(blackboard_id) do
+    case Lineage.claim_lineage(blackboard_id) do
+      {:ok, lineage} -> lineage
+      {:error, _reason} -> %{nodes: [], edges: []}
+    end
+  end
+
   @doc """
   Loads the latest claim summary for a blackboard.
   Returns summary map or nil if not found.
@@ -261,15 +460,29 @@ defmodule UnshackledWeb.SessionsLive.Show.DataLoader do
     end
   end
 
+  @doc """
+  Loads the claim summary as it stood at a cycle, for session replay.
+  Returns summary map or nil if none was written by then.
+  """
+  @spec load_claim_summary_at(integer(), integer()) :: map() | nil
+  def load_claim_summary_at(blackboard_id, cycle_number) do
+    case Summarizer.get_summary_at(blackboard_id, cycle_number) do
+      {:ok, summary} -> summary
+      {:error, :not_found} -> nil
+    end
+  end
+
   @doc """
   Loads session data fast (excluding trajectory which loads asynchronously).
-  Returns map with support_timeline, contributions_data, cemetery_entries, and graduated_claims.
+  Returns map with support_timeline, contributions_data, contributions_timeline,
+  cemetery_entries, and graduated_claims.
   """
-  @spec load_session_data_fast(integer(), String.t() | nil) :: map()
-  def load_session_data_fast(blackboard_id, session_id) do
+  @spec load_session_data_fast(integer(), String.t() | nil, cycle_range()) :: map()
+  def load_session_data_fast(blackboard_id, session_id, cycle_range \\ nil) do
     %{
       support_timeline: load_support_timeline(blackboard_id),
-      contributions_data: load_contributions_data(blackboard_id),
+      contributions_data: load_contributions_data(blackboard_id, cycle_range),
+      contributions_timeline: load_contributions_timeline(blackboard_id, cycle_range),
       cemetery_entries: load_cemetery_entries(blackboard_id),
       graduated_claims: load_graduated_claims(session_id)
     }
@@ -302,4 +515,50 @@ defmodule UnshackledWeb.SessionsLive.Show.DataLoader do
       support -> "#{Float.round(support * 100, 1)}%"
     end
   end
+
+  defp matching_filter(query, nil), do: query
+
+  defp matching_filter(query, filter) do
+    query
+    |> matching_role(filter.role)
+    |> matching_delta(filter.min_delta, filter.max_delta)
+    |> matching_text(filter.query)
+  end
+
+  defp matching_role(query, nil), do: query
+  defp matching_role(query, role), do: where(query, [c], c.agent_role == ^role)
+
+  defp matching_delta(query, nil, nil), do: query
+  defp matching_delta(query, min, nil), do: where(query, [c], c.support_delta >= ^min)
+  defp matching_delta(query, nil, max), do: where(query, [c], c.support_delta <= ^max)
+
+  defp matching_delta(query, min, max),
+    do: where(query, [c], c.support_delta >= ^min and c.support_delta <= ^max)
+
+  # SQLite's LIKE ignores ASCII case only, which `CycleLogFilter` matches; the
+  # claim is the one recorded at the contribution's cycle
+  defp matching_text(query, ""), do: query
+
+  defp matching_text(query, text) do
+    pattern = "%" <> String.replace(text, ~r/[\\%_]/, "\\\\\\0") <> "%"
+
+    query
+    |> join(:left, [c], t in TrajectoryPoint,
+      on: t.blackboard_id == c.blackboard_id and t.cycle_number == c.cycle_number
+    )
+    |> where(
+      [c, t],
+      fragment("? LIKE ? ESCAPE '\\'", c.output_text, ^pattern) or
+        fragment("? LIKE ? ESCAPE '\\'", t.claim_text, ^pattern)
+    )
+  end
+
+  defp within_cycle_range(query, nil), do: query
+
+  defp within_cycle_range(query, %{from: from, to: to}) do
+    where(query, [c], c.cycle_number >= ^from and c.cycle_number <= ^to)
+  end
+
+  defp in_cycle_range?(_cycle, nil), do: true
+  defp in_cycle_range?(cycle, %{from: from, to: to}), do: cycle >= from and cycle <= to
 end
@@ -6,6 +6,7 @@ defmodule UnshackledWeb.SessionsLive.Show.Helpers do
   but are not core callbacks like mount, handle_event, or handle_info.
   """
 
+  alias Unshackled.Blackboard.BlackboardRecord
   alias Unshackled.Session
   import Phoenix.Component, only: [assign: 3]
 
@@ -60,17 +61,20 @@ defmodule UnshackledWeb.SessionsLive.Show.Helpers do
   end
 
   @doc """
-  Infers session status from blackboard support strength.
+  Infers session status from blackboard support strength, against the
+  thresholds the session ran with (`BlackboardRecord.thresholds/1`).
 
   Rules:
-  - support >= 0.85 -> :graduated
-  - support <= 0.2 -> :dead
+  - support >= graduation threshold -> :graduated
+  - support <= death threshold -> :dead
   - otherwise -> :stopped
   """
   def infer_status_from_blackboard(blackboard) do
+    %{death: death, graduation: graduation} = BlackboardRecord.thresholds(blackboard)
+
     cond do
-      blackboard.support_strength >= 0.85 -> :graduated
-      blackboard.support_strength <= 0.2 -> :dead
+      blackboard.support_strength >= graduation -> :graduated
+      blackboard.support_strength <= death -> :dead
       true -> :stopped
     end
   end
@@ -0,0 +1,80 @@
+defmodule UnshackledWeb.SessionsLive.Show.Replay do
+  @moduledoc """
+  Session replay for SessionsLive.Show: the page as it stood at an earlier cycle.
+
+  The `replay_cycle` assign holds the cycle being replayed, or nil for the
+  live page. Replay is offered once a session has stopped running; moving
+  the slider to the last cycle, or the session running again, ends it.
+
+  The replay control's hook (assets/js/hooks/replay_hook.js) plays and scrubs
+  on the client, and every chart hook trims the data it already holds to the
+  replay cycle, so scrubbing never re-sends chart data. The server is told
+  the cycle, throttled, only for what it aggregates or pages: the claim card
+  and its summary, the contributions donut and the cycle log. Those load
+  through `cycle_range/1`.
+  """
+
+  alias UnshackledWeb.SessionsLive.Show.DataLoader
+
+  @doc """
+  Whether the session can be replayed: it isn't running and has more than
+  one cycle to step through.
+  """
+  @spec available?(atom() | nil, integer() | nil) :: boolean()
+  def available?(status, cycle_count) do
+    status != :running and is_integer(cycle_count) and cycle_count > 1
+  end
+
+  @doc """
+  The replay cycle for a cycle picked on the slider, kept within the session.
+  Nil, the live page, from the last cycle on.
+
+  ## Examples
+
+      iex> Replay.replay_cycle(4, 10)
+      4
+
+      iex> Replay.replay_cycle(10, 10)
+      nil
+
+      iex> Replay.replay_cycle(-3, 10)
+      1
+  """
+  @spec replay_cycle(integer(), integer()) :: pos_integer() | nil
+  def replay_cycle(cycle, cycle_count) when cycle >= cycle_count, do: nil
+  def replay_cycle(cycle, _cycle_count), do: max(cycle, 1)
+
+  @doc """
+  The cycles the server-loaded session data covers: the `cycle_range`
+  brushed on the support timeline, cut off at the replay cycle. Takes the
+  socket assigns.
+
+  ## Examples
+
+      iex> Replay.cycle_range(%{replay_cycle: 6, cycle_range: nil})
+      %{from: 0, to: 6}
+
+      iex> Replay.cycle_range(%{replay_cycle: 6, cycle_range: %{from: 2, to: 9}})
+      %{from: 2, to: 6}
+  """
+  @spec cycle_range(map()) :: DataLoader.cycle_range()
+  def cycle_range(%{replay_cycle: cycle, cycle_range: nil}) when is_integer(cycle),
+    do: %{from: 0, to: cycle}
+
+  def cycle_range(%{replay_cycle: cycle, cycle_range: %{from: from, to: to}})
+      when is_integer(cycle),
+      do: %{from: from, to: min(to, cycle)}
+
+  def cycle_range(assigns), do: assigns.cycle_range
+
+  @doc """
+  The support timeline point a replay at `cycle` shows: the latest one at or
+  before it, or nil before the first.
+  """
+  @spec point_at([map()], integer()) :: map() | nil
+  def point_at(support_timeline, cycle) do
+    support_timeline
+    |> Enum.filter(&(&1.cycle <= cycle))
+    |> Enum.max_by(& &1.cycle, fn -> nil end)
+  end
+end
@@ -11,40 +11,81 @@ defmodule UnshackledWeb.SessionsLive.Show.State do
   - `blackboard` - The BlackboardRecord struct (or nil for not-found)
   - `session_id` - The Session UUID (or nil for not-found)
   - `status` - Atom status: :running, :paused, :stopped, :completed, :graduated, :dead
+  - `thresholds` - The session's death, Grave Keeper and graduation support levels
+    (`Unshackled.Config.thresholds/1`), drawn on the charts
 
   ### UI State
   - `not_found` - Boolean indicating if blackboard was found
   - `show_stop_confirm` - Boolean for stop confirmation modal
   - `show_delete_confirm` - Boolean for delete confirmation modal
+  - `show_shortcuts_help` - Boolean for the keyboard shortcuts overlay
+  - `contributions_view` - `:donut` or `:over_time`, the agent contributions chart shown
+  - `claim_compare_cycles` - Up to two cycles shift-clicked on the charts to diff their claims
+  - `claim_compare_mode` - `:inline` or `:side_by_side` layout for that diff
+  - `selected_cycle` - Cycle clicked on the charts or cycle log, highlighted on all of them
+  - `expanded_sections` - Map of `collapsible_section` IDs to the expanded state the
+    reader toggled them to; sections not in it keep their default
 
   ### Session-Loaded Data (from DataLoader)
   - `support_timeline` - List of support/claim history points
   - `contributions_data` - List of agent contribution statistics
+  - `contributions_timeline` - List of accepted contribution counts per cycle and role
   - `cemetery_entries` - List of dead claims
   - `graduated_claims` - List of graduated claims
 
   ### Visualization Data
-  - `trajectory_data` - Map with embedding points for 3D plot
+  - `chart_snapshot` - The lists above as the charts last received them in full
+    (`chart_snapshot/1`); replaced only on a resync, with live updates pushed
+    as deltas in between (see `ChartDeltas`)
+  - `trajectory_data` - Map with embedding points for the 3D and 2D plots
   - `trajectory_loading` - Boolean indicating if trajectory is loading
+  - `trajectory_view` - `:three_d` or `:two_d`, the trajectory plot shown
+  - `trajectory_color_by` - `:cycle`, `:support`, `:agent` or `:novelty`, what the
+    2D trajectory plot colours its points by
 
   ### Cycle Data
-  - `cycle_log` - List of cycle entries with contributions
-  - `cycle_log_offset` - Current offset for pagination
-  - `has_more_cycles` - Boolean indicating if more cycles exist
+  - `cycle_log` - The window of cycle entries shown, with contributions, newest first
+  - `cycle_log_offset` - Number of newer cycles above the window
+  - `has_more_cycles` - Boolean indicating if older cycles exist below the window
+  - `has_newer_cycles` - Boolean indicating if newer cycles exist above the window
+    (see `CycleLogWindow`)
   - `new_cycle_number` - Integer of the newest cycle (for highlighting)
+  - `cycle_range` - `%{from: integer, to: integer}` selected by brushing the support
+    timeline, or nil; narrows the cycle log, contributions and trajectory
+  - `replay_cycle` - Cycle the page is being replayed at, or nil for the live session;
+    caps the cycle log, donut and claim card at that cycle (see `Replay`)
+  - `cycle_log_filter` - Role, text and support delta filter on the cycle log
+    (`CycleLogFilter`), or nil
+  - `cycle_log_matches` - Numbers of every cycle matching the filter, newest first,
+    loaded or not; nil without a filter
+  - `cycle_log_match` - The matching cycle the next/previous buttons last moved to
 
   ### Claim Tracking
-  - `claim_summary` - Map with context summary, evolution narrative, etc.
+  - `claim_summary` - Map with context summary, evolution narrative, etc.; during a
+    replay, the summary as of the replay cycle
   - `claim_transitions` - List of claim change records
+  - `claim_lineage` - Map of claim version nodes and transition edges for the lineage graph
   - `expanded_timeline_nodes` - Map of expanded timeline node IDs
   - `expanded_summary_sections` - MapSet of expanded summary section IDs
 
+  ### Annotations
+  - `annotations` - Notes pinned to cycles (`Unshackled.Annotations`), in cycle order;
+    marked on the support timeline and kept live over the blackboard topic
+  - `editing_annotation` - ID of the annotation being edited in the panel, or nil
+  - `annotation_form_key` - Bumped when this page saves a new note, to clear the
+    panel's form; notes arriving from other pages leave it alone
+
+  The UI state the reader sets up (chart modes, selections, expanded sections and
+  nodes) is mirrored in the page URL; see `UrlState`.
+
   ### Cost Data
   - `total_cost` - Float total session cost in USD
   - `cost_by_cycle` - List of cost breakdown by cycle
   - `cost_by_agent` - List of cost breakdown by agent
+  - `cost_by_cycle_and_agent` - List of cost per agent within each cycle (burn-down chart)
   """
 
+  alias Unshackled.Config
   alias Unshackled.Costs
 
   @doc """
@@ -53,12 +94,15 @@ defmodule UnshackledWeb.SessionsLive.Show.State do
   ## Parameters
   - `blackboard` - The BlackboardRecord struct
   - `session_id` - The Session UUID (may be nil)
-  - `session_data` - Map with session loaded data (from load_session_data_fast/2)
+  - `session_data` - Map with session loaded data (from load_session_data_fast/3)
   - `opts` - Keyword list of additional options:
     - `:cycle_log` - Cycle log list (default: [])
     - `:has_more_cycles` - Boolean for pagination (default: false)
     - `:claim_summary` - Claim summary map (default: nil)
     - `:claim_transitions` - List of claim transitions (default: [])
+    - `:claim_lineage` - Claim lineage graph (default: no nodes or edges)
+    - `:thresholds` - Session support thresholds (default: the configured defaults)
+    - `:annotations` - Annotations on the session's cycles (default: [])
     - `:status` - Pre-determined status (optional, will be computed if not provided)
 
   ## Returns
@@ -84,31 +128,54 @@ defmodule UnshackledWeb.SessionsLive.Show.State do
           keyword()
         ) :: map()
   def build_found_state(blackboard, session_id, session_data, opts \\ []) do
-    %{
+    state = %{
       blackboard: blackboard,
       session_id: session_id,
       status: Keyword.get(opts, :status),
+      thresholds: Keyword.get_lazy(opts, :thresholds, fn -> Config.thresholds(nil) end),
       not_found: false,
       show_stop_confirm: false,
       show_delete_confirm: false,
+      show_shortcuts_help: false,
       support_timeline: Map.get(session_data, :support_timeline, []),
       contributions_data: Map.get(session_data, :contributions_data, []),
-      trajectory_data: %{points: []},
+      contributions_timeline: Map.get(session_data, :contributions_timeline, []),
+      contributions_view: :donut,
+      claim_compare_cycles: [],
+      claim_compare_mode: :inline,
+      selected_cycle: nil,
+      expanded_sections: %{},
+      trajectory_data: %{points: [], points_2d: []},
       trajectory_loading: true,
+      trajectory_view: :three_d,
+      trajectory_color_by: :cycle,
       cemetery_entries: Map.get(session_data, :cemetery_entries, []),
       graduated_claims: Map.get(session_data, :graduated_claims, []),
       cycle_log: Keyword.get(opts, :cycle_log, []),
-      cycle_log_offset: length(Keyword.get(opts, :cycle_log, [])),
+      cycle_log_offset: 0,
       has_more_cycles: Keyword.get(opts, :has_more_cycles, false),
+      has_newer_cycles: false,
       new_cycle_number: nil,
+      cycle_range: nil,
+      replay_cycle: nil,
+      cycle_log_filter: nil,
+      cycle_log_matches: nil,
+      cycle_log_match: nil,
       claim_summary: Keyword.get(opts, :claim_summary),
       claim_transitions: Keyword.get(opts, :claim_transitions, []),
+      claim_lineage: Keyword.get(opts, :claim_lineage, %{nodes: [], edges: []}),
       expanded_timeline_nodes: %{},
       expanded_summary_sections: MapSet.new(),
+      annotations: Keyword.get(opts, :annotations, []),
+      editing_annotation: nil,
+      annotation_form_key: 0,
       total_cost: Costs.get_session_total_cost(blackboard.id),
       cost_by_cycle: Costs.get_cost_by_cycle(blackboard.id),
-      cost_by_agent: Costs.get_cost_by_agent(blackboard.id)
+      cost_by_agent: Costs.get_cost_by_agent(blackboard.id),
+      cost_by_cycle_and_agent: Costs.get_cost_by_cycle_and_agent(blackboard.id)
     }
+
+    Map.put(state, :chart_snapshot, chart_snapshot(state))
   end
 
   @doc """
@@ -136,42 +203,84 @@ defmodule UnshackledWeb.SessionsLive.Show.State do
       blackboard: nil,
       session_id: nil,
       status: nil,
+      thresholds: Config.thresholds(nil),
       not_found: true,
       show_stop_confirm: false,
       show_delete_confirm: false,
+      show_shortcuts_help: false,
       support_timeline: [],
       contributions_data: [],
-      trajectory_data: %{points: []},
+      contributions_timeline: [],
+      contributions_view: :donut,
+      claim_compare_cycles: [],
+      claim_compare_mode: :inline,
+      selected_cycle: nil,
+      expanded_sections: %{},
+      trajectory_data: %{points: [], points_2d: []},
       trajectory_loading: false,
+      trajectory_view: :three_d,
+      trajectory_color_by: :cycle,
       cemetery_entries: [],
       graduated_claims: [],
       cycle_log: [],
       cycle_log_offset: 0,
       has_more_cycles: false,
+      has_newer_cycles: false,
       new_cycle_number: nil,
+      cycle_range: nil,
+      replay_cycle: nil,
+      cycle_log_filter: nil,
+      cycle_log_matches: nil,
+      cycle_log_match: nil,
       claim_summary: nil,
       claim_transitions: [],
+      claim_lineage: %{nodes: [], edges: []},
       expanded_timeline_nodes: %{},
       expanded_summary_sections: MapSet.new(),
+      annotations: [],
+      editing_annotation: nil,
+      annotation_form_key: 0,
       total_cost: 0.0,
       cost_by_cycle: [],
-      cost_by_agent: []
+      cost_by_agent: [],
+      cost_by_cycle_and_agent: [],
+      chart_snapshot: chart_snapshot(%{})
     }
   end
 
+  @doc """
+  Takes the chart data from socket assigns (or any map with the same keys),
+  for the `chart_snapshot` assign. Missing keys become empty lists.
+
+  ## Example
+      iex> State.chart_snapshot(%{support_timeline: [%{cycle: 1, support: 0.5}]})
+      %{
+        support_timeline: [%{cycle: 1, support: 0.5}],
+        claim_transitions: [],
+        contributions_data: [],
+        contributions_timeline: []
+      }
+  """
+  @spec chart_snapshot(map()) :: map()
+  def chart_snapshot(assigns) do
+    Map.new(
+      [:support_timeline, :claim_transitions, :contributions_data, :contributions_timeline],
+      &{&1, Map.get(assigns, &1, [])}
+    )
+  end
+
   @doc """
   Builds partial socket state for refresh scenarios.
 
   This is used when updating socket state after new data is loaded,
-  without recalculating cost data.
+  without recalculating cost data. The cycle log window is refreshed
+  separately (`CycleLogWindow.refresh/1`), so the reader's place in it is kept.
 
   ## Parameters
   - `blackboard` - The BlackboardRecord struct
   - `session_id` - The Session UUID
   - `session_data` - Map with session loaded data
   - `opts` - Keyword list of additional options:
-    - `:cycle_log` - Cycle log list (default: [])
-    - `:has_more_cycles` - Boolean for pagination (default: false)
     - `:new_cycle_number` - New cycle number to highlight (optional)
     - `:status` - Pre-determined status (optional)
 
@@ -179,11 +288,11 @@ defmodule UnshackledWeb.SessionsLive.Show.State do
   A map of socket assigns ready for merge/assign.
 
   ## Example
-      iex> State.build_refresh_state(blackboard, "session-123", session_data, cycle_log: log)
+      iex> State.build_refresh_state(blackboard, "session-123", session_data, new_cycle_number: 4)
       %{
         blackboard: %BlackboardRecord{...},
         support_timeline: [],
-        cycle_log: log,
+        new_cycle_number: 4,
         ...
       }
   """
@@ -199,11 +308,9 @@ defmodule UnshackledWeb.SessionsLive.Show.State do
       status: Keyword.get(opts, :status),
       support_timeline: Map.get(session_data, :support_timeline, []),
       contributions_data: Map.get(session_data, :contributions_data, []),
+      contributions_timeline: Map.get(session_data, :contributions_timeline, []),
       cemetery_entries: Map.get(session_data, :cemetery_entries, []),
       graduated_claims: Map.get(session_data, :graduated_claims, []),
-      cycle_log: Keyword.get(opts, :cycle_log, []),
-      cycle_log_offset: length(Keyword.get(opts, :cycle_log, [])),
-      has_more_cycles: Keyword.get(opts, :has_more_cycles, false),
       new_cycle_number: Keyword.get(opts, :new_cycle_number)
     }
   end
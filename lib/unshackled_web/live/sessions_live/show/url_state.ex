@@ -0,0 +1,205 @@
+defmodule UnshackledWeb.SessionsLive.Show.UrlState do
+  @moduledoc """
+  The view state of SessionsLive.Show kept in the `/sessions/:id` query
+  string, so a link reproduces the page its sender was looking at.
+
+  Events that change this state patch the URL (`path/2`) and
+  `handle_params/3` applies what it parses (`from_params/1`), which also
+  restores a shared link on mount. Each value is left out of the URL while
+  it's at its default, so an untouched page keeps a bare `/sessions/:id`.
+
+  | Param | Assign | Example |
+  | --- | --- | --- |
+  | `range` | `cycle_range` | `range=2-9` |
+  | `cycle` | `selected_cycle` | `cycle=4` |
+  | `replay` | `replay_cycle` | `replay=6` |
+  | `contributions` | `contributions_view` | `contributions=over_time` |
+  | `trajectory` | `trajectory_view` | `trajectory=two_d` |
+  | `color` | `trajectory_color_by` | `color=support` |
+  | `compare` | `claim_compare_cycles` | `compare=3,7` |
+  | `diff` | `claim_compare_mode` | `diff=side_by_side` |
+  | `open`, `closed` | `expanded_sections` | `open=cost-by-cycle&closed=cycles-last-hour` |
+  | `nodes` | `expanded_timeline_nodes` | `nodes=12,15` |
+  | `summary` | `expanded_summary_sections` | `summary=context_summary` |
+
+  Values that don't parse fall back to the default, so a mangled link still
+  opens the session.
+  """
+
+  @defaults %{
+    cycle_range: nil,
+    selected_cycle: nil,
+    replay_cycle: nil,
+    contributions_view: :donut,
+    trajectory_view: :three_d,
+    trajectory_color_by: :cycle,
+    claim_compare_cycles: [],
+    claim_compare_mode: :inline,
+    expanded_sections: %{},
+    expanded_timeline_nodes: %{},
+    expanded_summary_sections: MapSet.new()
+  }
+
+  @options %{
+    contributions_view: [:donut, :over_time],
+    trajectory_view: [:three_d, :two_d],
+    trajectory_color_by: [:cycle, :support, :agent, :novelty],
+    claim_compare_mode: [:inline, :side_by_side]
+  }
+
+  @params %{
+    contributions_view: "contributions",
+    trajectory_view: "trajectory",
+    trajectory_color_by: "color",
+    claim_compare_mode: "diff"
+  }
+
+  @type t :: %{
+          cycle_range: %{from: integer(), to: integer()} | nil,
+          selected_cycle: pos_integer() | nil,
+          replay_cycle: pos_integer() | nil,
+          contributions_view: atom(),
+          trajectory_view: atom(),
+          trajectory_color_by: atom(),
+          claim_compare_cycles: [integer()],
+          claim_compare_mode: atom(),
+          expanded_sections: %{String.t() => boolean()},
+          expanded_timeline_nodes: %{integer() => true},
+          expanded_summary_sections: MapSet.t(String.t())
+        }
+
+  @doc """
+  The view state with nothing in the URL: each key is a socket assign.
+  """
+  @spec defaults() :: t()
+  def defaults, do: @defaults
+
+  @doc """
+  Builds the session URL for the view state in `assigns` (socket assigns or
+  any map holding the keys of `defaults/0`).
+
+  ## Examples
+
+      iex> UrlState.path(5, %{UrlState.defaults() | trajectory_view: :two_d, selected_cycle: 4})
+      "/sessions/5?cycle=4&trajectory=two_d"
+
+      iex> UrlState.path(5, UrlState.defaults())
+      "/sessions/5"
+  """
+  @spec path(integer(), map()) :: String.t()
+  def path(blackboard_id, assigns) do
+    case to_params(assigns) do
+      params when params == %{} -> "/sessions/#{blackboard_id}"
+      params -> "/sessions/#{blackboard_id}?#{encode_query(params)}"
+    end
+  end
+
+  @doc """
+  The query params for the view state in `assigns`, without those at their
+  default.
+  """
+  @spec to_params(map()) :: %{String.t() => String.t()}
+  def to_params(assigns) do
+    @defaults
+    |> Enum.reject(fn {key, default} -> Map.get(assigns, key, default) == default end)
+    |> Enum.flat_map(fn {key, _default} -> encode(key, Map.fetch!(assigns, key)) end)
+    |> Map.new()
+  end
+
+  @doc """
+  Parses the view state out of the query params, with the default for
+  anything missing or invalid.
+
+  ## Examples
+
+      iex> UrlState.from_params(%{"range" => "9-2", "color" => "bogus"}).cycle_range
+      %{from: 2, to: 9}
+  """
+  @spec from_params(map()) :: t()
+  def from_params(params) do
+    %{
+      cycle_range: decode_range(params["range"]),
+      selected_cycle: decode_cycle(params["cycle"]),
+      replay_cycle: decode_cycle(params["replay"]),
+      contributions_view: decode_option(:contributions_view, params),
+      trajectory_view: decode_option(:trajectory_view, params),
+      trajectory_color_by: decode_option(:trajectory_color_by, params),
+      claim_compare_cycles: params["compare"] |> decode_cycles() |> Enum.take(2) |> Enum.sort(),
+      claim_compare_mode: decode_option(:claim_compare_mode, params),
+      expanded_sections: decode_sections(params["open"], params["closed"]),
+      expanded_timeline_nodes: params["nodes"] |> decode_cycles() |> Map.new(&{&1, true}),
+      expanded_summary_sections: params["summary"] |> split() |> MapSet.new()
+    }
+  end
+
+  defp encode(:cycle_range, %{from: from, to: to}), do: [{"range", "#{from}-#{to}"}]
+  defp encode(:selected_cycle, cycle), do: [{"cycle", to_string(cycle)}]
+  defp encode(:replay_cycle, cycle), do: [{"replay", to_string(cycle)}]
+  defp encode(:claim_compare_cycles, cycles), do: [{"compare", Enum.join(cycles, ",")}]
+
+  defp encode(:expanded_sections, sections) do
+    {open, closed} = sections |> Enum.sort() |> Enum.split_with(fn {_id, open?} -> open? end)
+
+    [{"open", open}, {"closed", closed}]
+    |> Enum.reject(fn {_param, ids} -> ids == [] end)
+    |> Enum.map(fn {param, ids} -> {param, Enum.map_join(ids, ",", &elem(&1, 0))} end)
+  end
+
+  defp encode(:expanded_timeline_nodes, nodes),
+    do: [{"nodes", nodes |> Map.keys() |> Enum.sort() |> Enum.join(",")}]
+
+  defp encode(:expanded_summary_sections, sections),
+    do: [{"summary", sections |> Enum.sort() |> Enum.join(",")}]
+
+  defp encode(key, value), do: [{Map.fetch!(@params, key), Atom.to_string(value)}]
+
+  # Like `URI.encode_query/1`, but lists keep their commas readable
+  defp encode_query(params) do
+    Enum.map_join(params, "&", fn {param, value} ->
+      "#{param}=#{URI.encode(value, &(&1 == ?, or URI.char_unreserved?(&1)))}"
+    end)
+  end
+
+  defp decode_range(value) when is_binary(value) do
+    with [from, to] <- String.split(value, "-", parts: 2),
+         {from, ""} <- Integer.parse(from),
+         {to, ""} <- Integer.parse(to) do
+      %{from: min(from, to), to: max(from, to)}
+    else
+      _ -> nil
+    end
+  end
+
+  defp decode_range(_value), do: nil
+
+  defp decode_cycle(value) do
+    case decode_cycles(value) do
+      [cycle] when cycle > 0 -> cycle
+      _ -> nil
+    end
+  end
+
+  defp decode_option(key, params) do
+    value = params[Map.fetch!(@params, key)]
+    Enum.find(Map.fetch!(@options, key), @defaults[key], &(Atom.to_string(&1) == value))
+  end
+
+  defp decode_cycles(value) do
+    value
+    |> split()
+    |> Enum.flat_map(fn part ->
+      case Integer.parse(part) do
+        {cycle, ""} -> [cycle]
+        _ -> []
+      end
+    end)
+    |> Enum.uniq()
+  end
+
+  defp decode_sections(open, closed) do
+    Map.merge(Map.new(split(closed), &{&1, false}), Map.new(split(open), &{&1, true}))
+  end
+
+  defp split(value) when is_binary(value), do: String.split(value, ",", trim: true)
+  defp split(_value), do: []
+end
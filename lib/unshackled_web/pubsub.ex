@@ -37,6 +37,10 @@ defmodule UnshackledWeb.PubSub do
 
   Cost events:
   - `{:cost_recorded, session_id, blackboard_id, cost_data}` - Cost recorded for session
+
+  Annotations:
+  - `{:annotation_saved, blackboard_id, annotation}` - Annotation created or edited
+  - `{:annotation_deleted, blackboard_id, annotation_id}` - Annotation deleted
   """
 
   @pubsub Unshackled.PubSub
@@ -319,6 +323,26 @@ defmodule UnshackledWeb.PubSub do
     broadcast_to_blackboard(blackboard_id, {:cost_recorded, session_id, blackboard_id, cost_data})
   end
 
+  # Annotation broadcasts
+
+  @doc """
+  Broadcasts that an annotation has been created or edited.
+  """
+  @spec broadcast_annotation_saved(blackboard_id(), map()) :: :ok | {:error, term()}
+  def broadcast_annotation_saved(blackboard_id, annotation)
+      when is_integer(blackboard_id) and is_map(annotation) do
+    broadcast_to_blackboard(blackboard_id, {:annotation_saved, blackboard_id, annotation})
+  end
+
+  @doc """
+  Broadcasts that an annotation has been deleted.
+  """
+  @spec broadcast_annotation_deleted(blackboard_id(), pos_integer()) :: :ok | {:error, term()}
+  def broadcast_annotation_deleted(blackboard_id, annotation_id)
+      when is_integer(blackboard_id) and is_integer(annotation_id) do
+    broadcast_to_blackboard(blackboard_id, {:annotation_deleted, blackboard_id, annotation_id})
+  end
+
   # Private broadcast helpers
 
   @spec broadcast_to_session(session_id(), term()) :: :ok | {:error, term()}
@@ -20,6 +20,7 @@ defmodule UnshackledWeb.Router do
     live("/", DashboardLive, :index)
     live("/sessions", SessionsLive.Index, :index)
     live("/sessions/new", SessionsLive.New, :new)
+    live("/sessions/compare", SessionsLive.Compare, :index)
     live("/sessions/:id", SessionsLive.Show, :show)
   end
 end
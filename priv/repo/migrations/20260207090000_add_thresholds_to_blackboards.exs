@@ -0,0 +1,11 @@
+defmodule Unshackled.Repo.Migrations.AddThresholdsToBlackboards do
+  use Ecto.Migration
+
+  def change do
+    alter table(:blackboards) do
+      add(:death_threshold, :float)
+      add(:grave_keeper_threshold, :float)
+      add(:graduation_threshold, :float)
+    end
+  end
+end
@@ -0,0 +1,15 @@
+defmodule Unshackled.Repo.Migrations.CreateAnnotations do
+  use Ecto.Migration
+
+  def change do
+    create table(:annotations) do
+      add :blackboard_id, references(:blackboards, on_delete: :delete_all), null: false
+      add :cycle_number, :integer, null: false
+      add :body, :text, null: false
+
+      timestamps()
+    end
+
+    create index(:annotations, [:blackboard_id, :cycle_number])
+  end
+end
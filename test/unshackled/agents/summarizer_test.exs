@@ -271,4 +271,35 @@ defmodule Unshackled.Agents.SummarizerTest do
       assert summary.full_context_summary == "Only summary"
     end
   end
+
+  describe "get_summary_at/2" do
+    test "returns the latest summary written at or before the cycle" do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Test claim",
+          support_strength: 0.5,
+          cycle_count: 8
+        })
+        |> Repo.insert()
+
+      for cycle <- [3, 6] do
+        {:ok, _} =
+          %ClaimSummary{}
+          |> ClaimSummary.changeset(%{
+            blackboard_id: blackboard.id,
+            cycle_number: cycle,
+            full_context_summary: "Summary at cycle #{cycle}",
+            evolution_narrative: "Narrative #{cycle}",
+            addressed_objections: %{},
+            remaining_gaps: %{}
+          })
+          |> Repo.insert()
+      end
+
+      assert {:ok, %{cycle_number: 3}} = Summarizer.get_summary_at(blackboard.id, 5)
+      assert {:ok, %{cycle_number: 6}} = Summarizer.get_summary_at(blackboard.id, 6)
+      assert {:error, :not_found} = Summarizer.get_summary_at(blackboard.id, 2)
+    end
+  end
 end
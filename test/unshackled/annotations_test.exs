@@ -0,0 +1,103 @@
+defmodule Unshackled.AnnotationsTest do
+  use Unshackled.DataCase, async: true
+
+  alias Unshackled.Annotations
+  alias Unshackled.Annotations.Annotation
+  alias Unshackled.Blackboard.BlackboardRecord
+  alias UnshackledWeb.PubSub
+
+  setup do
+    {:ok, blackboard} =
+      %BlackboardRecord{}
+      |> BlackboardRecord.changeset(%{current_claim: "Test claim", support_strength: 0.5})
+      |> Repo.insert()
+
+    PubSub.subscribe_blackboard(blackboard.id)
+
+    %{blackboard: blackboard}
+  end
+
+  describe "create_annotation/2" do
+    test "pins a trimmed note to the cycle and broadcasts it", %{blackboard: blackboard} do
+      id = blackboard.id
+
+      assert {:ok, %Annotation{} = annotation} =
+               Annotations.create_annotation(id, %{"cycle_number" => 37, "body" => "  Lands  "})
+
+      assert annotation.cycle_number == 37
+      assert annotation.body == "Lands"
+      assert_receive {:annotation_saved, ^id, %Annotation{body: "Lands"}}
+    end
+
+    test "rejects a blank note without broadcasting", %{blackboard: blackboard} do
+      assert {:error, changeset} =
+               Annotations.create_annotation(blackboard.id, %{cycle_number: 2, body: "   "})
+
+      assert [body: {"can't be blank", _}] = changeset.errors
+      refute_receive {:annotation_saved, _, _}
+    end
+
+    test "rejects a negative cycle", %{blackboard: blackboard} do
+      assert {:error, changeset} =
+               Annotations.create_annotation(blackboard.id, %{cycle_number: -1, body: "Note"})
+
+      assert Keyword.has_key?(changeset.errors, :cycle_number)
+    end
+  end
+
+  describe "list_annotations/1" do
+    test "orders notes by cycle", %{blackboard: blackboard} do
+      for cycle <- [9, 2, 5] do
+        attrs = %{cycle_number: cycle, body: "c#{cycle}"}
+        {:ok, _} = Annotations.create_annotation(blackboard.id, attrs)
+      end
+
+      bodies = Enum.map(Annotations.list_annotations(blackboard.id), & &1.body)
+      assert bodies == ["c2", "c5", "c9"]
+    end
+
+    test "only lists the session's own notes", %{blackboard: blackboard} do
+      {:ok, _} = Annotations.create_annotation(blackboard.id, %{cycle_number: 1, body: "Mine"})
+
+      assert Annotations.list_annotations(blackboard.id + 1) == []
+    end
+  end
+
+  describe "update_annotation/3" do
+    test "replaces the body and keeps the cycle", %{blackboard: blackboard} do
+      id = blackboard.id
+      {:ok, annotation} = Annotations.create_annotation(id, %{cycle_number: 4, body: "Old"})
+
+      attrs = %{"body" => "New", "cycle_number" => 9}
+      assert {:ok, updated} = Annotations.update_annotation(id, annotation.id, attrs)
+
+      assert updated.body == "New"
+      assert updated.cycle_number == 4
+      assert_receive {:annotation_saved, ^id, %Annotation{body: "New"}}
+    end
+
+    test "can't reach another session's note", %{blackboard: blackboard} do
+      id = blackboard.id
+      {:ok, annotation} = Annotations.create_annotation(id, %{cycle_number: 4, body: "Old"})
+
+      assert {:error, :not_found} =
+               Annotations.update_annotation(id + 1, annotation.id, %{"body" => "New"})
+    end
+  end
+
+  describe "delete_annotation/2" do
+    test "removes the note and broadcasts its id", %{blackboard: blackboard} do
+      id = blackboard.id
+      {:ok, %{id: annotation_id}} =
+        Annotations.create_annotation(id, %{cycle_number: 4, body: "x"})
+
+      assert {:ok, _} = Annotations.delete_annotation(id, annotation_id)
+      assert Annotations.list_annotations(id) == []
+      assert_receive {:annotation_deleted, ^id, ^annotation_id}
+    end
+
+    test "reports a missing note", %{blackboard: blackboard} do
+      assert {:error, :not_found} = Annotations.delete_annotation(blackboard.id, 123_456)
+    end
+  end
+end
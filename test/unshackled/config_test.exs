@@ -67,6 +67,14 @@ defmodule Unshackled.ConfigTest do
 
       assert config.cost_limit_usd == nil
     end
+
+    test "creates config with default support thresholds" do
+      config = Config.new()
+
+      assert config.death_threshold == 0.2
+      assert config.grave_keeper_threshold == 0.4
+      assert config.graduation_threshold == 0.85
+    end
   end
 
   describe "validate/1" do
@@ -195,6 +203,45 @@ defmodule Unshackled.ConfigTest do
       assert "cost_limit_usd must be nil or a positive number" in errors
     end
 
+    test "accepts custom ascending thresholds" do
+      config =
+        Config.new(
+          seed_claim: "Test claim",
+          death_threshold: 0.1,
+          grave_keeper_threshold: 0.3,
+          graduation_threshold: 0.75
+        )
+
+      assert {:ok, ^config} = Config.validate(config)
+    end
+
+    test "negative case: thresholds out of order fail validation" do
+      config =
+        Config.new(seed_claim: "Test claim", death_threshold: 0.5, grave_keeper_threshold: 0.4)
+
+      assert {:error, errors} = Config.validate(config)
+
+      message =
+        "thresholds must satisfy 0 < death_threshold < grave_keeper_threshold < " <>
+          "graduation_threshold <= 0.9"
+
+      assert message in errors
+    end
+
+    test "negative case: graduation threshold above the support ceiling fails validation" do
+      config = Config.new(seed_claim: "Test claim", graduation_threshold: 0.95)
+
+      assert {:error, [error]} = Config.validate(config)
+      assert error =~ "graduation_threshold <= 0.9"
+    end
+
+    test "negative case: non-numeric threshold fails validation" do
+      config = Config.new(seed_claim: "Test claim", death_threshold: "low")
+
+      assert {:error, errors} = Config.validate(config)
+      assert "thresholds must be numbers" in errors
+    end
+
     test "returns multiple errors for invalid config" do
       config = Config.new(seed_claim: "", max_cycles: -1, cycle_mode: :invalid)
 
@@ -370,6 +417,18 @@ defmodule Unshackled.ConfigTest do
       assert config.cost_limit_usd == 2.00
     end
 
+    test "parses thresholds from map" do
+      map = %{
+        "seed_claim" => "Test claim",
+        "death_threshold" => 0.15,
+        "grave_keeper_threshold" => 0.35,
+        graduation_threshold: 0.8
+      }
+
+      assert {:ok, config} = Config.from_map(map)
+      assert Config.thresholds(config) == %{death: 0.15, grave_keeper: 0.35, graduation: 0.8}
+    end
+
     test "negative case: negative cost_limit_usd fails validation in from_map" do
       map = %{
         "seed_claim" => "Test claim",
@@ -409,5 +468,13 @@ defmodule Unshackled.ConfigTest do
       assert Keyword.get(opts, :cycle_mode) == :time_based
       assert Keyword.get(opts, :cycle_timeout_ms) == 600_000
     end
+
+    test "includes the support thresholds" do
+      config = Config.new(seed_claim: "Test claim", grave_keeper_threshold: 0.5)
+
+      opts = Config.to_keyword_list(config)
+
+      assert Keyword.get(opts, :thresholds) == %{death: 0.2, grave_keeper: 0.5, graduation: 0.85}
+    end
   end
 end
@@ -200,6 +200,88 @@ defmodule Unshackled.CostsTest do
     end
   end
 
+  describe "get_cost_by_cycle_and_agent/1" do
+    test "returns cost per agent within each cycle sorted by cycle then role" do
+      {:ok, blackboard} = create_blackboard()
+
+      insert_cost(blackboard.id, 2, "explorer", "openai/gpt-4", 150, 100, 0.002)
+      insert_cost(blackboard.id, 1, "explorer", "openai/gpt-4", 100, 50, 0.001)
+      insert_cost(blackboard.id, 1, "explorer", "openai/gpt-4", 100, 50, 0.001)
+      insert_cost(blackboard.id, 1, "critic", "openai/gpt-4", 75, 25, 0.0007)
+
+      result = Costs.get_cost_by_cycle_and_agent(blackboard.id)
+
+      assert Enum.map(result, &{&1.cycle_number, &1.agent_role}) == [
+               {1, "critic"},
+               {1, "explorer"},
+               {2, "explorer"}
+             ]
+
+      assert_in_delta Enum.at(result, 1).total_cost, 0.002, 0.00001
+    end
+
+    test "returns empty list for non-existent session" do
+      assert Costs.get_cost_by_cycle_and_agent(999) == []
+    end
+  end
+
+  describe "project_limit_cycle/3" do
+    test "returns nil without a limit or cost data" do
+      assert Costs.project_limit_cycle([%{cycle_number: 1, total_cost: 1.0}], nil) == nil
+      assert Costs.project_limit_cycle([], 5.0) == nil
+    end
+
+    test "extrapolates from the mean cost of recent cycles" do
+      costs = [
+        %{cycle_number: 3, total_cost: 1.0},
+        %{cycle_number: 2, total_cost: 1.0},
+        %{cycle_number: 1, total_cost: 1.0}
+      ]
+
+      assert Costs.project_limit_cycle(costs, 10.0) == 10
+      assert Costs.project_limit_cycle(costs, Decimal.new("4.5")) == 5
+    end
+
+    test "only uses the most recent window of cycles" do
+      costs = [
+        %{cycle_number: 1, total_cost: 5.0},
+        %{cycle_number: 2, total_cost: 1.0},
+        %{cycle_number: 3, total_cost: 1.0}
+      ]
+
+      assert Costs.project_limit_cycle(costs, 10.0, 2) == 6
+    end
+
+    test "returns the crossing cycle when the limit has been reached" do
+      costs = [
+        %{cycle_number: 1, total_cost: 2.0},
+        %{cycle_number: 2, total_cost: 2.0},
+        %{cycle_number: 3, total_cost: 2.0}
+      ]
+
+      assert Costs.project_limit_cycle(costs, 4.0) == 2
+    end
+
+    test "returns nil when recent cycles cost nothing" do
+      costs = [%{cycle_number: 1, total_cost: 0.0}, %{cycle_number: 2, total_cost: 0.0}]
+
+      assert Costs.project_limit_cycle(costs, 1.0) == nil
+    end
+  end
+
+  describe "limit_crossed?/3" do
+    test "is true only for the cost that first exceeds the limit" do
+      assert Costs.limit_crossed?(4.5, 5.2, 5.0)
+      assert Costs.limit_crossed?(5.0, 5.1, Decimal.new("5.00"))
+      refute Costs.limit_crossed?(4.5, 5.0, 5.0)
+      refute Costs.limit_crossed?(5.1, 5.5, 5.0)
+    end
+
+    test "is false without a limit" do
+      refute Costs.limit_crossed?(0.0, 100.0, nil)
+    end
+  end
+
   defp create_blackboard do
     attrs = %{
       current_claim: "Test claim",
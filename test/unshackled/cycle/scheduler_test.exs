@@ -87,6 +87,22 @@ defmodule Unshackled.Cycle.SchedulerTest do
       assert Unshackled.Agents.GraveKeeper not in agents
     end
 
+    test "uses the session's grave keeper threshold" do
+      thresholds = %{death: 0.2, grave_keeper: 0.6, graduation: 0.85}
+
+      state = %Server{
+        cycle_count: 1,
+        support_strength: 0.5,
+        blackboard_id: 1,
+        thresholds: thresholds
+      }
+
+      assert Unshackled.Agents.GraveKeeper in Scheduler.agents_for_cycle(1, state)
+
+      state = %{state | thresholds: %{thresholds | grave_keeper: 0.3}}
+      assert Unshackled.Agents.GraveKeeper not in Scheduler.agents_for_cycle(1, state)
+    end
+
     test "does not include cartographer before cycle 5" do
       state = %Server{cycle_count: 3, support_strength: 0.5, blackboard_id: 1}
 
@@ -188,4 +188,27 @@ defmodule Unshackled.Embedding.StagnationTest do
       assert is_number(average_movement)
     end
   end
+
+  describe "stagnant_flags/2" do
+    test "flags the points that close 5+ consecutive small movements" do
+      trajectory_points =
+        Enum.map([1.0, 1.005, 1.003, 1.004, 1.002, 1.003, 1.004, 2.0, 2.001], fn x ->
+          %{embedding_vector: Nx.tensor([x, x, x])}
+        end)
+
+      assert Stagnation.stagnant_flags(trajectory_points, 0.01) ==
+               [false, false, false, false, false, true, true, false, false]
+    end
+
+    test "never flags a trajectory shorter than the stagnation window" do
+      trajectory_points =
+        Enum.map([1.0, 1.001, 1.002], fn x -> %{embedding_vector: Nx.tensor([x, x])} end)
+
+      assert Stagnation.stagnant_flags(trajectory_points, 0.01) == [false, false, false]
+    end
+
+    test "returns no flags for an empty trajectory" do
+      assert Stagnation.stagnant_flags([], 0.01) == []
+    end
+  end
 end
@@ -245,4 +245,27 @@ defmodule Unshackled.Evolution.ClaimDiffTest do
       assert is_binary(html.new_claim_html)
     end
   end
+
+  describe "word_diff/2" do
+    test "marks removed and inserted words between shared words" do
+      previous = "AI will transform business operations"
+      new = "AI will transform how small companies compete"
+
+      assert ClaimDiff.word_diff(previous, new) == [
+               {:eq, "AI will transform"},
+               {:del, "business operations"},
+               {:ins, "how small companies compete"}
+             ]
+    end
+
+    test "ignores whitespace differences" do
+      assert ClaimDiff.word_diff("Same  claim\n", " Same claim") == [{:eq, "Same claim"}]
+    end
+
+    test "treats a missing claim as empty" do
+      assert ClaimDiff.word_diff(nil, "New claim") == [{:ins, "New claim"}]
+      assert ClaimDiff.word_diff("Old claim", nil) == [{:del, "Old claim"}]
+      assert ClaimDiff.word_diff(nil, nil) == []
+    end
+  end
 end
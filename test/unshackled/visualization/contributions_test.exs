@@ -463,6 +463,49 @@ defmodule Unshackled.Visualization.ContributionsTest do
     end
   end
 
+  describe "contributions_by_cycle/1" do
+    test "returns error when blackboard_id is not positive integer" do
+      assert {:error, "blackboard_id must be a positive integer"} =
+               Contributions.contributions_by_cycle(0)
+
+      assert {:error, "blackboard_id must be a positive integer"} =
+               Contributions.contributions_by_cycle("invalid")
+    end
+
+    test "returns empty list when no contributions exist" do
+      assert {:ok, []} = Contributions.contributions_by_cycle(999)
+    end
+
+    test "counts accepted contributions per role and cycle" do
+      for {cycle, role, accepted} <- [
+            {1, "explorer", true},
+            {1, "explorer", true},
+            {1, "critic", true},
+            {1, "critic", false},
+            {2, "connector", true}
+          ] do
+        insert_contribution(%{
+          blackboard_id: 1,
+          cycle_number: cycle,
+          agent_role: role,
+          model_used: "gpt-4",
+          input_prompt: "test",
+          output_text: "output",
+          accepted: accepted,
+          support_delta: 0.1
+        })
+      end
+
+      assert {:ok, counts} = Contributions.contributions_by_cycle(1)
+
+      assert counts == [
+               %{cycle: 1, role: "critic", count: 1},
+               %{cycle: 1, role: "explorer", count: 2},
+               %{cycle: 2, role: "connector", count: 1}
+             ]
+    end
+  end
+
   defp insert_contribution(attrs) do
     %AgentContribution{}
     |> AgentContribution.changeset(attrs)
@@ -0,0 +1,177 @@
+defmodule Unshackled.Visualization.LineageTest do
+  use ExUnit.Case, async: true
+
+  alias Unshackled.Agents.AgentContribution
+  alias Unshackled.Blackboard.BlackboardRecord
+  alias Unshackled.Embedding.TrajectoryPoint
+  alias Unshackled.Evolution.ClaimTransition
+  alias Unshackled.Visualization.Lineage
+  alias Unshackled.Repo
+
+  setup do
+    Ecto.Adapters.SQL.Sandbox.checkout(Repo)
+  end
+
+  describe "build_lineage/3" do
+    test "returns an empty graph when there are no transitions" do
+      assert Lineage.build_lineage([]) == %{nodes: [], edges: []}
+    end
+
+    test "adds one node per claim version and one edge per transition" do
+      %{nodes: nodes, edges: edges} =
+        Lineage.build_lineage([
+          transition(1, 1, 2, "A", "B", "expansion", "explorer"),
+          transition(2, 2, 4, "B", "C", "refinement", "critic")
+        ])
+
+      assert Enum.map(nodes, &{&1.id, &1.claim, &1.first_cycle, &1.transition_id}) == [
+               {0, "A", 1, nil},
+               {1, "B", 2, 1},
+               {2, "C", 4, 2}
+             ]
+
+      assert [
+               %{
+                 id: 1,
+                 source: 0,
+                 target: 1,
+                 change_type: "expansion",
+                 trigger_agent: "explorer"
+               },
+               %{id: 2, source: 1, target: 2, change_type: "refinement", trigger_agent: "critic"}
+             ] = edges
+
+      refute Enum.any?(edges, & &1.revert)
+    end
+
+    test "merges a return to an earlier wording into the existing node as a revert" do
+      %{nodes: nodes, edges: edges} =
+        Lineage.build_lineage([
+          transition(1, 1, 2, "Light is a wave", "Light is a particle"),
+          transition(2, 2, 3, "Light is a particle", "light is  a WAVE"),
+          transition(3, 3, 5, "light is  a WAVE", "Light is both")
+        ])
+
+      assert length(nodes) == 3
+      assert hd(nodes).cycles == [1, 3]
+      assert Enum.map(edges, &{&1.source, &1.target, &1.revert}) == [
+               {0, 1, false},
+               {1, 0, true},
+               {0, 2, false}
+             ]
+    end
+
+    test "takes node support from the latest cycle the version was entered" do
+      %{nodes: nodes} =
+        Lineage.build_lineage(
+          [transition(1, 1, 2, "A", "B"), transition(2, 2, 3, "B", "A")],
+          %{1 => 0.5, 2 => 0.6, 3 => 0.4}
+        )
+
+      assert Enum.map(nodes, & &1.support) == [0.4, 0.6]
+    end
+
+    test "flags the version that was current at each re-tread cycle" do
+      %{nodes: nodes} =
+        Lineage.build_lineage(
+          [transition(1, 1, 3, "A", "B"), transition(2, 3, 6, "B", "C")],
+          %{},
+          [2, 4, 5, 7]
+        )
+
+      assert Enum.map(nodes, &{&1.retread, &1.retread_cycles}) == [
+               {true, [2]},
+               {true, [4, 5]},
+               {true, [7]}
+             ]
+    end
+
+    test "adds a node for a previous claim that no earlier transition produced" do
+      %{nodes: nodes, edges: edges} =
+        Lineage.build_lineage([transition(1, 1, 2, "A", "B"), transition(2, 4, 5, "X", "Y")])
+
+      assert Enum.map(nodes, & &1.claim) == ["A", "B", "X", "Y"]
+      assert Enum.map(edges, &{&1.source, &1.target}) == [{0, 1}, {2, 3}]
+    end
+  end
+
+  describe "claim_lineage/1" do
+    test "returns error when blackboard_id is not a positive integer" do
+      assert {:error, "blackboard_id must be a positive integer"} = Lineage.claim_lineage(0)
+      assert {:error, "blackboard_id must be a positive integer"} = Lineage.claim_lineage("1")
+    end
+
+    test "returns an empty graph when the claim has never changed" do
+      assert {:ok, %{nodes: [], edges: []}} = Lineage.claim_lineage(999)
+    end
+
+    test "builds the graph from stored transitions, support and Historian re-treads" do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{current_claim: "B", support_strength: 0.6})
+        |> Repo.insert()
+
+      for {from, to, previous, new} <- [{1, 2, "A", "B"}, {2, 3, "B", "A"}, {3, 4, "A", "B"}] do
+        %ClaimTransition{}
+        |> ClaimTransition.changeset(%{
+          blackboard_id: blackboard.id,
+          from_cycle: from,
+          to_cycle: to,
+          previous_claim: previous,
+          new_claim: new,
+          trigger_agent: "critic",
+          change_type: "pivot"
+        })
+        |> Repo.insert!()
+      end
+
+      %TrajectoryPoint{}
+      |> TrajectoryPoint.changeset(%{
+        blackboard_id: blackboard.id,
+        cycle_number: 4,
+        claim_text: "B",
+        support_strength: 0.6,
+        embedding_vector: Nx.tensor([0.1, 0.2, 0.3]) |> Nx.to_binary()
+      })
+      |> Repo.insert!()
+
+      for {cycle, retread} <- [{3, true}, {4, false}] do
+        %AgentContribution{}
+        |> AgentContribution.changeset(%{
+          blackboard_id: blackboard.id,
+          cycle_number: cycle,
+          agent_role: "historian",
+          model_used: "gpt-4",
+          input_prompt: "test",
+          output_text:
+            Jason.encode!(%{
+              is_retread: retread,
+              similar_claims: [],
+              cycle_numbers: [],
+              novelty_score: 0.5
+            }),
+          accepted: true
+        })
+        |> Repo.insert!()
+      end
+
+      assert {:ok, %{nodes: [a, b], edges: edges}} = Lineage.claim_lineage(blackboard.id)
+
+      assert {a.claim, a.cycles, a.retread_cycles} == {"A", [1, 3], [3]}
+      assert {b.claim, b.cycles, b.support, b.retread} == {"B", [2, 4], 0.6, false}
+      assert Enum.map(edges, & &1.revert) == [false, true, true]
+    end
+  end
+
+  defp transition(id, from, to, previous, new, change_type \\ "pivot", agent \\ "explorer") do
+    %{
+      id: id,
+      from_cycle: from,
+      to_cycle: to,
+      previous_claim: previous,
+      new_claim: new,
+      change_type: change_type,
+      trigger_agent: agent
+    }
+  end
+end
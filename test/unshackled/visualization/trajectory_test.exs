@@ -115,6 +115,24 @@ defmodule Unshackled.Visualization.TrajectoryTest do
       assert graduated_layer["encoding"]["text"]["value"] == "★"
     end
 
+    test "decides point status against the session's thresholds" do
+      points =
+        for {cycle, support} <- [{1, 0.15}, {2, 0.5}, {3, 0.75}] do
+          %TrajectoryPoint{
+            cycle_number: cycle,
+            embedding_vector: create_embedding([cycle * 1.0, cycle + 1.0, cycle + 2.0]),
+            claim_text: "Claim #{cycle}",
+            support_strength: support
+          }
+        end
+
+      thresholds = %{death: 0.1, grave_keeper: 0.3, graduation: 0.7}
+      assert {:ok, spec} = Trajectory.plot_2d(points, thresholds)
+
+      statuses = Map.new(spec["data"]["values"], &{&1.cycle, &1.status})
+      assert statuses == %{1 => :active, 2 => :active, 3 => :graduated}
+    end
+
     test "includes line connecting trajectory points" do
       points = [
         %TrajectoryPoint{
@@ -151,4 +151,62 @@ defmodule UnshackledWeb.CoreComponentsTest do
       assert html =~ "custom-class"
     end
   end
+
+  describe "chart/1" do
+    test "renders chart container without export buttons by default" do
+      assigns = %{}
+
+      html =
+        rendered_to_string(~H(<CoreComponents.chart id="test-chart" hook="SupportTimelineHook" data={[]} />))
+
+      assert html =~ ~s(id="test-chart")
+      assert html =~ ~s(phx-hook="SupportTimelineHook")
+      refute html =~ "chart:export"
+    end
+
+    test "renders a table toggle and table container for every chart" do
+      assigns = %{}
+
+      html =
+        rendered_to_string(~H(<CoreComponents.chart id="test-chart" hook="ChartHook" data={[%{a: 1}]} />))
+
+      assert html =~ ~s(id="test-chart-table-toggle")
+      assert html =~ ~s(aria-controls="test-chart-table")
+      assert html =~ ~s(id="test-chart-table")
+      assert html =~ "chart:toggle-table"
+    end
+
+    test "renders SVG, PNG and CSV export buttons when exportable" do
+      assigns = %{}
+
+      html =
+        rendered_to_string(
+          ~H(<CoreComponents.chart id="test-chart" hook="SupportTimelineHook" data={[]} exportable />)
+        )
+
+      assert html =~ ~s(id="test-chart-toolbar")
+      assert html =~ "chart:export"
+      assert html =~ "#test-chart"
+
+      for format <- ~w(svg png csv) do
+        assert html =~ "Export as #{String.upcase(format)}"
+      end
+    end
+
+    test "marks the chart as a cycle-compare source when cycle_compare is set" do
+      assigns = %{}
+
+      html =
+        rendered_to_string(
+          ~H(<CoreComponents.chart id="test-chart" hook="SupportTimelineHook" data={[]} cycle_compare />)
+        )
+
+      assert html =~ "data-cycle-compare"
+
+      html =
+        rendered_to_string(~H(<CoreComponents.chart id="test-chart" hook="SupportTimelineHook" data={[]} />))
+
+      refute html =~ "data-cycle-compare"
+    end
+  end
 end
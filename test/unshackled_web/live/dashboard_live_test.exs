@@ -21,6 +21,25 @@ defmodule UnshackledWeb.DashboardLiveTest do
       assert has_element?(view, ~s|a[href="/sessions/new"]|)
       assert has_element?(view, ~s|a[href="/sessions"]|)
     end
+
+    test "renders the notifications hook without an active session", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/")
+
+      assert has_element?(
+               view,
+               "#dashboard-notifications[phx-hook='SessionNotificationsHook'][data-label='Dashboard']"
+             )
+    end
+
+    test "renders the theme switcher in the header", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/")
+
+      assert has_element?(view, "#theme-switcher[phx-hook='ThemeSwitcherHook']")
+
+      for theme <- ~w(dark light high_contrast colorblind) do
+        assert has_element?(view, "#theme-switcher-select option[value='#{theme}']")
+      end
+    end
   end
 
   describe "dashboard with blackboard data" do
@@ -0,0 +1,81 @@
+defmodule UnshackledWeb.SessionsLive.CompareTest do
+  use UnshackledWeb.ConnCase, async: false
+
+  import Phoenix.LiveViewTest
+
+  alias Unshackled.Blackboard.BlackboardRecord
+  alias Unshackled.Repo
+
+  setup do
+    Repo.delete_all(BlackboardRecord)
+
+    sessions =
+      for claim <- ["Claim A", "Claim B", "Claim C"] do
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{current_claim: claim, support_strength: 0.5, cycle_count: 3})
+        |> Repo.insert!()
+      end
+
+    %{sessions: sessions}
+  end
+
+  describe "Compare page" do
+    test "renders empty state without ids", %{conn: conn} do
+      {:ok, _view, html} = live(conn, "/sessions/compare")
+
+      assert html =~ "Compare Sessions"
+      assert html =~ "No sessions selected"
+    end
+
+    test "overlays the selected sessions on one support timeline", %{
+      conn: conn,
+      sessions: [a, b, _c]
+    } do
+      {:ok, view, html} = live(conn, "/sessions/compare?ids=#{a.id},#{b.id}")
+
+      assert has_element?(view, "#compare-support-timeline[phx-hook='SupportTimelineHook']")
+      assert has_element?(view, "#compare-session-#{a.id}")
+      assert has_element?(view, "#compare-session-#{b.id}")
+      assert html =~ "Claim A"
+      assert html =~ "Claim B"
+
+      chart_data =
+        view
+        |> element("#compare-support-timeline")
+        |> render()
+        |> Floki.parse_fragment!()
+        |> Floki.attribute("data-chart-data")
+        |> List.first()
+        |> Jason.decode!()
+
+      assert Enum.map(chart_data["series"], & &1["id"]) == [a.id, b.id]
+      assert Enum.all?(chart_data["series"], &(&1["color"] && &1["name"]))
+      assert Enum.map(chart_data["series"], & &1["palette_index"]) == [0, 1]
+    end
+
+    test "ignores unknown and malformed ids", %{conn: conn, sessions: [a | _]} do
+      {:ok, view, _html} = live(conn, "/sessions/compare?ids=#{a.id},999999,abc")
+
+      assert has_element?(view, "#compare-session-#{a.id}")
+      refute has_element?(view, "#compare-session-999999")
+    end
+
+    test "adding a session patches the url", %{conn: conn, sessions: [a, b, _c]} do
+      {:ok, view, _html} = live(conn, "/sessions/compare?ids=#{a.id}")
+
+      view |> form("#compare-picker", %{"id" => "#{b.id}"}) |> render_change()
+
+      assert_patch(view, "/sessions/compare?ids=#{a.id},#{b.id}")
+      assert has_element?(view, "#compare-session-#{b.id}")
+    end
+
+    test "removing a session patches the url", %{conn: conn, sessions: [a, b, _c]} do
+      {:ok, view, _html} = live(conn, "/sessions/compare?ids=#{a.id},#{b.id}")
+
+      view |> element("#compare-session-#{a.id} button", "Remove") |> render_click()
+
+      assert_patch(view, "/sessions/compare?ids=#{b.id}")
+      refute has_element?(view, "#compare-session-#{a.id}")
+    end
+  end
+end
@@ -146,4 +146,110 @@ defmodule UnshackledWeb.SessionsLive.IndexTest do
       assert newer_pos < older_pos
     end
   end
+
+  describe "Windowed list" do
+    setup do
+      sessions =
+        for n <- 1..45 do
+          %BlackboardRecord{}
+          |> BlackboardRecord.changeset(%{
+            current_claim: "Claim #{n}",
+            support_strength: 0.5,
+            cycle_count: 1
+          })
+          |> Repo.insert!()
+        end
+
+      # Newest first, as listed
+      %{sessions: Enum.reverse(sessions)}
+    end
+
+    test "drops the newest sessions once the window is full", %{conn: conn, sessions: sessions} do
+      {:ok, view, _html} = live(conn, "/sessions")
+
+      for _ <- 1..3, do: render_hook(view, "load_more", %{})
+
+      refute has_element?(view, "#session-row-#{Enum.at(sessions, 9).id}")
+      assert has_element?(view, "#session-row-#{Enum.at(sessions, 10).id}")
+      assert has_element?(view, "#session-row-#{Enum.at(sessions, 39).id}")
+      assert has_element?(view, "#sessions-container[data-has-previous=true][data-has-more=true]")
+    end
+
+    test "loads newer sessions back in", %{conn: conn, sessions: sessions} do
+      {:ok, view, _html} = live(conn, "/sessions")
+
+      for _ <- 1..3, do: render_hook(view, "load_more", %{})
+      view |> element("button", "Newer sessions") |> render_click()
+
+      assert has_element?(view, "#session-row-#{hd(sessions).id}")
+      refute has_element?(view, "#session-row-#{Enum.at(sessions, 30).id}")
+      assert has_element?(view, "#sessions-container[data-has-previous=false]")
+    end
+
+    test "signals the end of the list", %{conn: conn, sessions: sessions} do
+      {:ok, view, _html} = live(conn, "/sessions")
+
+      assert has_element?(view, "#sessions-container[data-has-more=true]")
+
+      for _ <- 1..4, do: render_hook(view, "load_more", %{})
+
+      assert has_element?(view, "#session-row-#{List.last(sessions).id}")
+      assert has_element?(view, "#sessions-container[data-has-more=false]")
+      assert render(view) =~ "End of list"
+    end
+
+    test "a new session above a scrolled window is not inserted into it", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/sessions")
+
+      for _ <- 1..3, do: render_hook(view, "load_more", %{})
+
+      blackboard =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{current_claim: "Newest", support_strength: 0.5, cycle_count: 0})
+        |> Repo.insert!()
+
+      send(view.pid, {:session_started, "session-new", blackboard.id})
+
+      refute has_element?(view, "#session-row-#{blackboard.id}")
+
+      for _ <- 1..2, do: view |> element("button", "Newer sessions") |> render_click()
+      assert has_element?(view, "#session-row-#{blackboard.id}")
+    end
+  end
+
+  describe "Compare selection" do
+    setup do
+      sessions =
+        for claim <- ["First claim", "Second claim"] do
+          %BlackboardRecord{}
+          |> BlackboardRecord.changeset(%{current_claim: claim, support_strength: 0.5, cycle_count: 3})
+          |> Repo.insert!()
+        end
+
+      %{sessions: sessions}
+    end
+
+    test "shows compare link once two sessions are selected", %{conn: conn, sessions: [a, b]} do
+      {:ok, view, _html} = live(conn, "/sessions")
+
+      refute has_element?(view, "#compare-selected")
+
+      view |> element("#compare-toggle-#{a.id}") |> render_click()
+      refute has_element?(view, "#compare-selected")
+
+      view |> element("#compare-toggle-#{b.id}") |> render_click()
+      assert has_element?(view, "#compare-selected[href='/sessions/compare?ids=#{a.id},#{b.id}']")
+    end
+
+    test "toggling a selected session deselects it", %{conn: conn, sessions: [a, b]} do
+      {:ok, view, _html} = live(conn, "/sessions")
+
+      view |> element("#compare-toggle-#{a.id}") |> render_click()
+      view |> element("#compare-toggle-#{b.id}") |> render_click()
+      view |> element("#compare-toggle-#{a.id}") |> render_click()
+
+      refute has_element?(view, "#compare-selected")
+      assert has_element?(view, "#compare-toggle-#{b.id}[aria-pressed='true']")
+    end
+  end
 end
@@ -4,16 +4,26 @@ defmodule UnshackledWeb.SessionsLive.ShowTest do
   import Phoenix.LiveViewTest
 
   alias Unshackled.Agents.AgentContribution
+  alias Unshackled.Annotations
+  alias Unshackled.Annotations.Annotation
   alias Unshackled.Blackboard.BlackboardRecord
   alias Unshackled.Blackboard.CemeteryEntry
+  alias Unshackled.Costs.LLMCost
+  alias Unshackled.Embedding.TrajectoryPoint
   alias Unshackled.Repo
+  alias Unshackled.Evolution.ClaimSummary
   alias Unshackled.Evolution.ClaimTransition
+  alias Unshackled.Visualization.Trajectory
+  alias UnshackledWeb.SessionsLive.Show.DataLoader
 
   setup do
     # Clear all records before each test
     Repo.delete_all(AgentContribution)
+    Repo.delete_all(Annotation)
     Repo.delete_all(CemeteryEntry)
     Repo.delete_all(ClaimTransition)
+    Repo.delete_all(LLMCost)
+    Repo.delete_all(TrajectoryPoint)
     Repo.delete_all(BlackboardRecord)
     :ok
   end
@@ -413,6 +423,149 @@ defmodule UnshackledWeb.SessionsLive.ShowTest do
     end
   end
 
+  describe "Keyboard shortcuts" do
+    test "attaches the shortcuts hook with the session status", %{conn: conn} do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{current_claim: "Test claim", support_strength: 0.5})
+        |> Repo.insert()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      assert has_element?(view, "#session-detail[phx-hook='SessionShortcutsHook']")
+      assert has_element?(view, "#session-detail[data-has-session='false']")
+
+      # Sections the jump shortcuts scroll to
+      assert has_element?(view, "#session-charts")
+      assert has_element?(view, "#session-cycle-log")
+      assert has_element?(view, "#claim-evolution")
+    end
+
+    test "toggles the help overlay listing the bindings", %{conn: conn} do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{current_claim: "Test claim", support_strength: 0.5})
+        |> Repo.insert()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      assert has_element?(view, "#shortcuts-help-modal.hidden")
+
+      render_hook(view, "toggle_shortcuts_help", %{})
+      refute has_element?(view, "#shortcuts-help-modal.hidden")
+      assert has_element?(view, "#shortcuts-help-modal kbd", "?")
+      assert has_element?(view, "#shortcuts-help-modal dd", "Pause or resume the session")
+
+      render_hook(view, "close_shortcuts_help", %{})
+      assert has_element?(view, "#shortcuts-help-modal.hidden")
+    end
+
+    test "the header button opens the help overlay", %{conn: conn} do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{current_claim: "Test claim", support_strength: 0.5})
+        |> Repo.insert()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      view |> element("button[aria-label='Keyboard shortcuts']") |> render_click()
+
+      refute has_element?(view, "#shortcuts-help-modal.hidden")
+    end
+  end
+
+  describe "Notifications" do
+    test "attaches the notifications hook with the cycle and status", %{conn: conn} do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Test claim",
+          support_strength: 0.5,
+          cycle_count: 7
+        })
+        |> Repo.insert()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      assert has_element?(
+               view,
+               "#session-notifications[phx-hook='SessionNotificationsHook']" <>
+                 "[data-label='Session #{blackboard.id}'][data-cycle='7']"
+             )
+
+      for kind <- ["graduated", "died", "cost_limit", "stopped"] do
+        assert has_element?(view, "#session-notifications input[data-kind='#{kind}']")
+      end
+    end
+
+    test "pushes an event when a claim dies or graduates", %{conn: conn} do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{current_claim: "Test claim", support_strength: 0.5})
+        |> Repo.insert()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      send(view.pid, {:claim_died, %{claim: "Doomed claim", cycle_killed: 4}})
+      title = "Session #{blackboard.id}: claim died"
+
+      assert_push_event(view, "session_event", %{
+        kind: "died",
+        title: ^title,
+        body: "Doomed claim (cycle 4)"
+      })
+
+      send(view.pid, {:claim_graduated, %{claim: "Strong claim", cycle_graduated: 9}})
+      assert_push_event(view, "session_event", %{kind: "graduated", body: "Strong claim (cycle 9)"})
+    end
+
+    test "pushes an event when the session stops or completes", %{conn: conn} do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{current_claim: "Test claim", support_strength: 0.5})
+        |> Repo.insert()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      send(view.pid, {:session_paused, "session-1"})
+      refute_push_event(view, "session_event", %{})
+
+      send(view.pid, {:session_completed, "session-1"})
+      title = "Session #{blackboard.id} completed"
+      assert_push_event(view, "session_event", %{kind: "stopped", title: ^title})
+      assert has_element?(view, "#session-notifications[data-status='completed']")
+    end
+
+    test "pushes a cost limit event once, when the total first exceeds the limit", %{
+      conn: conn
+    } do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Test claim",
+          support_strength: 0.5,
+          cost_limit_usd: Decimal.new("1.00")
+        })
+        |> Repo.insert()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      send(view.pid, {:cost_recorded, "session-1", blackboard.id, %{total_cost: 0.5}})
+      refute_push_event(view, "session_event", %{kind: "cost_limit"})
+
+      send(view.pid, {:cost_recorded, "session-1", blackboard.id, %{total_cost: 1.5}})
+
+      assert_push_event(view, "session_event", %{
+        kind: "cost_limit",
+        body: "Spent $1.5000 of " <> _limit
+      })
+
+      # The same message again, as delivered on the blackboard topic
+      send(view.pid, {:cost_recorded, "session-1", blackboard.id, %{total_cost: 1.5}})
+      refute_push_event(view, "session_event", %{kind: "cost_limit"})
+    end
+  end
+
   describe "Charts" do
     test "renders trajectory plot chart container", %{conn: conn} do
       {:ok, blackboard} =
@@ -452,6 +605,53 @@ defmodule UnshackledWeb.SessionsLive.ShowTest do
       assert has_element?(view, "[phx-hook='SupportTimelineHook']")
     end
 
+    test "passes the support thresholds to the support timeline", %{conn: conn} do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Test claim",
+          support_strength: 0.5,
+          cycle_count: 5
+        })
+        |> Repo.insert()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      chart_data =
+        view
+        |> element("#support-timeline-#{blackboard.id}")
+        |> render()
+        |> Floki.parse_fragment!()
+        |> Floki.attribute("data-chart-data")
+        |> List.first()
+        |> Jason.decode!()
+
+      # Saved without thresholds, so the configured defaults apply
+      assert chart_data["thresholds"] == %{"death" => 0.2, "grave_keeper" => 0.4, "graduation" => 0.85}
+    end
+
+    test "keeps a stopped session's own thresholds", %{conn: conn} do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Test claim",
+          support_strength: 0.75,
+          cycle_count: 5,
+          death_threshold: 0.1,
+          grave_keeper_threshold: 0.3,
+          graduation_threshold: 0.7
+        })
+        |> Repo.insert()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      assert chart_data(view, "support-timeline-#{blackboard.id}")["thresholds"] ==
+               %{"death" => 0.1, "grave_keeper" => 0.3, "graduation" => 0.7}
+
+      # 0.75 is past this session's graduation line, though short of the default one
+      assert has_element?(view, "span[class*='border-status-graduated']", "Graduated")
+    end
+
     test "renders contributions pie chart container", %{conn: conn} do
       {:ok, blackboard} =
         %BlackboardRecord{}
@@ -470,6 +670,22 @@ defmodule UnshackledWeb.SessionsLive.ShowTest do
       # Should have the chart element with correct hook
       assert has_element?(view, "[phx-hook='ContributionsPieHook']")
     end
+
+    test "renders export toolbars for session charts", %{conn: conn} do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Test claim",
+          support_strength: 0.5,
+          cycle_count: 5
+        })
+        |> Repo.insert()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      assert has_element?(view, "#support-timeline-#{blackboard.id}-toolbar button", "csv")
+      assert has_element?(view, "#contributions-pie-#{blackboard.id}-toolbar button", "png")
+    end
   end
 
   describe "Cemetery section" do
@@ -877,4 +1093,1230 @@ defmodule UnshackledWeb.SessionsLive.ShowTest do
       assert html =~ "Cycle 1"
     end
   end
+
+  describe "Cycle log window" do
+    setup do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Test claim",
+          support_strength: 0.5,
+          cycle_count: 65
+        })
+        |> Repo.insert()
+
+      for cycle_num <- 1..65, do: insert_accepted_contribution(blackboard, cycle_num, "explorer")
+
+      %{blackboard: blackboard}
+    end
+
+    test "drops the newest cycles once the window is full", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      for _ <- 1..5, do: render_hook(view, "load_more_cycles", %{})
+
+      refute has_element?(view, "#cycle-65")
+      refute has_element?(view, "#cycle-56")
+      assert has_element?(view, "#cycle-55")
+      assert has_element?(view, "#cycle-6")
+      assert has_element?(view, "#cycle-log-entries[data-has-previous=true][data-has-more=true]")
+      assert has_element?(view, "button", "Load newer")
+    end
+
+    test "loading newer cycles drops the oldest", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      for _ <- 1..5, do: render_hook(view, "load_more_cycles", %{})
+      view |> element("button", "Load newer") |> render_click()
+
+      assert has_element?(view, "#cycle-65")
+      assert has_element?(view, "#cycle-16")
+      refute has_element?(view, "#cycle-15")
+      refute has_element?(view, "button", "Load newer")
+      assert has_element?(view, "#cycle-log-entries[data-has-previous=false][data-has-more=true]")
+    end
+
+    test "signals the end of the log", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      refute has_element?(view, "#cycle-log-end")
+
+      for _ <- 1..6, do: render_hook(view, "load_more_cycles", %{})
+
+      assert has_element?(view, "#cycle-1")
+      assert has_element?(view, "#cycle-log-end")
+      assert has_element?(view, "#cycle-log-entries[data-has-more=false]")
+      refute has_element?(view, "button", "Load more")
+    end
+
+    test "a new cycle keeps the cycles already loaded", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      render_hook(view, "load_more_cycles", %{})
+      insert_accepted_contribution(blackboard, 66, "explorer")
+      send(view.pid, {:cycle_complete, %{cycle_number: 66}})
+
+      assert has_element?(view, "#cycle-66")
+      assert has_element?(view, "#cycle-46")
+    end
+
+    test "a new cycle leaves a scrolled window in place", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      for _ <- 1..5, do: render_hook(view, "load_more_cycles", %{})
+      insert_accepted_contribution(blackboard, 66, "explorer")
+      send(view.pid, {:cycle_complete, %{cycle_number: 66}})
+
+      refute has_element?(view, "#cycle-66")
+      assert has_element?(view, "#cycle-55")
+
+      view |> element("button", "Load newer") |> render_click()
+      assert has_element?(view, "#cycle-56")
+      assert has_element?(view, "button", "Load newer")
+
+      view |> element("button", "Load newer") |> render_click()
+      assert has_element?(view, "#cycle-66")
+    end
+  end
+
+  describe "Cycle log filter" do
+    setup do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Test claim",
+          support_strength: 0.5,
+          cycle_count: 30
+        })
+        |> Repo.insert()
+
+      for cycle_num <- 1..30, do: insert_accepted_contribution(blackboard, cycle_num, "explorer")
+
+      insert_accepted_contribution(blackboard, 3, "critic", %{
+        output_text: "Found an Edge case in the argument",
+        support_delta: -0.2
+      })
+
+      insert_accepted_contribution(blackboard, 25, "critic", %{support_delta: 0.3})
+      insert_trajectory_point(blackboard, 12, "Primes thin out near the edge", 0.5)
+
+      %{blackboard: blackboard}
+    end
+
+    test "filters by role across cycles not yet loaded", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      refute has_element?(view, "#cycle-3")
+
+      filter_cycle_log(view, %{"role" => "critic"})
+
+      assert has_element?(view, "#cycle-25")
+      assert has_element?(view, "#cycle-3")
+      refute has_element?(view, "#cycle-30")
+      assert has_element?(view, "#cycle-log-match-count", "2 matching cycles")
+    end
+
+    test "matches text in contributions and claims, highlighting it", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      filter_cycle_log(view, %{"query" => "edge"})
+
+      assert has_element?(view, "#cycle-3 mark", "Edge")
+      assert has_element?(view, "#cycle-12 mark", "edge")
+      refute has_element?(view, "#cycle-30")
+      assert has_element?(view, "#cycle-log-match-count", "2 matching cycles")
+    end
+
+    test "text matching treats wildcards literally", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      filter_cycle_log(view, %{"query" => "%"})
+
+      assert has_element?(view, "#cycle-log-match-count", "No matching cycles")
+      assert render(view) =~ "No cycles match the filter"
+    end
+
+    test "filters by support delta range", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      filter_cycle_log(view, %{"min_delta" => "0.1", "max_delta" => ""})
+      assert has_element?(view, "#cycle-25")
+      assert has_element?(view, "#cycle-log-match-count", "1 matching cycle")
+
+      filter_cycle_log(view, %{"min_delta" => "", "max_delta" => "0"})
+      assert has_element?(view, "#cycle-3")
+      refute has_element?(view, "#cycle-25")
+    end
+
+    test "steps through matches, moving the window to unloaded cycles", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      filter_cycle_log(view, %{"role" => "explorer", "max_delta" => "0.05"})
+      assert has_element?(view, "#cycle-log-match-count", "30 matching cycles")
+
+      render_hook(view, "cycle_log_previous_match", %{})
+      assert_push_event(view, "focus_cycle", %{cycle: 1})
+      assert has_element?(view, "#cycle-1.cycle-match-current")
+      refute has_element?(view, "#cycle-30")
+      assert has_element?(view, "#cycle-log-match-count", "Match 30 of 30")
+
+      view |> element("#cycle-log-filter button", "Next") |> render_click()
+      assert_push_event(view, "focus_cycle", %{cycle: 30})
+      assert has_element?(view, "#cycle-30.cycle-match-current")
+      assert has_element?(view, "#cycle-log-match-count", "Match 1 of 30")
+    end
+
+    test "clearing the filter restores the log", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      filter_cycle_log(view, %{"role" => "critic"})
+      view |> element("#cycle-log-filter button", "Clear") |> render_click()
+
+      assert has_element?(view, "#cycle-30")
+      refute has_element?(view, "#cycle-3")
+      refute has_element?(view, "#cycle-log-match-count")
+    end
+  end
+
+  describe "Cycle range zoom" do
+    setup do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Test claim",
+          support_strength: 0.5,
+          cycle_count: 15
+        })
+        |> Repo.insert()
+
+      for cycle_num <- 1..15 do
+        %AgentContribution{}
+        |> AgentContribution.changeset(%{
+          blackboard_id: blackboard.id,
+          cycle_number: cycle_num,
+          agent_role: if(cycle_num <= 5, do: "explorer", else: "critic"),
+          model_used: "test-model",
+          input_prompt: "Test prompt",
+          output_text: "Test output",
+          accepted: true,
+          support_delta: 0.01
+        })
+        |> Repo.insert!()
+      end
+
+      %{blackboard: blackboard}
+    end
+
+    test "select_cycle_range narrows the cycle log", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      html = render_hook(view, "select_cycle_range", %{"from" => 2, "to" => 4})
+
+      assert html =~ "Cycles 2–4"
+      assert html =~ "Reset zoom"
+      assert has_element?(view, "#cycle-3")
+      refute has_element?(view, "#cycle-5")
+      refute has_element?(view, "#cycle-15")
+      refute html =~ "Load more"
+    end
+
+    test "select_cycle_range accepts reversed and string bounds", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      html = render_hook(view, "select_cycle_range", %{"from" => "9", "to" => "7"})
+
+      assert html =~ "Cycles 7–9"
+    end
+
+    test "select_cycle_range passes the range to the support timeline", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      render_hook(view, "select_cycle_range", %{"from" => 2, "to" => 4})
+
+      chart_data =
+        view
+        |> element("#support-timeline-#{blackboard.id}")
+        |> render()
+        |> Floki.parse_fragment!()
+        |> Floki.attribute("data-chart-data")
+        |> List.first()
+        |> Jason.decode!()
+
+      assert chart_data["cycle_range"] == %{"from" => 2, "to" => 4}
+    end
+
+    test "clear_cycle_range restores the full cycle log", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      render_hook(view, "select_cycle_range", %{"from" => 2, "to" => 4})
+      html = view |> element("button", "Reset zoom") |> render_click()
+
+      refute html =~ "Reset zoom"
+      assert has_element?(view, "#cycle-15")
+      assert html =~ "Load more"
+    end
+  end
+
+  describe "Contributions over time" do
+    setup do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Test claim",
+          support_strength: 0.5,
+          cycle_count: 6
+        })
+        |> Repo.insert()
+
+      for cycle_num <- 1..6 do
+        %AgentContribution{}
+        |> AgentContribution.changeset(%{
+          blackboard_id: blackboard.id,
+          cycle_number: cycle_num,
+          agent_role: if(cycle_num <= 3, do: "explorer", else: "critic"),
+          model_used: "test-model",
+          input_prompt: "Test prompt",
+          output_text: "Test output",
+          accepted: true,
+          support_delta: 0.01
+        })
+        |> Repo.insert!()
+      end
+
+      %{blackboard: blackboard}
+    end
+
+    test "shows the donut by default", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      assert has_element?(view, "#contributions-pie-#{blackboard.id}")
+      refute has_element?(view, "#contributions-over-time-#{blackboard.id}")
+      assert has_element?(view, "#contributions-view-toggle button[aria-pressed=true]", "Total")
+    end
+
+    test "toggles to per-cycle counts by role", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      view |> element("#contributions-view-toggle button", "Over time") |> render_click()
+
+      refute has_element?(view, "#contributions-pie-#{blackboard.id}")
+      assert has_element?(view, "#contributions-view-toggle button[aria-pressed=true]", "Over time")
+
+      chart_data =
+        view
+        |> element("#contributions-over-time-#{blackboard.id}")
+        |> render()
+        |> Floki.parse_fragment!()
+        |> Floki.attribute("data-chart-data")
+        |> List.first()
+        |> Jason.decode!()
+
+      assert length(chart_data) == 6
+      assert %{"cycle" => 1, "role" => "explorer", "count" => 1} in chart_data
+      assert %{"cycle" => 6, "role" => "critic", "count" => 1} in chart_data
+    end
+
+    test "over-time data follows the cycle range", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      render_click(view, "set_contributions_view", %{"view" => "over_time"})
+      render_hook(view, "select_cycle_range", %{"from" => 2, "to" => 4})
+
+      chart_data =
+        view
+        |> element("#contributions-over-time-#{blackboard.id}")
+        |> render()
+        |> Floki.parse_fragment!()
+        |> Floki.attribute("data-chart-data")
+        |> List.first()
+        |> Jason.decode!()
+
+      assert Enum.map(chart_data, & &1["cycle"]) == [2, 3, 4]
+    end
+  end
+
+  describe "Trajectory plot" do
+    setup do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Test claim",
+          support_strength: 0.5,
+          cycle_count: 3
+        })
+        |> Repo.insert()
+
+      for {cycle, support} <- [{1, 0.5}, {2, 0.6}, {3, 0.9}] do
+        %TrajectoryPoint{}
+        |> TrajectoryPoint.changeset(%{
+          blackboard_id: blackboard.id,
+          cycle_number: cycle,
+          claim_text: "Claim at cycle #{cycle}",
+          support_strength: support,
+          embedding_vector: :erlang.term_to_binary(Nx.tensor([cycle * 1.0, 2.0, cycle * 3.0]))
+        })
+        |> Repo.insert!()
+      end
+
+      %ClaimTransition{}
+      |> ClaimTransition.changeset(%{
+        blackboard_id: blackboard.id,
+        from_cycle: 1,
+        to_cycle: 2,
+        previous_claim: "Claim at cycle 1",
+        new_claim: "Claim at cycle 2",
+        trigger_agent: "critic",
+        change_type: "refinement"
+      })
+      |> Repo.insert!()
+
+      insert_accepted_contribution(blackboard, 3, "historian", %{
+        output_text:
+          Jason.encode!(%{
+            is_retread: false,
+            similar_claims: [],
+            cycle_numbers: [],
+            novelty_score: 0.75
+          })
+      })
+
+      %{blackboard: blackboard}
+    end
+
+    test "points carry the triggering agent and the Historian's novelty", %{
+      blackboard: blackboard
+    } do
+      %{points: points} = DataLoader.load_trajectory_data(blackboard.id)
+
+      assert [
+               %{cycle: 1, agent: nil, novelty: nil, status: :active},
+               %{cycle: 2, agent: "critic", novelty: nil},
+               %{cycle: 3, agent: nil, novelty: 0.75, status: :graduated}
+             ] = points
+    end
+
+    test "points carry stagnation and exploration agent overlays", %{blackboard: blackboard} do
+      for cycle <- 4..8 do
+        %TrajectoryPoint{}
+        |> TrajectoryPoint.changeset(%{
+          blackboard_id: blackboard.id,
+          cycle_number: cycle,
+          claim_text: "Claim at cycle 3",
+          support_strength: 0.6,
+          embedding_vector: :erlang.term_to_binary(Nx.tensor([3.0, 2.0, 9.0]))
+        })
+        |> Repo.insert!()
+      end
+
+      insert_accepted_contribution(blackboard, 5, "cartographer")
+      insert_accepted_contribution(blackboard, 5, "perturber")
+      insert_accepted_contribution(blackboard, 7, "perturber")
+
+      %{points: points} = DataLoader.load_trajectory_data(blackboard.id)
+
+      assert Enum.map(points, & &1.stagnant) ==
+               [false, false, false, false, false, false, false, true]
+
+      assert Enum.map(points, & &1.interventions) ==
+               [[], [], [], [], ["cartographer", "perturber"], [], ["perturber"], []]
+    end
+
+    test "2D points are the PCA reduction with the same annotations", %{blackboard: blackboard} do
+      %{points_2d: points_2d} = DataLoader.load_trajectory_data(blackboard.id)
+
+      {:ok, spec} =
+        TrajectoryPoint
+        |> Repo.all()
+        |> Enum.sort_by(& &1.cycle_number)
+        |> Trajectory.plot_2d()
+
+      assert Enum.map(points_2d, &{&1.x, &1.y}) ==
+               Enum.map(spec["data"]["values"], &{&1.x, &1.y})
+
+      refute Enum.any?(points_2d, &Map.has_key?(&1, :z))
+
+      assert [
+               %{cycle: 1, agent: nil, novelty: nil, stagnant: false, interventions: []},
+               %{cycle: 2, agent: "critic", novelty: nil},
+               %{cycle: 3, agent: nil, novelty: 0.75, status: :graduated}
+             ] = points_2d
+    end
+
+    test "switches to the 2D PCA plot of the same cycles", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+      send(view.pid, {:trajectory_data_loaded, DataLoader.load_trajectory_data(blackboard.id)})
+
+      assert has_element?(view, "#trajectory-3d-plot-#{blackboard.id}")
+      refute has_element?(view, "#trajectory-color-by-toggle")
+
+      view |> element("#trajectory-view-toggle button", "2D") |> render_click()
+
+      refute has_element?(view, "#trajectory-3d-plot-#{blackboard.id}")
+      assert has_element?(view, "#trajectory-view-toggle button[aria-pressed=true]", "2D")
+      assert render(view) =~ "2D PCA"
+
+      data = chart_data(view, "trajectory-2d-plot-#{blackboard.id}")
+      assert data["color_by"] == "cycle"
+      assert data["axes"] == ["PC1", "PC2"]
+      assert Enum.map(data["points"], & &1["status"]) == ["active", "active", "graduated"]
+    end
+
+    test "colours the 2D plot by the chosen measure", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+      send(view.pid, {:trajectory_data_loaded, DataLoader.load_trajectory_data(blackboard.id)})
+
+      render_click(view, "set_trajectory_view", %{"view" => "two_d"})
+      view |> element("#trajectory-color-by-toggle button", "Novelty") |> render_click()
+
+      assert has_element?(
+               view,
+               "#trajectory-color-by-toggle button[aria-pressed=true]",
+               "Novelty"
+             )
+      assert chart_data(view, "trajectory-2d-plot-#{blackboard.id}")["color_by"] == "novelty"
+
+      render_click(view, "set_trajectory_color_by", %{"color_by" => "bogus"})
+      assert chart_data(view, "trajectory-2d-plot-#{blackboard.id}")["color_by"] == "novelty"
+    end
+  end
+
+  describe "Cost burn-down" do
+    test "shows the projected limit cycle and stacks costs by agent", %{conn: conn} do
+      blackboard = create_costed_blackboard(Decimal.new("10.00"))
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      assert view |> element("#cost-burndown-#{blackboard.id}-projection") |> render() =~
+               "Limit projected at cycle 10"
+
+      chart_data =
+        view
+        |> element("#cost-burndown-#{blackboard.id}")
+        |> render()
+        |> Floki.parse_fragment!()
+        |> Floki.attribute("data-chart-data")
+        |> List.first()
+        |> Jason.decode!()
+
+      assert chart_data["cost_limit"] == 10.0
+      assert chart_data["projected_cycle"] == 10
+      assert length(chart_data["costs"]) == 6
+      assert Enum.sort(chart_data["agents"]) == ["critic", "explorer"]
+    end
+
+    test "reports a limit that has already been reached", %{conn: conn} do
+      blackboard = create_costed_blackboard(Decimal.new("2.00"))
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      assert view |> element("#cost-burndown-#{blackboard.id}-projection") |> render() =~
+               "Limit reached at cycle 2"
+    end
+
+    test "notes when no cost limit is set", %{conn: conn} do
+      blackboard = create_costed_blackboard(nil)
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      assert view |> element("#cost-burndown-#{blackboard.id}-projection") |> render() =~
+               "No cost limit set"
+    end
+  end
+
+  describe "Claim lineage" do
+    test "is not rendered before the claim changes", %{conn: conn} do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{current_claim: "Test claim", support_strength: 0.5})
+        |> Repo.insert()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      refute has_element?(view, "[phx-hook='ClaimLineageHook']")
+    end
+
+    test "draws one node per claim version with reverts merged", %{conn: conn} do
+      {blackboard, _transitions} = create_reverting_blackboard()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      lineage =
+        view
+        |> element("#claim-lineage-#{blackboard.id}")
+        |> render()
+        |> Floki.parse_fragment!()
+        |> Floki.attribute("data-chart-data")
+        |> List.first()
+        |> Jason.decode!()
+
+      assert Enum.map(lineage["nodes"], & &1["claim"]) == ["Original claim", "Revised claim"]
+      assert Enum.map(lineage["edges"], & &1["revert"]) == [false, true]
+      assert Enum.map(lineage["edges"], & &1["trigger_agent"]) == ["explorer", "critic"]
+    end
+
+    test "clicking a node expands its timeline card", %{conn: conn} do
+      {blackboard, [first, _second]} = create_reverting_blackboard()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      refute has_element?(view, "#timeline-diff-#{first.id}")
+
+      render_hook(view, "expand_timeline_node", %{"node" => first.id})
+      assert has_element?(view, "#timeline-diff-#{first.id}")
+
+      # Expanding is idempotent, unlike clicking the card itself
+      render_hook(view, "expand_timeline_node", %{"node" => first.id})
+      assert has_element?(view, "#timeline-diff-#{first.id}")
+    end
+  end
+
+  describe "Claim drift" do
+    test "prompts for a second cycle after the first pick", %{conn: conn} do
+      blackboard = create_drifting_blackboard()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      refute has_element?(view, "#claim-drift")
+
+      render_hook(view, "compare_cycle", %{"cycle" => 1})
+
+      assert view |> element("#claim-drift") |> render() =~ "Cycle 1 selected"
+    end
+
+    test "diffs the claims and support of two picked cycles", %{conn: conn} do
+      blackboard = create_drifting_blackboard()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      render_hook(view, "compare_cycle", %{"cycle" => 3})
+      html = render_hook(view, "compare_cycle", %{"cycle" => 1})
+
+      assert html =~ "Cycle 1"
+      assert html =~ "Cycle 3"
+      assert has_element?(view, "#claim-drift .diff-remove", "fast")
+      assert has_element?(view, "#claim-drift .diff-add", "slow")
+      assert view |> element("#claim-drift") |> render() =~ "50.0%"
+      assert view |> element("#claim-drift") |> render() =~ "70.0%"
+      assert view |> element("#claim-drift") |> render() =~ "(+0.2)"
+    end
+
+    test "switches layout and clears the comparison", %{conn: conn} do
+      blackboard = create_drifting_blackboard()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      render_hook(view, "compare_cycle", %{"cycle" => 1})
+      render_hook(view, "compare_cycle", %{"cycle" => 2})
+
+      view
+      |> element("#claim-drift button[phx-value-mode='side_by_side']")
+      |> render_click()
+
+      assert has_element?(view, "#claim-drift button[aria-pressed='true']", "Side by side")
+
+      view |> element("#claim-drift button", "Clear") |> render_click()
+
+      refute has_element?(view, "#claim-drift")
+    end
+
+    test "picking a selected cycle again deselects it", %{conn: conn} do
+      blackboard = create_drifting_blackboard()
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      render_hook(view, "compare_cycle", %{"cycle" => 2})
+      render_hook(view, "compare_cycle", %{"cycle" => 2})
+
+      refute has_element?(view, "#claim-drift")
+    end
+  end
+
+  describe "Session replay" do
+    setup do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Final claim",
+          support_strength: 0.6,
+          cycle_count: 6
+        })
+        |> Repo.insert()
+
+      for cycle <- 1..6 do
+        role = if cycle <= 3, do: "explorer", else: "critic"
+        insert_trajectory_point(blackboard, cycle, "Claim at #{cycle}", 0.4 + cycle * 0.05)
+        insert_accepted_contribution(blackboard, cycle, role)
+      end
+
+      %{blackboard: blackboard}
+    end
+
+    test "shows the replay control once the session has stopped", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      assert has_element?(view, "#session-replay[data-max-cycle='6']")
+      assert has_element?(view, "#session-replay input[type='range'][value='6']")
+      refute has_element?(view, "#session-replay[data-replay-cycle]")
+    end
+
+    test "set_replay_cycle rewinds the claim card, donut and cycle log", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      html = render_hook(view, "set_replay_cycle", %{"cycle" => 3})
+
+      assert has_element?(view, "#session-replay[data-replay-cycle='3']")
+      assert html =~ "Claim at Cycle 3"
+      assert html =~ "3 / 6"
+      assert html =~ "55.0%"
+
+      assert [%{"role" => "explorer", "count" => 3}] =
+               chart_data(view, "contributions-pie-#{blackboard.id}")
+
+      assert has_element?(view, "#cycle-3")
+      refute has_element?(view, "#cycle-4")
+    end
+
+    test "leaves the chart data whole for the hooks to trim", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      render_hook(view, "set_replay_cycle", %{"cycle" => 2})
+
+      data = chart_data(view, "support-timeline-#{blackboard.id}")
+      assert length(data["support_timeline"]) == 6
+    end
+
+    test "shows the claim summary written by the replay cycle", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      for cycle <- [2, 5] do
+        %ClaimSummary{}
+        |> ClaimSummary.changeset(%{
+          blackboard_id: blackboard.id,
+          cycle_number: cycle,
+          full_context_summary: "Context as of cycle #{cycle}",
+          evolution_narrative: "Narrative #{cycle}",
+          addressed_objections: %{},
+          remaining_gaps: %{}
+        })
+        |> Repo.insert!()
+      end
+
+      {:ok, view, html} = live(conn, "/sessions/#{blackboard.id}")
+      assert html =~ "Context as of cycle 5"
+
+      html = render_hook(view, "set_replay_cycle", %{"cycle" => 4})
+
+      assert html =~ "Context as of cycle 2"
+      refute html =~ "Context as of cycle 5"
+    end
+
+    test "the last cycle and stop_replay return the page to live", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      render_hook(view, "set_replay_cycle", %{"cycle" => 2})
+      html = render_hook(view, "set_replay_cycle", %{"cycle" => 9})
+
+      refute has_element?(view, "#session-replay[data-replay-cycle]")
+      assert html =~ "Current Claim"
+      assert html =~ "Final claim"
+      assert has_element?(view, "#cycle-6")
+
+      render_hook(view, "set_replay_cycle", %{"cycle" => "2"})
+      render_hook(view, "stop_replay", %{})
+
+      refute has_element?(view, "#session-replay[data-replay-cycle]")
+      assert length(chart_data(view, "contributions-pie-#{blackboard.id}")) == 2
+    end
+
+    test "ignores cycles that aren't numbers", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      render_hook(view, "set_replay_cycle", %{"cycle" => "soon"})
+
+      refute has_element?(view, "#session-replay[data-replay-cycle]")
+    end
+
+    test "a new cycle ends the replay", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      render_hook(view, "set_replay_cycle", %{"cycle" => 2})
+      send(view.pid, {:cycle_complete, %{cycle_number: 6}})
+
+      refute has_element?(view, "#session-replay[data-replay-cycle]")
+      assert has_element?(view, "#cycle-6")
+    end
+  end
+
+  describe "Shareable URL" do
+    setup do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{
+          current_claim: "Final claim",
+          support_strength: 0.6,
+          cycle_count: 6
+        })
+        |> Repo.insert()
+
+      for cycle <- 1..6 do
+        role = if cycle <= 3, do: "explorer", else: "critic"
+        insert_trajectory_point(blackboard, cycle, "Claim at #{cycle}", 0.4 + cycle * 0.05)
+        insert_accepted_contribution(blackboard, cycle, role)
+      end
+
+      %{blackboard: blackboard, path: "/sessions/#{blackboard.id}"}
+    end
+
+    test "chart options and the selected cycle patch the URL", %{conn: conn, path: path} do
+      {:ok, view, _html} = live(conn, path)
+
+      view |> element("#trajectory-view-toggle button", "2D") |> render_click()
+      assert_patch(view, "#{path}?trajectory=two_d")
+
+      render_hook(view, "set_trajectory_color_by", %{"color_by" => "support"})
+      assert_patch(view, "#{path}?color=support&trajectory=two_d")
+
+      render_hook(view, "select_cycle", %{"cycle" => 4})
+      assert_patch(view, "#{path}?color=support&cycle=4&trajectory=two_d")
+      assert has_element?(view, "#session-selected-cycle[data-cycle='4']")
+
+      render_hook(view, "select_cycle", %{"cycle" => nil})
+      assert_patch(view, "#{path}?color=support&trajectory=two_d")
+    end
+
+    test "a link restores the chart options, range and selection", %{
+      conn: conn,
+      path: path
+    } do
+      {:ok, view, html} =
+        live(conn, "#{path}?range=2-4&contributions=over_time&trajectory=two_d&cycle=3")
+
+      assert html =~ "Cycles 2–4"
+      assert has_element?(view, "#contributions-view-toggle button[aria-pressed=true]", "Over time")
+      assert has_element?(view, "#trajectory-view-toggle button[aria-pressed=true]", "2D")
+      assert has_element?(view, "#session-selected-cycle[data-cycle='3']")
+      assert has_element?(view, "#cycle-3")
+      refute has_element?(view, "#cycle-5")
+    end
+
+    test "a link restores a replay", %{conn: conn, path: path} do
+      {:ok, view, html} = live(conn, "#{path}?replay=3")
+
+      assert has_element?(view, "#session-replay[data-replay-cycle='3']")
+      assert html =~ "Claim at Cycle 3"
+      refute has_element?(view, "#cycle-4")
+
+      render_hook(view, "stop_replay", %{})
+      assert_patch(view, path)
+    end
+
+    test "collapsible sections report their state to the URL", %{conn: conn, path: path} do
+      {:ok, view, _html} = live(conn, path)
+
+      assert has_element?(view, "#cost-by-cycle button[aria-expanded='false']")
+
+      render_hook(view, "toggle_section", %{"id" => "cost-by-cycle", "expanded" => true})
+      assert_patch(view, "#{path}?open=cost-by-cycle")
+      assert has_element?(view, "#cost-by-cycle button[aria-expanded='true']")
+
+      {:ok, view, _html} = live(conn, "#{path}?open=cost-by-agent&closed=cost-by-cycle")
+
+      assert has_element?(view, "#cost-by-agent button[aria-expanded='true']")
+      assert has_element?(view, "#cost-by-cycle #cost-by-cycle-content[style*='display: none']")
+    end
+
+    test "expanded timeline nodes round-trip through the URL", %{conn: conn} do
+      {blackboard, [first, second]} = create_reverting_blackboard()
+      path = "/sessions/#{blackboard.id}"
+
+      {:ok, view, _html} = live(conn, path)
+
+      render_hook(view, "expand_timeline_node", %{"node" => second.id})
+      render_hook(view, "expand_timeline_node", %{"node" => first.id})
+      assert_patch(view, "#{path}?nodes=#{first.id},#{second.id}")
+
+      {:ok, view, _html} = live(conn, "#{path}?nodes=#{second.id}")
+
+      assert has_element?(view, "#timeline-diff-#{second.id}")
+      refute has_element?(view, "#timeline-diff-#{first.id}")
+    end
+
+    test "ignores values that don't parse", %{conn: conn, path: path} do
+      {:ok, view, html} = live(conn, "#{path}?range=soon&color=plaid&cycle=-2&compare=x")
+
+      refute html =~ "Reset zoom"
+      assert has_element?(view, "#cycle-6")
+      refute has_element?(view, "#session-selected-cycle[data-cycle]")
+    end
+  end
+
+  describe "Annotations" do
+    setup do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{current_claim: "Final claim", cycle_count: 4})
+        |> Repo.insert()
+
+      for cycle <- 1..4 do
+        insert_trajectory_point(blackboard, cycle, "Claim at #{cycle}", 0.4 + cycle * 0.05)
+      end
+
+      %{blackboard: blackboard}
+    end
+
+    test "selecting a cycle offers a note on it", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, html} = live(conn, "/sessions/#{blackboard.id}")
+
+      assert html =~ "Click a point on the timeline to note its cycle."
+      assert html =~ "No annotations yet"
+      refute has_element?(view, "#annotation-new-body")
+
+      render_hook(view, "select_cycle", %{"cycle" => 3})
+
+      assert has_element?(view, "#annotations-panel label", "Note on cycle 3")
+    end
+
+    test "a new note is listed and sent with the support timeline", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}?cycle=2")
+
+      view
+      |> form("#annotation-form-0", annotation: %{body: "Premise attack lands"})
+      |> render_submit()
+
+      [annotation] = Annotations.list_annotations(blackboard.id)
+      assert annotation.cycle_number == 2
+      assert has_element?(view, "#annotation-#{annotation.id}", "Premise attack lands")
+      assert has_element?(view, "#annotation-form-1 #annotation-new-body")
+
+      assert [%{"id" => id, "cycle_number" => 2, "body" => "Premise attack lands"}] =
+               chart_data(view, "support-timeline-#{blackboard.id}")["annotations"]
+
+      assert id == annotation.id
+    end
+
+    test "a blank note is refused", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}?cycle=2")
+
+      html =
+        view
+        |> form("#annotation-form-0", annotation: %{body: "   "})
+        |> render_submit()
+
+      assert html =~ "Could not save the note: body can&#39;t be blank"
+      assert Annotations.list_annotations(blackboard.id) == []
+    end
+
+    test "notes can be edited and deleted", %{conn: conn, blackboard: blackboard} do
+      {:ok, annotation} =
+        Annotations.create_annotation(blackboard.id, %{cycle_number: 1, body: "First take"})
+
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+
+      view |> element("#annotation-#{annotation.id} button", "Edit") |> render_click()
+
+      view
+      |> form("#annotation-edit-#{annotation.id}", annotation: %{body: "Second take"})
+      |> render_submit()
+
+      refute has_element?(view, "#annotation-edit-#{annotation.id}")
+      assert has_element?(view, "#annotation-#{annotation.id}", "Second take")
+
+      assert [%{"body" => "Second take"}] =
+               chart_data(view, "support-timeline-#{blackboard.id}")["annotations"]
+
+      view |> element("#annotation-#{annotation.id} button", "Delete") |> render_click()
+
+      refute has_element?(view, "#annotation-#{annotation.id}")
+      assert chart_data(view, "support-timeline-#{blackboard.id}")["annotations"] == []
+      assert Annotations.list_annotations(blackboard.id) == []
+    end
+
+    test "notes written elsewhere show up live", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}?cycle=2")
+
+      {:ok, annotation} =
+        Annotations.create_annotation(blackboard.id, %{cycle_number: 4, body: "From a colleague"})
+
+      assert has_element?(view, "#annotation-#{annotation.id}", "From a colleague")
+      # The reader's own note in progress isn't cleared by someone else's
+      assert has_element?(view, "#annotation-form-0")
+
+      {:ok, _} = Annotations.delete_annotation(blackboard.id, annotation.id)
+
+      refute has_element?(view, "#annotation-#{annotation.id}")
+    end
+  end
+
+  describe "Chart deltas" do
+    setup do
+      {:ok, blackboard} =
+        %BlackboardRecord{}
+        |> BlackboardRecord.changeset(%{current_claim: "Claim A", support_strength: 0.5})
+        |> Repo.insert()
+
+      %{blackboard: blackboard}
+    end
+
+    test "pushes a new cycle's support point without re-rendering the timeline data", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+      chart_id = "support-timeline-#{blackboard.id}"
+
+      insert_trajectory_point(blackboard, 1, "Claim A", 0.6)
+      send(view.pid, {:cycle_complete, %{cycle_number: 1}})
+
+      assert_push_event(view, "append_point", %{
+        id: ^chart_id,
+        point: %{cycle: 1, support: 0.6, claim_text: "Claim A"}
+      })
+
+      assert chart_data(view, chart_id)["support_timeline"] == []
+    end
+
+    test "pushes changed contribution counts to the donut", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+      chart_id = "contributions-pie-#{blackboard.id}"
+
+      insert_accepted_contribution(blackboard, 1, "explorer")
+      send(view.pid, {:cycle_complete, %{cycle_number: 1}})
+
+      assert_push_event(view, "update_contribution", %{id: ^chart_id, role: "explorer", count: 1})
+      assert chart_data(view, chart_id) == []
+    end
+
+    test "pushes per-cycle counts when the over-time chart is shown", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+      render_click(view, "set_contributions_view", %{"view" => "over_time"})
+      chart_id = "contributions-over-time-#{blackboard.id}"
+
+      insert_accepted_contribution(blackboard, 2, "critic")
+      send(view.pid, {:cycle_complete, %{cycle_number: 2}})
+
+      assert_push_event(view, "update_contribution", %{
+        id: ^chart_id,
+        cycle: 2,
+        role: "critic",
+        count: 1
+      })
+    end
+
+    test "pushes a new claim transition to the support timeline", %{
+      conn: conn,
+      blackboard: blackboard
+    } do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+      chart_id = "support-timeline-#{blackboard.id}"
+
+      transition =
+        %ClaimTransition{}
+        |> ClaimTransition.changeset(%{
+          blackboard_id: blackboard.id,
+          from_cycle: 1,
+          to_cycle: 2,
+          previous_claim: "Claim A",
+          new_claim: "Claim B",
+          trigger_agent: "critic",
+          change_type: "pivot"
+        })
+        |> Repo.insert!()
+
+      send(view.pid, {:claim_changed, blackboard.id, transition})
+
+      transition_id = transition.id
+      assert_push_event(view, "add_transition", %{
+        id: ^chart_id,
+        transition: %{id: ^transition_id, to_cycle: 2}
+      })
+      assert chart_data(view, chart_id)["claim_transitions"] == []
+    end
+
+    test "a cycle range change resyncs the chart data", %{conn: conn, blackboard: blackboard} do
+      {:ok, view, _html} = live(conn, "/sessions/#{blackboard.id}")
+      chart_id = "support-timeline-#{blackboard.id}"
+
+      insert_trajectory_point(blackboard, 1, "Claim A", 0.6)
+      send(view.pid, {:cycle_complete, %{cycle_number: 1}})
+      assert_push_event(view, "append_point", %{id: ^chart_id})
+
+      render_hook(view, "select_cycle_range", %{"from" => 1, "to" => 1})
+
+      assert [%{"cycle" => 1, "support" => 0.6}] = chart_data(view, chart_id)["support_timeline"]
+    end
+  end
+
+  defp chart_data(view, chart_id) do
+    view
+    |> element("##{chart_id}")
+    |> render()
+    |> Floki.parse_fragment!()
+    |> Floki.attribute("data-chart-data")
+    |> List.first()
+    |> Jason.decode!()
+  end
+
+  defp filter_cycle_log(view, params) do
+    view
+    |> element("#cycle-log-filter")
+    |> render_change(%{"cycle_log_filter" => params})
+  end
+
+  defp insert_trajectory_point(blackboard, cycle, claim, support) do
+    %TrajectoryPoint{}
+    |> TrajectoryPoint.changeset(%{
+      blackboard_id: blackboard.id,
+      cycle_number: cycle,
+      claim_text: claim,
+      support_strength: support,
+      embedding_vector: Nx.tensor([0.1, 0.2, 0.3]) |> Nx.to_binary()
+    })
+    |> Repo.insert!()
+  end
+
+  defp insert_accepted_contribution(blackboard, cycle, role, attrs \\ %{}) do
+    %AgentContribution{}
+    |> AgentContribution.changeset(
+      Map.merge(
+        %{
+          blackboard_id: blackboard.id,
+          cycle_number: cycle,
+          agent_role: role,
+          model_used: "test-model",
+          input_prompt: "Test prompt",
+          output_text: "Test output",
+          accepted: true,
+          support_delta: 0.01
+        },
+        attrs
+      )
+    )
+    |> Repo.insert!()
+  end
+
+  defp create_costed_blackboard(cost_limit) do
+    {:ok, blackboard} =
+      %BlackboardRecord{}
+      |> BlackboardRecord.changeset(%{
+        current_claim: "Test claim",
+        support_strength: 0.5,
+        cycle_count: 3,
+        cost_limit_usd: cost_limit
+      })
+      |> Repo.insert()
+
+    for cycle <- 1..3, role <- ["explorer", "critic"] do
+      %LLMCost{}
+      |> LLMCost.changeset(%{
+        blackboard_id: blackboard.id,
+        cycle_number: cycle,
+        agent_role: role,
+        model_used: "openai/gpt-4",
+        input_tokens: 100,
+        output_tokens: 50,
+        cost_usd: 0.5
+      })
+      |> Repo.insert!()
+    end
+
+    blackboard
+  end
+
+  defp create_drifting_blackboard do
+    {:ok, blackboard} =
+      %BlackboardRecord{}
+      |> BlackboardRecord.changeset(%{
+        current_claim: "Light travels slow in dense media",
+        support_strength: 0.7,
+        cycle_count: 3
+      })
+      |> Repo.insert()
+
+    [
+      {1, "Light travels fast in dense media", 0.5},
+      {2, "Light travels fast in dense media", 0.6},
+      {3, "Light travels slow in dense media", 0.7}
+    ]
+    |> Enum.each(fn {cycle, claim, support} ->
+      %TrajectoryPoint{}
+      |> TrajectoryPoint.changeset(%{
+        blackboard_id: blackboard.id,
+        cycle_number: cycle,
+        claim_text: claim,
+        support_strength: support,
+        embedding_vector: Nx.tensor([0.1, 0.2, 0.3]) |> Nx.to_binary()
+      })
+      |> Repo.insert!()
+    end)
+
+    blackboard
+  end
+
+  defp create_reverting_blackboard do
+    {:ok, blackboard} =
+      %BlackboardRecord{}
+      |> BlackboardRecord.changeset(%{
+        current_claim: "Original claim",
+        support_strength: 0.5,
+        cycle_count: 4
+      })
+      |> Repo.insert()
+
+    transitions =
+      for {from, to, previous, new, agent} <- [
+            {1, 2, "Original claim", "Revised claim", "explorer"},
+            {2, 4, "Revised claim", "Original claim", "critic"}
+          ] do
+        %ClaimTransition{}
+        |> ClaimTransition.changeset(%{
+          blackboard_id: blackboard.id,
+          from_cycle: from,
+          to_cycle: to,
+          previous_claim: previous,
+          new_claim: new,
+          trigger_agent: agent,
+          change_type: "pivot"
+        })
+        |> Repo.insert!()
+      end
+
+    {blackboard, transitions}
+  end
 end
@@ -165,4 +165,26 @@ defmodule UnshackledWeb.PubSubTest do
       assert_receive {:claim_graduated, ^entry}
     end
   end
+
+  describe "annotation broadcasts" do
+    setup do
+      blackboard_id = System.unique_integer([:positive])
+      PubSub.subscribe_blackboard(blackboard_id)
+      {:ok, blackboard_id: blackboard_id}
+    end
+
+    test "broadcast_annotation_saved/2 sends the annotation", %{blackboard_id: id} do
+      annotation = %{id: 7, cycle_number: 3, body: "note"}
+
+      PubSub.broadcast_annotation_saved(id, annotation)
+
+      assert_receive {:annotation_saved, ^id, ^annotation}
+    end
+
+    test "broadcast_annotation_deleted/2 sends the annotation id", %{blackboard_id: id} do
+      PubSub.broadcast_annotation_deleted(id, 7)
+
+      assert_receive {:annotation_deleted, ^id, 7}
+    end
+  end
 end